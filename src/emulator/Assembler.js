@@ -0,0 +1,415 @@
+// Assembler.js - Two-pass 6502/6510 line assembler for patching memory
+// Accepts the syntax the Disassembler prints plus labels, "*=" origins,
+// "name = value" constants and .byte/.word/.text data, so a listing can be
+// edited and fed straight back in.
+//
+// Expressions: $hex, %binary, decimal, 'c', labels, * (current address),
+// + and -, and a leading < or > for the low or high byte.
+
+import { OPCODES, MODE_BYTES } from './Opcodes.js';
+
+const hex = (value, digits) => value.toString(16).toUpperCase().padStart(digits, '0');
+
+// mnemonic -> mode -> opcode. When a mnemonic/mode pair exists more than
+// once (SBC #, NOP, ANC...) the documented opcode wins, then the lowest one.
+const OPCODE_LOOKUP = {};
+OPCODES.forEach((entry, opcode) => {
+    const modes = OPCODE_LOOKUP[entry.mnemonic] ??= {};
+    const existing = modes[entry.mode];
+    if (existing === undefined || (OPCODES[existing].illegal && !entry.illegal)) {
+        modes[entry.mode] = opcode;
+    }
+});
+
+const IDENTIFIER = /^[A-Za-z_][\w]*$/;
+
+export class Assembler {
+    constructor(symbols = null) {
+        // Optional SymbolTable for labels defined outside the source (KERNAL names etc.)
+        this.symbols = symbols;
+    }
+
+    // Assemble source starting at address (a "*=" line may move it).
+    // Returns { start, end, labels, constants, statements, listing }:
+    // labels has every name, constants the ones defined with "name = value"
+    // rather than at an address. Statements carry { address, bytes, source }
+    // and nothing is written to memory here.
+    // Throws Error("Line n: ...") on the first problem.
+    assemble(address, source) {
+        const lines = source.split(/\r?\n/);
+        this.labels = {};
+        const constants = [];
+
+        // Pass 1: fix every statement's address and size, define labels
+        const statements = [];
+        let pc = address ?? null;
+
+        lines.forEach((text, index) => {
+            const lineNumber = index + 1;
+            try {
+                const statement = this.parseLine(text);
+                if (!statement) return;
+
+                if (statement.label) {
+                    this.requireOrigin(pc);
+                    this.defineLabel(statement.label, pc);
+                }
+
+                switch (statement.type) {
+                    case 'org':
+                        pc = this.evaluateNow(statement.expression, pc);
+                        break;
+                    case 'constant':
+                        this.defineLabel(statement.name, this.evaluateNow(statement.expression, pc));
+                        constants.push(statement.name);
+                        break;
+                    case 'instruction':
+                    case 'data':
+                        this.requireOrigin(pc);
+                        statement.address = pc;
+                        statement.size = statement.type === 'instruction'
+                            ? this.chooseMode(statement, pc)
+                            : this.dataSize(statement);
+                        statement.lineNumber = lineNumber;
+                        statements.push(statement);
+                        pc += statement.size;
+                        if (pc > 0x10000) throw new Error('Program runs past $FFFF');
+                        break;
+                }
+
+                if (statement.label && statement.type === 'label') {
+                    statements.push({ type: 'label', label: statement.label, address: pc, lineNumber });
+                }
+            } catch (error) {
+                throw new Error(`Line ${lineNumber}: ${error.message}`);
+            }
+        });
+
+        // Pass 2: every label is known, generate the bytes
+        for (const statement of statements) {
+            try {
+                if (statement.type === 'instruction') {
+                    statement.bytes = this.encodeInstruction(statement);
+                } else if (statement.type === 'data') {
+                    statement.bytes = this.encodeData(statement);
+                }
+            } catch (error) {
+                throw new Error(`Line ${statement.lineNumber}: ${error.message}`);
+            }
+        }
+
+        const code = statements.filter(statement => statement.bytes);
+        const start = code.length ? Math.min(...code.map(s => s.address)) : (address ?? 0);
+        const end = code.length ? Math.max(...code.map(s => s.address + s.size)) : start;
+
+        return {
+            start,
+            end,
+            labels: { ...this.labels },
+            constants,
+            statements: code,
+            listing: this.formatListing(statements)
+        };
+    }
+
+    parseLine(text) {
+        let line = stripComment(text).trimEnd();
+        if (!line.trim()) return null;
+
+        // *= $C000
+        const org = line.match(/^\s*\*\s*=\s*(.+)$/);
+        if (org) return { type: 'org', expression: org[1].trim() };
+
+        // name = value
+        const constant = line.match(/^\s*([A-Za-z_]\w*)\s*=\s*(.+)$/);
+        if (constant) return { type: 'constant', name: constant[1], expression: constant[2].trim() };
+
+        // "label:" anywhere, or a bare label in column 0
+        let label = null;
+        const labelMatch = line.match(/^\s*([A-Za-z_]\w*):/);
+        if (labelMatch) {
+            label = labelMatch[1];
+            line = line.slice(labelMatch[0].length);
+        } else {
+            const columnZero = line.match(/^([A-Za-z_]\w*)(?=\s|$)/);
+            if (columnZero && !OPCODE_LOOKUP[columnZero[1].toUpperCase()]) {
+                label = columnZero[1];
+                line = line.slice(columnZero[0].length);
+            }
+        }
+
+        line = line.trim();
+        if (!line) return { type: 'label', label };
+
+        const directive = line.match(/^\.(byte|word|text)\b\s*(.*)$/i);
+        if (directive) {
+            return {
+                type: 'data',
+                label,
+                directive: directive[1].toLowerCase(),
+                values: splitList(directive[2]),
+                source: line
+            };
+        }
+
+        const instruction = line.match(/^([A-Za-z]{3})\b\s*(.*)$/);
+        if (!instruction) throw new Error(`Syntax error: ${line}`);
+
+        const mnemonic = instruction[1].toUpperCase();
+        if (!OPCODE_LOOKUP[mnemonic]) throw new Error(`Unknown mnemonic ${mnemonic}`);
+
+        return {
+            type: 'instruction',
+            label,
+            mnemonic,
+            operand: instruction[2].trim(),
+            source: instruction[2].trim() ? `${mnemonic} ${instruction[2].trim()}` : mnemonic
+        };
+    }
+
+    // Work out the addressing mode from the operand syntax and, for plain
+    // addresses, from the value: zero page when it is already known to fit.
+    // Forward references are assumed to be absolute. Returns the size.
+    chooseMode(statement, pc) {
+        const modes = OPCODE_LOOKUP[statement.mnemonic];
+        const operand = statement.operand;
+        let mode;
+        let expression = null;
+        let match;
+
+        if (operand === '' || /^a$/i.test(operand)) {
+            mode = modes.imp !== undefined ? 'imp' : 'acc';
+        } else if (operand.startsWith('#')) {
+            mode = 'imm';
+            expression = operand.slice(1);
+        } else if ((match = operand.match(/^\((.+),\s*x\s*\)$/i))) {
+            mode = 'izx';
+            expression = match[1];
+        } else if ((match = operand.match(/^\((.+)\)\s*,\s*y$/i))) {
+            mode = 'izy';
+            expression = match[1];
+        } else if ((match = operand.match(/^\((.+)\)$/))) {
+            mode = 'ind';
+            expression = match[1];
+        } else if (modes.rel !== undefined) {
+            mode = 'rel';
+            expression = operand;
+        } else {
+            const indexed = operand.match(/^(.+?),\s*([xy])$/i);
+            const index = indexed ? indexed[2].toLowerCase() : '';
+            expression = indexed ? indexed[1] : operand;
+
+            const zeroPage = { '': 'zp', x: 'zpx', y: 'zpy' }[index];
+            const absolute = { '': 'abs', x: 'abx', y: 'aby' }[index];
+            const value = this.evaluate(expression, pc, false);
+
+            if (modes[zeroPage] !== undefined && (modes[absolute] === undefined || (value !== null && value < 0x100))) {
+                mode = zeroPage;
+            } else {
+                mode = absolute;
+            }
+        }
+
+        if (modes[mode] === undefined) {
+            throw new Error(`${statement.mnemonic} does not support ${describeMode(mode)} addressing`);
+        }
+
+        statement.mode = mode;
+        statement.expression = expression && expression.trim();
+        statement.opcode = modes[mode];
+        return MODE_BYTES[mode];
+    }
+
+    encodeInstruction(statement) {
+        const { mode, opcode, address } = statement;
+        const size = MODE_BYTES[mode];
+        if (size === 1) return [opcode];
+
+        const value = this.evaluate(statement.expression, address, true);
+
+        if (mode === 'rel') {
+            const offset = value - ((address + 2) & 0xFFFF);
+            if (offset < -128 || offset > 127) {
+                throw new Error(`Branch target $${hex(value & 0xFFFF, 4)} out of range`);
+            }
+            return [opcode, offset & 0xFF];
+        }
+
+        if (size === 2) {
+            const lowest = mode === 'imm' ? -128 : 0;
+            if (value < lowest || value > 0xFF) {
+                throw new Error(`Value ${statement.expression} does not fit in a byte`);
+            }
+            return [opcode, value & 0xFF];
+        }
+
+        if (value < 0 || value > 0xFFFF) throw new Error(`Address ${value} out of range`);
+        return [opcode, value & 0xFF, value >> 8];
+    }
+
+    dataSize(statement) {
+        let size = 0;
+        for (const value of statement.values) {
+            if (isString(value)) {
+                size += value.length - 2;
+            } else if (statement.directive === 'text') {
+                throw new Error('.text expects quoted strings');
+            } else {
+                size += statement.directive === 'word' ? 2 : 1;
+            }
+        }
+        return size;
+    }
+
+    encodeData(statement) {
+        const bytes = [];
+
+        for (const item of statement.values) {
+            if (isString(item)) {
+                for (const char of item.slice(1, -1)) bytes.push(char.charCodeAt(0) & 0xFF);
+                continue;
+            }
+
+            const value = this.evaluate(item, statement.address + bytes.length, true);
+            if (statement.directive === 'word') {
+                bytes.push(value & 0xFF, (value >> 8) & 0xFF);
+            } else {
+                if (value < -128 || value > 0xFF) {
+                    throw new Error(`Value ${item} does not fit in a byte`);
+                }
+                bytes.push(value & 0xFF);
+            }
+        }
+
+        return bytes;
+    }
+
+    // Evaluate an expression. Unknown labels give null unless required.
+    evaluate(expression, pc, required) {
+        let text = expression.trim();
+        let part = null;
+
+        if (text.startsWith('<') || text.startsWith('>')) {
+            part = text[0];
+            text = text.slice(1).trim();
+        }
+
+        const terms = text.match(/[+-]?\s*('.'|[^+\-\s]+)/g);
+        if (!terms || terms.join('').replace(/\s/g, '') !== text.replace(/\s/g, '')) {
+            throw new Error(`Bad expression: ${expression}`);
+        }
+
+        let total = 0;
+        for (const rawTerm of terms) {
+            const term = rawTerm.replace(/^([+-]?)\s*/, '$1');
+            const sign = term.startsWith('-') ? -1 : 1;
+            const value = this.evaluateTerm(term.replace(/^[+-]/, ''), pc, required);
+            if (value === null) return null;
+            total += sign * value;
+        }
+
+        if (part === '<') return total & 0xFF;
+        if (part === '>') return (total >> 8) & 0xFF;
+        return total;
+    }
+
+    evaluateTerm(term, pc, required) {
+        if (/^\$[0-9a-f]+$/i.test(term)) return parseInt(term.slice(1), 16);
+        if (/^%[01]+$/.test(term)) return parseInt(term.slice(1), 2);
+        if (/^\d+$/.test(term)) return parseInt(term, 10);
+        if (/^'.'$/.test(term)) return term.charCodeAt(1);
+        if (term === '*') return pc;
+
+        if (!IDENTIFIER.test(term)) throw new Error(`Bad value: ${term}`);
+
+        if (term in this.labels) return this.labels[term];
+        const external = this.symbols ? this.symbols.getAddress(term) : null;
+        if (external !== null) return external;
+
+        if (required) throw new Error(`Undefined label ${term}`);
+        return null;
+    }
+
+    evaluateNow(expression, pc) {
+        const value = this.evaluate(expression, pc ?? 0, false);
+        if (value === null) throw new Error(`Forward reference in ${expression}`);
+        return value;
+    }
+
+    defineLabel(name, value) {
+        if (name in this.labels) throw new Error(`Label ${name} already defined`);
+        this.labels[name] = value;
+    }
+
+    requireOrigin(pc) {
+        if (pc === null) throw new Error('No start address: pass one or use *=');
+    }
+
+    // Listing in the same layout as Disassembler.formatLine(), with long
+    // data statements continued three bytes per line
+    formatListing(statements) {
+        const lines = [];
+
+        for (const statement of statements) {
+            if (statement.label) lines.push(`${statement.label}:`);
+            if (!statement.bytes) continue;
+
+            for (let offset = 0; offset < statement.bytes.length || offset === 0; offset += 3) {
+                const bytes = statement.bytes.slice(offset, offset + 3).map(byte => hex(byte, 2)).join(' ');
+                const text = offset === 0 ? statement.source : '';
+                lines.push(`$${hex(statement.address + offset, 4)}  ${bytes.padEnd(8)}  ${text}`.trimEnd());
+            }
+        }
+
+        return lines.join('\n');
+    }
+}
+
+function stripComment(line) {
+    let quote = null;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"') {
+            quote = char;
+        } else if (char === "'" && line[i + 2] === "'") {
+            i += 2;
+        } else if (char === ';') {
+            return line.slice(0, i);
+        }
+    }
+    return line;
+}
+
+// Split a .byte/.word/.text argument list on commas outside quotes
+function splitList(text) {
+    const items = [];
+    let current = '';
+    let quote = false;
+
+    for (const char of text) {
+        if (char === '"') quote = !quote;
+        if (char === ',' && !quote) {
+            items.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    if (current.trim()) items.push(current.trim());
+
+    return items;
+}
+
+function isString(item) {
+    return item.length >= 2 && item.startsWith('"') && item.endsWith('"');
+}
+
+function describeMode(mode) {
+    return {
+        imp: 'implied', acc: 'accumulator', imm: 'immediate', zp: 'zero page',
+        zpx: 'zero page,X', zpy: 'zero page,Y', izx: '(indirect,X)', izy: '(indirect),Y',
+        abs: 'absolute', abx: 'absolute,X', aby: 'absolute,Y', ind: 'indirect', rel: 'relative'
+    }[mode];
+}
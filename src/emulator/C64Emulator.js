@@ -2,12 +2,23 @@
 // Based on c64js (MIT License) - Clean room implementation
 // Summary: User wants to start C64 emulator development with modernized ES6 structure
 
-import { MOS6502 } from './MOS6502.js';
+import { MOS6502, IRQ_VIC, IRQ_CIA1, IRQ_CARTRIDGE, NMI_CIA2, NMI_RESTORE } from './MOS6502.js';
 import { VIC2 } from './VIC2.js';
 import { CIA } from './CIA.js';
 import { Memory } from './Memory.js';
 import { SID } from './SID.js';
 import { ROMLoader } from './ROMLoader.js';
+import { SymbolTable, KERNAL_SYMBOLS } from './SymbolTable.js';
+import { Assembler } from './Assembler.js';
+import { Debugger } from './Debugger.js';
+import { TraceLogger } from './TraceLogger.js';
+import { Profiler } from './Profiler.js';
+import { Rewind } from './Rewind.js';
+import { encodeState, decodeState } from './SaveState.js';
+import { createCartridge } from './Cartridge.js';
+import { REU, REU_1750 } from './REU.js';
+import { MemorySearch } from './MemorySearch.js';
+import { GeoRAM, GEORAM_512K, saveGeoRAMImage, loadGeoRAMImage } from './GeoRAM.js';
 
 export class C64Emulator {
     constructor(config = {}) {
@@ -19,6 +30,34 @@ export class C64Emulator {
         this.cia2 = new CIA(2, this.memory);
         this.sid = new SID(this.memory);
 
+        // Labels used by the disassembler; starts with the KERNAL entry points
+        this.symbols = new SymbolTable(KERNAL_SYMBOLS);
+        this.cpu.disassembler.symbols = this.symbols;
+
+        // Breakpoints, watchpoints and stepping
+        this.debugger = new Debugger(this.cpu, this.memory);
+
+        // Instruction trace (off until enabled with this.trace.enable())
+        this.trace = new TraceLogger(this.cpu, config.traceSize || 65536);
+
+        // Expansion port: cartridge (see loadCRT), RAM Expansion Unit and GeoRAM
+        this.cartridge = null;
+        this.reu = null;
+        this.georam = null;
+        this.georamName = null;   // Key the GeoRAM image is stored under (see persistGeoRAM)
+
+        // RAM search, cheat finder and frozen addresses (see applyFreezes)
+        this.search = new MemorySearch(this.memory);
+
+        // Cycle profiler and coverage map (off until this.profiler.enable())
+        this.profiler = new Profiler(this.cpu, this.symbols);
+
+        // Rewind history: a snapshot every rewindInterval frames plus the input log
+        this.rewind = new Rewind(this, {
+            interval: config.rewindInterval || 50,
+            capacity: config.rewindCapacity || 120
+        });
+
         // Around line 16, after creating this.vic
         this.vic = new VIC2(this.memory);
         console.log('VIC2 instance created:', this.vic);
@@ -30,6 +69,7 @@ export class C64Emulator {
             streaming: false,
             gamepad: false,
             palMode: true,
+            cycleExact: false,   // Clock the CPU one bus cycle at a time (see setCycleExact)
             ...config
         };
         
@@ -46,6 +86,8 @@ export class C64Emulator {
         // Callbacks
         this.onFrameComplete = null;
         this.onReset = null;
+        this.onCPUJam = null;      // (pc) => void, fired when a JAM opcode halts the CPU
+        this.onBreak = null;       // (event) => void, fired when the debugger pauses emulation
         
         // Performance tracking
         this.lastFrameTime = 0;
@@ -71,6 +113,11 @@ export class C64Emulator {
         // Connect components
         this.connectComponents();
         
+        // The GeoRAM image is loaded from storage, so it is attached here
+        if (this.config.georamSize) {
+            await this.attachGeoRAM(this.config.georamSize, this.config.georamName);
+        }
+        
         // Initial reset
         this.reset();
 
@@ -112,31 +159,85 @@ export class C64Emulator {
         // $D000-$D3FF: VIC-II
         this.memory.setIOHandler(0xD000, 0xD3FF, 
             (addr) => this.vic.read(addr),
-            (addr, val) => this.vic.write(addr, val)
+            (addr, val) => this.vic.write(addr, val),
+            (addr) => this.vic.peek(addr)
         );
         
         // $D400-$D7FF: SID
         this.memory.setIOHandler(0xD400, 0xD7FF,
             (addr) => this.sid.read(addr),
-            (addr, val) => this.sid.write(addr, val)
+            (addr, val) => this.sid.write(addr, val),
+            (addr) => this.sid.peek(addr)
         );
         
         // $DC00-$DCFF: CIA 1
         this.memory.setIOHandler(0xDC00, 0xDCFF,
             (addr) => this.cia1.read(addr),
-            (addr, val) => this.cia1.write(addr, val)
+            (addr, val) => this.cia1.write(addr, val),
+            (addr) => this.cia1.peek(addr)
         );
         
         // $DD00-$DDFF: CIA 2
         this.memory.setIOHandler(0xDD00, 0xDDFF,
             (addr) => this.cia2.read(addr),
-            (addr, val) => this.cia2.write(addr, val)
+            (addr, val) => this.cia2.write(addr, val),
+            (addr) => this.cia2.peek(addr)
+        );
+        
+        // $DE00-$DEFF: IO1, $DF00-$DFFF: IO2 (expansion port devices).
+        // Of these only the REU status register clears when read.
+        this.memory.setIOHandler(0xDE00, 0xDEFF,
+            (addr) => (this.io1Device ? this.io1Device.readIO1(addr) : this.memory.ram[addr]),
+            (addr, val) => (this.io1Device ? this.io1Device.writeIO1(addr, val) : (this.memory.ram[addr] = val))
+        );
+        this.memory.setIOHandler(0xDF00, 0xDFFF,
+            (addr) => (this.io2Device ? this.io2Device.readIO2(addr) : this.memory.ram[addr]),
+            (addr, val) => (this.io2Device ? this.io2Device.writeIO2(addr, val) : (this.memory.ram[addr] = val)),
+            (addr) => (!this.io2Device ? this.memory.ram[addr]
+                : this.io2Device === this.reu ? this.reu.peekIO2(addr) : this.io2Device.readIO2(addr))
         );
         
         // Connect IRQ/NMI lines
-        this.vic.onIRQ = () => this.cpu.irq();
-        this.cia1.onIRQ = () => this.cpu.irq();
-        this.cia2.onNMI = () => this.cpu.nmi();
+        // Interrupt lines: VIC and CIA1 share IRQ, CIA2 drives NMI.
+        // Each callback reports whether the chip is holding its line active.
+        this.vic.onIRQ = (active) => this.cpu.setIRQ(IRQ_VIC, active);
+        this.cia1.onIRQ = (active) => this.cpu.setIRQ(IRQ_CIA1, active);
+        this.cia2.onNMI = (active) => this.cpu.setNMI(NMI_CIA2, active);
+        
+        // CIA2 port A bits 0-1 select the VIC bank, inverted
+        this.cia2.onPortA = (value) => this.vic.setBank(3 - (value & 0x03));
+
+        // A JAM opcode halts the CPU until reset; the rest of the machine keeps running
+        this.cpu.onJam = (pc) => {
+            console.error(`CPU jammed at $${pc.toString(16).padStart(4, '0')} - reset required`);
+            if (this.onCPUJam) {
+                this.onCPUJam(pc);
+            }
+        };
+
+        // Cycle-exact mode: the CPU clocks the other chips on every bus cycle
+        // and stops reading while the VIC holds BA low
+        this.cpu.onCycle = () => {
+            this.vic.cycle();
+            this.cia1.cycle(1);
+            this.cia2.cycle(1);
+            this.sid.cycle(1);
+        };
+        this.cpu.isBusAvailable = () => this.vic.busAvailable();
+        this.cpu.setCycleExact(this.config.cycleExact);
+        
+        if (this.config.reuSize) {
+            this.attachREU(this.config.reuSize);
+        }
+
+        // Breakpoints, watchpoints and finished steps pause emulation
+        this.debugger.onBreak = (event) => {
+            this.running = false;
+            console.log(`⏸️ Break: ${Debugger.describe(event)}`);
+            if (this.onBreak) {
+                this.onBreak(event);
+            }
+        };
     }
 
         // Add this method to your C64Emulator class to display the startup message
@@ -211,7 +312,11 @@ export class C64Emulator {
         this.memory.write(0x0000, 0x2F); // Data direction register
         this.memory.write(0x0001, 0x37); // Memory configuration
         
-        // Reset all components
+        // Reset all components (the cartridge first: it can change the
+        // reset vector the CPU reads)
+        if (this.cartridge) this.cartridge.reset();
+        if (this.reu) this.reu.reset();
+        if (this.georam) this.georam.reset();
         this.cpu.reset();
         this.vic.reset();
         this.cia1.reset();
@@ -244,7 +349,10 @@ export class C64Emulator {
         this.memory.write(0x0290, 0xEB); // Keyboard decode table high
         
         // Enable keyboard interrupts
-        this.cia1.registers[0x0D] = 0x81; // Enable timer A interrupts
+        this.cia1.write(0xDC0D, 0x81); // Enable timer A interrupts
+        
+        // Nothing before a reset can be rewound to
+        this.rewind.clear();
         
         if (this.onReset) {
             this.onReset();
@@ -319,33 +427,34 @@ export class C64Emulator {
         let cycles = 0;
 
         // Process keyboard at the start of each frame!
+        if (this.cia1.keyQueue.length > 0) {
+            this.rewind.recordInput('keyboard');
+        }
         this.cia1.processKeyboard();  // <-- ADD THIS LINE
+        this.applyFreezes();
         
         // Run CPU and VIC in sync - THIS IS THE KEY FIX!
+        const debug = this.debugger;
+
         while (cycles < this.cyclesPerFrame && this.running) {
             try {
+                // Breakpoints stop before the instruction runs
+                if (debug.active && debug.beforeStep()) break;
+
                 // Execute one CPU instruction
-                const cpuCycles = this.cpu.step();
-                
-                // VIC runs at same speed as CPU (1MHz) - CRITICAL FIX
-                for (let i = 0; i < cpuCycles; i++) {
-                    this.vic.cycle();
-                }
-                
-                // Update other components
-                this.cia1.cycle(cpuCycles);
-                this.cia2.cycle(cpuCycles);
-                this.sid.cycle(cpuCycles);
-                
-                cycles += cpuCycles;
+                cycles += this.stepInstruction();
+
+                // Watchpoints and finished steps stop after it
+                if (debug.active && debug.afterStep()) break;
             } catch (error) {
                 console.error('Emulation error:', error);
-                this.running = false;
+                debug.reportError(error);
                 break;
             }
         }
         
         this.frameCount++;
+        this.rewind.frame();
         
         // Update stats every second
         if (this.frameCount % 50 === 0) {
@@ -388,7 +497,7 @@ export class C64Emulator {
             document.getElementById('pc').textContent = '$' + this.cpu.PC.toString(16).padStart(4, '0');
         }
         if (document.getElementById('status')) {
-            document.getElementById('status').textContent = this.running ? 'Running' : 'Stopped';
+            document.getElementById('status').textContent = this.cpu.jammed ? 'Jammed' : (this.running ? 'Running' : 'Stopped');
         }
     }
 
@@ -407,9 +516,6 @@ export class C64Emulator {
                 // Set keyboard strobe
                 this.memory.write(0x00CB, 0x01);
             }
-            
-            // Force BASIC to check keyboard
-            this.cpu.irq();
         }
     }
 
@@ -435,16 +541,132 @@ export class C64Emulator {
             this.memory.write(0x2F, endAddr & 0xFF);
             this.memory.write(0x30, endAddr >> 8);
         }
+        
+        // The load is not in the input log, so history starts over here
+        this.rewind.clear();
+    }
+    
+    // Plug in a .crt cartridge image and reset the machine to start it
+    loadCRT(data) {
+        const cartridge = createCartridge(data);
+        if (this.cartridge) this.cartridge.detach();
+        
+        this.cartridge = cartridge;
+        cartridge.attach(this.memory);
+        console.log(`🎮 Cartridge "${cartridge.name}" (type ${cartridge.type}), ${this.memory.getBankConfigString()}`);
+        
+        this.reset();
+        return cartridge;
+    }
+    
+    removeCartridge() {
+        if (!this.cartridge) return;
+        this.cartridge.detach();
+        this.cartridge = null;
+        this.reset();
+    }
+    
+    // The device answering in IO1 and IO2: the REU only uses IO2, so a
+    // cartridge keeps IO1 when both are plugged in. The GeoRAM needs both
+    // (window in IO1, registers in IO2) and only works with neither of the
+    // others plugged in.
+    get io1Device() {
+        return this.cartridge || this.georam || this.reu;
+    }
+    
+    get io2Device() {
+        return this.reu || this.georam || this.cartridge;
+    }
+    
+    // Plug in a RAM Expansion Unit of size bytes (128K to 16M)
+    attachREU(size = REU_1750) {
+        this.plugREU(size);
+        console.log(`💾 ${size / 1024}K REU attached at $DF00`);
+        this.rewind.clear();
+        return this.reu;
+    }
+    
+    detachREU() {
+        this.plugREU(0);
+        this.rewind.clear();
+    }
+    
+    // Swap the REU for one of size bytes (0 = none)
+    plugREU(size) {
+        if (this.reu) {
+            this.memory.untrapWrite(0xFF00);
+            this.cpu.setIRQ(IRQ_CARTRIDGE, false);
+            this.reu = null;
+        }
+        if (size) {
+            this.reu = new REU(this.memory, size);
+            this.reu.onIRQ = (active) => this.cpu.setIRQ(IRQ_CARTRIDGE, active);
+            this.reu.onDMA = (cycles) => this.cpu.stall(cycles);
+        }
+    }
+    
+    // Plug in a GeoRAM of size bytes (512K to 4M). With a name its contents
+    // are loaded from storage and kept there by persistGeoRAM.
+    async attachGeoRAM(size = GEORAM_512K, name = null) {
+        this.plugGeoRAM(size);
+        this.georamName = name;
+        if (name) {
+            const image = await loadGeoRAMImage(name);
+            if (image) this.georam.importImage(image);
+        }
+        console.log(`💾 ${size / 1024}K GeoRAM attached at $DE00${name ? ` (stored as "${name}")` : ''}`);
+        this.rewind.clear();
+        return this.georam;
+    }
+    
+    // Store the GeoRAM image if it changed since it was last stored. The
+    // image is taken before the save, so writes made while it is pending
+    // mark the GeoRAM dirty again; a failed save leaves it dirty.
+    async persistGeoRAM() {
+        if (!this.georam || !this.georamName || !this.georam.dirty) return false;
+        const georam = this.georam;
+        const image = georam.exportImage();
+        georam.dirty = false;
+        try {
+            await saveGeoRAMImage(this.georamName, image);
+        } catch (error) {
+            georam.dirty = true;
+            throw error;
+        }
+        return true;
+    }
+    
+    async detachGeoRAM() {
+        await this.persistGeoRAM();
+        this.plugGeoRAM(0);
+        this.georamName = null;
+        this.rewind.clear();
+    }
+    
+    // Swap the GeoRAM for one of size bytes (0 = none)
+    plugGeoRAM(size) {
+        this.georam = size ? new GeoRAM(this.memory, size) : null;
     }
     
     typeText(text) {
+        this.rewind.recordInput('type', text);
+        
         // Simulate keyboard input
         for (const char of text) {
             this.cia1.typeChar(char);
         }
     }
     
+    // RESTORE is wired straight to the NMI line, not to the key matrix
+    pressRestore() {
+        this.rewind.recordInput('restore');
+        this.cpu.setNMI(NMI_RESTORE, true);
+        this.cpu.setNMI(NMI_RESTORE, false);
+    }
+    
     setJoystick(port, state) {
+        this.rewind.recordInput('joystick', port, { ...state });
+        
         // Port 1 or 2
         if (port === 1) {
             this.cia1.setJoystick(state);
@@ -461,29 +683,306 @@ export class C64Emulator {
             cpuA: this.cpu.A.toString(16).padStart(2, '0'),
             cpuX: this.cpu.X.toString(16).padStart(2, '0'),
             cpuY: this.cpu.Y.toString(16).padStart(2, '0'),
+            cpuJammed: this.cpu.jammed,
             rasterLine: this.vic.rasterY
         };
     }
     
     // For debugging
     peek(address) {
-        return this.memory.read(address);
+        return this.memory.peek(address);
     }
     
     poke(address, value) {
+        this.rewind.recordInput('poke', address, value);
         this.memory.write(address, value);
     }
+
+    // Write blocks of bytes ([{ address, bytes }]) as one logged input
+    writeBlocks(blocks) {
+        this.rewind.recordInput('write', blocks);
+        for (const { address, bytes } of blocks) {
+            bytes.forEach((value, offset) => this.memory.write(address + offset, value));
+        }
+    }
+
+    // Hold address at value from the next frame on (size 2 for a 16-bit value)
+    freeze(address, value, size = 1) {
+        this.rewind.recordInput('freeze', address, value, size);
+        this.search.freeze(address, value, size);
+    }
+    
+    // Release a freeze, or all of them without an address
+    unfreeze(address = null, size = 1) {
+        this.rewind.recordInput('unfreeze', address, size);
+        if (address === null) {
+            this.search.unfreezeAll();
+        } else {
+            this.search.unfreeze(address, size);
+        }
+    }
+    
+    // Put frozen addresses back to their values, at the start of a frame.
+    // Freezes hold RAM, the same bytes pendingFreezes() compares, whatever
+    // is banked in over them. As with the keyboard, a frame that has
+    // something to write logs one 'freezes' input, so rewind replays it at
+    // the same cycle; the freeze list itself is in the snapshots.
+    applyFreezes() {
+        const pending = this.search.pendingFreezes();
+        if (pending.length === 0) return;
+        
+        this.rewind.recordInput('freezes');
+        const ram = this.memory.ram;
+        for (const [address, value] of pending) {
+            ram[address] = value;
+        }
+    }
     
     disassemble(address, lines = 10) {
         return this.cpu.disassemble(address, lines);
     }
 
+    // Execute one CPU instruction and clock the other chips to match;
+    // returns the cycles taken
+    stepInstruction() {
+        const cycles = this.cpu.step();
+        
+        // In cycle-exact mode the CPU already clocked everything
+        if (!this.cpu.cycleExact) {
+            // VIC runs at same speed as CPU (1MHz) - CRITICAL FIX
+            for (let i = 0; i < cycles; i++) {
+                this.vic.cycle();
+            }
+            
+            // Update other components
+            this.cia1.cycle(cycles);
+            this.cia2.cycle(cycles);
+            this.sid.cycle(cycles);
+        }
+        
+        return cycles;
+    }
+    
+    // State of every chip as plain objects (see Rewind)
+    snapshot() {
+        return {
+            cpu: this.cpu.snapshot(),
+            memory: this.memory.snapshot(),
+            vic: this.vic.snapshot(),
+            cia1: this.cia1.snapshot(),
+            cia2: this.cia2.snapshot(),
+            sid: this.sid.snapshot(),
+            cartridge: this.cartridge ? this.cartridge.snapshot() : undefined,
+            reu: this.reu ? this.reu.snapshot() : undefined,
+            georam: this.georam ? this.georam.snapshot() : undefined,
+            freezes: this.search.snapshotFreezes()
+        };
+    }
+    
+    restoreSnapshot(state) {
+        this.cpu.restore(state.cpu);
+        this.memory.restore(state.memory);
+        this.vic.restore(state.vic);
+        this.cia1.restore(state.cia1);
+        this.cia2.restore(state.cia2);
+        this.sid.restore(state.sid);
+        
+        // The cartridge's ROM is not part of the state; its registers only
+        // apply to the same kind of cartridge
+        if (this.cartridge && state.cartridge && state.cartridge.type === this.cartridge.type) {
+            this.cartridge.restore(state.cartridge);
+        } else if (state.cartridge) {
+            console.warn(`⚠️ State was saved with a type ${state.cartridge.type} cartridge plugged in`);
+        }
+        
+        // The REU's RAM is part of the state, so a saved one is plugged in
+        if (state.reu) {
+            if (!this.reu || this.reu.size !== state.reu.size) this.plugREU(state.reu.size);
+            this.reu.restore(state.reu);
+        } else if (this.reu) {
+            this.plugREU(0);
+        }
+        
+        if (state.georam) {
+            if (!this.georam || this.georam.size !== state.georam.size) this.plugGeoRAM(state.georam.size);
+            this.georam.restore(state.georam);
+        } else if (this.georam) {
+            this.plugGeoRAM(0);
+        }
+        
+        // Save states do not store freezes; those already set stay
+        if (state.freezes) this.search.restoreFreezes(state.freezes);
+    }
+    
+    // Replay an input from the rewind log
+    applyInput(input) {
+        switch (input.type) {
+            case 'type': this.typeText(...input.args); break;
+            case 'keyboard': this.cia1.processKeyboard(); break;
+            case 'joystick': this.setJoystick(...input.args); break;
+            case 'restore': this.pressRestore(); break;
+            case 'poke': this.poke(...input.args); break;
+            case 'write': this.writeBlocks(...input.args); break;
+            case 'freeze': this.freeze(...input.args); break;
+            case 'unfreeze': this.unfreeze(...input.args); break;
+            case 'freezes': this.applyFreezes(); break;
+            default: throw new Error(`Unknown input type: ${input.type}`);
+        }
+    }
+    
+    // Reverse execution. stepBack and runBackToWrite pause emulation;
+    // rewindSeconds keeps it running if it was.
+    stepBack() {
+        this.stop();
+        const moved = this.rewind.stepBack();
+        this.vic.renderFrame();
+        if (!moved) console.warn('⏪ No history before this instruction');
+        return moved;
+    }
+    
+    runBackToWrite(address) {
+        this.stop();
+        const found = this.rewind.runBackToWrite(address);
+        this.vic.renderFrame();
+        const target = `$${address.toString(16).padStart(4, '0')}`;
+        if (found) {
+            console.log(`⏪ Last write to ${target} by $${found.pc.toString(16).padStart(4, '0')} at cycle ${found.cycles}`);
+        } else {
+            console.warn(`⏪ No write to ${target} in the rewind history`);
+        }
+        return found;
+    }
+    
+    rewindSeconds(seconds) {
+        const cycles = this.rewind.rewindSeconds(seconds);
+        this.vic.renderFrame();
+        console.log(`⏪ Rewound to cycle ${cycles}`);
+        return cycles;
+    }
+    
+    // Save the whole machine, including the JS BASIC interpreter, as a
+    // versioned binary blob (Uint8Array, see SaveState.js)
+    saveState() {
+        return encodeState({ ...this.snapshot(), basic: this.basicState() });
+    }
+    
+    // Resume from a saveState() blob. The rewind history starts again here.
+    loadState(data) {
+        const state = decodeState(data);
+        for (const part of ['cpu', 'memory', 'vic', 'cia1', 'cia2', 'sid']) {
+            if (!state[part]) throw new Error(`Save state has no ${part} chunk`);
+        }
+        
+        this.restoreSnapshot(state);
+        if (state.basic) this.restoreBasicState(state.basic);
+        this.rewind.clear();
+        this.vic.renderFrame();
+        console.log(`💾 State loaded at cycle ${this.cpu.cycles}`);
+        
+        // A BASIC program saved mid-run carries on (unless it waits for INPUT)
+        if (this.executionContext && this.executionContext.running && !this.inputMode) {
+            this.continueExecution();
+        }
+    }
+    
+    basicState() {
+        return {
+            basicReady: this.basicReady,
+            currentInputLine: this.currentInputLine,
+            shiftPressed: this.shiftPressed || false,
+            basicProgram: this.basicProgram || new Map(),
+            basicVariables: this.basicVariables || new Map(),
+            basicStrings: this.basicStrings || new Map(),
+            basicArrays: this.basicArrays || new Map(),
+            basicCallStack: this.basicCallStack || [],
+            forLoopStack: this.forLoopStack || [],
+            basicDataPointer: this.basicDataPointer || { line: 0, position: 0 },
+            basicData: this.basicData || [],
+            inputMode: this.inputMode || null,
+            executionContext: this.executionContext || null
+        };
+    }
+    
+    restoreBasicState(basic) {
+        Object.assign(this, basic);
+    }
+    
+    // Instruction stepping is fast; cycle-exact stepping interleaves the CPU
+    // and VIC per bus cycle (bad line and sprite DMA stalls, exact interrupt
+    // timing) for stable rasters
+    setCycleExact(enabled) {
+        this.config.cycleExact = enabled;
+        this.cpu.setCycleExact(enabled);
+        console.log(`⏱️ ${enabled ? 'Cycle-exact' : 'Instruction'} stepping`);
+    }
+
+    // Last count traced instructions as text ('vice' or 'nestest' layout)
+    exportTrace(format = 'vice', count) {
+        return this.trace.export(format, count);
+    }
+
+    // Profile and coverage map as a JSON string
+    exportProfile() {
+        return this.profiler.export();
+    }
+
+    // Execution control - breakpoints and watchpoints live on this.debugger
+    resume() {
+        this.debugger.resume();
+        this.run();
+    }
+
+    stepInto() {
+        this.debugger.stepInto();
+        this.run();
+    }
+
+    stepOver() {
+        this.debugger.stepOver();
+        this.run();
+    }
+
+    stepOut() {
+        this.debugger.stepOut();
+        this.run();
+    }
+
+    // Assemble source at address, write the bytes into memory and return
+    // the listing. Labels from the source are added to the symbol table so
+    // the disassembler shows them (constants are not addresses, so they
+    // are left out); KERNAL names can be used as operands.
+    assemble(address, source) {
+        const result = new Assembler(this.symbols).assemble(address, source);
+
+        this.writeBlocks(result.statements.map(({ address, bytes }) => ({ address, bytes })));
+        for (const [name, value] of Object.entries(result.labels)) {
+            if (!result.constants.includes(name)) this.symbols.add(value, name);
+        }
+
+        console.log(`Assembled $${result.start.toString(16).padStart(4, '0')}-$${(result.end - 1).toString(16).padStart(4, '0')}`);
+        return result.listing;
+    }
+
+    // Load a VICE .lbl (or "name = $addr") symbol file; returns the label count
+    loadSymbols(text) {
+        const count = this.symbols.load(text);
+        console.log(`Loaded ${count} symbols`);
+        return count;
+    }
+
     setupKeyboard() {
         // Track shift state locally in the emulator
         this.shiftPressed = false;
         
         // Set up keyboard event listeners
         document.addEventListener('keydown', (e) => {
+            // PageUp is RESTORE, as in VICE
+            if (e.key === 'PageUp') {
+                this.pressRestore();
+                e.preventDefault();
+                return;
+            }
+            
             // Prevent default for keys we handle
             if (this.handleKeyDown(e.key)) {
                 e.preventDefault();
@@ -919,11 +1418,15 @@ export class C64Emulator {
     continueExecution() {
         if (!this.executionContext || !this.executionContext.running) return;
         
-        const { sortedLines } = this.executionContext;
-        let { currentIndex } = this.executionContext;
+        const context = this.executionContext;
+        const { sortedLines } = context;
+        let { currentIndex } = context;
         
         // Use setTimeout to break up execution and prevent UI blocking
         const executeNextLine = () => {
+            // A loaded state replaced the program that was running
+            if (this.executionContext !== context) return;
+            
             if (currentIndex >= sortedLines.length || currentIndex < 0 || !this.executionContext.running) {
                 // Program finished
                 this.printToScreen('');
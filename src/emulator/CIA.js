@@ -30,9 +30,19 @@ export class CIA {
             fire: false
         };
         
-        // Interrupt
+        // Interrupt control register ($DC0D/$DD0D): latched sources and mask
+        this.interruptFlags = 0;
+        this.interruptMask = 0;
+        this.interruptActive = false;
+        
+        // Interrupt line callbacks, (active) => void. CIA1 drives IRQ and
+        // CIA2 drives NMI; the line stays active until the ICR is read.
         this.onIRQ = null;
         this.onNMI = null;
+        
+        // (value) => void, called with the port A pin levels when the data
+        // or direction register changes (CIA2 selects the VIC bank with them)
+        this.onPortA = null;
     }
     
     reset() {
@@ -42,6 +52,78 @@ export class CIA {
         this.timerARunning = false;
         this.timerBRunning = false;
         this.keyQueue = [];  // <-- RESET IT HERE
+        
+        this.interruptFlags = 0;
+        this.interruptMask = 0;
+        this.updateInterrupt();
+        this.updatePortA();
+    }
+    
+    // Port A pin levels: output bits come from the data register, inputs
+    // are pulled up
+    get portA() {
+        return (this.registers[0x00] | ~this.registers[0x02]) & 0xFF;
+    }
+    
+    updatePortA() {
+        if (this.onPortA) {
+            this.onPortA(this.portA);
+        }
+    }
+    
+    // Timers, ICR, keyboard and joystick state as a plain object (rewind,
+    // save states). The interrupt line itself is part of the CPU state.
+    snapshot() {
+        return {
+            registers: this.registers.slice(),
+            timerA: this.timerA,
+            timerB: this.timerB,
+            timerALatch: this.timerALatch,
+            timerBLatch: this.timerBLatch,
+            timerARunning: this.timerARunning,
+            timerBRunning: this.timerBRunning,
+            keyMatrix: this.keyMatrix.slice(),
+            keyQueue: this.keyQueue.slice(),
+            joystickState: { ...this.joystickState },
+            interruptFlags: this.interruptFlags,
+            interruptMask: this.interruptMask,
+            interruptActive: this.interruptActive
+        };
+    }
+    
+    restore(state) {
+        this.registers.set(state.registers);
+        this.timerA = state.timerA;
+        this.timerB = state.timerB;
+        this.timerALatch = state.timerALatch;
+        this.timerBLatch = state.timerBLatch;
+        this.timerARunning = state.timerARunning;
+        this.timerBRunning = state.timerBRunning;
+        this.keyMatrix = state.keyMatrix.slice();
+        this.keyQueue = state.keyQueue.slice();
+        this.joystickState = { ...state.joystickState };
+        this.interruptFlags = state.interruptFlags;
+        this.interruptMask = state.interruptMask;
+        this.interruptActive = state.interruptActive;
+        this.updatePortA();
+    }
+    
+    // Raise an interrupt source (bit 0 timer A, 1 timer B, 2 TOD alarm,
+    // 3 serial port, 4 FLAG pin); it stays latched until the ICR is read
+    triggerInterrupt(source) {
+        this.interruptFlags |= source;
+        this.updateInterrupt();
+    }
+    
+    updateInterrupt() {
+        const active = (this.interruptFlags & this.interruptMask) !== 0;
+        if (active === this.interruptActive) return;
+        
+        this.interruptActive = active;
+        const line = this.chipNumber === 1 ? this.onIRQ : this.onNMI;
+        if (line) {
+            line(active);
+        }
     }
     
     // This needs to be called every frame!
@@ -69,11 +151,6 @@ export class CIA {
                 
                 console.log(`Added key to buffer: 0x${key.toString(16)} at position ${bufferCount-1}`);
             }
-            
-            // Trigger IRQ if we added keys
-            if (bufferCount > 0 && this.onIRQ) {
-                this.onIRQ();
-            }
         }
     }
     
@@ -127,6 +204,20 @@ export class CIA {
     
     read(address) {
         const reg = address & 0x0F;
+        const value = this.peek(address);
+        
+        // ICR: reading clears the latched sources and releases the line
+        if (reg === 0x0D) {
+            this.interruptFlags = 0;
+            this.updateInterrupt();
+        }
+        return value;
+    }
+    
+    // Register value as read() returns it, without clearing the ICR
+    // (debugger views, trace, breakpoint conditions)
+    peek(address) {
+        const reg = address & 0x0F;
         
         // CIA 1 - Keyboard and Joystick
         if (this.chipNumber === 1) {
@@ -136,12 +227,13 @@ export class CIA {
             if (reg === 0x01) { // Port B - keyboard rows / joystick
                 let value = 0xFF;
                 
-                // Joystick in port 2 (CIA 1, Port B)
-                if (!this.joystickState.up) value &= ~0x01;
-                if (!this.joystickState.down) value &= ~0x02;
-                if (!this.joystickState.left) value &= ~0x04;
-                if (!this.joystickState.right) value &= ~0x08;
-                if (!this.joystickState.fire) value &= ~0x10;
+                // Joystick in control port 1 (CIA 1, Port B), active low:
+                // a pressed direction or fire button pulls its line to 0
+                if (this.joystickState.up) value &= ~0x01;
+                if (this.joystickState.down) value &= ~0x02;
+                if (this.joystickState.left) value &= ~0x04;
+                if (this.joystickState.right) value &= ~0x08;
+                if (this.joystickState.fire) value &= ~0x10;
                 
                 return value;
             }
@@ -153,6 +245,12 @@ export class CIA {
         if (reg === 0x06) return this.timerB & 0xFF;
         if (reg === 0x07) return (this.timerB >> 8) & 0xFF;
         
+        // ICR: the latched sources, bit 7 set if one of them caused an
+        // interrupt
+        if (reg === 0x0D) {
+            return this.interruptFlags | (this.interruptActive ? 0x80 : 0);
+        }
+        
         return this.registers[reg];
     }
     
@@ -160,31 +258,69 @@ export class CIA {
         const reg = address & 0x0F;
         this.registers[reg] = value;
         
+        if (reg === 0x00 || reg === 0x02) {
+            this.updatePortA();
+            return;
+        }
+        
+        // ICR: bit 7 selects whether the other set bits are enabled or disabled
+        if (reg === 0x0D) {
+            if (value & 0x80) {
+                this.interruptMask |= value & 0x1F;
+            } else {
+                this.interruptMask &= ~value & 0x1F;
+            }
+            this.updateInterrupt();
+            return;
+        }
+        
         // Timer control
         if (reg === 0x0E) { // Control Register A
-            if (value & 0x01) {
-                this.timerARunning = true;
-            }
+            this.timerARunning = (value & 0x01) !== 0;
             if (value & 0x10) { // Load timer
                 this.timerA = this.timerALatch;
             }
         }
+        if (reg === 0x0F) { // Control Register B
+            this.timerBRunning = (value & 0x01) !== 0;
+            if (value & 0x10) { // Load timer
+                this.timerB = this.timerBLatch;
+            }
+        }
         
         // Timer latches
         if (reg === 0x04) this.timerALatch = (this.timerALatch & 0xFF00) | value;
         if (reg === 0x05) this.timerALatch = (this.timerALatch & 0x00FF) | (value << 8);
+        if (reg === 0x06) this.timerBLatch = (this.timerBLatch & 0xFF00) | value;
+        if (reg === 0x07) this.timerBLatch = (this.timerBLatch & 0x00FF) | (value << 8);
     }
     
     cycle(cycles) {
         // Update timers
+        let underflowA = 0;
         if (this.timerARunning) {
             this.timerA -= cycles;
             if (this.timerA <= 0) {
+                underflowA = 1;
                 this.timerA = this.timerALatch;
-                // Trigger interrupt if enabled
-                if (this.chipNumber === 1 && this.onIRQ) {
-                    // this.onIRQ(); // Uncomment when ready
+                // One-shot mode stops the timer after the underflow
+                if (this.registers[0x0E] & 0x08) {
+                    this.timerARunning = false;
+                }
+                this.triggerInterrupt(0x01);
+            }
+        }
+        
+        // Timer B counts clock cycles, or timer A underflows when control
+        // register B bit 6 is set
+        if (this.timerBRunning) {
+            this.timerB -= (this.registers[0x0F] & 0x40) ? underflowA : cycles;
+            if (this.timerB <= 0) {
+                this.timerB = this.timerBLatch;
+                if (this.registers[0x0F] & 0x08) {
+                    this.timerBRunning = false;
                 }
+                this.triggerInterrupt(0x02);
             }
         }
     }
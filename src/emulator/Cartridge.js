@@ -0,0 +1,269 @@
+// Cartridge.js - Expansion port cartridges from CCS64 .crt images
+// A .crt file is a 64-byte header followed by CHIP packets, each holding
+// one ROM bank and the address it appears at. The cartridge drives the
+// GAME/EXROM lines into the PLA, provides the ROML ($8000) and ROMH ($A000,
+// or $E000 in Ultimax mode) banks Memory reads through, and answers in the
+// IO1 ($DE00-$DEFF) and IO2 ($DF00-$DFFF) areas, where the bank switching
+// registers of the mappers live.
+//
+// Supported hardware types: normal 8K/16K/Ultimax, Ocean, Magic Desk and
+// EasyFlash. Flash writes are not emulated; EasyFlash banks are read-only.
+
+export const CRT_NORMAL = 0;
+export const CRT_OCEAN = 5;
+export const CRT_MAGIC_DESK = 19;
+export const CRT_EASYFLASH = 32;
+
+const CRT_SIGNATURE = 'C64 CARTRIDGE   ';
+const CHIP_SIGNATURE = 'CHIP';
+
+const text = (data, start, length) =>
+    String.fromCharCode(...data.subarray(start, start + length)).replace(/\0+$/, '');
+const word = (data, offset) => (data[offset] << 8) | data[offset + 1];
+const long = (data, offset) => ((data[offset] << 24) | (data[offset + 1] << 16) | (data[offset + 2] << 8) | data[offset + 3]) >>> 0;
+
+// Parse a .crt image (Uint8Array or ArrayBuffer). All header fields are
+// big-endian; EXROM/GAME are the line levels, 0 = active.
+export function parseCRT(data) {
+    data = data instanceof Uint8Array ? data : new Uint8Array(data);
+    if (data.length < 0x40 || String.fromCharCode(...data.subarray(0, 16)) !== CRT_SIGNATURE) {
+        throw new Error('Not a .crt cartridge image');
+    }
+
+    const crt = {
+        version: word(data, 0x14),
+        type: word(data, 0x16),
+        exrom: data[0x18] ? 1 : 0,
+        game: data[0x19] ? 1 : 0,
+        name: text(data, 0x20, 32),
+        chips: []
+    };
+
+    let offset = long(data, 0x10);
+    while (offset + 16 <= data.length) {
+        if (text(data, offset, 4) !== CHIP_SIGNATURE) {
+            throw new Error(`Bad CHIP packet at offset ${offset}`);
+        }
+        const length = long(data, offset + 4);
+        const size = word(data, offset + 14);
+        if (offset + 16 + size > data.length) {
+            throw new Error(`CHIP packet at offset ${offset} is truncated`);
+        }
+
+        crt.chips.push({
+            type: word(data, offset + 8),    // 0 ROM, 1 RAM, 2 flash
+            bank: word(data, offset + 10),
+            address: word(data, offset + 12),
+            data: data.slice(offset + 16, offset + 16 + size)
+        });
+        offset += Math.max(length, 16 + size);
+    }
+
+    return crt;
+}
+
+// Build the cartridge for a .crt image
+export function createCartridge(data) {
+    const crt = parseCRT(data);
+    switch (crt.type) {
+        case CRT_NORMAL: return new Cartridge(crt);
+        case CRT_OCEAN: return new OceanCartridge(crt);
+        case CRT_MAGIC_DESK: return new MagicDeskCartridge(crt);
+        case CRT_EASYFLASH: return new EasyFlashCartridge(crt);
+        default: throw new Error(`Unsupported cartridge type ${crt.type}`);
+    }
+}
+
+// Put a chip's data into an 8K bank at its load address. A full 8K chip
+// is used as it is; smaller ones (4K at $F000 in Ultimax carts) go at
+// their offset within the bank.
+function placeChip(banks, bank, data, address) {
+    const offset = address & 0x1FFF;
+    if (offset === 0 && data.length === 0x2000) {
+        banks[bank] = data;
+        return;
+    }
+    banks[bank] = banks[bank] || new Uint8Array(0x2000);
+    banks[bank].set(data.subarray(0, 0x2000 - offset), offset);
+}
+
+// Normal cartridge: one ROML and/or ROMH bank, lines fixed by the header.
+// Mapper subclasses add the bank switching registers.
+export class Cartridge {
+    constructor(crt) {
+        this.type = crt.type;
+        this.name = crt.name;
+        this.crt = crt;
+        this.memory = null;
+
+        // 8K banks by bank number
+        this.romL = [];
+        this.romH = [];
+        for (const chip of crt.chips) {
+            if (chip.address < 0xA000) {
+                placeChip(this.romL, chip.bank, chip.data.subarray(0, 0x2000), chip.address);
+                // 16K chips cover ROMH as well
+                if (chip.data.length > 0x2000) {
+                    this.romH[chip.bank] = chip.data.subarray(0x2000, 0x4000);
+                }
+            } else {
+                // $A000 or $E000 (Ultimax)
+                placeChip(this.romH, chip.bank, chip.data.subarray(0, 0x2000), chip.address);
+            }
+        }
+
+        // Mapper registers
+        this.bank = 0;
+        this.control = 0;
+    }
+
+    attach(memory) {
+        this.memory = memory;
+        this.reset();
+    }
+
+    detach() {
+        const memory = this.memory;
+        memory.romL = null;
+        memory.romH = null;
+        memory.setCartridgeLines(1, 1);
+        this.memory = null;
+    }
+
+    // Registers back to their power-on state
+    reset() {
+        this.bank = 0;
+        this.control = 0;
+        this.apply();
+    }
+
+    // Line levels (1 = high, inactive) for the current register values
+    get lines() {
+        return { game: this.crt.game, exrom: this.crt.exrom };
+    }
+
+    // Put the selected banks and lines on the expansion port
+    apply() {
+        const { game, exrom } = this.lines;
+        this.memory.romL = this.romL[this.bank] || null;
+        this.memory.romH = this.romH[this.bank] || null;
+        this.memory.setCartridgeLines(game, exrom);
+    }
+
+    // IO1/IO2 accesses the cartridge does not decode fall through to RAM,
+    // as for the rest of the unclaimed I/O area
+    readIO1(address) {
+        return this.memory.ram[address];
+    }
+
+    writeIO1(address, value) {
+        this.memory.ram[address] = value;
+    }
+
+    readIO2(address) {
+        return this.memory.ram[address];
+    }
+
+    writeIO2(address, value) {
+        this.memory.ram[address] = value;
+    }
+
+    // Register state for rewind and save states (the ROM is not included)
+    snapshot() {
+        return { type: this.type, bank: this.bank, control: this.control };
+    }
+
+    restore(state) {
+        this.bank = state.bank;
+        this.control = state.control;
+        this.apply();
+    }
+}
+
+// Ocean: a write to $DE00 selects the bank (bits 0-5) shown at ROML, and
+// for 16K images at ROMH too
+export class OceanCartridge extends Cartridge {
+    constructor(crt) {
+        super(crt);
+        // All banks are numbered in one sequence whatever address they load at
+        this.banks = [];
+        for (const chip of crt.chips) {
+            placeChip(this.banks, chip.bank, chip.data.subarray(0, 0x2000), chip.address);
+        }
+    }
+
+    apply() {
+        const { game, exrom } = this.lines;
+        const bank = this.banks[this.bank] || null;
+        this.memory.romL = bank;
+        this.memory.romH = bank;
+        this.memory.setCartridgeLines(game, exrom);
+    }
+
+    writeIO1(address, value) {
+        this.bank = value & 0x3F;
+        this.apply();
+    }
+}
+
+// Magic Desk: $DE00 bits 0-6 select an 8K bank at ROML; bit 7 switches the
+// cartridge off (EXROM high) until the next reset
+export class MagicDeskCartridge extends Cartridge {
+    get lines() {
+        return { game: 1, exrom: this.control & 0x80 ? 1 : 0 };
+    }
+
+    writeIO1(address, value) {
+        this.bank = value & 0x7F;
+        this.control = value & 0x80;
+        this.apply();
+    }
+}
+
+// EasyFlash: $DE00 selects one of 64 banks for ROML and ROMH, $DE02 drives
+// the lines (bit 0 GAME when bit 2 is set, otherwise the boot jumper holds
+// GAME low; bit 1 EXROM; both 1 = active). IO2 is 256 bytes of RAM.
+export class EasyFlashCartridge extends Cartridge {
+    constructor(crt) {
+        super(crt);
+        this.ram = new Uint8Array(256);
+    }
+
+    get lines() {
+        // Without bit 2 the boot jumper holds GAME low (Ultimax start-up)
+        const game = this.control & 0x04 ? (this.control & 0x01 ? 0 : 1) : 0;
+        return { game, exrom: this.control & 0x02 ? 0 : 1 };
+    }
+
+    // The registers are write-only
+    writeIO1(address, value) {
+        switch (address & 0xFF) {
+            case 0x00:
+                this.bank = value & 0x3F;
+                break;
+            case 0x02:
+                this.control = value & 0x87;   // Bit 7 is the LED
+                break;
+            default:
+                return;
+        }
+        this.apply();
+    }
+
+    readIO2(address) {
+        return this.ram[address & 0xFF];
+    }
+
+    writeIO2(address, value) {
+        this.ram[address & 0xFF] = value;
+    }
+
+    snapshot() {
+        return { ...super.snapshot(), ram: this.ram.slice() };
+    }
+
+    restore(state) {
+        this.ram.set(state.ram);
+        super.restore(state);
+    }
+}
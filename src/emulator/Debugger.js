@@ -0,0 +1,418 @@
+// Debugger.js - Execution control around MOS6502.step()
+// PC breakpoints (optionally conditional), read/write watchpoints on Memory
+// and step-into/step-over/step-out. The run loop calls beforeStep() and
+// afterStep() around every instruction; when either returns true the loop
+// stops and onBreak has already been called with the CPU state.
+//
+// Conditions are small expressions over registers, flags and memory:
+//   A==$20   X>=10 && Y!=0   @$D012==$80   (P&$80)!=0   !C
+// Registers: A X Y SP PC P, flags: N V D I Z C (0 or 1), @addr reads memory.
+
+import { WATCH_READ, WATCH_WRITE } from './Memory.js';
+
+const hex = (value, digits) => '$' + value.toString(16).toUpperCase().padStart(digits, '0');
+
+const OPCODE_JSR = 0x20;
+const OPCODE_RTS = 0x60;
+const OPCODE_RTI = 0x40;
+
+export class Debugger {
+    constructor(cpu, memory) {
+        this.cpu = cpu;
+        this.memory = memory;
+
+        this.breakpoints = new Map();         // id -> breakpoint
+        this.breakpointsByAddress = new Map(); // address -> [breakpoint]
+        this.watchpoints = new Map();         // id -> watchpoint
+        this.nextId = 1;
+
+        // Pending step command: { type: 'into' | 'over' | 'out', ... }
+        this.stepTarget = null;
+
+        // Breakpoint address to ignore once, so resuming from a breakpoint
+        // executes the instruction instead of hitting it again
+        this.skipPC = null;
+
+        // First watchpoint hit during the current instruction
+        this.watchHit = null;
+
+        // PC and (while stepping out) opcode of the instruction being executed
+        this.lastPC = 0;
+        this.lastOpcode = 0;
+
+        // True when any of the above needs the per-instruction hooks
+        this.active = false;
+
+        this.lastBreak = null;
+        this.onBreak = null;  // (event) => void
+
+        this.memory.onWatch = (address, value, isWrite) => this.onMemoryAccess(address, value, isWrite);
+    }
+
+    // Breakpoints
+
+    addBreakpoint(address, condition = null) {
+        const breakpoint = {
+            id: this.nextId++,
+            address: address & 0xFFFF,
+            condition,
+            test: condition ? compileCondition(condition) : null,
+            enabled: true,
+            hits: 0
+        };
+
+        this.breakpoints.set(breakpoint.id, breakpoint);
+        const list = this.breakpointsByAddress.get(breakpoint.address) || [];
+        list.push(breakpoint);
+        this.breakpointsByAddress.set(breakpoint.address, list);
+
+        this.updateActive();
+        return breakpoint.id;
+    }
+
+    removeBreakpoint(id) {
+        const breakpoint = this.breakpoints.get(id);
+        if (!breakpoint) return false;
+
+        this.breakpoints.delete(id);
+        const list = this.breakpointsByAddress.get(breakpoint.address).filter(b => b !== breakpoint);
+        if (list.length) {
+            this.breakpointsByAddress.set(breakpoint.address, list);
+        } else {
+            this.breakpointsByAddress.delete(breakpoint.address);
+        }
+
+        this.updateActive();
+        return true;
+    }
+
+    // Watchpoints: type is 'r', 'w' or 'rw'
+
+    addWatchpoint(start, end = start, type = 'rw', condition = null) {
+        if (!/^(r|w|rw)$/.test(type)) {
+            throw new Error(`Watchpoint type must be 'r', 'w' or 'rw', not '${type}'`);
+        }
+
+        const watchpoint = {
+            id: this.nextId++,
+            start: start & 0xFFFF,
+            end: end & 0xFFFF,
+            type,
+            condition,
+            test: condition ? compileCondition(condition) : null,
+            enabled: true,
+            hits: 0
+        };
+
+        this.watchpoints.set(watchpoint.id, watchpoint);
+        this.rebuildWatchFlags();
+        return watchpoint.id;
+    }
+
+    removeWatchpoint(id) {
+        const removed = this.watchpoints.delete(id);
+        if (removed) this.rebuildWatchFlags();
+        return removed;
+    }
+
+    // Enable or disable a breakpoint or watchpoint by id
+    setEnabled(id, enabled) {
+        const point = this.breakpoints.get(id) || this.watchpoints.get(id);
+        if (!point) return false;
+
+        point.enabled = enabled;
+        if (this.watchpoints.has(id)) this.rebuildWatchFlags();
+        return true;
+    }
+
+    clear() {
+        this.breakpoints.clear();
+        this.breakpointsByAddress.clear();
+        this.watchpoints.clear();
+        this.stepTarget = null;
+        this.rebuildWatchFlags();
+    }
+
+    // Memory only pays for watchpoints while at least one is enabled
+    rebuildWatchFlags() {
+        const enabled = [...this.watchpoints.values()].filter(w => w.enabled);
+
+        if (enabled.length === 0) {
+            this.memory.watchFlags = null;
+        } else {
+            const flags = new Uint8Array(65536);
+            for (const { start, end, type } of enabled) {
+                const bits = (type.includes('r') ? WATCH_READ : 0) | (type.includes('w') ? WATCH_WRITE : 0);
+                for (let address = start; address <= end; address++) {
+                    flags[address] |= bits;
+                }
+            }
+            this.memory.watchFlags = flags;
+        }
+
+        this.updateActive();
+    }
+
+    updateActive() {
+        this.active = this.breakpoints.size > 0 || this.memory.watchFlags !== null || this.stepTarget !== null;
+    }
+
+    // Step commands. They only arm the debugger; the caller then resumes the
+    // run loop, which stops again once the step is complete.
+
+    stepInto() {
+        this.arm({ type: 'into' });
+    }
+
+    // Like stepInto, except a JSR runs until it returns to the next instruction
+    // at the same stack depth (recursive calls to the routine don't count)
+    stepOver() {
+        const pc = this.cpu.PC;
+        if (this.memory.peek(pc) === OPCODE_JSR) {
+            this.arm({ type: 'over', pc: (pc + 3) & 0xFFFF, sp: this.cpu.SP });
+        } else {
+            this.arm({ type: 'into' });
+        }
+    }
+
+    // Run until an RTS/RTI leaves the current stack frame
+    stepOut() {
+        this.arm({ type: 'out', sp: this.cpu.SP });
+    }
+
+    // Continue from a break without hitting the breakpoint at the current PC
+    resume() {
+        this.skipPC = this.cpu.PC;
+    }
+
+    arm(target) {
+        this.stepTarget = target;
+        this.skipPC = this.cpu.PC;
+        this.updateActive();
+    }
+
+    // Run loop hooks
+
+    // Returns true if a breakpoint stops execution before the instruction at PC
+    beforeStep() {
+        const cpu = this.cpu;
+        const pc = cpu.PC;
+
+        this.lastPC = pc;
+        if (this.stepTarget !== null && this.stepTarget.type === 'out') {
+            this.lastOpcode = this.memory.peek(pc);
+        }
+
+        const skip = this.skipPC === pc;
+        this.skipPC = null;
+        if (skip) return false;
+
+        const list = this.breakpointsByAddress.get(pc);
+        if (list === undefined) return false;
+
+        for (const breakpoint of list) {
+            if (!breakpoint.enabled) continue;
+            if (breakpoint.test && !breakpoint.test(cpu, this.memory)) continue;
+
+            breakpoint.hits++;
+            return this.break('breakpoint', { breakpoint });
+        }
+
+        return false;
+    }
+
+    // Returns true if a watchpoint hit or a step command completed
+    afterStep() {
+        if (this.watchHit !== null) {
+            const hit = this.watchHit;
+            this.watchHit = null;
+            return this.break('watchpoint', hit);
+        }
+
+        const target = this.stepTarget;
+        if (target === null) return false;
+
+        const cpu = this.cpu;
+        let done;
+        switch (target.type) {
+            case 'into':
+                done = true;
+                break;
+            case 'over':
+                done = cpu.PC === target.pc && cpu.SP >= target.sp;
+                break;
+            case 'out':
+                done = (this.lastOpcode === OPCODE_RTS || this.lastOpcode === OPCODE_RTI) && cpu.SP > target.sp;
+                break;
+        }
+
+        return done ? this.break('step', {}) : false;
+    }
+
+    // Called by Memory for every access to a watched address
+    onMemoryAccess(address, value, isWrite) {
+        const type = isWrite ? 'w' : 'r';
+
+        for (const watchpoint of this.watchpoints.values()) {
+            if (!watchpoint.enabled || !watchpoint.type.includes(type)) continue;
+            if (address < watchpoint.start || address > watchpoint.end) continue;
+            if (watchpoint.test && !watchpoint.test(this.cpu, this.memory)) continue;
+
+            watchpoint.hits++;
+            if (this.watchHit === null) {
+                this.watchHit = {
+                    watchpoint,
+                    access: { address, value, type: isWrite ? 'write' : 'read', pc: this.lastPC }
+                };
+            }
+            return;
+        }
+    }
+
+    // Report an exception thrown out of the run loop as a break
+    reportError(error) {
+        return this.break('error', { error });
+    }
+
+    break(reason, details) {
+        this.stepTarget = null;
+        this.updateActive();
+
+        const event = { reason, ...details, state: this.getState() };
+        this.lastBreak = event;
+
+        if (this.onBreak) {
+            this.onBreak(event);
+        }
+        return true;
+    }
+
+    getState() {
+        const cpu = this.cpu;
+        return {
+            PC: cpu.PC,
+            A: cpu.A,
+            X: cpu.X,
+            Y: cpu.Y,
+            SP: cpu.SP,
+            P: cpu.getP(),
+            flags: { N: cpu.N, V: cpu.V, D: cpu.D, I: cpu.I, Z: cpu.Z, C: cpu.C },
+            cycles: cpu.cycles,
+            instruction: cpu.disassembler.decode(cpu.PC).text
+        };
+    }
+
+    // One-line description of a break event for logs
+    static describe(event) {
+        const s = event.state;
+        const registers = `A=${hex(s.A, 2)} X=${hex(s.X, 2)} Y=${hex(s.Y, 2)} SP=${hex(s.SP, 2)} P=${hex(s.P, 2)}`;
+        let reason = event.reason;
+
+        if (event.reason === 'breakpoint') {
+            reason = `breakpoint #${event.breakpoint.id}${event.breakpoint.condition ? ` (${event.breakpoint.condition})` : ''}`;
+        } else if (event.reason === 'watchpoint') {
+            const { address, value, type } = event.access;
+            reason = `watchpoint #${event.watchpoint.id}: ${type} ${hex(value, 2)} at ${hex(address, 4)}`;
+        } else if (event.reason === 'error') {
+            reason = `error: ${event.error.message}`;
+        }
+
+        return `${reason} - ${hex(s.PC, 4)} ${s.instruction}  ${registers}`;
+    }
+}
+
+// Compile a condition string into (cpu, memory) => boolean
+export function compileCondition(text) {
+    const tokens = text.match(/\$[0-9a-f]+|%[01]+|\d+|[a-z]+|==|!=|<=|>=|&&|\|\||[<>=!&|+\-()@]|\S/gi) || [];
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+    const expect = (token) => {
+        if (next() !== token) throw new Error(`Condition "${text}": expected ${token}`);
+    };
+
+    const binary = (parseOperand, operators) => () => {
+        let left = parseOperand();
+        while (operators[peek()]) {
+            const apply = operators[next()];
+            const lhs = left;
+            const rhs = parseOperand();
+            left = (cpu, memory) => apply(lhs(cpu, memory), rhs(cpu, memory));
+        }
+        return left;
+    };
+
+    const parsePrimary = () => {
+        const token = next();
+        if (token === undefined) throw new Error(`Condition "${text}": unexpected end`);
+
+        if (token === '(') {
+            const inner = parseOr();
+            expect(')');
+            return inner;
+        }
+        if (token === '!') {
+            const operand = parsePrimary();
+            return (cpu, memory) => (operand(cpu, memory) ? 0 : 1);
+        }
+        if (token === '@') {
+            const address = parsePrimary();
+            return (cpu, memory) => memory.peek(address(cpu, memory) & 0xFFFF);
+        }
+        if (token[0] === '$') {
+            const value = parseInt(token.slice(1), 16);
+            return () => value;
+        }
+        if (token[0] === '%') {
+            const value = parseInt(token.slice(1), 2);
+            return () => value;
+        }
+        if (/^\d+$/.test(token)) {
+            const value = parseInt(token, 10);
+            return () => value;
+        }
+
+        switch (token.toUpperCase()) {
+            case 'A': return (cpu) => cpu.A;
+            case 'X': return (cpu) => cpu.X;
+            case 'Y': return (cpu) => cpu.Y;
+            case 'SP': return (cpu) => cpu.SP;
+            case 'PC': return (cpu) => cpu.PC;
+            case 'P': return (cpu) => cpu.getP();
+            case 'N': return (cpu) => (cpu.N ? 1 : 0);
+            case 'V': return (cpu) => (cpu.V ? 1 : 0);
+            case 'D': return (cpu) => (cpu.D ? 1 : 0);
+            case 'I': return (cpu) => (cpu.I ? 1 : 0);
+            case 'Z': return (cpu) => (cpu.Z ? 1 : 0);
+            case 'C': return (cpu) => (cpu.C ? 1 : 0);
+        }
+
+        throw new Error(`Condition "${text}": unknown term ${token}`);
+    };
+
+    const parseSum = binary(parsePrimary, {
+        '+': (a, b) => a + b,
+        '-': (a, b) => a - b,
+        '&': (a, b) => a & b,
+        '|': (a, b) => a | b
+    });
+    const parseComparison = binary(parseSum, {
+        '==': (a, b) => (a === b ? 1 : 0),
+        '=': (a, b) => (a === b ? 1 : 0),
+        '!=': (a, b) => (a !== b ? 1 : 0),
+        '<': (a, b) => (a < b ? 1 : 0),
+        '<=': (a, b) => (a <= b ? 1 : 0),
+        '>': (a, b) => (a > b ? 1 : 0),
+        '>=': (a, b) => (a >= b ? 1 : 0)
+    });
+    const parseAnd = binary(parseComparison, { '&&': (a, b) => (a && b ? 1 : 0) });
+    const parseOr = binary(parseAnd, { '||': (a, b) => (a || b ? 1 : 0) });
+
+    const condition = parseOr();
+    if (position < tokens.length) {
+        throw new Error(`Condition "${text}": unexpected ${tokens[position]}`);
+    }
+
+    return (cpu, memory) => condition(cpu, memory) !== 0;
+}
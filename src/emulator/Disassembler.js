@@ -0,0 +1,141 @@
+// Disassembler.js - 6502/6510 disassembler driven by the shared opcode table
+// Decodes every opcode (illegal ones included), formats operands for each
+// addressing mode and substitutes labels from an optional SymbolTable
+
+import { OPCODES, MODE_BYTES } from './Opcodes.js';
+
+const hex = (value, digits) => value.toString(16).toUpperCase().padStart(digits, '0');
+
+// Mnemonics whose absolute operand is a code address rather than data
+const JUMP_MNEMONICS = new Set(['JMP', 'JSR']);
+
+export class Disassembler {
+    constructor(memory, symbols = null) {
+        this.memory = memory;
+        this.symbols = symbols;
+    }
+
+    // Decode the instruction at address. Returns
+    // { address, opcode, bytes, length, mnemonic, mode, illegal, value, operandAddress, target, text }
+    // value is the raw operand, operandAddress the memory address it refers to
+    // (null for implied/accumulator/immediate) and target the control flow
+    // destination for branches, JMP abs and JSR.
+    decode(address) {
+        address &= 0xFFFF;
+        const length = MODE_BYTES[OPCODES[this.memory.peek(address)].mode];
+
+        const bytes = [];
+        for (let i = 0; i < length; i++) {
+            bytes.push(this.memory.peek((address + i) & 0xFFFF));
+        }
+
+        return this.decodeBytes(address, bytes);
+    }
+
+    // Decode an instruction from bytes captured earlier (trace logs); only
+    // as many bytes as the opcode needs are used
+    decodeBytes(address, bytes) {
+        const opcode = bytes[0];
+        const { mnemonic, mode, illegal } = OPCODES[opcode];
+        const length = MODE_BYTES[mode];
+        bytes = bytes.slice(0, length);
+
+        let value = null;
+        let operandAddress = null;
+        let target = null;
+
+        if (length === 2) {
+            value = bytes[1];
+        } else if (length === 3) {
+            value = bytes[1] | (bytes[2] << 8);
+        }
+
+        if (mode === 'rel') {
+            const offset = value & 0x80 ? value - 0x100 : value;
+            target = (address + 2 + offset) & 0xFFFF;
+            operandAddress = target;
+        } else if (mode !== 'imm' && value !== null) {
+            operandAddress = value;
+            if (mode === 'abs' && JUMP_MNEMONICS.has(mnemonic)) {
+                target = value;
+            }
+        }
+
+        const operand = this.formatOperand(mode, value, operandAddress);
+        const text = operand ? `${mnemonic} ${operand}` : mnemonic;
+
+        return {
+            address, opcode, bytes, length,
+            mnemonic, mode, illegal,
+            value, operandAddress, target, text
+        };
+    }
+
+    formatOperand(mode, value, operandAddress) {
+        switch (mode) {
+            case 'imp': return '';
+            case 'acc': return 'A';
+            case 'imm': return `#$${hex(value, 2)}`;
+            case 'zp': return this.formatAddress(operandAddress, 2);
+            case 'zpx': return `${this.formatAddress(operandAddress, 2)},X`;
+            case 'zpy': return `${this.formatAddress(operandAddress, 2)},Y`;
+            case 'izx': return `(${this.formatAddress(operandAddress, 2)},X)`;
+            case 'izy': return `(${this.formatAddress(operandAddress, 2)}),Y`;
+            case 'abs': return this.formatAddress(operandAddress, 4);
+            case 'abx': return `${this.formatAddress(operandAddress, 4)},X`;
+            case 'aby': return `${this.formatAddress(operandAddress, 4)},Y`;
+            case 'ind': return `(${this.formatAddress(operandAddress, 4)})`;
+            case 'rel': return this.formatAddress(operandAddress, 4);
+            default: return '';
+        }
+    }
+
+    // Label for an address if one is known, "label+1" for the high byte of a
+    // labelled word (self-modifying code does this a lot), otherwise $hex
+    formatAddress(address, digits) {
+        if (this.symbols) {
+            const label = this.symbols.getLabel(address);
+            if (label) return label;
+
+            const previous = address > 0 ? this.symbols.getLabel(address - 1) : null;
+            if (previous) return `${previous}+1`;
+        }
+        return `$${hex(address, digits)}`;
+    }
+
+    // "$C000  A9 01     LDA #$01"
+    formatLine(instruction) {
+        const bytes = instruction.bytes.map(byte => hex(byte, 2)).join(' ');
+        return `$${hex(instruction.address, 4)}  ${bytes.padEnd(8)}  ${instruction.text}`;
+    }
+
+    // Decode count consecutive instructions starting at address
+    disassemble(address, count = 10) {
+        const instructions = [];
+        let addr = address & 0xFFFF;
+
+        for (let i = 0; i < count; i++) {
+            const instruction = this.decode(addr);
+            instructions.push(instruction);
+            addr = (addr + instruction.length) & 0xFFFF;
+        }
+
+        return instructions;
+    }
+
+    // Text listing of count instructions, with "label:" lines before
+    // every labelled address
+    listing(address, count = 10) {
+        const lines = [];
+
+        for (const instruction of this.disassemble(address, count)) {
+            const label = this.symbols ? this.symbols.getLabel(instruction.address) : null;
+            if (label) {
+                lines.push(`${label}:`);
+            }
+            lines.push(this.formatLine(instruction));
+        }
+
+        return lines.join('\n');
+    }
+}
@@ -0,0 +1,192 @@
+// GeoRAM.js - Berkeley Softworks GeoRAM / NeoRAM memory expansion
+// The GeoRAM shows one 256-byte page of its RAM at a time in IO1
+// ($DE00-$DEFF). Two write-only registers in IO2 pick the page:
+//
+//   $DFFE  page within the 16K block (0-63)
+//   $DFFF  16K block (as many bits as the size needs)
+//
+// Reads and writes of the window go straight to the selected page, so
+// software copies data in and out with ordinary loads and stores.
+// Sizes are 512K (the original) up to 4M; NeoRAM is battery backed, so the
+// contents can be stored between sessions with saveGeoRAMImage and
+// loadGeoRAMImage.
+//
+// As in REU.js the RAM is kept in 64K banks that snapshots share until
+// they are written.
+
+export const GEORAM_512K = 512 * 1024;
+export const GEORAM_MAX = 4 * 1024 * 1024;
+
+const PAGE_SIZE = 0x100;
+const BLOCK_SIZE = 0x4000;
+const BANK_SIZE = 0x10000;
+
+export class GeoRAM {
+    constructor(memory, size = GEORAM_512K) {
+        if (size < GEORAM_512K || size > GEORAM_MAX || (size & (size - 1)) !== 0) {
+            throw new Error(`GeoRAM size must be a power of two from 512K to 4M, not ${size}`);
+        }
+
+        this.memory = memory;
+        this.size = size;
+        this.banks = [];
+        for (let i = 0; i < size / BANK_SIZE; i++) {
+            this.banks.push(new Uint8Array(BANK_SIZE));
+        }
+        this.shared = new Uint8Array(this.banks.length);   // 1 while a snapshot holds the bank
+
+        // Set on every write to the RAM, cleared by whoever stores the image
+        this.dirty = false;
+
+        this.reset();
+    }
+
+    // The registers are cleared on reset; the RAM keeps its contents
+    reset() {
+        this.page = 0;
+        this.block = 0;
+    }
+
+    // Offset of a window address in the GeoRAM's RAM
+    offset(address) {
+        return ((this.block * BLOCK_SIZE) + (this.page * PAGE_SIZE) + (address & 0xFF)) & (this.size - 1);
+    }
+
+    readIO1(address) {
+        const offset = this.offset(address);
+        return this.banks[offset >> 16][offset & 0xFFFF];
+    }
+
+    writeIO1(address, value) {
+        this.writeByte(this.offset(address), value);
+    }
+
+    // The registers are write-only; reads see RAM as for the unclaimed I/O area
+    readIO2(address) {
+        return this.memory.ram[address];
+    }
+
+    writeIO2(address, value) {
+        switch (address & 0xFF) {
+            case 0xFE:
+                this.page = value & 0x3F;
+                break;
+            case 0xFF:
+                this.block = value & ((this.size / BLOCK_SIZE) - 1);
+                break;
+            default:
+                this.memory.ram[address] = value;
+        }
+    }
+
+    writeByte(offset, value) {
+        const bank = offset >> 16;
+        if (this.shared[bank]) {
+            this.banks[bank] = this.banks[bank].slice();
+            this.shared[bank] = 0;
+        }
+        this.banks[bank][offset & 0xFFFF] = value;
+        this.dirty = true;
+    }
+
+    // The whole RAM as one image, for storing between sessions
+    exportImage() {
+        const image = new Uint8Array(this.size);
+        this.banks.forEach((bank, i) => image.set(bank, i * BANK_SIZE));
+        return image;
+    }
+
+    // Load an image saved by exportImage. A smaller image fills the start of
+    // the RAM, a larger one is cut off.
+    importImage(image) {
+        image = image instanceof Uint8Array ? image : new Uint8Array(image);
+        for (let i = 0; i < this.banks.length; i++) {
+            const bank = new Uint8Array(BANK_SIZE);
+            bank.set(image.subarray(i * BANK_SIZE, (i + 1) * BANK_SIZE));
+            this.banks[i] = bank;
+        }
+        this.shared.fill(0);
+        this.dirty = false;
+    }
+
+    // Registers and RAM for rewind and save states. The banks are shared
+    // with the snapshot and copied on the next write.
+    snapshot() {
+        this.shared.fill(1);
+        return {
+            size: this.size,
+            page: this.page,
+            block: this.block,
+            banks: this.banks.slice()
+        };
+    }
+
+    restore(state) {
+        if (state.size !== this.size) {
+            throw new Error(`Snapshot is of a ${state.size / 1024}K GeoRAM, this one has ${this.size / 1024}K`);
+        }
+        this.page = state.page;
+        this.block = state.block;
+        this.banks = state.banks.slice();
+        this.shared.fill(1);
+        this.dirty = true;
+    }
+}
+
+// Persistent storage for GeoRAM images: IndexedDB in the browser, files
+// in a directory (default .georam) under Node. Both are keyed by name.
+const DB_NAME = 'c64-emulator';
+const DB_STORE = 'georam';
+
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(DB_STORE);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function storeRequest(mode, action) {
+    return openDatabase().then(db => new Promise((resolve, reject) => {
+        const request = action(db.transaction(DB_STORE, mode).objectStore(DB_STORE));
+        request.onsuccess = () => {
+            db.close();
+            resolve(request.result);
+        };
+        request.onerror = () => {
+            db.close();
+            reject(request.error);
+        };
+    }));
+}
+
+const imagePath = async (name, directory) => {
+    const path = await import('path');
+    return path.join(directory, `${name}.georam`);
+};
+
+export async function saveGeoRAMImage(name, image, directory = '.georam') {
+    if (typeof indexedDB !== 'undefined') {
+        await storeRequest('readwrite', store => store.put(image, name));
+        return;
+    }
+    const fs = await import('fs/promises');
+    await fs.mkdir(directory, { recursive: true });
+    await fs.writeFile(await imagePath(name, directory), image);
+}
+
+// The stored image, or null if there is none yet
+export async function loadGeoRAMImage(name, directory = '.georam') {
+    if (typeof indexedDB !== 'undefined') {
+        const image = await storeRequest('readonly', store => store.get(name));
+        return image ? new Uint8Array(image) : null;
+    }
+    const fs = await import('fs/promises');
+    try {
+        return new Uint8Array(await fs.readFile(await imagePath(name, directory)));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
@@ -1,37 +1,110 @@
-// MOS6502.js - Minimal 6502 CPU Implementation
-// Just enough to get BASIC prompt working
+// MOS6502.js - MOS 6502/6510 CPU Implementation
+// Table-driven core: every opcode is described once in OPCODES (Opcodes.js) and the
+// instruction handlers are generated from that description
+
+import { OPCODES, MODE_BYTES } from './Opcodes.js';
+import { Disassembler } from './Disassembler.js';
+
+export { OPCODES, MODE_BYTES };
+
+// Interrupt sources. Each device drives its own bit of the wired-OR IRQ or
+// NMI line; the line is active while any bit is set.
+export const IRQ_VIC = 0x01;
+export const IRQ_CIA1 = 0x02;
+export const IRQ_CARTRIDGE = 0x04;   // Expansion port (REU, cartridges)
+
+export const NMI_CIA2 = 0x01;
+export const NMI_RESTORE = 0x02;
+export const NMI_CARTRIDGE = 0x04;
+
+// Cycles taken by the IRQ/NMI entry sequence
+const INTERRUPT_CYCLES = 7;
+
+const NMI_VECTOR = 0xFFFA;
+const IRQ_VECTOR = 0xFFFE;
+
+// CLI, SEI and PLP change I after the interrupt poll of their last cycle,
+// so the poll that decides on the next instruction still sees the old value
+const DELAYED_I_FLAG = new Uint8Array(256);
+DELAYED_I_FLAG[0x58] = DELAYED_I_FLAG[0x78] = DELAYED_I_FLAG[0x28] = 1;
+
+// Magic constant ORed into A by the unstable XAA/LXA opcodes
+const UNSTABLE_MAGIC = 0xEE;
+
+function toSigned(value) {
+    return value & 0x80 ? value - 0x100 : value;
+}
 
 export class MOS6502 {
     constructor(memory) {
         this.memory = memory;
-        
+
         // Registers
-        self.A = 0;      // Accumulator
+        this.A = 0;      // Accumulator
         this.X = 0;      // X register
         this.Y = 0;      // Y register
         this.SP = 0xFD;  // Stack pointer
         this.PC = 0;     // Program counter
-        
-        // Status flags
+
+        // Status flags. There is no B flag in the register: bit 4 only
+        // exists in copies pushed by PHP/BRK (set) and IRQ/NMI (clear).
         this.N = false;  // Negative
         this.V = false;  // Overflow
-        this.B = false;  // Break
         this.D = false;  // Decimal
         this.I = false;  // Interrupt disable
         this.Z = false;  // Zero
         this.C = false;  // Carry
-        
+
         // Cycle counter
         this.cycles = 0;
-        
-        this.pcHistory = [];
+
+        // Set by the indexed addressing modes when the effective address
+        // lands on a different page than the base address
+        this.pageCrossed = false;
+
+        // Set when a JAM opcode locks up the CPU; only reset() clears it
+        this.jammed = false;
+        this.onJam = null;
+
+        // Interrupt lines: bit masks of the sources holding them active.
+        // IRQ is level-triggered and taken while active and I is clear;
+        // NMI is edge-triggered and latched in nmiPending.
+        this.irqLines = 0;
+        this.nmiLines = 0;
+        this.nmiPending = false;
+
+        // I flag as seen by the interrupt poll (see DELAYED_I_FLAG)
+        this.irqMasked = false;
+
+        // Cycle-exact mode (see setCycleExact). onCycle runs the rest of the
+        // machine for one cycle; isBusAvailable reports the VIC's BA line.
+        this.cycleExact = false;
+        this.onCycle = null;          // () => void
+        this.isBusAvailable = null;   // () => boolean, false while BA is low
+        this.stallCycles = 0;         // Cycles lost to VIC DMA and expansion port DMA since reset
+        this.dmaCycles = 0;           // Instruction mode: DMA cycles to add to the current instruction
+
+        // Interrupt poll results (vector or 0) of the last two bus cycles,
+        // and the one that decides before the next instruction
+        this.currentPoll = 0;
+        this.previousPoll = 0;
+        this.interruptPoll = 0;
+
+        // TraceLogger recording every instruction, or null when tracing is off
+        this.trace = null;
+
+        // Profiler counting cycles and coverage, or null when profiling is off
+        this.profiler = null;
+
+        // Decoder for disassemble(); the emulator attaches its symbol table
+        this.disassembler = new Disassembler(memory);
 
         // Build instruction table
         this.buildInstructionTable();
 
-        
+
     }
-    
+
     // reset() {
     //     // Read reset vector from $FFFC-$FFFD
     //     this.PC = this.memory.read16(0xFFFC);
@@ -47,2617 +120,843 @@ export class MOS6502 {
         const low = this.memory.read(0xFFFC);
         const high = this.memory.read(0xFFFD);
         this.PC = low | (high << 8);
-        
+
         console.log(`CPU Reset - PC set to $${this.PC.toString(16)}`);
-        
+
         // Initialize registers
         this.A = 0;
-        this.X = 0; 
+        this.X = 0;
         this.Y = 0;
         this.SP = 0xFD;  // Stack pointer starts at $FD
-        
+
         // Clear flags
         this.N = false;
         this.V = false;
-        this.B = false;
         this.D = false;
         this.I = true;  // Interrupts disabled on reset
         this.Z = false;
         this.C = false;
-        
-        // Clear history
-        this.pcHistory = [];
-        this.stepCount = 0;
+        this.jammed = false;
+
+        // Devices keep driving their lines; only a pending NMI edge is lost
+        this.nmiPending = false;
+        this.irqMasked = true;
+        this.currentPoll = this.previousPoll = this.interruptPoll = 0;
+        this.stallCycles = 0;
+        this.dmaCycles = 0;
     }
-    
-    step() {
-        if (this.PC < 0x100) {
-            console.warn(`WARNING: PC at ${this.PC.toString(16)} - executing in zero page/IO!`);
+
+    // Registers, flags and interrupt state as a plain object (rewind, save states)
+    snapshot() {
+        return {
+            A: this.A, X: this.X, Y: this.Y, SP: this.SP, PC: this.PC,
+            P: this.getP(),
+            cycles: this.cycles,
+            jammed: this.jammed,
+            irqLines: this.irqLines,
+            nmiLines: this.nmiLines,
+            nmiPending: this.nmiPending,
+            irqMasked: this.irqMasked,
+            currentPoll: this.currentPoll,
+            previousPoll: this.previousPoll,
+            interruptPoll: this.interruptPoll,
+            stallCycles: this.stallCycles
+        };
+    }
+
+    restore(state) {
+        this.A = state.A;
+        this.X = state.X;
+        this.Y = state.Y;
+        this.SP = state.SP;
+        this.PC = state.PC;
+        this.setP(state.P);
+        this.cycles = state.cycles;
+        this.jammed = state.jammed;
+        this.irqLines = state.irqLines;
+        this.nmiLines = state.nmiLines;
+        this.nmiPending = state.nmiPending;
+        this.irqMasked = state.irqMasked;
+        this.currentPoll = state.currentPoll;
+        this.previousPoll = state.previousPoll;
+        this.interruptPoll = state.interruptPoll;
+        this.stallCycles = state.stallCycles;
+    }
+
+    // Switch between instruction stepping (fast: the caller clocks the other
+    // chips after each instruction) and cycle-exact stepping, where every
+    // bus access first calls onCycle, reads wait while the VIC holds BA low
+    // and interrupts are sampled on the penultimate cycle of each instruction
+    setCycleExact(enabled) {
+        if (enabled && (!this.onCycle || !this.isBusAvailable)) {
+            throw new Error('Cycle-exact mode needs onCycle and isBusAvailable');
+        }
+
+        const proto = MOS6502.prototype;
+        this.cycleExact = enabled;
+        this.fetch = enabled ? proto.clockedRead : proto.fetch;
+        this.store = enabled ? proto.clockedWrite : proto.store;
+        this.dummyRead = enabled ? proto.clockedRead : proto.dummyRead;
+
+        this.currentPoll = this.previousPoll = this.interruptPoll = 0;
+        this.irqMasked = this.I;
+    }
+
+    // Bus accesses. In instruction mode they go straight to memory and the
+    // dummy accesses the real CPU makes on otherwise idle cycles are
+    // skipped; setCycleExact swaps in the clocked versions.
+    fetch(address) {
+        return this.memory.read(address);
+    }
+
+    store(address, value) {
+        this.memory.write(address, value);
+    }
+
+    dummyRead(address) {
+    }
+
+    // Data accesses (everything except opcode and operand fetches), the
+    // ones the profiler's coverage map counts as reads and writes
+    read(address) {
+        if (this.profiler !== null) {
+            this.profiler.markRead(address);
         }
-        if (this.PC === 0x0001) {
-            console.error('PC at processor port $0001! Stack trace:');
-            console.log('A:', this.A.toString(16), 'X:', this.X.toString(16), 'Y:', this.Y.toString(16));
-            console.log('SP:', this.SP.toString(16));
-            console.log('Last 5 PCs:', this.pcHistory || []);
+        return this.fetch(address);
+    }
+
+    write(address, value) {
+        if (this.profiler !== null) {
+            this.profiler.markWritten(address);
         }
-        const opcode = this.memory.read(this.PC);
-
-        // Add this enhanced debugging to MOS6502.js step() function
-        // Right after: var opcode = this.memory.read(this.PC);
-
-        // Enhanced PC tracking
-        if (this.PC < 0x100) {
-            console.warn(`WARNING: PC at ${this.PC.toString(16)} - executing in zero page/IO!`);
-            if (this.PC === 0) {
-                console.error('PC is at 0! This should never happen!');
-                console.log('History:', this.pcHistory);
-                console.log('Stack pointer:', this.SP.toString(16));
-                console.log('Registers - A:', this.A.toString(16), 'X:', this.X.toString(16), 'Y:', this.Y.toString(16));
-                
-                // Check what's on the stack
-                console.log('Stack contents:');
-                for (let i = 0; i < 5; i++) {
-                    const addr = 0x01FF - i;
-                    console.log(`  Stack[${i}] at $${addr.toString(16)}: $${this.memory.read(addr).toString(16)}`);
-                }
-                
-                // Stop execution to prevent infinite loop
-                throw new Error('PC at 0 - stopping execution for debugging');
+        this.store(address, value);
+    }
+
+    clockedRead(address) {
+        this.tick();
+        // BA low halts the CPU on its next read cycle until the VIC is
+        // done with the bus; writes go through (AEC is still ours)
+        while (!this.isBusAvailable()) {
+            this.stallCycles++;
+            this.tick();
+        }
+        const value = this.memory.read(address);
+        this.poll();
+        return value;
+    }
+
+    clockedWrite(address, value) {
+        this.tick();
+        this.memory.write(address, value);
+        this.poll();
+    }
+
+    tick() {
+        this.cycles++;
+        this.onCycle();
+    }
+
+    // Keep the CPU off the bus for cycles while an expansion port device
+    // does DMA. Cycle-exact mode runs the machine through them right away;
+    // instruction mode adds them to the instruction that started the DMA.
+    stall(cycles) {
+        this.stallCycles += cycles;
+        if (this.cycleExact) {
+            for (let i = 0; i < cycles; i++) {
+                this.tick();
             }
+        } else {
+            this.dmaCycles += cycles;
         }
+    }
 
-        // Track the instruction being executed
-        if (!this.instructions[opcode]) {
-            console.error(`Illegal opcode $${opcode.toString(16).padStart(2, '0')} at $${this.PC.toString(16).padStart(4, '0')}`);
-            console.log('Previous PCs:', this.pcHistory);
-            console.log('Instruction map check:', 
-                'Has opcode?', !!this.instructions[opcode],
-                'Type:', typeof this.instructions[opcode]);
+    // Sample the interrupt lines at the end of a bus cycle
+    poll() {
+        this.previousPoll = this.currentPoll;
+        if (this.nmiPending) {
+            this.currentPoll = NMI_VECTOR;
+        } else {
+            this.currentPoll = this.irqLines !== 0 && !this.I ? IRQ_VECTOR : 0;
         }
+    }
 
-        if (!this.instructions[opcode]) {
-            console.error(`Missing opcode implementation: $${opcode.toString(16)} at PC=$${this.PC.toString(16)}`);
-            console.log('Memory dump around PC:');
-            for (let i = -2; i <= 5; i++) {
-                const addr = this.PC + i;
-                const byte = this.memory.read(addr);
-                console.log(`  $${addr.toString(16)}: $${byte.toString(16)}`);
+    step() {
+        // A jammed CPU only lets time pass; the rest of the machine keeps running
+        if (this.jammed) {
+            if (this.cycleExact) {
+                this.tick();
+            } else {
+                this.cycles++;
             }
-            throw new Error(`Unimplemented opcode: $${opcode.toString(16)}`);
+            return 1;
         }
 
+        // Running into $0000 means a wild jump or a corrupted stack
+        if (this.PC === 0) {
+            throw new Error('PC at $0000 - wild jump or corrupted stack');
+        }
+
+        if (this.cycleExact) {
+            return this.stepCycleExact();
+        }
 
-        // Log first few instructions to see what's happening
-        if (this.stepCount === undefined) {
-            this.stepCount = 0;
+        // Interrupts are polled between instructions: a latched NMI edge
+        // first, then the IRQ level if the last poll saw I clear
+        if (this.nmiPending) {
+            return this.interrupt(NMI_VECTOR);
+        }
+        if (this.irqLines !== 0 && !this.irqMasked) {
+            return this.interrupt(IRQ_VECTOR);
         }
-        this.stepCount++;
 
-        if (this.stepCount <= 10) {
-            const opcodeHex = opcode.toString(16).padStart(2, '0');
-            const pcHex = this.PC.toString(16).padStart(4, '0');
-            console.log(`Step ${this.stepCount}: PC=$${pcHex} Opcode=$${opcodeHex} A=${this.A.toString(16)} X=${this.X.toString(16)} Y=${this.Y.toString(16)} SP=${this.SP.toString(16)}`);
+        if (this.trace !== null) {
+            this.trace.record(this);
         }
 
-        // PC increment removed - instructions handle it
+        const pc = this.PC;
+        const opcode = this.fetch(pc);
         const instruction = this.instructions[opcode];
+        const wasMasked = this.I;
+
+        // Step past the opcode - handlers consume their own operand bytes
+        this.PC = (pc + 1) & 0xFFFF;
+        let cycles = instruction.call(this);
+        // DMA the instruction started (an REU transfer) holds the CPU after it
+        if (this.dmaCycles !== 0) {
+            cycles += this.dmaCycles;
+            this.dmaCycles = 0;
+        }
+        this.cycles += cycles;
 
+        this.irqMasked = DELAYED_I_FLAG[opcode] ? wasMasked : this.I;
+
+        if (this.profiler !== null) {
+            this.profiler.record(pc, opcode, cycles);
+        }
+        return cycles;
+    }
 
-        
-        this.pcHistory.push(this.PC.toString(16));
-        if (this.pcHistory.length > 10) this.pcHistory.shift(); 
+    // step() in cycle-exact mode: the cycles are counted as the bus accesses
+    // happen (VIC stalls included) and the interrupt decision comes from the
+    // poll on the penultimate cycle of the previous instruction
+    stepCycleExact() {
+        const start = this.cycles;
+
+        if (this.interruptPoll !== 0) {
+            this.interrupt(this.interruptPoll);
+        } else {
+            if (this.trace !== null) {
+                this.trace.record(this);
+            }
 
-        if (!instruction) {
-            console.warn(`Unknown opcode $${opcode.toString(16).padStart(2, '0')} at $${this.PC.toString(16).padStart(4, '0')}`);
-            this.PC = (this.PC + 1) & 0xFFFF;
-            return 2;
+            const pc = this.PC;
+            const opcode = this.fetch(pc);
+            this.PC = (pc + 1) & 0xFFFF;
+            this.instructions[opcode].call(this);
+
+            if (this.profiler !== null) {
+                this.profiler.record(pc, opcode, this.cycles - start);
+            }
+        }
+
+        this.interruptPoll = this.previousPoll;
+        return this.cycles - start;
+    }
+
+    // 7-cycle interrupt sequence: two idle reads of PC, push PC and P with
+    // B clear, set I, jump through the vector. Returns the cycles taken,
+    // like step().
+    interrupt(vector) {
+        const start = this.cycles;
+        if (vector === NMI_VECTOR) {
+            this.nmiPending = false;
+        }
+        this.dummyRead(this.PC);
+        this.dummyRead(this.PC);
+        this.push16(this.PC);
+        this.push(this.getP());
+        this.I = true;
+        this.irqMasked = true;
+        this.PC = this.read(vector) | (this.read(vector + 1) << 8);
+
+        if (!this.cycleExact) {
+            this.cycles += INTERRUPT_CYCLES;
+        }
+        const cycles = this.cycles - start;
+
+        if (this.profiler !== null) {
+            this.profiler.interrupt(this.PC, cycles);
         }
-        
-        // this.PC = (this.PC + 1) & 0xFFFF;
-        const cycles = instruction.call(this);
-        this.cycles += cycles;
         return cycles;
     }
-    
+
+    // Drive the IRQ line for one source; it stays active until the device
+    // releases it (usually when the program acknowledges the interrupt)
+    setIRQ(source, active) {
+        if (active) {
+            this.irqLines |= source;
+        } else {
+            this.irqLines &= ~source;
+        }
+    }
+
+    // Drive the NMI line for one source. Only the inactive -> active
+    // transition of the combined line triggers an NMI, so a source that
+    // keeps it active blocks further NMIs from every source.
+    setNMI(source, active) {
+        const wasActive = this.nmiLines !== 0;
+        if (active) {
+            this.nmiLines |= source;
+        } else {
+            this.nmiLines &= ~source;
+        }
+        if (!wasActive && this.nmiLines !== 0) {
+            this.nmiPending = true;
+        }
+    }
+
     // Status register helpers
     getP() {
-        let p = 0x20; // Unused bit always set
+        let p = 0x20; // Unused bit always set, B (bit 4) never
         if (this.N) p |= 0x80;
         if (this.V) p |= 0x40;
-        if (this.B) p |= 0x10;
         if (this.D) p |= 0x08;
         if (this.I) p |= 0x04;
         if (this.Z) p |= 0x02;
         if (this.C) p |= 0x01;
         return p;
     }
-    
+
     setP(value) {
         this.N = (value & 0x80) !== 0;
         this.V = (value & 0x40) !== 0;
-        this.B = (value & 0x10) !== 0;
         this.D = (value & 0x08) !== 0;
         this.I = (value & 0x04) !== 0;
         this.Z = (value & 0x02) !== 0;
         this.C = (value & 0x01) !== 0;
     }
-    
+
     // Flag setting helpers
     setNZ(value) {
         this.N = (value & 0x80) !== 0;
         this.Z = value === 0;
     }
-    
+
     // Stack operations
     push(value) {
-        this.memory.write(0x0100 + this.SP, value);
+        this.write(0x0100 + this.SP, value);
         this.SP = (this.SP - 1) & 0xFF;
     }
-    
+
     pull() {
         this.SP = (this.SP + 1) & 0xFF;
-        return this.memory.read(0x0100 + this.SP);
+        return this.read(0x0100 + this.SP);
     }
 
     pop() {
-        this.SP = (this.SP + 1) & 0xFF;
-        return this.memory.read(0x0100 + this.SP);
+        return this.pull();
     }
-    
+
     push16(value) {
         this.push((value >> 8) & 0xFF);
         this.push(value & 0xFF);
     }
-    
+
     pull16() {
         const lo = this.pull();
         const hi = this.pull();
         return (hi << 8) | lo;
     }
-    
-    // Addressing modes
-    // immediate() {
-    //     const addr = this.PC;
-    //     // this.PC = (this.PC + 1) & 0xFFFF;
-    //     return addr;
-    // }
 
-    // immediate() {
-    // // PC already points to operand
-    // return this.PC - 1;  // Return address of opcode for consistency
-    // }
+    // Addressing modes
+    // PC points at the first operand byte when these are called. Each one
+    // consumes its operand bytes and returns the effective address. The
+    // dummy reads are the accesses the CPU makes while it adds the index;
+    // fixup is true for stores and read-modify-write instructions, which
+    // always spend the extra cycle on the indexed modes.
 
     immediate() {
-    const value = this.memory.read(this.PC + 1);
-    this.PC += 2;
-    return value;
+        const addr = this.PC;
+        this.PC = (this.PC + 1) & 0xFFFF;
+        return addr;
     }
 
-    
-    // zeroPage() {
-    //     const addr = this.memory.read(this.PC);
-    //     this.PC = (this.PC + 1) & 0xFFFF;
-    //     return addr;
-    // }
-    
-    // zeroPageX() {
-    //     const addr = (this.memory.read(this.PC) + this.X) & 0xFF;
-    //     this.PC = (this.PC + 1) & 0xFFFF;
-    //     return addr;
-    // }
-
-    // zeroPage() {
-    //     // PC already points to the address byte
-    //     const addr = this.memory.read(this.PC - 1);
-    //     return addr;
-    // }
-
-    // CRITICAL FIX 2: Fix addressing modes in MOS6502.js
-    // These are returning wrong values. Replace these methods:
-
     zeroPage() {
-        const addr = this.memory.read(this.PC + 1);
-        this.PC += 2;
+        const addr = this.fetch(this.PC);
+        this.PC = (this.PC + 1) & 0xFFFF;
         return addr;
     }
 
     zeroPageX() {
-        const addr = (this.memory.read(this.PC + 1) + this.X) & 0xFF;
-        this.PC += 2;
-        return addr;
+        const base = this.zeroPage();
+        this.dummyRead(base);
+        return (base + this.X) & 0xFF;
     }
-    
+
     zeroPageY() {
-        const addr = (this.memory.read(this.PC) + this.Y) & 0xFF;
-        this.PC = (this.PC + 1) & 0xFFFF;
-        return addr;
+        const base = this.zeroPage();
+        this.dummyRead(base);
+        return (base + this.Y) & 0xFF;
     }
-    
-    // absolute() {
-    //     const addr = this.memory.read16(this.PC);
-    //     this.PC = (this.PC + 2) & 0xFFFF;
-    //     return addr;
-    // }
-    // absolute() {
-    // // PC already points past the opcode
-    //     const low = this.memory.read(this.PC - 1);
-    //     const high = this.memory.read(this.PC);
-    //     this.PC++;  // Move past the high byte
-    //     return low | (high << 8);
-    // }
 
     absolute() {
-        const low = this.memory.read(this.PC + 1);
-        const high = this.memory.read(this.PC + 2);
-        this.PC += 3;
+        const low = this.fetch(this.PC);
+        const high = this.fetch((this.PC + 1) & 0xFFFF);
+        this.PC = (this.PC + 2) & 0xFFFF;
         return low | (high << 8);
     }
 
-    
-    absoluteX() {
-        const addr = (this.memory.read16(this.PC) + this.X) & 0xFFFF;
-        this.PC = (this.PC + 2) & 0xFFFF;
-        return addr;
+    absoluteX(fixup) {
+        return this.indexed(this.absolute(), this.X, fixup);
     }
-    
-    absoluteY() {
-        const addr = (this.memory.read16(this.PC) + this.Y) & 0xFFFF;
-        this.PC = (this.PC + 2) & 0xFFFF;
+
+    absoluteY(fixup) {
+        return this.indexed(this.absolute(), this.Y, fixup);
+    }
+
+    // base + index; the CPU first reads from base + index without the carry
+    // into the high byte, and reads again when that was the wrong page
+    indexed(base, index, fixup) {
+        const addr = (base + index) & 0xFFFF;
+        this.pageCrossed = (base & 0xFF00) !== (addr & 0xFF00);
+        if (fixup || this.pageCrossed) {
+            this.dummyRead((base & 0xFF00) | (addr & 0xFF));
+        }
         return addr;
     }
-    
+
     indirect() {
-        const ptr = this.memory.read16(this.PC);
-        this.PC = (this.PC + 2) & 0xFFFF;
-        // 6502 bug: page boundary wrap
-        if ((ptr & 0xFF) === 0xFF) {
-            const lo = this.memory.read(ptr);
-            const hi = this.memory.read(ptr & 0xFF00);
-            return (hi << 8) | lo;
-        }
-        return this.memory.read16(ptr);
+        const ptr = this.absolute();
+        // 6502 bug: the high byte is fetched without carrying into the page
+        const lo = this.read(ptr);
+        const hi = this.read((ptr & 0xFF00) | ((ptr + 1) & 0xFF));
+        return (hi << 8) | lo;
     }
-    
+
     indirectX() {
-        const ptr = (this.memory.read(this.PC) + this.X) & 0xFF;
-        this.PC = (this.PC + 1) & 0xFFFF;
-        return this.memory.read16(ptr);
+        const base = this.zeroPage();
+        this.dummyRead(base);
+        const ptr = (base + this.X) & 0xFF;
+        // Pointer wraps within the zero page
+        return this.read(ptr) | (this.read((ptr + 1) & 0xFF) << 8);
     }
-    
-    indirectY() {
-        const ptr = this.memory.read(this.PC);
-        this.PC = (this.PC + 1) & 0xFFFF;
-        return (this.memory.read16(ptr) + this.Y) & 0xFFFF;
+
+    indirectY(fixup) {
+        const ptr = this.zeroPage();
+        const base = this.read(ptr) | (this.read((ptr + 1) & 0xFF) << 8);
+        return this.indexed(base, this.Y, fixup);
     }
-    
+
+    // Returns the branch target; the caller decides whether to take it
     relative() {
-        const offset = this.memory.read(this.PC);
+        const offset = this.fetch(this.PC);
         this.PC = (this.PC + 1) & 0xFFFF;
         // Sign extend
-        return offset < 0x80 ? offset : offset - 256;
+        return (this.PC + (offset < 0x80 ? offset : offset - 256)) & 0xFFFF;
     }
-    
-    // Build instruction table
-    buildInstructionTable() {
-        const self = this;  // ADD THIS LINE!
-        this.instructions = new Array(256);
-        
-        // NOP
-        this.instructions[0xEA] = function() { return 2; };
-        
-        // LDA - Load Accumulator
-        // this.instructions[0xA9] = function() { // Immediate
-        //     self.A = self.memory.read(self.immediate());
-        //     self.setNZ(self.A);
-        //     return 2;
-        // };
-        // LDA immediate (0xA9) - Fix to use current PC
-
-        // this.instructions[0xA9] = function() { // LDA immediate  
-        //     self.A = self.memory.read(self.PC + 1);  // PC already points to operand
-        //     self.Z = self.A === 0;
-        //     self.N = (self.A & 0x80) !== 0;
-        //     self.PC += 2;  // Only increment by 1 more
-        //     return 2;
-        // };
-
-        // Two-byte instructions - increment by 2
-        this.instructions[0xA9] = function() { // LDA immediate 
-            self.A = self.memory.read(self.PC + 1);  // Read from PC+1
-            self.setNZ(self.A);
-            self.PC += 2;  // Increment by 2
-            return 2;
-        };
-
-        this.instructions[0xA5] = function() { // Zero Page
-            self.A = self.memory.read(self.zeroPage());
-            self.setNZ(self.A);
-            return 3;
-        };
-        this.instructions[0xAD] = function() { // Absolute
-            self.A = self.memory.read(self.absolute());
-            self.setNZ(self.A);
-            return 4;
-        };
-        
-        // LDX - Load X
-        // this.instructions[0xA2] = function() { // Immediate
-        //     self.X = self.memory.read(self.immediate());
-        //     self.setNZ(self.X);
-        //     return 2;
-        // };
-
-        // And LDX immediate (0xA2):
-        // this.instructions[0xA2] = function() { // LDX immediate
-        //     self.X = self.memory.read(self.PC + 1);
-        //     self.Z = self.X === 0;
-        //     self.N = (self.X & 0x80) !== 0;
-        //     self.PC += 2;  // Increment by 2 for immediate mode
-        //     return 2;
-        // };
-                
-        this.instructions[0xA2] = function() { // LDX immediate
-            self.X = self.memory.read(self.PC + 1);  // Read from PC+1
-            self.setNZ(self.X);
-            self.PC += 2;  // Increment by 2
-            return 2;
-        };
 
+    // Resolve the effective address for an addressing mode
+    // (null for implied and accumulator modes, which read the next
+    // opcode byte and discard it)
+    resolveAddress(mode, fixup = false) {
+        switch (mode) {
+            case 'imm': return this.immediate();
+            case 'zp': return this.zeroPage();
+            case 'zpx': return this.zeroPageX();
+            case 'zpy': return this.zeroPageY();
+            case 'abs': return this.absolute();
+            case 'abx': return this.absoluteX(fixup);
+            case 'aby': return this.absoluteY(fixup);
+            case 'ind': return this.indirect();
+            case 'izx': return this.indirectX();
+            case 'izy': return this.indirectY(fixup);
+            case 'rel': return this.relative();
+            default:
+                this.dummyRead(this.PC);
+                return null;
+        }
+    }
 
-        this.instructions[0xA6] = function() { // Zero Page
-            self.X = self.memory.read(self.zeroPage());
-            self.setNZ(self.X);
-            return 3;
-        };
-        
-        // LDY - Load Y
-        this.instructions[0xA0] = function() { // Immediate
-            self.Y = self.memory.read(self.immediate());
-            self.setNZ(self.Y);
-            return 2;
-        };
-        
-        // STA - Store Accumulator
-        this.instructions[0x85] = function() { // Zero Page
-            self.memory.write(self.memory.read(self.PC + 1), self.A); self.PC += 2;
-            return 3;
-        };
-        // this.instructions[0x8D] = function() { // Absolute
-        //     self.memory.write(self.absolute(), self.A);
-        //     self.PC += 3;
-        //     return 4;
-        // };
-        // STA Absolute
-        this.instructions[0x8D] = function() { // Absolute
-            const low = self.memory.read(self.PC + 1);
-            const high = self.memory.read(self.PC + 2);
-            const addr = low | (high << 8);
-            self.memory.write(addr, self.A);
-            self.PC += 3;  // ADD THIS
-            return 4;
-        };
+    // ALU helpers shared by documented and undocumented instructions
+    adc(value) {
+        const carry = this.C ? 1 : 0;
+        const binary = this.A + value + carry;
+
+        if (!this.D) {
+            this.V = ((this.A ^ binary) & (value ^ binary) & 0x80) !== 0;
+            this.C = binary > 0xFF;
+            this.A = binary & 0xFF;
+            this.setNZ(this.A);
+            return;
+        }
 
+        // NMOS decimal mode: Z comes from the binary sum, N and V from the
+        // sum after the low nibble is adjusted but before the high nibble is
+        let low = (this.A & 0x0F) + (value & 0x0F) + carry;
+        if (low >= 0x0A) {
+            low = ((low + 0x06) & 0x0F) + 0x10;
+        }
+        let result = (this.A & 0xF0) + (value & 0xF0) + low;
+        const signed = toSigned(this.A & 0xF0) + toSigned(value & 0xF0) + low;
 
-        this.instructions[0x95] = function() { // Zero Page,X
-            self.memory.write(self.zeroPageX(), self.A);
-            return 4;
-        };
-        this.instructions[0x9D] = function() { // Absolute,X
-            self.memory.write(self.absoluteX(), self.A);
-            return 5;
-        };
-        
-        // STX - Store X
-        // this.instructions[0x86] = function() { // Zero Page
-        //     self.memory.write(self.zeroPage(), self.X);
-        //     self.PC += 2;
-        //     return 3;
-        // };
-        
-        // // STY - Store Y
-        // this.instructions[0x84] = function() { // Zero Page
-        //     self.memory.write(self.zeroPage(), self.Y);
-        //     self.PC += 2;
-        //     return 3;
-        // };
-
-        // STX - Store X
-        this.instructions[0x86] = function() { // Zero Page
-            const addr = self.memory.read(self.PC + 1);
-            self.memory.write(addr, self.X);
-            self.PC += 2;  // ADD THIS
-            return 3;
-        };
+        this.Z = (binary & 0xFF) === 0;
+        this.N = (result & 0x80) !== 0;
+        this.V = signed < -128 || signed > 127;
 
-        // STY - Store Y
-        this.instructions[0x84] = function() { // Zero Page
-            const addr = self.memory.read(self.PC + 1);
-            self.memory.write(addr, self.Y);
-            self.PC += 2;  // ADD THIS
-            return 3;
-        };
+        if (result >= 0xA0) {
+            result += 0x60;
+        }
+        this.C = result >= 0x100;
+        this.A = result & 0xFF;
+    }
 
-        
-        // Transfer instructions
-        this.instructions[0xAA] = function() { // TAX
-            self.X = self.A;
-            self.setNZ(self.X);
-            self.PC++;
-            return 2;
-        };
-        this.instructions[0xA8] = function() { // TAY
-            self.Y = self.A;
-            self.setNZ(self.Y);
-            self.PC++;
-            return 2;
-        };
-        this.instructions[0x8A] = function() { // TXA
-            self.A = self.X;
-            self.setNZ(self.A);
-            self.PC++;
-            return 2;
-        };
-        this.instructions[0x98] = function() { // TYA
-            self.A = self.Y;
-            self.setNZ(self.A);
-            self.PC++;
-            return 2;
-        };
-        
-        // TXS - Transfer X to Stack Pointer (0x9A)
-        this.instructions[0x9A] = function() {
-            self.SP = self.X;
-            self.PC++;
-            // self.PC++;
-            return 2;
-        };
+    sbc(value) {
+        const borrow = this.C ? 0 : 1;
+        const binary = this.A - value - borrow;
 
-     
-        // TSX - Transfer Stack Pointer to X (0xBA)
-        this.instructions[0xBA] = function() {
-            self.X = self.SP;
-            self.Z = self.X === 0;
-            self.N = (self.X & 0x80) !== 0;
-            self.PC++;
-            // self.PC++;
-            return 2;
-        };
-
-        // INC/DEC
-        this.instructions[0xE8] = function() { // INX
-            self.X = (self.X + 1) & 0xFF;
-            self.setNZ(self.X);
-            self.PC++;
-            return 2;
-        };
-        this.instructions[0xC8] = function() { // INY
-            self.Y = (self.Y + 1) & 0xFF;
-            self.setNZ(self.Y);
-            self.PC++;
-            return 2;
-        };
-        this.instructions[0xCA] = function() { // DEX
-            self.X = (self.X - 1) & 0xFF;
-            self.setNZ(self.X);
-            self.PC++;
-            return 2;
-        };
-        this.instructions[0x88] = function() { // DEY
-            self.Y = (self.Y - 1) & 0xFF;
-            self.setNZ(self.Y);
-            self.PC++;
-            return 2;
-        };
-        
-        // Branches
-        this.instructions[0xD0] = function() { // BNE
-            const offset = self.relative();
-            if (!self.Z) {
-                self.PC = (self.PC + offset) & 0xFFFF;
-                return 3;
-            }
-            return 2;
-        };
-        this.instructions[0xF0] = function() { // BEQ
-            const offset = self.relative();
-            if (self.Z) {
-                self.PC = (self.PC + offset) & 0xFFFF;
-                return 3;
-            }
-            return 2;
-        };
-        this.instructions[0x10] = function() { // BPL
-            const offset = self.relative();
-            if (!self.N) {
-                self.PC = (self.PC + offset) & 0xFFFF;
-                return 3;
-            }
-            return 2;
-        };
-        this.instructions[0x30] = function() { // BMI
-            const offset = self.relative();
-            if (self.N) {
-                self.PC = (self.PC + offset) & 0xFFFF;
-                return 3;
-            }
-            return 2;
-        };
-        
-        // Jumps
-        // this.instructions[0x4C] = function() { // JMP Absolute
-        //     self.PC = self.absolute();
-        //     return 3;
-        // };
-        // Three-byte instructions - increment by 3
-        this.instructions[0x4C] = function() { // JMP absolute
-            const low = self.memory.read(self.PC + 1);
-            const high = self.memory.read(self.PC + 2);
-            self.PC = low | (high << 8);  // Jump to address
-            // No increment needed - we're jumping!
-            return 3;
-        };
+        // Flags come from the binary result even in decimal mode on the NMOS 6502
+        this.V = ((this.A ^ binary) & (this.A ^ value) & 0x80) !== 0;
+        this.C = binary >= 0;
+        this.setNZ(binary & 0xFF);
 
+        if (!this.D) {
+            this.A = binary & 0xFF;
+            return;
+        }
 
-        // this.instructions[0x6C] = function() { // JMP Indirect
-        //     self.PC = self.indirect();
-        //     return 5;
-        // };
-        // JMP indirect - CRITICAL for C64
-        this.instructions[0x6C] = function() { // JMP (indirect)
-            var addr = self.memory.read(self.PC + 1) | (self.memory.read(self.PC + 2) << 8);
-            // Note: 6502 bug - doesn't cross page boundaries correctly
-            var low = self.memory.read(addr);
-            var high;
-            if ((addr & 0xFF) === 0xFF) {
-                // Bug: wraps around in same page
-                high = self.memory.read(addr & 0xFF00);
-            } else {
-                high = self.memory.read(addr + 1);
-            }
-            self.PC = low | (high << 8);
-            return 5;
-        };
+        let low = (this.A & 0x0F) - (value & 0x0F) - borrow;
+        if (low < 0) {
+            low = ((low - 0x06) & 0x0F) - 0x10;
+        }
+        let result = (this.A & 0xF0) - (value & 0xF0) + low;
+        if (result < 0) {
+            result -= 0x60;
+        }
+        this.A = result & 0xFF;
+    }
 
-        // this.instructions[0x20] = function() { // JSR
-        //     const addr = self.absolute();
-        //     self.push16(self.PC - 1);
-        //     self.PC = addr;
-        //     return 6;
-        // };
-
-        // NEW FIXED VERSION - Add this to MOS6502.js in buildInstructionTable():
-        this.instructions[0x20] = function() { // JSR
-            // Read address BEFORE modifying PC
-            const low = self.memory.read(self.PC + 1);
-            const high = self.memory.read(self.PC + 2);
-            const addr = low | (high << 8);
-            
-            // Push return address (PC + 2, pointing to last byte of JSR)
-            self.push16((self.PC + 2) & 0xFFFF);
-            
-            // Jump to subroutine
-            self.PC = addr;
-            console.log(`JSR to $${addr.toString(16)}`);
-            return 6;
-        };
+    compare(register, value) {
+        const result = register - value;
+        this.C = register >= value;
+        this.setNZ(result & 0xFF);
+    }
 
+    asl(value) {
+        this.C = (value & 0x80) !== 0;
+        value = (value << 1) & 0xFF;
+        this.setNZ(value);
+        return value;
+    }
 
-        this.instructions[0x60] = function() { // RTS
-            self.PC = (self.pull16() + 1) & 0xFFFF;
-            return 6;
-        };
-        
-        // Stack
-        // this.instructions[0x48] = function() { // PHA
-        //     self.push(self.A);
-        //     return 3;
-        // };
-
-        // PHA - Push Accumulator (0x48)
-        this.instructions[0x48] = function() {
-            self.push(self.A);
-            self.PC++;
-            return 3;
-        };
-        // this.instructions[0x68] = function() { // PLA
-        //     self.A = self.pull();
-        //     self.setNZ(self.A);
-        //     return 4;
-        // };
-        // PLA - Pull Accumulator (0x68)
-        this.instructions[0x68] = function() {
-            self.A = self.pop();
-            self.Z = self.A === 0;
-            self.N = (self.A & 0x80) !== 0;
-            // self.PC++;
-            return 4;
-        };
+    lsr(value) {
+        this.C = (value & 0x01) !== 0;
+        value = value >> 1;
+        this.setNZ(value);
+        return value;
+    }
 
+    rol(value) {
+        const carry = this.C ? 1 : 0;
+        this.C = (value & 0x80) !== 0;
+        value = ((value << 1) | carry) & 0xFF;
+        this.setNZ(value);
+        return value;
+    }
 
-       
-        // This should be in your instructions array:
-        this.instructions[0x78] = function() { // SEI - Set Interrupt Disable
-            self.I = true;
-            self.PC++;
-            return 2;
-        };
+    ror(value) {
+        const carry = this.C ? 0x80 : 0;
+        this.C = (value & 0x01) !== 0;
+        value = (value >> 1) | carry;
+        this.setNZ(value);
+        return value;
+    }
 
+    // Build instruction table
+    buildInstructionTable() {
+        const self = this;
+        this.instructions = new Array(256);
 
-        this.instructions[0x58] = function() { // CLI
-            self.I = false;
-            self.PC++;
-            return 2;
-        };
+        const read = (addr) => self.read(addr);
+        const write = (addr, value) => self.write(addr, value);
 
-            
-        this.instructions[0xEA] = function() { // NOP
-            self.PC++;  // ADD THIS
+        // Read-modify-write: memory modes write the unmodified value back
+        // before the result, like the real CPU (matters for I/O registers)
+        const modify = (addr, mode, fn) => {
+            if (mode === 'acc') {
+                self.A = fn(self.A);
+                return;
+            }
+            const value = read(addr);
+            write(addr, value);
+            write(addr, fn(value));
+        };
+
+        // SHA/SHX/SHY/TAS store value & (high byte of base address + 1);
+        // when indexing crosses a page that value also replaces the high byte
+        const storeHighAnd = (addr, mode, value) => {
+            const index = mode === 'abx' ? self.X : self.Y;
+            const high = ((((addr - index) & 0xFFFF) >> 8) + 1) & 0xFF;
+            value &= high;
+            if (self.pageCrossed) {
+                addr = (value << 8) | (addr & 0xFF);
+            }
+            write(addr, value);
+        };
+
+        // Returns the extra cycles a branch costs: one to read the opcode
+        // after the branch, another to read again when the target is on
+        // a different page
+        const branch = (target, condition) => {
+            if (!condition) return 0;
+            self.dummyRead(self.PC);
+            if ((self.PC & 0xFF00) === (target & 0xFF00)) {
+                self.PC = target;
+                return 1;
+            }
+            self.dummyRead((self.PC & 0xFF00) | (target & 0xFF));
+            self.PC = target;
             return 2;
         };
 
+        // Stack pulls first spend a cycle reading the current stack slot
+        const pull = () => {
+            self.dummyRead(0x0100 + self.SP);
+            return self.pull();
+        };
+
+        // Each operation receives the effective address and addressing mode
+        // and may return extra cycles
+        const operations = {
+            // Loads and stores
+            LDA: (addr) => { self.A = read(addr); self.setNZ(self.A); },
+            LDX: (addr) => { self.X = read(addr); self.setNZ(self.X); },
+            LDY: (addr) => { self.Y = read(addr); self.setNZ(self.Y); },
+            STA: (addr) => write(addr, self.A),
+            STX: (addr) => write(addr, self.X),
+            STY: (addr) => write(addr, self.Y),
+
+            // Register transfers
+            TAX: () => { self.X = self.A; self.setNZ(self.X); },
+            TAY: () => { self.Y = self.A; self.setNZ(self.Y); },
+            TXA: () => { self.A = self.X; self.setNZ(self.A); },
+            TYA: () => { self.A = self.Y; self.setNZ(self.A); },
+            TSX: () => { self.X = self.SP; self.setNZ(self.X); },
+            TXS: () => { self.SP = self.X; },
+
+            // Stack
+            PHA: () => self.push(self.A),
+            PHP: () => self.push(self.getP() | 0x10),
+            PLA: () => { self.A = pull(); self.setNZ(self.A); },
+            PLP: () => self.setP(pull()),
+
+            // Logical
+            AND: (addr) => { self.A &= read(addr); self.setNZ(self.A); },
+            ORA: (addr) => { self.A |= read(addr); self.setNZ(self.A); },
+            EOR: (addr) => { self.A ^= read(addr); self.setNZ(self.A); },
+            BIT: (addr) => {
+                const value = read(addr);
+                self.Z = (self.A & value) === 0;
+                self.N = (value & 0x80) !== 0;
+                self.V = (value & 0x40) !== 0;
+            },
+
+            // Arithmetic and compares
+            ADC: (addr) => self.adc(read(addr)),
+            SBC: (addr) => self.sbc(read(addr)),
+            CMP: (addr) => self.compare(self.A, read(addr)),
+            CPX: (addr) => self.compare(self.X, read(addr)),
+            CPY: (addr) => self.compare(self.Y, read(addr)),
+
+            // Increments and decrements
+            INC: (addr, mode) => modify(addr, mode, (v) => { v = (v + 1) & 0xFF; self.setNZ(v); return v; }),
+            DEC: (addr, mode) => modify(addr, mode, (v) => { v = (v - 1) & 0xFF; self.setNZ(v); return v; }),
+            INX: () => { self.X = (self.X + 1) & 0xFF; self.setNZ(self.X); },
+            INY: () => { self.Y = (self.Y + 1) & 0xFF; self.setNZ(self.Y); },
+            DEX: () => { self.X = (self.X - 1) & 0xFF; self.setNZ(self.X); },
+            DEY: () => { self.Y = (self.Y - 1) & 0xFF; self.setNZ(self.Y); },
+
+            // Shifts and rotates
+            ASL: (addr, mode) => modify(addr, mode, (v) => self.asl(v)),
+            LSR: (addr, mode) => modify(addr, mode, (v) => self.lsr(v)),
+            ROL: (addr, mode) => modify(addr, mode, (v) => self.rol(v)),
+            ROR: (addr, mode) => modify(addr, mode, (v) => self.ror(v)),
+
+            // Jumps and calls
+            JMP: (addr) => { self.PC = addr; },
+            JSR: (addr) => {
+                // Return address is the last byte of the JSR instruction
+                self.dummyRead(0x0100 + self.SP);
+                self.push16((self.PC - 1) & 0xFFFF);
+                self.PC = addr;
+            },
+            RTS: () => {
+                const address = pull() | (self.pull() << 8);
+                self.dummyRead(address);
+                self.PC = (address + 1) & 0xFFFF;
+            },
+            RTI: () => {
+                self.setP(pull());
+                self.PC = self.pull16();
+            },
+            BRK: () => {
+                // BRK is a 2-byte instruction (opcode + padding byte); the
+                // implied-mode read already fetched the padding byte
+                self.PC = (self.PC + 1) & 0xFFFF;
+                self.push16(self.PC);
+                self.push(self.getP() | 0x10); // Set B flag in pushed status
+                self.I = true;
+                self.PC = read(IRQ_VECTOR) | (read(IRQ_VECTOR + 1) << 8);
+            },
+
+            // Branches
+            BCC: (target) => branch(target, !self.C),
+            BCS: (target) => branch(target, self.C),
+            BEQ: (target) => branch(target, self.Z),
+            BNE: (target) => branch(target, !self.Z),
+            BMI: (target) => branch(target, self.N),
+            BPL: (target) => branch(target, !self.N),
+            BVC: (target) => branch(target, !self.V),
+            BVS: (target) => branch(target, self.V),
+
+            // Status flags
+            CLC: () => { self.C = false; },
+            SEC: () => { self.C = true; },
+            CLI: () => { self.I = false; },
+            SEI: () => { self.I = true; },
+            CLD: () => { self.D = false; },
+            SED: () => { self.D = true; },
+            CLV: () => { self.V = false; },
+
+            // Undocumented NOPs still perform their operand read
+            NOP: (addr) => { if (addr !== null) read(addr); },
+
+            // Undocumented combined operations
+            LAX: (addr) => { self.A = self.X = read(addr); self.setNZ(self.A); },
+            SAX: (addr) => write(addr, self.A & self.X),
+            DCP: (addr, mode) => modify(addr, mode, (v) => {
+                v = (v - 1) & 0xFF;
+                self.compare(self.A, v);
+                return v;
+            }),
+            ISC: (addr, mode) => modify(addr, mode, (v) => {
+                v = (v + 1) & 0xFF;
+                self.sbc(v);
+                return v;
+            }),
+            SLO: (addr, mode) => modify(addr, mode, (v) => {
+                v = self.asl(v);
+                self.A |= v;
+                self.setNZ(self.A);
+                return v;
+            }),
+            RLA: (addr, mode) => modify(addr, mode, (v) => {
+                v = self.rol(v);
+                self.A &= v;
+                self.setNZ(self.A);
+                return v;
+            }),
+            SRE: (addr, mode) => modify(addr, mode, (v) => {
+                v = self.lsr(v);
+                self.A ^= v;
+                self.setNZ(self.A);
+                return v;
+            }),
+            RRA: (addr, mode) => modify(addr, mode, (v) => {
+                v = self.ror(v);
+                self.adc(v);
+                return v;
+            }),
+            ANC: (addr) => {
+                self.A &= read(addr);
+                self.setNZ(self.A);
+                self.C = self.N;
+            },
+            ALR: (addr) => {
+                self.A = self.lsr(self.A & read(addr));
+            },
+            ARR: (addr) => {
+                const value = self.A & read(addr);
+                self.A = ((value >> 1) | (self.C ? 0x80 : 0)) & 0xFF;
+                self.setNZ(self.A);
+                self.V = ((self.A ^ (self.A << 1)) & 0x40) !== 0;
+
+                if (!self.D) {
+                    self.C = (self.A & 0x40) !== 0;
+                    return;
+                }
 
-        this.instructions[0xD8] = function() { // CLD - Clear Decimal Mode
-            self.D = false;
-            self.PC++;
-            return 2;
-        };
-
-        this.instructions[0x38] = function() { // SEC
-            self.C = true;
-            self.PC++;
-            return 2;
-        };
-        this.instructions[0x18] = function() { // CLC
-            self.C = false;
-            self.PC++;
-            return 2;
-        };
-        
-        // Compare
-        this.instructions[0xC9] = function() { // CMP Immediate
-            const value = self.memory.read(self.immediate());
-            const result = self.A - value;
-            self.C = self.A >= value;
-            self.setNZ(result & 0xFF);
-            return 2;
-        };
-        this.instructions[0xE0] = function() { // CPX Immediate
-            const value = self.memory.read(self.immediate());
-            const result = self.X - value;
-            self.C = self.X >= value;
-            self.setNZ(result & 0xFF);
-            return 2;
-        };
-        
-        // Interrupts
-        this.instructions[0x40] = function() { // RTI
-            this.setP(self.pull());
-            self.PC = self.pull16();
-            return 6;
+                // Decimal mode fixes up each nibble of the rotated value
+                const low = value & 0x0F;
+                const high = value >> 4;
+                if (low + (low & 0x01) > 5) {
+                    self.A = (self.A & 0xF0) | ((self.A + 0x06) & 0x0F);
+                }
+                self.C = high + (high & 0x01) > 5;
+                if (self.C) {
+                    self.A = (self.A + 0x60) & 0xFF;
+                }
+            },
+            SBX: (addr) => {
+                const result = (self.A & self.X) - read(addr);
+                self.X = result & 0xFF;
+                self.C = result >= 0;
+                self.setNZ(self.X);
+            },
+            LAS: (addr) => {
+                self.A = self.X = self.SP = read(addr) & self.SP;
+                self.setNZ(self.A);
+            },
+            XAA: (addr) => {
+                self.A = (self.A | UNSTABLE_MAGIC) & self.X & read(addr);
+                self.setNZ(self.A);
+            },
+            LXA: (addr) => {
+                self.A = self.X = (self.A | UNSTABLE_MAGIC) & read(addr);
+                self.setNZ(self.A);
+            },
+            SHA: (addr, mode) => storeHighAnd(addr, mode, self.A & self.X),
+            SHX: (addr, mode) => storeHighAnd(addr, mode, self.X),
+            SHY: (addr, mode) => storeHighAnd(addr, mode, self.Y),
+            TAS: (addr, mode) => {
+                self.SP = self.A & self.X;
+                storeHighAnd(addr, mode, self.SP);
+            },
+            JAM: () => {
+                // Stay on the JAM opcode; step() idles from now on
+                self.PC = (self.PC - 1) & 0xFFFF;
+                self.jammed = true;
+                if (self.onJam) {
+                    self.onJam(self.PC);
+                }
+            }
         };
 
+        for (let opcode = 0; opcode < 256; opcode++) {
+            const entry = OPCODES[opcode];
+            if (!entry) continue;
 
+            const { mode, cycles, pageCross } = entry;
+            const operation = operations[entry.mnemonic];
+            // Instructions without the page-cross penalty always take the
+            // indexing fixup cycle (stores and read-modify-write)
+            const fixup = !pageCross;
 
-
-        // Add these to your buildInstructionTable() method in MOS6502.js
-// Place them BEFORE the "Fill remaining with illegal opcodes" loop
-// Add these missing opcodes to your buildInstructionTable() in MOS6502.js
-// Add them BEFORE the "Fill remaining with illegal opcodes" loop at the end
-
-// LDA absolute,X ($BD) - CRITICAL - Add around line 380
-this.instructions[0xBD] = function() { // LDA absolute,X
-    const base = self.memory.read(self.PC + 1) | (self.memory.read(self.PC + 2) << 8);
-    const addr = (base + self.X) & 0xFFFF;
-    self.A = self.memory.read(addr);
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 3;
-    return ((base & 0xFF00) !== (addr & 0xFF00)) ? 5 : 4; // Extra cycle if page crossed
-};
-
-// LDX absolute ($AE) - Add this too
-this.instructions[0xAE] = function() { // LDX absolute
-    const addr = self.memory.read(self.PC + 1) | (self.memory.read(self.PC + 2) << 8);
-    self.X = self.memory.read(addr);
-    self.Z = self.X === 0;
-    self.N = (self.X & 0x80) !== 0;
-    self.PC += 3;
-    return 4;
-};
-
-// LDX absolute,Y ($BE)
-this.instructions[0xBE] = function() { // LDX absolute,Y
-    const base = self.memory.read(self.PC + 1) | (self.memory.read(self.PC + 2) << 8);
-    const addr = (base + self.Y) & 0xFFFF;
-    self.X = self.memory.read(addr);
-    self.Z = self.X === 0;
-    self.N = (self.X & 0x80) !== 0;
-    self.PC += 3;
-    return ((base & 0xFF00) !== (addr & 0xFF00)) ? 5 : 4;
-};
-
-// LDX zero page,Y ($B6)
-this.instructions[0xB6] = function() { // LDX zero page,Y
-    const addr = (self.memory.read(self.PC + 1) + self.Y) & 0xFF;
-    self.X = self.memory.read(addr);
-    self.Z = self.X === 0;
-    self.N = (self.X & 0x80) !== 0;
-    self.PC += 2;
-    return 4;
-};
-
-// LDY absolute ($AC)
-this.instructions[0xAC] = function() { // LDY absolute
-    const addr = self.memory.read(self.PC + 1) | (self.memory.read(self.PC + 2) << 8);
-    self.Y = self.memory.read(addr);
-    self.Z = self.Y === 0;
-    self.N = (self.Y & 0x80) !== 0;
-    self.PC += 3;
-    return 4;
-};
-
-// LDY absolute,X ($BC)
-this.instructions[0xBC] = function() { // LDY absolute,X
-    const base = self.memory.read(self.PC + 1) | (self.memory.read(self.PC + 2) << 8);
-    const addr = (base + self.X) & 0xFFFF;
-    self.Y = self.memory.read(addr);
-    self.Z = self.Y === 0;
-    self.N = (self.Y & 0x80) !== 0;
-    self.PC += 3;
-    return ((base & 0xFF00) !== (addr & 0xFF00)) ? 5 : 4;
-};
-
-// LDY zero page ($A4)
-this.instructions[0xA4] = function() { // LDY zero page
-    const addr = self.memory.read(self.PC + 1);
-    self.Y = self.memory.read(addr);
-    self.Z = self.Y === 0;
-    self.N = (self.Y & 0x80) !== 0;
-    self.PC += 2;
-    return 3;
-};
-
-// LDY zero page,X ($B4)
-this.instructions[0xB4] = function() { // LDY zero page,X
-    const addr = (self.memory.read(self.PC + 1) + self.X) & 0xFF;
-    self.Y = self.memory.read(addr);
-    self.Z = self.Y === 0;
-    self.N = (self.Y & 0x80) !== 0;
-    self.PC += 2;
-    return 4;
-};
-
-// STX absolute ($8E)
-this.instructions[0x8E] = function() { // STX absolute
-    const addr = self.memory.read(self.PC + 1) | (self.memory.read(self.PC + 2) << 8);
-    self.memory.write(addr, self.X);
-    self.PC += 3;
-    return 4;
-};
-
-// STX zero page,Y ($96)
-this.instructions[0x96] = function() { // STX zero page,Y
-    const addr = (self.memory.read(self.PC + 1) + self.Y) & 0xFF;
-    self.memory.write(addr, self.X);
-    self.PC += 2;
-    return 4;
-};
-
-// STY absolute ($8C)
-this.instructions[0x8C] = function() { // STY absolute
-    const addr = self.memory.read(self.PC + 1) | (self.memory.read(self.PC + 2) << 8);
-    self.memory.write(addr, self.Y);
-    self.PC += 3;
-    return 4;
-};
-
-// STY zero page,X ($94)
-this.instructions[0x94] = function() { // STY zero page,X
-    const addr = (self.memory.read(self.PC + 1) + self.X) & 0xFF;
-    self.memory.write(addr, self.Y);
-    self.PC += 2;
-    return 4;
-};
-
-// AND absolute ($2D)
-this.instructions[0x2D] = function() { // AND absolute
-    const addr = self.memory.read(self.PC + 1) | (self.memory.read(self.PC + 2) << 8);
-    self.A = self.A & self.memory.read(addr);
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 3;
-    return 4;
-};
-
-// AND absolute,X ($3D)
-this.instructions[0x3D] = function() { // AND absolute,X
-    const base = self.memory.read(self.PC + 1) | (self.memory.read(self.PC + 2) << 8);
-    const addr = (base + self.X) & 0xFFFF;
-    self.A = self.A & self.memory.read(addr);
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 3;
-    return ((base & 0xFF00) !== (addr & 0xFF00)) ? 5 : 4;
-};
-
-// AND absolute,Y ($39)
-this.instructions[0x39] = function() { // AND absolute,Y
-    const base = self.memory.read(self.PC + 1) | (self.memory.read(self.PC + 2) << 8);
-    const addr = (base + self.Y) & 0xFFFF;
-    self.A = self.A & self.memory.read(addr);
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 3;
-    return ((base & 0xFF00) !== (addr & 0xFF00)) ? 5 : 4;
-};
-
-// AND (indirect,X) ($21)
-this.instructions[0x21] = function() { // AND (indirect,X)
-    const base = self.memory.read(self.PC + 1);
-    const ptr = (base + self.X) & 0xFF;
-    const addr = self.memory.read(ptr) | (self.memory.read((ptr + 1) & 0xFF) << 8);
-    self.A = self.A & self.memory.read(addr);
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 2;
-    return 6;
-};
-
-// AND (indirect),Y ($31)
-this.instructions[0x31] = function() { // AND (indirect),Y
-    const ptr = self.memory.read(self.PC + 1);
-    const base = self.memory.read(ptr) | (self.memory.read((ptr + 1) & 0xFF) << 8);
-    const addr = (base + self.Y) & 0xFFFF;
-    self.A = self.A & self.memory.read(addr);
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 2;
-    return ((base & 0xFF00) !== (addr & 0xFF00)) ? 6 : 5;
-};
-
-// ORA absolute,X ($1D)
-this.instructions[0x1D] = function() { // ORA absolute,X
-    const base = self.memory.read(self.PC + 1) | (self.memory.read(self.PC + 2) << 8);
-    const addr = (base + self.X) & 0xFFFF;
-    self.A = self.A | self.memory.read(addr);
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 3;
-    return ((base & 0xFF00) !== (addr & 0xFF00)) ? 5 : 4;
-};
-
-// ORA absolute,Y ($19)
-this.instructions[0x19] = function() { // ORA absolute,Y
-    const base = self.memory.read(self.PC + 1) | (self.memory.read(self.PC + 2) << 8);
-    const addr = (base + self.Y) & 0xFFFF;
-    self.A = self.A | self.memory.read(addr);
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 3;
-    return ((base & 0xFF00) !== (addr & 0xFF00)) ? 5 : 4;
-};
-
-// ORA (indirect,X) ($01)
-this.instructions[0x01] = function() { // ORA (indirect,X)
-    const base = self.memory.read(self.PC + 1);
-    const ptr = (base + self.X) & 0xFF;
-    const addr = self.memory.read(ptr) | (self.memory.read((ptr + 1) & 0xFF) << 8);
-    self.A = self.A | self.memory.read(addr);
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 2;
-    return 6;
-};
-
-// ORA (indirect),Y ($11)
-this.instructions[0x11] = function() { // ORA (indirect),Y
-    const ptr = self.memory.read(self.PC + 1);
-    const base = self.memory.read(ptr) | (self.memory.read((ptr + 1) & 0xFF) << 8);
-    const addr = (base + self.Y) & 0xFFFF;
-    self.A = self.A | self.memory.read(addr);
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 2;
-    return ((base & 0xFF00) !== (addr & 0xFF00)) ? 6 : 5;
-};
-
-// EOR absolute,X ($5D)
-this.instructions[0x5D] = function() { // EOR absolute,X
-    const base = self.memory.read(self.PC + 1) | (self.memory.read(self.PC + 2) << 8);
-    const addr = (base + self.X) & 0xFFFF;
-    self.A = self.A ^ self.memory.read(addr);
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 3;
-    return ((base & 0xFF00) !== (addr & 0xFF00)) ? 5 : 4;
-};
-
-// EOR absolute,Y ($59)
-this.instructions[0x59] = function() { // EOR absolute,Y
-    const base = self.memory.read(self.PC + 1) | (self.memory.read(self.PC + 2) << 8);
-    const addr = (base + self.Y) & 0xFFFF;
-    self.A = self.A ^ self.memory.read(addr);
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 3;
-    return ((base & 0xFF00) !== (addr & 0xFF00)) ? 5 : 4;
-};
-
-// EOR (indirect,X) ($41)
-this.instructions[0x41] = function() { // EOR (indirect,X)
-    const base = self.memory.read(self.PC + 1);
-    const ptr = (base + self.X) & 0xFF;
-    const addr = self.memory.read(ptr) | (self.memory.read((ptr + 1) & 0xFF) << 8);
-    self.A = self.A ^ self.memory.read(addr);
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 2;
-    return 6;
-};
-
-// EOR (indirect),Y ($51)
-this.instructions[0x51] = function() { // EOR (indirect),Y
-    const ptr = self.memory.read(self.PC + 1);
-    const base = self.memory.read(ptr) | (self.memory.read((ptr + 1) & 0xFF) << 8);
-    const addr = (base + self.Y) & 0xFFFF;
-    self.A = self.A ^ self.memory.read(addr);
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 2;
-    return ((base & 0xFF00) !== (addr & 0xFF00)) ? 6 : 5;
-};
-
-// ROL - Rotate Left
-this.instructions[0x2A] = function() { // ROL A
-    const carry = self.C ? 1 : 0;
-    self.C = (self.A & 0x80) !== 0;
-    self.A = ((self.A << 1) | carry) & 0xFF;
-    self.setNZ(self.A);
-    return 2;
-};
-
-this.instructions[0x26] = function() { // ROL Zero Page
-    const addr = self.zeroPage();
-    let value = self.memory.read(addr);
-    const carry = self.C ? 1 : 0;
-    self.C = (value & 0x80) !== 0;
-    value = ((value << 1) | carry) & 0xFF;
-    self.memory.write(addr, value);
-    self.setNZ(value);
-    return 5;
-};
-
-this.instructions[0x36] = function() { // ROL Zero Page,X
-    const addr = self.zeroPageX();
-    let value = self.memory.read(addr);
-    const carry = self.C ? 1 : 0;
-    self.C = (value & 0x80) !== 0;
-    value = ((value << 1) | carry) & 0xFF;
-    self.memory.write(addr, value);
-    self.setNZ(value);
-    return 6;
-};
-
-this.instructions[0x2E] = function() { // ROL Absolute
-    const addr = self.absolute();
-    let value = self.memory.read(addr);
-    const carry = self.C ? 1 : 0;
-    self.C = (value & 0x80) !== 0;
-    value = ((value << 1) | carry) & 0xFF;
-    self.memory.write(addr, value);
-    self.setNZ(value);
-    return 6;
-};
-
-this.instructions[0x3E] = function() { // ROL Absolute,X
-    const addr = self.absoluteX();
-    let value = self.memory.read(addr);
-    const carry = self.C ? 1 : 0;
-    self.C = (value & 0x80) !== 0;
-    value = ((value << 1) | carry) & 0xFF;
-    self.memory.write(addr, value);
-    self.setNZ(value);
-    return 7;
-};
-
-// ROR - Rotate Right
-this.instructions[0x6A] = function() { // ROR A
-    const carry = self.C ? 0x80 : 0;
-    self.C = (self.A & 0x01) !== 0;
-    self.A = (self.A >> 1) | carry;
-    self.setNZ(self.A);
-    return 2;
-};
-
-this.instructions[0x66] = function() { // ROR Zero Page
-    const addr = self.zeroPage();
-    let value = self.memory.read(addr);
-    const carry = self.C ? 0x80 : 0;
-    self.C = (value & 0x01) !== 0;
-    value = (value >> 1) | carry;
-    self.memory.write(addr, value);
-    self.setNZ(value);
-    return 5;
-};
-
-this.instructions[0x76] = function() { // ROR Zero Page,X
-    const addr = self.zeroPageX();
-    let value = self.memory.read(addr);
-    const carry = self.C ? 0x80 : 0;
-    self.C = (value & 0x01) !== 0;
-    value = (value >> 1) | carry;
-    self.memory.write(addr, value);
-    self.setNZ(value);
-    return 6;
-};
-
-this.instructions[0x6E] = function() { // ROR Absolute
-    const addr = self.absolute();
-    let value = self.memory.read(addr);
-    const carry = self.C ? 0x80 : 0;
-    self.C = (value & 0x01) !== 0;
-    value = (value >> 1) | carry;
-    self.memory.write(addr, value);
-    self.setNZ(value);
-    return 6;
-};
-
-this.instructions[0x7E] = function() { // ROR Absolute,X
-    const addr = self.absoluteX();
-    let value = self.memory.read(addr);
-    const carry = self.C ? 0x80 : 0;
-    self.C = (value & 0x01) !== 0;
-    value = (value >> 1) | carry;
-    self.memory.write(addr, value);
-    self.setNZ(value);
-    return 7;
-};
-
-// ASL - Arithmetic Shift Left
-this.instructions[0x0A] = function() { // ASL A
-    self.C = (self.A & 0x80) !== 0;
-    self.A = (self.A << 1) & 0xFF;
-    self.setNZ(self.A);
-    return 2;
-};
-
-this.instructions[0x06] = function() { // ASL Zero Page
-    const addr = self.zeroPage();
-    let value = self.memory.read(addr);
-    self.C = (value & 0x80) !== 0;
-    value = (value << 1) & 0xFF;
-    self.memory.write(addr, value);
-    self.setNZ(value);
-    return 5;
-};
-
-this.instructions[0x16] = function() { // ASL Zero Page,X
-    const addr = self.zeroPageX();
-    let value = self.memory.read(addr);
-    self.C = (value & 0x80) !== 0;
-    value = (value << 1) & 0xFF;
-    self.memory.write(addr, value);
-    self.setNZ(value);
-    return 6;
-};
-
-this.instructions[0x0E] = function() { // ASL Absolute
-    const addr = self.absolute();
-    let value = self.memory.read(addr);
-    self.C = (value & 0x80) !== 0;
-    value = (value << 1) & 0xFF;
-    self.memory.write(addr, value);
-    self.setNZ(value);
-    return 6;
-};
-
-this.instructions[0x1E] = function() { // ASL Absolute,X
-    const addr = self.absoluteX();
-    let value = self.memory.read(addr);
-    self.C = (value & 0x80) !== 0;
-    value = (value << 1) & 0xFF;
-    self.memory.write(addr, value);
-    self.setNZ(value);
-    return 7;
-};
-
-// LSR - Logical Shift Right
-this.instructions[0x4A] = function() { // LSR A
-    self.C = (self.A & 0x01) !== 0;
-    self.A = self.A >> 1;
-    self.setNZ(self.A);
-    return 2;
-};
-
-this.instructions[0x46] = function() { // LSR Zero Page
-    const addr = self.zeroPage();
-    let value = self.memory.read(addr);
-    self.C = (value & 0x01) !== 0;
-    value = value >> 1;
-    self.memory.write(addr, value);
-    self.setNZ(value);
-    return 5;
-};
-
-this.instructions[0x56] = function() { // LSR Zero Page,X
-    const addr = self.zeroPageX();
-    let value = self.memory.read(addr);
-    self.C = (value & 0x01) !== 0;
-    value = value >> 1;
-    self.memory.write(addr, value);
-    self.setNZ(value);
-    return 6;
-};
-
-this.instructions[0x4E] = function() { // LSR Absolute
-    const addr = self.absolute();
-    let value = self.memory.read(addr);
-    self.C = (value & 0x01) !== 0;
-    value = value >> 1;
-    self.memory.write(addr, value);
-    self.setNZ(value);
-    return 6;
-};
-
-this.instructions[0x5E] = function() { // LSR Absolute,X
-    const addr = self.absoluteX();
-    let value = self.memory.read(addr);
-    self.C = (value & 0x01) !== 0;
-    value = value >> 1;
-    self.memory.write(addr, value);
-    self.setNZ(value);
-    return 7;
-};
-
-// BIT - Bit Test
-this.instructions[0x24] = function() { // BIT Zero Page
-    const value = self.memory.read(self.zeroPage());
-    self.Z = (self.A & value) === 0;
-    self.N = (value & 0x80) !== 0;
-    self.V = (value & 0x40) !== 0;
-    return 3;
-};
-
-this.instructions[0x2C] = function() { // BIT Absolute
-    const value = self.memory.read(self.absolute());
-    self.Z = (self.A & value) === 0;
-    self.N = (value & 0x80) !== 0;
-    self.V = (value & 0x40) !== 0;
-    return 4;
-};
-
-// INC - Increment Memory
-this.instructions[0xE6] = function() { // INC Zero Page
-    const addr = self.zeroPage();
-    let value = (self.memory.read(addr) + 1) & 0xFF;
-    self.memory.write(addr, value);
-    self.setNZ(value);
-    return 5;
-};
-
-this.instructions[0xF6] = function() { // INC Zero Page,X
-    const addr = self.zeroPageX();
-    let value = (self.memory.read(addr) + 1) & 0xFF;
-    self.memory.write(addr, value);
-    self.setNZ(value);
-    return 6;
-};
-
-this.instructions[0xEE] = function() { // INC Absolute
-    const addr = self.absolute();
-    let value = (self.memory.read(addr) + 1) & 0xFF;
-    self.memory.write(addr, value);
-    self.setNZ(value);
-    return 6;
-};
-
-this.instructions[0xFE] = function() { // INC Absolute,X
-    const addr = self.absoluteX();
-    let value = (self.memory.read(addr) + 1) & 0xFF;
-    self.memory.write(addr, value);
-    self.setNZ(value);
-    return 7;
-};
-
-// DEC - Decrement Memory
-this.instructions[0xC6] = function() { // DEC Zero Page
-    const addr = self.zeroPage();
-    let value = (self.memory.read(addr) - 1) & 0xFF;
-    self.memory.write(addr, value);
-    self.setNZ(value);
-    return 5;
-};
-
-this.instructions[0xD6] = function() { // DEC Zero Page,X
-    const addr = self.zeroPageX();
-    let value = (self.memory.read(addr) - 1) & 0xFF;
-    self.memory.write(addr, value);
-    self.setNZ(value);
-    return 6;
-};
-
-this.instructions[0xCE] = function() { // DEC Absolute
-    const addr = self.absolute();
-    let value = (self.memory.read(addr) - 1) & 0xFF;
-    self.memory.write(addr, value);
-    self.setNZ(value);
-    return 6;
-};
-
-this.instructions[0xDE] = function() { // DEC Absolute,X
-    const addr = self.absoluteX();
-    let value = (self.memory.read(addr) - 1) & 0xFF;
-    self.memory.write(addr, value);
-    self.setNZ(value);
-    return 7;
-};
-
-
-
-
-
-//////////////
-// Add these UNOFFICIAL/ILLEGAL opcodes that C64 KERNAL uses
-// Place them in buildInstructionTable() before "Fill remaining with illegal opcodes"
-
-// Unofficial NOPs (do nothing but consume cycles)
-// These are commonly used by C64 software
-
-// NOP zp (2-byte NOPs that read zero page)
-this.instructions[0x04] = function() { // NOP zp
-    self.zeroPage(); // Read and discard
-    return 3;
-};
-
-this.instructions[0x44] = function() { // NOP zp
-    self.zeroPage(); // Read and discard
-    return 3;
-};
-
-this.instructions[0x64] = function() { // NOP zp
-    self.zeroPage(); // Read and discard
-    return 3;
-};
-
-// NOP absolute (3-byte NOP)
-this.instructions[0x0C] = function() { // NOP abs
-    self.absolute(); // Read and discard
-    return 4;
-};
-
-// NOP implied (1-byte NOPs)
-this.instructions[0x1A] = function() { // NOP
-    return 2;
-};
-
-this.instructions[0x3A] = function() { // NOP
-    return 2;
-};
-
-this.instructions[0x5A] = function() { // NOP
-    return 2;
-};
-
-this.instructions[0x7A] = function() { // NOP
-    return 2;
-};
-
-this.instructions[0xDA] = function() { // NOP
-    return 2;
-};
-
-this.instructions[0xFA] = function() { // NOP
-    return 2;
-};
-
-// NOP immediate (2-byte NOPs)
-this.instructions[0x80] = function() { // NOP #
-    self.immediate(); // Read and discard
-    return 2;
-};
-
-this.instructions[0x82] = function() { // NOP #
-    self.immediate(); // Read and discard
-    return 2;
-};
-
-this.instructions[0x89] = function() { // NOP #
-    self.immediate(); // Read and discard
-    return 2;
-};
-
-this.instructions[0xC2] = function() { // NOP #
-    self.immediate(); // Read and discard
-    return 2;
-};
-
-this.instructions[0xE2] = function() { // NOP #
-    self.immediate(); // Read and discard
-    return 2;
-};
-
-// NOP zp,X variants
-this.instructions[0x14] = function() { // NOP zp,X
-    self.zeroPageX(); // Read and discard
-    return 4;
-};
-
-this.instructions[0x34] = function() { // NOP zp,X
-    self.zeroPageX(); // Read and discard
-    return 4;
-};
-
-this.instructions[0x54] = function() { // NOP zp,X
-    self.zeroPageX(); // Read and discard
-    return 4;
-};
-
-this.instructions[0x74] = function() { // NOP zp,X
-    self.zeroPageX(); // Read and discard
-    return 4;
-};
-
-this.instructions[0xD4] = function() { // NOP zp,X
-    self.zeroPageX(); // Read and discard
-    return 4;
-};
-
-this.instructions[0xF4] = function() { // NOP zp,X
-    self.zeroPageX(); // Read and discard
-    return 4;
-};
-
-// NOP abs,X variants
-this.instructions[0x1C] = function() { // NOP abs,X
-    self.absoluteX(); // Read and discard
-    return 4;
-};
-
-this.instructions[0x3C] = function() { // NOP abs,X
-    self.absoluteX(); // Read and discard
-    return 4;
-};
-
-this.instructions[0x5C] = function() { // NOP abs,X
-    self.absoluteX(); // Read and discard
-    return 4;
-};
-
-this.instructions[0x7C] = function() { // NOP abs,X
-    self.absoluteX(); // Read and discard
-    return 4;
-};
-
-this.instructions[0xDC] = function() { // NOP abs,X
-    self.absoluteX(); // Read and discard
-    return 4;
-};
-
-this.instructions[0xFC] = function() { // NOP abs,X
-    self.absoluteX(); // Read and discard
-    return 4;
-};
-
-// LAX - Load A and X with same value (unofficial but commonly used)
-this.instructions[0xA7] = function() { // LAX zp
-    const value = self.memory.read(self.zeroPage());
-    self.A = value;
-    self.X = value;
-    self.setNZ(value);
-    return 3;
-};
-
-this.instructions[0xB7] = function() { // LAX zp,Y
-    const value = self.memory.read(self.zeroPageY());
-    self.A = value;
-    self.X = value;
-    self.setNZ(value);
-    return 4;
-};
-
-this.instructions[0xAF] = function() { // LAX abs
-    const value = self.memory.read(self.absolute());
-    self.A = value;
-    self.X = value;
-    self.setNZ(value);
-    return 4;
-};
-
-this.instructions[0xBF] = function() { // LAX abs,Y
-    const value = self.memory.read(self.absoluteY());
-    self.A = value;
-    self.X = value;
-    self.setNZ(value);
-    return 4;
-};
-
-this.instructions[0xA3] = function() { // LAX (zp,X)
-    const value = self.memory.read(self.indirectX());
-    self.A = value;
-    self.X = value;
-    self.setNZ(value);
-    return 6;
-};
-
-this.instructions[0xB3] = function() { // LAX (zp),Y
-    const value = self.memory.read(self.indirectY());
-    self.A = value;
-    self.X = value;
-    self.setNZ(value);
-    return 5;
-};
-
-// SAX - Store A AND X (unofficial)
-this.instructions[0x87] = function() { // SAX zp
-    self.memory.write(self.zeroPage(), self.A & self.X);
-    return 3;
-};
-
-this.instructions[0x97] = function() { // SAX zp,Y
-    self.memory.write(self.zeroPageY(), self.A & self.X);
-    return 4;
-};
-
-this.instructions[0x8F] = function() { // SAX abs
-    self.memory.write(self.absolute(), self.A & self.X);
-    return 4;
-};
-
-this.instructions[0x83] = function() { // SAX (zp,X)
-    self.memory.write(self.indirectX(), self.A & self.X);
-    return 6;
-};
-
-// DCP - Decrement then Compare (unofficial)
-this.instructions[0xC7] = function() { // DCP zp
-    const addr = self.zeroPage();
-    let value = (self.memory.read(addr) - 1) & 0xFF;
-    self.memory.write(addr, value);
-    const result = self.A - value;
-    self.C = self.A >= value;
-    self.setNZ(result & 0xFF);
-    return 5;
-};
-
-this.instructions[0xD7] = function() { // DCP zp,X
-    const addr = self.zeroPageX();
-    let value = (self.memory.read(addr) - 1) & 0xFF;
-    self.memory.write(addr, value);
-    const result = self.A - value;
-    self.C = self.A >= value;
-    self.setNZ(result & 0xFF);
-    return 6;
-};
-
-this.instructions[0xCF] = function() { // DCP abs
-    const addr = self.absolute();
-    let value = (self.memory.read(addr) - 1) & 0xFF;
-    self.memory.write(addr, value);
-    const result = self.A - value;
-    self.C = self.A >= value;
-    self.setNZ(result & 0xFF);
-    return 6;
-};
-
-this.instructions[0xDF] = function() { // DCP abs,X
-    const addr = self.absoluteX();
-    let value = (self.memory.read(addr) - 1) & 0xFF;
-    self.memory.write(addr, value);
-    const result = self.A - value;
-    self.C = self.A >= value;
-    self.setNZ(result & 0xFF);
-    return 7;
-};
-
-this.instructions[0xDB] = function() { // DCP abs,Y
-    const addr = self.absoluteY();
-    let value = (self.memory.read(addr) - 1) & 0xFF;
-    self.memory.write(addr, value);
-    const result = self.A - value;
-    self.C = self.A >= value;
-    self.setNZ(result & 0xFF);
-    return 7;
-};
-
-this.instructions[0xC3] = function() { // DCP (zp,X)
-    const addr = self.indirectX();
-    let value = (self.memory.read(addr) - 1) & 0xFF;
-    self.memory.write(addr, value);
-    const result = self.A - value;
-    self.C = self.A >= value;
-    self.setNZ(result & 0xFF);
-    return 8;
-};
-
-this.instructions[0xD3] = function() { // DCP (zp),Y
-    const addr = self.indirectY();
-    let value = (self.memory.read(addr) - 1) & 0xFF;
-    self.memory.write(addr, value);
-    const result = self.A - value;
-    self.C = self.A >= value;
-    self.setNZ(result & 0xFF);
-    return 8;
-};
-
-
-/////////////////////////
-// Add these critical missing instructions to buildInstructionTable()
-// Place before "Filxxx emaining with illegal opcodes"
-
-// BRK - Software Interrupt (opcode $00)
-this.instructions[0x00] = function() { // BRK
-    self.PC++; // BRK is a 2-byte instruction (opcode + padding byte)
-    self.push16(self.PC);
-    self.push(self.getP() | 0x10); // Set B flag in pushed status
-    self.I = true; // Set interrupt disable
-    self.PC = self.memory.read16(0xFFFE); // Jump to IRQ vector
-    return 7;
-};
-
-// Missing Branch Instructions
-this.instructions[0x90] = function() { // BCC - Branch if Carry Clear
-    const offset = self.relative();
-    if (!self.C) {
-        self.PC = (self.PC + offset) & 0xFFFF;
-        return 3;
-    }
-    return 2;
-};
-
-this.instructions[0xB0] = function() { // BCS - Branch if Carry Set
-    const offset = self.relative();
-    if (self.C) {
-        self.PC = (self.PC + offset) & 0xFFFF;
-        return 3;
-    }
-    return 2;
-};
-
-this.instructions[0x50] = function() { // BVC - Branch if Overflow Clear
-    const offset = self.relative();
-    if (!self.V) {
-        self.PC = (self.PC + offset) & 0xFFFF;
-        return 3;
-    }
-    return 2;
-};
-
-this.instructions[0x70] = function() { // BVS - Branch if Overflow Set
-    const offset = self.relative();
-    if (self.V) {
-        self.PC = (self.PC + offset) & 0xFFFF;
-        return 3;
-    }
-    return 2;
-};
-
-// ADC - Add with Carry (critical for BASIC)
-this.instructions[0x69] = function() { // ADC Immediate
-    const value = self.memory.read(self.immediate());
-    const result = self.A + value + (self.C ? 1 : 0);
-    self.V = ((self.A ^ result) & (value ^ result) & 0x80) !== 0;
-    self.C = result > 255;
-    self.A = result & 0xFF;
-    self.setNZ(self.A);
-    return 2;
-};
-
-this.instructions[0x65] = function() { // ADC Zero Page
-    const value = self.memory.read(self.zeroPage());
-    const result = self.A + value + (self.C ? 1 : 0);
-    self.V = ((self.A ^ result) & (value ^ result) & 0x80) !== 0;
-    self.C = result > 255;
-    self.A = result & 0xFF;
-    self.setNZ(self.A);
-    return 3;
-};
-
-this.instructions[0x75] = function() { // ADC Zero Page,X
-    const value = self.memory.read(self.zeroPageX());
-    const result = self.A + value + (self.C ? 1 : 0);
-    self.V = ((self.A ^ result) & (value ^ result) & 0x80) !== 0;
-    self.C = result > 255;
-    self.A = result & 0xFF;
-    self.setNZ(self.A);
-    return 4;
-};
-
-this.instructions[0x6D] = function() { // ADC Absolute
-    const value = self.memory.read(self.absolute());
-    const result = self.A + value + (self.C ? 1 : 0);
-    self.V = ((self.A ^ result) & (value ^ result) & 0x80) !== 0;
-    self.C = result > 255;
-    self.A = result & 0xFF;
-    self.setNZ(self.A);
-    return 4;
-};
-
-this.instructions[0x7D] = function() { // ADC Absolute,X
-    const value = self.memory.read(self.absoluteX());
-    const result = self.A + value + (self.C ? 1 : 0);
-    self.V = ((self.A ^ result) & (value ^ result) & 0x80) !== 0;
-    self.C = result > 255;
-    self.A = result & 0xFF;
-    self.setNZ(self.A);
-    return 4;
-};
-
-this.instructions[0x79] = function() { // ADC Absolute,Y
-    const value = self.memory.read(self.absoluteY());
-    const result = self.A + value + (self.C ? 1 : 0);
-    self.V = ((self.A ^ result) & (value ^ result) & 0x80) !== 0;
-    self.C = result > 255;
-    self.A = result & 0xFF;
-    self.setNZ(self.A);
-    return 4;
-};
-
-this.instructions[0x61] = function() { // ADC (Indirect,X)
-    const value = self.memory.read(self.indirectX());
-    const result = self.A + value + (self.C ? 1 : 0);
-    self.V = ((self.A ^ result) & (value ^ result) & 0x80) !== 0;
-    self.C = result > 255;
-    self.A = result & 0xFF;
-    self.setNZ(self.A);
-    return 6;
-};
-
-this.instructions[0x71] = function() { // ADC (Indirect),Y
-    const value = self.memory.read(self.indirectY());
-    const result = self.A + value + (self.C ? 1 : 0);
-    self.V = ((self.A ^ result) & (value ^ result) & 0x80) !== 0;
-    self.C = result > 255;
-    self.A = result & 0xFF;
-    self.setNZ(self.A);
-    return 5;
-};
-
-// SBC - Subtract with Carry
-this.instructions[0xE9] = function() { // SBC Immediate
-    const value = self.memory.read(self.immediate());
-    const result = self.A - value - (self.C ? 0 : 1);
-    self.V = ((self.A ^ result) & (self.A ^ value) & 0x80) !== 0;
-    self.C = result >= 0;
-    self.A = result & 0xFF;
-    self.setNZ(self.A);
-    return 2;
-};
-
-this.instructions[0xE5] = function() { // SBC Zero Page
-    const value = self.memory.read(self.zeroPage());
-    const result = self.A - value - (self.C ? 0 : 1);
-    self.V = ((self.A ^ result) & (self.A ^ value) & 0x80) !== 0;
-    self.C = result >= 0;
-    self.A = result & 0xFF;
-    self.setNZ(self.A);
-    return 3;
-};
-
-// AND - Logical AND
-this.instructions[0x29] = function() { // AND Immediate
-    self.A = self.A & self.memory.read(self.immediate());
-    self.setNZ(self.A);
-    return 2;
-};
-
-this.instructions[0x25] = function() { // AND Zero Page
-    self.A = self.A & self.memory.read(self.zeroPage());
-    self.setNZ(self.A);
-    return 3;
-};
-
-this.instructions[0x35] = function() { // AND Zero Page,X
-    self.A = self.A & self.memory.read(self.zeroPageX());
-    self.setNZ(self.A);
-    return 4;
-};
-
-this.instructions[0x2D] = function() { // AND Absolute
-    self.A = self.A & self.memory.read(self.absolute());
-    self.setNZ(self.A);
-    return 4;
-};
-
-// ORA - Logical OR
-this.instructions[0x09] = function() { // ORA Immediate
-    self.A = self.A | self.memory.read(self.immediate());
-    self.setNZ(self.A);
-    return 2;
-};
-
-this.instructions[0x05] = function() { // ORA Zero Page
-    self.A = self.A | self.memory.read(self.zeroPage());
-    self.setNZ(self.A);
-    return 3;
-};
-
-this.instructions[0x15] = function() { // ORA Zero Page,X
-    self.A = self.A | self.memory.read(self.zeroPageX());
-    self.setNZ(self.A);
-    return 4;
-};
-
-this.instructions[0x0D] = function() { // ORA Absolute
-    self.A = self.A | self.memory.read(self.absolute());
-    self.setNZ(self.A);
-    return 4;
-};
-
-// EOR - Exclusive OR
-this.instructions[0x49] = function() { // EOR Immediate
-    self.A = self.A ^ self.memory.read(self.immediate());
-    self.setNZ(self.A);
-    return 2;
-};
-
-this.instructions[0x45] = function() { // EOR Zero Page
-    self.A = self.A ^ self.memory.read(self.zeroPage());
-    self.setNZ(self.A);
-    return 3;
-};
-
-this.instructions[0x55] = function() { // EOR Zero Page,X
-    self.A = self.A ^ self.memory.read(self.zeroPageX());
-    self.setNZ(self.A);
-    return 4;
-};
-
-this.instructions[0x4D] = function() { // EOR Absolute
-    self.A = self.A ^ self.memory.read(self.absolute());
-    self.setNZ(self.A);
-    return 4;
-};
-
-
-// Add these UNOFFICIAL opcodes to MOS6502.js before "// Fill remaining"
-// C64 software often uses these "illegal" opcodes
-
-// RLA - ROL then AND (Rotate Left then AND with accumulator)
-this.instructions[0x2F] = function() { // RLA absolute
-    var addr = self.memory.read(self.PC + 1) | (self.memory.read(self.PC + 2) << 8);
-    var value = self.memory.read(addr);
-    var newCarry = (value & 0x80) !== 0;
-    value = ((value << 1) | (self.C ? 1 : 0)) & 0xFF;
-    self.memory.write(addr, value);
-    self.C = newCarry;
-    self.A = self.A & value;
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 3;
-    return 6;
-};
-
-this.instructions[0x3F] = function() { // RLA absolute,X
-    var base = self.memory.read(self.PC + 1) | (self.memory.read(self.PC + 2) << 8);
-    var addr = (base + self.X) & 0xFFFF;
-    var value = self.memory.read(addr);
-    var newCarry = (value & 0x80) !== 0;
-    value = ((value << 1) | (self.C ? 1 : 0)) & 0xFF;
-    self.memory.write(addr, value);
-    self.C = newCarry;
-    self.A = self.A & value;
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 3;
-    return 7;
-};
-
-this.instructions[0x27] = function() { // RLA zero page
-    var addr = self.memory.read(self.PC + 1);
-    var value = self.memory.read(addr);
-    var newCarry = (value & 0x80) !== 0;
-    value = ((value << 1) | (self.C ? 1 : 0)) & 0xFF;
-    self.memory.write(addr, value);
-    self.C = newCarry;
-    self.A = self.A & value;
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 2;
-    return 5;
-};
-
-this.instructions[0x37] = function() { // RLA zero page,X
-    var addr = (self.memory.read(self.PC + 1) + self.X) & 0xFF;
-    var value = self.memory.read(addr);
-    var newCarry = (value & 0x80) !== 0;
-    value = ((value << 1) | (self.C ? 1 : 0)) & 0xFF;
-    self.memory.write(addr, value);
-    self.C = newCarry;
-    self.A = self.A & value;
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 2;
-    return 6;
-};
-
-this.instructions[0x23] = function() { // RLA (indirect,X)
-    var base = self.memory.read(self.PC + 1);
-    var addr = ((base + self.X) & 0xFF);
-    var finalAddr = self.memory.read(addr) | (self.memory.read((addr + 1) & 0xFF) << 8);
-    var value = self.memory.read(finalAddr);
-    var newCarry = (value & 0x80) !== 0;
-    value = ((value << 1) | (self.C ? 1 : 0)) & 0xFF;
-    self.memory.write(finalAddr, value);
-    self.C = newCarry;
-    self.A = self.A & value;
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 2;
-    return 8;
-};
-
-this.instructions[0x33] = function() { // RLA (indirect),Y
-    var base = self.memory.read(self.PC + 1);
-    var addr = self.memory.read(base) | (self.memory.read((base + 1) & 0xFF) << 8);
-    var finalAddr = (addr + self.Y) & 0xFFFF;
-    var value = self.memory.read(finalAddr);
-    var newCarry = (value & 0x80) !== 0;
-    value = ((value << 1) | (self.C ? 1 : 0)) & 0xFF;
-    self.memory.write(finalAddr, value);
-    self.C = newCarry;
-    self.A = self.A & value;
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 2;
-    return 8;
-};
-
-// RRA - ROR then ADC (Rotate Right then Add with Carry)
-this.instructions[0x6F] = function() { // RRA absolute
-    var addr = self.memory.read(self.PC + 1) | (self.memory.read(self.PC + 2) << 8);
-    var value = self.memory.read(addr);
-    var newCarry = (value & 0x01) !== 0;
-    value = ((value >> 1) | (self.C ? 0x80 : 0)) & 0xFF;
-    self.memory.write(addr, value);
-    var result = self.A + value + (newCarry ? 1 : 0);
-    self.V = ((self.A ^ result) & (value ^ result) & 0x80) !== 0;
-    self.C = result > 0xFF;
-    self.A = result & 0xFF;
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 3;
-    return 6;
-};
-
-this.instructions[0x7F] = function() { // RRA absolute,X
-    var base = self.memory.read(self.PC + 1) | (self.memory.read(self.PC + 2) << 8);
-    var addr = (base + self.X) & 0xFFFF;
-    var value = self.memory.read(addr);
-    var newCarry = (value & 0x01) !== 0;
-    value = ((value >> 1) | (self.C ? 0x80 : 0)) & 0xFF;
-    self.memory.write(addr, value);
-    var result = self.A + value + (newCarry ? 1 : 0);
-    self.V = ((self.A ^ result) & (value ^ result) & 0x80) !== 0;
-    self.C = result > 0xFF;
-    self.A = result & 0xFF;
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 3;
-    return 7;
-};
-
-this.instructions[0x67] = function() { // RRA zero page
-    var addr = self.memory.read(self.PC + 1);
-    var value = self.memory.read(addr);
-    var newCarry = (value & 0x01) !== 0;
-    value = ((value >> 1) | (self.C ? 0x80 : 0)) & 0xFF;
-    self.memory.write(addr, value);
-    var result = self.A + value + (newCarry ? 1 : 0);
-    self.V = ((self.A ^ result) & (value ^ result) & 0x80) !== 0;
-    self.C = result > 0xFF;
-    self.A = result & 0xFF;
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 2;
-    return 5;
-};
-
-this.instructions[0x77] = function() { // RRA zero page,X
-    var addr = (self.memory.read(self.PC + 1) + self.X) & 0xFF;
-    var value = self.memory.read(addr);
-    var newCarry = (value & 0x01) !== 0;
-    value = ((value >> 1) | (self.C ? 0x80 : 0)) & 0xFF;
-    self.memory.write(addr, value);
-    var result = self.A + value + (newCarry ? 1 : 0);
-    self.V = ((self.A ^ result) & (value ^ result) & 0x80) !== 0;
-    self.C = result > 0xFF;
-    self.A = result & 0xFF;
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 2;
-    return 6;
-};
-
-// SLO - ASL then ORA (Shift Left then OR with accumulator)
-this.instructions[0x0F] = function() { // SLO absolute
-    var addr = self.memory.read(self.PC + 1) | (self.memory.read(self.PC + 2) << 8);
-    var value = self.memory.read(addr);
-    self.C = (value & 0x80) !== 0;
-    value = (value << 1) & 0xFF;
-    self.memory.write(addr, value);
-    self.A = self.A | value;
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 3;
-    return 6;
-};
-
-this.instructions[0x1F] = function() { // SLO absolute,X
-    var base = self.memory.read(self.PC + 1) | (self.memory.read(self.PC + 2) << 8);
-    var addr = (base + self.X) & 0xFFFF;
-    var value = self.memory.read(addr);
-    self.C = (value & 0x80) !== 0;
-    value = (value << 1) & 0xFF;
-    self.memory.write(addr, value);
-    self.A = self.A | value;
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 3;
-    return 7;
-};
-
-this.instructions[0x1B] = function() { // SLO absolute,Y
-    var base = self.memory.read(self.PC + 1) | (self.memory.read(self.PC + 2) << 8);
-    var addr = (base + self.Y) & 0xFFFF;
-    var value = self.memory.read(addr);
-    self.C = (value & 0x80) !== 0;
-    value = (value << 1) & 0xFF;
-    self.memory.write(addr, value);
-    self.A = self.A | value;
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 3;
-    return 7;
-};
-
-this.instructions[0x07] = function() { // SLO zero page
-    var addr = self.memory.read(self.PC + 1);
-    var value = self.memory.read(addr);
-    self.C = (value & 0x80) !== 0;
-    value = (value << 1) & 0xFF;
-    self.memory.write(addr, value);
-    self.A = self.A | value;
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 2;
-    return 5;
-};
-
-this.instructions[0x17] = function() { // SLO zero page,X
-    var addr = (self.memory.read(self.PC + 1) + self.X) & 0xFF;
-    var value = self.memory.read(addr);
-    self.C = (value & 0x80) !== 0;
-    value = (value << 1) & 0xFF;
-    self.memory.write(addr, value);
-    self.A = self.A | value;
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 2;
-    return 6;
-};
-
-// SRE - LSR then EOR (Shift Right then Exclusive OR)
-this.instructions[0x4F] = function() { // SRE absolute
-    var addr = self.memory.read(self.PC + 1) | (self.memory.read(self.PC + 2) << 8);
-    var value = self.memory.read(addr);
-    self.C = (value & 0x01) !== 0;
-    value = value >> 1;
-    self.memory.write(addr, value);
-    self.A = self.A ^ value;
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 3;
-    return 6;
-};
-
-this.instructions[0x5F] = function() { // SRE absolute,X
-    var base = self.memory.read(self.PC + 1) | (self.memory.read(self.PC + 2) << 8);
-    var addr = (base + self.X) & 0xFFFF;
-    var value = self.memory.read(addr);
-    self.C = (value & 0x01) !== 0;
-    value = value >> 1;
-    self.memory.write(addr, value);
-    self.A = self.A ^ value;
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 3;
-    return 7;
-};
-
-this.instructions[0x5B] = function() { // SRE absolute,Y
-    var base = self.memory.read(self.PC + 1) | (self.memory.read(self.PC + 2) << 8);
-    var addr = (base + self.Y) & 0xFFFF;
-    var value = self.memory.read(addr);
-    self.C = (value & 0x01) !== 0;
-    value = value >> 1;
-    self.memory.write(addr, value);
-    self.A = self.A ^ value;
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 3;
-    return 7;
-};
-
-this.instructions[0x47] = function() { // SRE zero page
-    var addr = self.memory.read(self.PC + 1);
-    var value = self.memory.read(addr);
-    self.C = (value & 0x01) !== 0;
-    value = value >> 1;
-    self.memory.write(addr, value);
-    self.A = self.A ^ value;
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 2;
-    return 5;
-};
-
-this.instructions[0x57] = function() { // SRE zero page,X
-    var addr = (self.memory.read(self.PC + 1) + self.X) & 0xFF;
-    var value = self.memory.read(addr);
-    self.C = (value & 0x01) !== 0;
-    value = value >> 1;
-    self.memory.write(addr, value);
-    self.A = self.A ^ value;
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 2;
-    return 6;
-};
-
-// ISC (ISB) - INC then SBC
-this.instructions[0xEF] = function() { // ISC absolute
-    var addr = self.memory.read(self.PC + 1) | (self.memory.read(self.PC + 2) << 8);
-    var value = (self.memory.read(addr) + 1) & 0xFF;
-    self.memory.write(addr, value);
-    var result = self.A - value - (self.C ? 0 : 1);
-    self.V = ((self.A ^ result) & (self.A ^ value) & 0x80) !== 0;
-    self.C = result >= 0;
-    self.A = result & 0xFF;
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 3;
-    return 6;
-};
-
-this.instructions[0xFF] = function() { // ISC absolute,X
-    var base = self.memory.read(self.PC + 1) | (self.memory.read(self.PC + 2) << 8);
-    var addr = (base + self.X) & 0xFFFF;
-    var value = (self.memory.read(addr) + 1) & 0xFF;
-    self.memory.write(addr, value);
-    var result = self.A - value - (self.C ? 0 : 1);
-    self.V = ((self.A ^ result) & (self.A ^ value) & 0x80) !== 0;
-    self.C = result >= 0;
-    self.A = result & 0xFF;
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 3;
-    return 7;
-};
-
-this.instructions[0xFB] = function() { // ISC absolute,Y
-    var base = self.memory.read(self.PC + 1) | (self.memory.read(self.PC + 2) << 8);
-    var addr = (base + self.Y) & 0xFFFF;
-    var value = (self.memory.read(addr) + 1) & 0xFF;
-    self.memory.write(addr, value);
-    var result = self.A - value - (self.C ? 0 : 1);
-    self.V = ((self.A ^ result) & (self.A ^ value) & 0x80) !== 0;
-    self.C = result >= 0;
-    self.A = result & 0xFF;
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 3;
-    return 7;
-};
-
-this.instructions[0xE7] = function() { // ISC zero page
-    var addr = self.memory.read(self.PC + 1);
-    var value = (self.memory.read(addr) + 1) & 0xFF;
-    self.memory.write(addr, value);
-    var result = self.A - value - (self.C ? 0 : 1);
-    self.V = ((self.A ^ result) & (self.A ^ value) & 0x80) !== 0;
-    self.C = result >= 0;
-    self.A = result & 0xFF;
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 2;
-    return 5;
-};
-
-this.instructions[0xF7] = function() { // ISC zero page,X
-    var addr = (self.memory.read(self.PC + 1) + self.X) & 0xFF;
-    var value = (self.memory.read(addr) + 1) & 0xFF;
-    self.memory.write(addr, value);
-    var result = self.A - value - (self.C ? 0 : 1);
-    self.V = ((self.A ^ result) & (self.A ^ value) & 0x80) !== 0;
-    self.C = result >= 0;
-    self.A = result & 0xFF;
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 2;
-    return 6;
-};
-
-// ANC - AND with Carry
-this.instructions[0x0B] = function() { // ANC immediate
-    self.A = self.A & self.memory.read(self.PC + 1);
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.C = self.N;
-    self.PC += 2;
-    return 2;
-};
-
-this.instructions[0x2B] = function() { // ANC immediate (duplicate)
-    self.A = self.A & self.memory.read(self.PC + 1);
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.C = self.N;
-    self.PC += 2;
-    return 2;
-};
-
-// ALR - AND then LSR
-this.instructions[0x4B] = function() { // ALR immediate
-    self.A = self.A & self.memory.read(self.PC + 1);
-    self.C = (self.A & 0x01) !== 0;
-    self.A = self.A >> 1;
-    self.Z = self.A === 0;
-    self.N = false;
-    self.PC += 2;
-    return 2;
-};
-
-// ARR - AND then ROR
-this.instructions[0x6B] = function() { // ARR immediate
-    self.A = self.A & self.memory.read(self.PC + 1);
-    self.A = ((self.A >> 1) | (self.C ? 0x80 : 0)) & 0xFF;
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.C = (self.A & 0x40) !== 0;
-    self.V = ((self.A & 0x40) ^ ((self.A & 0x20) << 1)) !== 0;
-    self.PC += 2;
-    return 2;
-};
-
-// XAA - Transfer X to A then AND (highly unstable)
-this.instructions[0x8B] = function() { // XAA immediate
-    self.A = self.X & self.memory.read(self.PC + 1);
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 2;
-    return 2;
-};
-
-// AXS - AND X with A, store in X, subtract
-this.instructions[0xCB] = function() { // AXS immediate
-    var temp = (self.A & self.X) & 0xFF;
-    var value = self.memory.read(self.PC + 1);
-    var result = temp - value;
-    self.X = result & 0xFF;
-    self.C = result >= 0;
-    self.Z = self.X === 0;
-    self.N = (self.X & 0x80) !== 0;
-    self.PC += 2;
-    return 2;
-};
-
-// SBC immediate (unofficial duplicate at 0xEB)
-this.instructions[0xEB] = function() { // SBC immediate (unofficial)
-    var value = self.memory.read(self.PC + 1);
-    var result = self.A - value - (self.C ? 0 : 1);
-    self.V = ((self.A ^ result) & (self.A ^ value) & 0x80) !== 0;
-    self.C = result >= 0;
-    self.A = result & 0xFF;
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 2;
-    return 2;
-};
-
-
-// Add these missing opcodes to MOS6502.js before "// Fill remaining"
-// These are critical for C64 KERNAL initialization
-
-// PHP - Push Processor Status (0x08)
-this.instructions[0x08] = function() {
-    self.push((self.N ? 0x80 : 0) | (self.V ? 0x40 : 0) | 0x20 | 
-              (self.B ? 0x10 : 0) | (self.D ? 0x08 : 0) | 
-              (self.I ? 0x04 : 0) | (self.Z ? 0x02 : 0) | (self.C ? 0x01 : 0));
-    // self.PC++;
-    return 3;
-};
-
-// PLP - Pull Processor Status (0x28)
-this.instructions[0x28] = function() {
-    var flags = self.pop();
-    self.N = (flags & 0x80) !== 0;
-    self.V = (flags & 0x40) !== 0;
-    self.B = (flags & 0x10) !== 0;
-    self.D = (flags & 0x08) !== 0;
-    self.I = (flags & 0x04) !== 0;
-    self.Z = (flags & 0x02) !== 0;
-    self.C = (flags & 0x01) !== 0;
-    // self.PC++;
-    return 4;
-};
-
-// CPY - Compare Y Register (0xC0, 0xC4, 0xCC)
-this.instructions[0xC0] = function() { // CPY immediate
-    var value = self.memory.read(self.PC + 1);
-    var result = self.Y - value;
-    self.C = self.Y >= value;
-    self.Z = (result & 0xFF) === 0;
-    self.N = (result & 0x80) !== 0;
-    self.PC += 2;
-    return 2;
-};
-
-this.instructions[0xC4] = function() { // CPY zero page
-    var addr = self.memory.read(self.PC + 1);
-    var value = self.memory.read(addr);
-    var result = self.Y - value;
-    self.C = self.Y >= value;
-    self.Z = (result & 0xFF) === 0;
-    self.N = (result & 0x80) !== 0;
-    self.PC += 2;
-    return 3;
-};
-
-this.instructions[0xCC] = function() { // CPY absolute
-    var addr = self.memory.read(self.PC + 1) | (self.memory.read(self.PC + 2) << 8);
-    var value = self.memory.read(addr);
-    var result = self.Y - value;
-    self.C = self.Y >= value;
-    self.Z = (result & 0xFF) === 0;
-    self.N = (result & 0x80) !== 0;
-    self.PC += 3;
-    return 4;
-};
-
-// CPX - Compare X Register (0xE0, 0xE4, 0xEC)
-this.instructions[0xE0] = function() { // CPX immediate
-    var value = self.memory.read(self.PC + 1);
-    var result = self.X - value;
-    self.C = self.X >= value;
-    self.Z = (result & 0xFF) === 0;
-    self.N = (result & 0x80) !== 0;
-    self.PC += 2;
-    return 2;
-};
-
-this.instructions[0xE4] = function() { // CPX zero page
-    var addr = self.memory.read(self.PC + 1);
-    var value = self.memory.read(addr);
-    var result = self.X - value;
-    self.C = self.X >= value;
-    self.Z = (result & 0xFF) === 0;
-    self.N = (result & 0x80) !== 0;
-    self.PC += 2;
-    return 3;
-};
-
-this.instructions[0xEC] = function() { // CPX absolute
-    var addr = self.memory.read(self.PC + 1) | (self.memory.read(self.PC + 2) << 8);
-    var value = self.memory.read(addr);
-    var result = self.X - value;
-    self.C = self.X >= value;
-    self.Z = (result & 0xFF) === 0;
-    self.N = (result & 0x80) !== 0;
-    self.PC += 3;
-    return 4;
-};
-
-// CMP - More variants (0xC1, 0xD1, 0xC5, 0xD5, 0xCD, 0xDD, 0xD9)
-this.instructions[0xC1] = function() { // CMP (indirect,X)
-    var base = self.memory.read(self.PC + 1);
-    var addr = ((base + self.X) & 0xFF);
-    var finalAddr = self.memory.read(addr) | (self.memory.read((addr + 1) & 0xFF) << 8);
-    var value = self.memory.read(finalAddr);
-    var result = self.A - value;
-    self.C = self.A >= value;
-    self.Z = (result & 0xFF) === 0;
-    self.N = (result & 0x80) !== 0;
-    self.PC += 2;
-    return 6;
-};
-
-this.instructions[0xD1] = function() { // CMP (indirect),Y
-    var base = self.memory.read(self.PC + 1);
-    var addr = self.memory.read(base) | (self.memory.read((base + 1) & 0xFF) << 8);
-    var finalAddr = (addr + self.Y) & 0xFFFF;
-    var value = self.memory.read(finalAddr);
-    var result = self.A - value;
-    self.C = self.A >= value;
-    self.Z = (result & 0xFF) === 0;
-    self.N = (result & 0x80) !== 0;
-    self.PC += 2;
-    return ((addr & 0xFF00) !== (finalAddr & 0xFF00)) ? 6 : 5;
-};
-
-this.instructions[0xC5] = function() { // CMP zero page
-    var addr = self.memory.read(self.PC + 1);
-    var value = self.memory.read(addr);
-    var result = self.A - value;
-    self.C = self.A >= value;
-    self.Z = (result & 0xFF) === 0;
-    self.N = (result & 0x80) !== 0;
-    self.PC += 2;
-    return 3;
-};
-
-this.instructions[0xD5] = function() { // CMP zero page,X
-    var addr = (self.memory.read(self.PC + 1) + self.X) & 0xFF;
-    var value = self.memory.read(addr);
-    var result = self.A - value;
-    self.C = self.A >= value;
-    self.Z = (result & 0xFF) === 0;
-    self.N = (result & 0x80) !== 0;
-    self.PC += 2;
-    return 4;
-};
-
-this.instructions[0xCD] = function() { // CMP absolute
-    var addr = self.memory.read(self.PC + 1) | (self.memory.read(self.PC + 2) << 8);
-    var value = self.memory.read(addr);
-    var result = self.A - value;
-    self.C = self.A >= value;
-    self.Z = (result & 0xFF) === 0;
-    self.N = (result & 0x80) !== 0;
-    self.PC += 3;
-    return 4;
-};
-
-this.instructions[0xDD] = function() { // CMP absolute,X
-    var base = self.memory.read(self.PC + 1) | (self.memory.read(self.PC + 2) << 8);
-    var addr = (base + self.X) & 0xFFFF;
-    var value = self.memory.read(addr);
-    var result = self.A - value;
-    self.C = self.A >= value;
-    self.Z = (result & 0xFF) === 0;
-    self.N = (result & 0x80) !== 0;
-    self.PC += 3;
-    return ((base & 0xFF00) !== (addr & 0xFF00)) ? 5 : 4;
-};
-
-this.instructions[0xD9] = function() { // CMP absolute,Y
-    var base = self.memory.read(self.PC + 1) | (self.memory.read(self.PC + 2) << 8);
-    var addr = (base + self.Y) & 0xFFFF;
-    var value = self.memory.read(addr);
-    var result = self.A - value;
-    self.C = self.A >= value;
-    self.Z = (result & 0xFF) === 0;
-    self.N = (result & 0x80) !== 0;
-    self.PC += 3;
-    return ((base & 0xFF00) !== (addr & 0xFF00)) ? 5 : 4;
-};
-
-// LDA - More variants (0xA1, 0xB1, 0xB5, 0xB9)
-this.instructions[0xA1] = function() { // LDA (indirect,X)
-    var base = self.memory.read(self.PC + 1);
-    var addr = ((base + self.X) & 0xFF);
-    var finalAddr = self.memory.read(addr) | (self.memory.read((addr + 1) & 0xFF) << 8);
-    self.A = self.memory.read(finalAddr);
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 2;
-    return 6;
-};
-
-this.instructions[0xB1] = function() { // LDA (indirect),Y
-    var base = self.memory.read(self.PC + 1);
-    var addr = self.memory.read(base) | (self.memory.read((base + 1) & 0xFF) << 8);
-    var finalAddr = (addr + self.Y) & 0xFFFF;
-    self.A = self.memory.read(finalAddr);
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 2;
-    return ((addr & 0xFF00) !== (finalAddr & 0xFF00)) ? 6 : 5;
-};
-
-this.instructions[0xB5] = function() { // LDA zero page,X
-    var addr = (self.memory.read(self.PC + 1) + self.X) & 0xFF;
-    self.A = self.memory.read(addr);
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 2;
-    return 4;
-};
-
-this.instructions[0xB9] = function() { // LDA absolute,Y
-    var base = self.memory.read(self.PC + 1) | (self.memory.read(self.PC + 2) << 8);
-    var addr = (base + self.Y) & 0xFFFF;
-    self.A = self.memory.read(addr);
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 3;
-    return ((base & 0xFF00) !== (addr & 0xFF00)) ? 5 : 4;
-};
-
-// STA - More variants (0x81, 0x91, 0x95, 0x99)
-this.instructions[0x81] = function() { // STA (indirect,X)
-    var base = self.memory.read(self.PC + 1);
-    var addr = ((base + self.X) & 0xFF);
-    var finalAddr = self.memory.read(addr) | (self.memory.read((addr + 1) & 0xFF) << 8);
-    self.memory.write(finalAddr, self.A);
-    self.PC += 2;
-    return 6;
-};
-
-this.instructions[0x91] = function() { // STA (indirect),Y
-    var base = self.memory.read(self.PC + 1);
-    var addr = self.memory.read(base) | (self.memory.read((base + 1) & 0xFF) << 8);
-    var finalAddr = (addr + self.Y) & 0xFFFF;
-    self.memory.write(finalAddr, self.A);
-    self.PC += 2;
-    return 6;
-};
-
-this.instructions[0x95] = function() { // STA zero page,X
-    var addr = (self.memory.read(self.PC + 1) + self.X) & 0xFF;
-    self.memory.write(addr, self.A);
-    self.PC += 2;
-    return 4;
-};
-
-this.instructions[0x99] = function() { // STA absolute,Y
-    var base = self.memory.read(self.PC + 1) | (self.memory.read(self.PC + 2) << 8);
-    var addr = (base + self.Y) & 0xFFFF;
-    self.memory.write(addr, self.A);
-    self.PC += 3;
-    return 5;
-};
-
-// CLV - Clear Overflow Flag (0xB8)
-this.instructions[0xB8] = function() {
-    self.V = false;
-    // self.PC++;
-    return 2;
-};
-
-// More SBC variants (0xF5, 0xED, 0xFD, 0xF9, 0xE1, 0xF1)
-this.instructions[0xF5] = function() { // SBC zero page,X
-    var addr = (self.memory.read(self.PC + 1) + self.X) & 0xFF;
-    var value = self.memory.read(addr);
-    var result = self.A - value - (self.C ? 0 : 1);
-    self.V = ((self.A ^ result) & (self.A ^ value) & 0x80) !== 0;
-    self.C = result >= 0;
-    self.A = result & 0xFF;
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 2;
-    return 4;
-};
-
-this.instructions[0xED] = function() { // SBC absolute
-    var addr = self.memory.read(self.PC + 1) | (self.memory.read(self.PC + 2) << 8);
-    var value = self.memory.read(addr);
-    var result = self.A - value - (self.C ? 0 : 1);
-    self.V = ((self.A ^ result) & (self.A ^ value) & 0x80) !== 0;
-    self.C = result >= 0;
-    self.A = result & 0xFF;
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 3;
-    return 4;
-};
-
-this.instructions[0xFD] = function() { // SBC absolute,X
-    var base = self.memory.read(self.PC + 1) | (self.memory.read(self.PC + 2) << 8);
-    var addr = (base + self.X) & 0xFFFF;
-    var value = self.memory.read(addr);
-    var result = self.A - value - (self.C ? 0 : 1);
-    self.V = ((self.A ^ result) & (self.A ^ value) & 0x80) !== 0;
-    self.C = result >= 0;
-    self.A = result & 0xFF;
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 3;
-    return ((base & 0xFF00) !== (addr & 0xFF00)) ? 5 : 4;
-};
-
-this.instructions[0xF9] = function() { // SBC absolute,Y
-    var base = self.memory.read(self.PC + 1) | (self.memory.read(self.PC + 2) << 8);
-    var addr = (base + self.Y) & 0xFFFF;
-    var value = self.memory.read(addr);
-    var result = self.A - value - (self.C ? 0 : 1);
-    self.V = ((self.A ^ result) & (self.A ^ value) & 0x80) !== 0;
-    self.C = result >= 0;
-    self.A = result & 0xFF;
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 3;
-    return ((base & 0xFF00) !== (addr & 0xFF00)) ? 5 : 4;
-};
-
-this.instructions[0xE1] = function() { // SBC (indirect,X)
-    var base = self.memory.read(self.PC + 1);
-    var addr = ((base + self.X) & 0xFF);
-    var finalAddr = self.memory.read(addr) | (self.memory.read((addr + 1) & 0xFF) << 8);
-    var value = self.memory.read(finalAddr);
-    var result = self.A - value - (self.C ? 0 : 1);
-    self.V = ((self.A ^ result) & (self.A ^ value) & 0x80) !== 0;
-    self.C = result >= 0;
-    self.A = result & 0xFF;
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 2;
-    return 6;
-};
-
-this.instructions[0xF1] = function() { // SBC (indirect),Y
-    var base = self.memory.read(self.PC + 1);
-    var addr = self.memory.read(base) | (self.memory.read((base + 1) & 0xFF) << 8);
-    var finalAddr = (addr + self.Y) & 0xFFFF;
-    var value = self.memory.read(finalAddr);
-    var result = self.A - value - (self.C ? 0 : 1);
-    self.V = ((self.A ^ result) & (self.A ^ value) & 0x80) !== 0;
-    self.C = result >= 0;
-    self.A = result & 0xFF;
-    self.Z = self.A === 0;
-    self.N = (self.A & 0x80) !== 0;
-    self.PC += 2;
-    return ((addr & 0xFF00) !== (finalAddr & 0xFF00)) ? 6 : 5;
-};
-
-
-        
-        // Fill remaining with illegal opcodes (treated as NOP)
-        for (let i = 0; i < 256; i++) {
-            if (!this.instructions[i]) {
-                this.instructions[i] = function() {
-                    console.log(`Illegal opcode $${i.toString(16).padStart(2, '0')} at $${self.PC.toString(16).padStart(4, '0')}`);
-                    return 2;
-                };
-            }
-        }
-    }
-    
-    // Handle interrupts
-    irq() {
-        if (!this.I) {
-            this.push16(this.PC);
-            this.push(this.getP() | 0x20);
-            this.I = true;
-            this.PC = this.memory.read16(0xFFFE);
+            this.instructions[opcode] = function() {
+                self.pageCrossed = false;
+                const addr = self.resolveAddress(mode, fixup);
+                const extra = operation(addr, mode) || 0;
+                return cycles + extra + (pageCross && self.pageCrossed ? 1 : 0);
+            };
         }
     }
-    
-    nmi() {
-        this.push16(this.PC);
-        this.push(this.getP() | 0x20);
-        this.I = true;
-        this.PC = this.memory.read16(0xFFFA);
-    }
-    
-    // Disassembler for debugging
+
+    // Disassembly listing for debugging
     disassemble(address, lines = 10) {
-        const result = [];
-        let addr = address;
-        
-        for (let i = 0; i < lines; i++) {
-            const opcode = this.memory.read(addr);
-            result.push(`$${addr.toString(16).padStart(4, '0')}: ${opcode.toString(16).padStart(2, '0')} (${this.getOpcodeName(opcode)})`);
-            addr++;
-        }
-        
-        return result.join('\n');
+        return this.disassembler.listing(address, lines);
     }
-    
+
     getOpcodeName(opcode) {
-        const names = {
-            0xEA: 'NOP',
-            0xA9: 'LDA #',
-            0xA5: 'LDA zp',
-            0xAD: 'LDA abs',
-            0xA2: 'LDX #',
-            0x78: 'SEI',
-            0xD8: 'CLD',
-            0x9A: 'TXS',
-            0x4C: 'JMP abs',
-            0x20: 'JSR',
-            0x60: 'RTS',
-            0x40: 'RTI'
-        };
-        return names[opcode] || '???';
+        const { mnemonic, mode } = OPCODES[opcode & 0xFF];
+        return mode === 'imp' ? mnemonic : `${mnemonic} ${mode}`;
     }
-}
\ No newline at end of file
+}
@@ -1,6 +1,67 @@
 // Memory.js - C64 Memory Management with Bank Switching
 // Clean room implementation following C64 memory map specification
 
+// Memory.watchFlags bits, set by the Debugger for watched addresses
+export const WATCH_READ = 0x01;
+export const WATCH_WRITE = 0x02;
+
+// What the PLA can select for a block of the CPU address space
+const RAM = 0;
+const BASIC = 1;
+const KERNAL = 2;
+const CHAR = 3;
+const IO = 4;
+const ROML = 5;   // Cartridge ROM at $8000
+const ROMH = 6;   // Cartridge ROM at $A000 (or $E000 in Ultimax mode)
+const OPEN = 7;   // Nothing selected (Ultimax mode)
+
+const BANK_NAMES = ['RAM', 'BASIC', 'KERNAL', 'CHAR', 'IO', 'ROML', 'ROMH', 'OPEN'];
+
+// PLA output for each mode, indexed by EXROM GAME CHAREN HIRAM LORAM
+// (bit 4 to bit 0). Columns: $0000 $1000-$7FFF $8000 $A000 $C000 $D000 $E000
+const ALL_RAM = [RAM, RAM, RAM, RAM, RAM, RAM, RAM];
+const ULTIMAX = [RAM, OPEN, ROML, OPEN, OPEN, IO, ROMH];
+const PLA_MODES = [
+    ALL_RAM,                                     //  0
+    ALL_RAM,                                     //  1
+    [RAM, RAM, RAM, ROMH, RAM, CHAR, KERNAL],    //  2  16K cartridge
+    [RAM, RAM, ROML, ROMH, RAM, CHAR, KERNAL],   //  3
+    ALL_RAM,                                     //  4
+    [RAM, RAM, RAM, RAM, RAM, IO, RAM],          //  5
+    [RAM, RAM, RAM, ROMH, RAM, IO, KERNAL],      //  6
+    [RAM, RAM, ROML, ROMH, RAM, IO, KERNAL],     //  7
+    ALL_RAM,                                     //  8  8K cartridge
+    [RAM, RAM, RAM, RAM, RAM, CHAR, RAM],        //  9
+    [RAM, RAM, RAM, RAM, RAM, CHAR, KERNAL],     // 10
+    [RAM, RAM, ROML, BASIC, RAM, CHAR, KERNAL],  // 11
+    ALL_RAM,                                     // 12
+    [RAM, RAM, RAM, RAM, RAM, IO, RAM],          // 13
+    [RAM, RAM, RAM, RAM, RAM, IO, KERNAL],       // 14
+    [RAM, RAM, ROML, BASIC, RAM, IO, KERNAL],    // 15
+    ULTIMAX, ULTIMAX, ULTIMAX, ULTIMAX,          // 16-23 Ultimax
+    ULTIMAX, ULTIMAX, ULTIMAX, ULTIMAX,
+    ALL_RAM,                                     // 24 No cartridge
+    [RAM, RAM, RAM, RAM, RAM, CHAR, RAM],        // 25
+    [RAM, RAM, RAM, RAM, RAM, CHAR, KERNAL],     // 26
+    [RAM, RAM, RAM, BASIC, RAM, CHAR, KERNAL],   // 27
+    ALL_RAM,                                     // 28
+    [RAM, RAM, RAM, RAM, RAM, IO, RAM],          // 29
+    [RAM, RAM, RAM, RAM, RAM, IO, KERNAL],       // 30
+    [RAM, RAM, RAM, BASIC, RAM, IO, KERNAL]      // 31
+];
+
+// PLA_MODES column for each 4K block
+const BLOCK_COLUMNS = [0, 1, 1, 1, 1, 1, 1, 1, 2, 2, 3, 3, 4, 5, 6, 6];
+
+// Processor port lines that read high when set as inputs: LORAM, HIRAM
+// and CHAREN have pull-ups, cassette sense (bit 4) reads 1 with no button
+// pressed
+const PORT_PULLUPS = 0x17;
+
+// Unselected addresses in Ultimax mode read back whatever was last on the
+// data bus; the emulator has no bus model, so they read $FF
+const OPEN_BUS = 0xFF;
+
 export class Memory {
     constructor(size = 65536) {
         this.size = size;
@@ -14,100 +75,300 @@ export class Memory {
         // I/O handlers for memory-mapped devices
         this.ioHandlers = new Map();
         
-        // Bank switching configuration (controlled by $0001)
-        this.bankConfig = 0x37; // Default: BASIC + KERNAL visible
+        // Cartridge ROMs (8K each, null when not plugged in)
+        this.romL = null;
+        this.romH = null;
+        
+        // 6510 processor port: $00 data direction (1 = output), $01 data.
+        // Bits 0-2 are the LORAM/HIRAM/CHAREN lines into the PLA.
+        this.portDirection = 0x2F;
+        this.portData = 0x37;   // Default: BASIC + KERNAL + IO visible
+        
+        // Expansion port lines into the PLA, 1 = high (no cartridge)
+        this.game = 1;
+        this.exrom = 1;
+        
+        // Bank selected for each 4K block, kept up to date by updateMemoryMap
+        this.blocks = new Uint8Array(16);
+        
+        // Page tables: a read or write handler for each 256-byte page,
+        // rebuilt when the banking or the I/O handlers change, so an access
+        // is one lookup. The I/O pages ($D000-$DFFF) are built separately
+        // from the registered handlers.
+        this.readPages = new Array(256);
+        this.writePages = new Array(256);
+        this.ioReadPages = new Array(16);
+        this.ioWritePages = new Array(16);
+        // Same as readPages, but the I/O pages read device registers
+        // without side effects (no acknowledged interrupts, cleared latches)
+        this.peekPages = new Array(256);
+        this.ioPeekPages = new Array(16);
+        this.mappedMode = -1;
+        
+        // Handlers called after the write to an address has gone through,
+        // for devices that watch the bus (the REU's $FF00 trigger)
+        this.writeTraps = new Map();
+        
+        this.createPageHandlers();
+        this.buildIOPages();
+        this.updateMemoryMap();
+        
+        // Debugger watchpoints: per-address read/write bits, null when none are set
+        this.watchFlags = null;
+        this.onWatch = null;    // (address, value, isWrite) => void
         
         // Initialize color RAM with default color
         this.colorRAM.fill(14); // Light blue
     }
     
-    setIOHandler(startAddr, endAddr, readHandler, writeHandler) {
-        this.ioHandlers.set(`${startAddr}-${endAddr}`, {
-            start: startAddr,
-            end: endAddr,
-            read: readHandler,
-            write: writeHandler
-        });
+    // LORAM/HIRAM/CHAREN as the PLA sees them: port bits set as inputs
+    // are pulled high
+    get bankConfig() {
+        return ((this.portData & this.portDirection) | (~this.portDirection & PORT_PULLUPS)) & 0x07;
     }
     
-    read(address) {
-        address &= 0xFFFF; // Ensure 16-bit address
+    // Drive LORAM/HIRAM/CHAREN directly (bits 0-2 become outputs)
+    set bankConfig(value) {
+        this.portDirection |= 0x07;
+        this.portData = (this.portData & 0xF8) | (value & 0x07);
+        this.updateMemoryMap();
+    }
+    
+    // Value read back from $01: output bits as written, input bits as the
+    // lines outside drive them
+    get portValue() {
+        return ((this.portData & this.portDirection) | (~this.portDirection & PORT_PULLUPS)) & 0xFF;
+    }
+    
+    // Set the cartridge GAME and EXROM lines (1 = high, inactive)
+    setCartridgeLines(game, exrom) {
+        this.game = game ? 1 : 0;
+        this.exrom = exrom ? 1 : 0;
+        this.updateMemoryMap();
+    }
+    
+    // PLA mode: EXROM GAME CHAREN HIRAM LORAM
+    get mode() {
+        return (this.exrom << 4) | (this.game << 3) | this.bankConfig;
+    }
+    
+    get ultimax() {
+        return this.game === 0 && this.exrom === 1;
+    }
+    
+    updateMemoryMap() {
+        const mode = this.mode;
+        if (mode === this.mappedMode) return;
+        this.mappedMode = mode;
         
-        // Color RAM ($D800-$DBFF)
-        if (address >= 0xD800 && address <= 0xDBFF) {
-            return this.colorRAM[address - 0xD800] & 0x0F;
+        const columns = PLA_MODES[mode];
+        for (let block = 0; block < 16; block++) {
+            this.blocks[block] = columns[BLOCK_COLUMNS[block]];
         }
+        this.buildPageTables();
+    }
+    
+    // Read and write handlers for each kind of bank, created once so
+    // rebuilding the page tables only copies references
+    createPageHandlers() {
+        const { ram, rom, charset } = this;
+        const readRAM = (address) => ram[address];
+        const writeRAM = (address, value) => { ram[address] = value; };
+        const readROM = (address) => rom[address];
+        const ignore = () => {};
         
-        // Check for I/O handler
-        for (const [range, handler] of this.ioHandlers) {
-            if (address >= handler.start && address <= handler.end) {
-                return handler.read(address);
-            }
-        }
+        this.bankReaders = [];
+        this.bankReaders[RAM] = readRAM;
+        this.bankReaders[BASIC] = readROM;
+        this.bankReaders[KERNAL] = readROM;
+        this.bankReaders[CHAR] = (address) => charset[address & 0x0FFF];
+        this.bankReaders[ROML] = (address) => (this.romL ? this.romL[address & 0x1FFF] : OPEN_BUS);
+        this.bankReaders[ROMH] = (address) => (this.romH ? this.romH[address & 0x1FFF] : OPEN_BUS);
+        this.bankReaders[OPEN] = () => OPEN_BUS;
         
-        // Bank switching logic based on $0001
-        const config = this.bankConfig;
+        // ROM areas are not writable, but writes go to underlying RAM
+        this.writeRAM = writeRAM;
+        this.ignoreWrite = ignore;
         
-        // LORAM (bit 0): BASIC ROM at $A000-$BFFF
-        // HIRAM (bit 1): KERNAL ROM at $E000-$FFFF
-        // CHAREN (bit 2): Character ROM/IO at $D000-$DFFF
+        // Processor port at $00/$01; the write also reaches the RAM underneath
+        this.readZeroPage = (address) => {
+            if (address === 0x0000) return this.portDirection;
+            if (address === 0x0001) return this.portValue;
+            return ram[address];
+        };
+        this.writeZeroPage = (address, value) => {
+            ram[address] = value;
+            if (address <= 0x0001) {
+                if (address === 0x0000) {
+                    this.portDirection = value;
+                } else {
+                    this.portData = value;
+                }
+                this.updateMemoryMap();
+            }
+        };
+    }
+    
+    buildPageTables() {
+        const ultimax = this.ultimax;
         
-        // BASIC ROM area ($A000-$BFFF)
-        if (address >= 0xA000 && address <= 0xBFFF) {
-            if (config & 0x01) { // LORAM
-                return this.rom[address];
+        for (let page = 0; page < 256; page++) {
+            const bank = this.blocks[page >> 4];
+            if (bank === IO) {
+                this.readPages[page] = this.ioReadPages[page - 0xD0];
+                this.writePages[page] = this.ioWritePages[page - 0xD0];
+                this.peekPages[page] = this.ioPeekPages[page - 0xD0];
+                continue;
             }
-            return this.ram[address];
+            
+            this.readPages[page] = this.bankReaders[bank];
+            this.peekPages[page] = this.bankReaders[bank];
+            // Ultimax cartridges own their ROM areas and nothing answers
+            // in the open ones; otherwise writes reach RAM
+            const ignored = bank === OPEN || (ultimax && (bank === ROML || bank === ROMH));
+            this.writePages[page] = ignored ? this.ignoreWrite : this.writeRAM;
         }
         
-        // IO/Character ROM area ($D000-$DFFF)
-        if (address >= 0xD000 && address <= 0xDFFF) {
-            if (!(config & 0x04)) { // CHAREN = 0, Character ROM visible
-                return this.charset[address - 0xD000];
-            }
-            // IO area is visible (handled by IO handlers above)
-            return this.ram[address];
+        this.readPages[0] = this.readZeroPage;
+        this.writePages[0] = this.writeZeroPage;
+        this.peekPages[0] = this.readZeroPage;
+        
+        for (const [address, trap] of this.writeTraps) {
+            const page = address >> 8;
+            const write = this.writePages[page];
+            this.writePages[page] = (addr, value) => {
+                write(addr, value);
+                if (addr === address) trap(addr, value);
+            };
+        }
+    }
+    
+    // Call handler(address, value) after every write to address
+    trapWrite(address, handler) {
+        this.writeTraps.set(address & 0xFFFF, handler);
+        this.buildPageTables();
+    }
+    
+    untrapWrite(address) {
+        if (this.writeTraps.delete(address & 0xFFFF)) {
+            this.buildPageTables();
         }
+    }
+    
+    // Handlers for each I/O page: color RAM, the device registered for the
+    // whole page, or a search of the devices registered for parts of it.
+    // Unclaimed I/O addresses fall through to RAM.
+    buildIOPages() {
+        const { ram, colorRAM } = this;
+        const handlers = Array.from(this.ioHandlers.values());
         
-        // KERNAL ROM area ($E000-$FFFF)
-        if (address >= 0xE000 && address <= 0xFFFF) {
-            if (config & 0x02) { // HIRAM
-                return this.rom[address];
+        for (let index = 0; index < 16; index++) {
+            const start = 0xD000 + (index << 8);
+            const end = start + 0xFF;
+            
+            if (start >= 0xD800 && end <= 0xDBFF) {
+                this.ioReadPages[index] = (address) => colorRAM[address - 0xD800] & 0x0F;
+                this.ioWritePages[index] = (address, value) => { colorRAM[address - 0xD800] = value & 0x0F; };
+                this.ioPeekPages[index] = this.ioReadPages[index];
+                continue;
+            }
+            
+            const devices = handlers.filter(handler => handler.start <= end && handler.end >= start);
+            if (devices.length === 0) {
+                this.ioReadPages[index] = this.bankReaders[RAM];
+                this.ioWritePages[index] = this.writeRAM;
+                this.ioPeekPages[index] = this.bankReaders[RAM];
+            } else if (devices[0].start <= start && devices[0].end >= end) {
+                this.ioReadPages[index] = devices[0].read;
+                this.ioWritePages[index] = devices[0].write;
+                this.ioPeekPages[index] = devices[0].peek;
+            } else {
+                const find = (address) => devices.find(handler => address >= handler.start && address <= handler.end);
+                this.ioReadPages[index] = (address) => {
+                    const handler = find(address);
+                    return handler ? handler.read(address) : ram[address];
+                };
+                this.ioPeekPages[index] = (address) => {
+                    const handler = find(address);
+                    return handler ? handler.peek(address) : ram[address];
+                };
+                this.ioWritePages[index] = (address, value) => {
+                    const handler = find(address);
+                    if (handler) {
+                        handler.write(address, value);
+                    } else {
+                        ram[address] = value;
+                    }
+                };
             }
-            return this.ram[address];
         }
+    }
+    
+    // Register a device in the I/O area ($D000-$DFFF); it answers while
+    // the PLA has I/O banked in. peekHandler reads a register without side
+    // effects, for peek(); devices whose reads have none can leave it out.
+    setIOHandler(startAddr, endAddr, readHandler, writeHandler, peekHandler = readHandler) {
+        this.ioHandlers.set(`${startAddr}-${endAddr}`, {
+            start: startAddr,
+            end: endAddr,
+            read: readHandler,
+            write: writeHandler,
+            peek: peekHandler
+        });
+        this.buildIOPages();
+        this.buildPageTables();
+    }
+    
+    read(address) {
+        address &= 0xFFFF; // Ensure 16-bit address
+        const value = this.readPages[address >> 8](address);
         
-        // Regular RAM
-        return this.ram[address];
+        if (this.watchFlags !== null && (this.watchFlags[address] & WATCH_READ)) {
+            this.onWatch(address, value, false);
+        }
+        return value;
+    }
+    
+    // Read without triggering watchpoints or I/O read side effects
+    // (disassembler, debugger views, trace)
+    peek(address) {
+        address &= 0xFFFF;
+        return this.peekPages[address >> 8](address);
     }
     
     write(address, value) {
         address &= 0xFFFF;
         value &= 0xFF;
         
-        // Special handling for $0000-$0001 (data direction and bank switching)
-        if (address === 0x0001) {
-            this.bankConfig = value;
-            this.ram[address] = value;
-            return;
+        if (this.watchFlags !== null && (this.watchFlags[address] & WATCH_WRITE)) {
+            this.onWatch(address, value, true);
         }
         
-        // Color RAM ($D800-$DBFF)
-        if (address >= 0xD800 && address <= 0xDBFF) {
-            this.colorRAM[address - 0xD800] = value & 0x0F;
-            return;
-        }
-        
-        // Check for I/O handler
-        for (const [range, handler] of this.ioHandlers) {
-            if (address >= handler.start && address <= handler.end) {
-                handler.write(address, value);
-                return;
-            }
-        }
-        
-        // ROM areas are not writable, but writes go to underlying RAM
-        this.ram[address] = value;
+        this.writePages[address >> 8](address, value);
+    }
+    
+    // RAM, color RAM and banking as a plain object (rewind, save states).
+    // ROMs are not included; they do not change while the machine runs.
+    snapshot() {
+        return {
+            ram: this.ram.slice(),
+            colorRAM: this.colorRAM.slice(),
+            bankConfig: this.bankConfig,
+            portDirection: this.portDirection,
+            portData: this.portData,
+            game: this.game,
+            exrom: this.exrom
+        };
+    }
+    
+    restore(state) {
+        this.ram.set(state.ram);
+        this.colorRAM.set(state.colorRAM);
+        this.portDirection = state.portDirection;
+        this.portData = state.portData;
+        this.game = state.game;
+        this.exrom = state.exrom;
+        this.updateMemoryMap();
     }
     
     // Helper methods for 16-bit operations
@@ -136,7 +397,7 @@ export class Memory {
             let ascii = ' ';
             
             for (let j = 0; j < 16 && (i + j) < length; j++) {
-                const byte = this.read(addr + j);
+                const byte = this.peek(addr + j);
                 line += byte.toString(16).padStart(2, '0') + ' ';
                 ascii += (byte >= 32 && byte < 127) ? String.fromCharCode(byte) : '.';
             }
@@ -152,15 +413,16 @@ export class Memory {
         this.colorRAM.fill(14);
     }
     
-    // Get current bank configuration as string
+    // Get current bank configuration as string, e.g. 'BASIC+IO+KERNAL'
     getBankConfigString() {
-        const config = this.bankConfig;
         const banks = [];
+        for (const bank of this.blocks) {
+            const name = BANK_NAMES[bank];
+            if (bank !== RAM && bank !== OPEN && !banks.includes(name)) banks.push(name);
+        }
         
-        if (config & 0x01) banks.push('BASIC');
-        if (config & 0x02) banks.push('KERNAL');
-        if (config & 0x04) banks.push('IO'); else banks.push('CHAR');
-        
+        if (banks.length === 0) banks.push('RAM');
+        if (this.ultimax) banks.unshift('ULTIMAX');
         return banks.join('+');
     }
 }
\ No newline at end of file
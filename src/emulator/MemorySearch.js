@@ -0,0 +1,193 @@
+// MemorySearch.js - RAM search, cheat finder, snapshot diff and freezes
+// Works on the 64K of RAM (memory.ram), whatever is banked in over it:
+//   - find(): addresses holding a byte sequence or an 8/16-bit value
+//   - start()/narrow(): the usual cheat finder loop. start() takes every
+//     address (or the result of a find) as candidates together with the
+//     current RAM; each narrow() keeps the candidates whose value compares
+//     to the previous pass as asked ('changed', 'decreased', ...) and
+//     remembers the RAM for the next one.
+//   - diff(): bytes that differ between two RAM images or Memory snapshots
+//   - freeze(): RAM addresses held at a value. The machine re-writes them
+//     once per frame (C64Emulator.applyFreezes); this class only keeps the
+//     list.
+//
+// 16-bit values are little-endian, as the 6502 stores them.
+
+export const NARROW_MODES = ['changed', 'unchanged', 'increased', 'decreased', 'equal', 'notEqual'];
+
+const hex = (value, digits) => value.toString(16).toUpperCase().padStart(digits, '0');
+
+// RAM image of a Memory snapshot, Memory or Uint8Array
+const ramOf = (source) => (source instanceof Uint8Array ? source : source.ram);
+
+export class MemorySearch {
+    constructor(memory) {
+        this.memory = memory;
+        this.candidates = null;   // Addresses still in the running, null before start()
+        this.previous = null;     // RAM at the last start()/narrow()
+        this.size = 1;            // Bytes per candidate value (1 or 2)
+        this.frozen = new Map();  // address -> value
+    }
+
+    // Value of size bytes at address in a RAM image
+    static valueAt(ram, address, size) {
+        return size === 2 ? ram[address] | (ram[(address + 1) & 0xFFFF] << 8) : ram[address];
+    }
+
+    // Addresses in start-end (inclusive) where the bytes are found. A
+    // number is searched as a value of options.size bytes; in an array,
+    // null matches any byte.
+    find(pattern, { size = 1, start = 0x0000, end = 0xFFFF } = {}) {
+        const bytes = typeof pattern === 'number'
+            ? (size === 2 ? [pattern & 0xFF, (pattern >> 8) & 0xFF] : [pattern & 0xFF])
+            : Array.from(pattern);
+        const ram = this.memory.ram;
+        const found = [];
+
+        for (let address = start; address + bytes.length - 1 <= end; address++) {
+            let match = true;
+            for (let i = 0; i < bytes.length; i++) {
+                if (bytes[i] !== null && ram[address + i] !== bytes[i]) {
+                    match = false;
+                    break;
+                }
+            }
+            if (match) found.push(address);
+        }
+        return found;
+    }
+
+    // Begin a cheat finder search over the given addresses (default: all
+    // of RAM) with values of size bytes
+    start(addresses = null, size = 1) {
+        this.size = size;
+        this.candidates = addresses
+            ? Array.from(addresses)
+            : Array.from({ length: 0x10000 - (size - 1) }, (_, i) => i);
+        this.previous = this.memory.ram.slice();
+        return this.candidates.length;
+    }
+
+    // Keep the candidates whose value compares to the previous pass (or,
+    // for 'equal' and 'notEqual', to value) as mode says; returns how many
+    // are left
+    narrow(mode, value) {
+        if (!this.candidates) {
+            throw new Error('No search in progress - call start() first');
+        }
+        if (!NARROW_MODES.includes(mode)) {
+            throw new Error(`Unknown narrow mode "${mode}" (expected ${NARROW_MODES.join(', ')})`);
+        }
+
+        const ram = this.memory.ram;
+        const size = this.size;
+        const previous = this.previous;
+        this.candidates = this.candidates.filter(address => {
+            const now = MemorySearch.valueAt(ram, address, size);
+            const before = MemorySearch.valueAt(previous, address, size);
+            switch (mode) {
+                case 'changed': return now !== before;
+                case 'unchanged': return now === before;
+                case 'increased': return now > before;
+                case 'decreased': return now < before;
+                case 'equal': return now === value;
+                case 'notEqual': return now !== value;
+            }
+        });
+        this.previous = ram.slice();
+        return this.candidates.length;
+    }
+
+    // Candidates with their current and previous values
+    results(limit = 100) {
+        if (!this.candidates) return [];
+        return this.candidates.slice(0, limit).map(address => ({
+            address,
+            value: MemorySearch.valueAt(this.memory.ram, address, this.size),
+            previous: MemorySearch.valueAt(this.previous, address, this.size)
+        }));
+    }
+
+    reset() {
+        this.candidates = null;
+        this.previous = null;
+    }
+
+    // Bytes that differ between two RAM images (Memory snapshots, Memory
+    // instances or Uint8Arrays): [{ address, before, after }]
+    diff(before, after = this.memory) {
+        const a = ramOf(before);
+        const b = ramOf(after);
+        const changes = [];
+        for (let address = 0; address < 0x10000; address++) {
+            if (a[address] !== b[address]) {
+                changes.push({ address, before: a[address], after: b[address] });
+            }
+        }
+        return changes;
+    }
+
+    // Changed bytes grouped into runs of consecutive addresses:
+    // [{ start, end, before: [...], after: [...] }]
+    static ranges(changes) {
+        const ranges = [];
+        for (const { address, before, after } of changes) {
+            const last = ranges[ranges.length - 1];
+            if (last && last.end === address - 1) {
+                last.end = address;
+                last.before.push(before);
+                last.after.push(after);
+            } else {
+                ranges.push({ start: address, end: address, before: [before], after: [after] });
+            }
+        }
+        return ranges;
+    }
+
+    // Hold address at value (a 16-bit value freezes two bytes)
+    freeze(address, value, size = 1) {
+        this.frozen.set(address & 0xFFFF, value & 0xFF);
+        if (size === 2) {
+            this.frozen.set((address + 1) & 0xFFFF, (value >> 8) & 0xFF);
+        }
+    }
+
+    unfreeze(address, size = 1) {
+        this.frozen.delete(address & 0xFFFF);
+        if (size === 2) {
+            this.frozen.delete((address + 1) & 0xFFFF);
+        }
+    }
+
+    unfreezeAll() {
+        this.frozen.clear();
+    }
+
+    // The freeze list as [[address, value], ...] for rewind snapshots
+    snapshotFreezes() {
+        return [...this.frozen];
+    }
+
+    restoreFreezes(freezes) {
+        this.frozen = new Map(freezes);
+    }
+
+    // Frozen addresses whose RAM no longer holds the frozen value
+    pendingFreezes() {
+        const ram = this.memory.ram;
+        const pending = [];
+        for (const [address, value] of this.frozen) {
+            if (ram[address] !== value) pending.push([address, value]);
+        }
+        return pending;
+    }
+
+    // One line per candidate, for the console
+    format(limit = 20) {
+        const digits = this.size * 2;
+        return this.results(limit)
+            .map(({ address, value, previous }) =>
+                `$${hex(address, 4)}: $${hex(value, digits)} (was $${hex(previous, digits)})`)
+            .join('\n');
+    }
+}
@@ -0,0 +1,168 @@
+// Opcodes.js - 6502/6510 opcode table shared by the CPU, disassembler and assembler
+// Every opcode is described once here; MOS6502 generates its handlers from it
+
+// Instruction length in bytes for each addressing mode
+export const MODE_BYTES = {
+    imp: 1,  // Implied
+    acc: 1,  // Accumulator
+    imm: 2,  // #$nn
+    zp: 2,   // $nn
+    zpx: 2,  // $nn,X
+    zpy: 2,  // $nn,Y
+    rel: 2,  // Branch offset
+    izx: 2,  // ($nn,X)
+    izy: 2,  // ($nn),Y
+    abs: 3,  // $nnnn
+    abx: 3,  // $nnnn,X
+    aby: 3,  // $nnnn,Y
+    ind: 3   // ($nnnn)
+};
+
+// Opcode table: { mnemonic, mode, cycles, pageCross, illegal }
+// pageCross marks instructions that take one extra cycle when an indexed
+// address crosses a page boundary. Branches add their own extra cycles.
+export const OPCODES = new Array(256).fill(null);
+
+function defineOpcodes(mnemonic, entries, illegal = false) {
+    for (const [opcode, mode, cycles, pageCross = false] of entries) {
+        OPCODES[opcode] = { mnemonic, mode, cycles, pageCross, illegal };
+    }
+}
+
+// Loads and stores
+defineOpcodes('LDA', [[0xA9, 'imm', 2], [0xA5, 'zp', 3], [0xB5, 'zpx', 4], [0xAD, 'abs', 4],
+    [0xBD, 'abx', 4, true], [0xB9, 'aby', 4, true], [0xA1, 'izx', 6], [0xB1, 'izy', 5, true]]);
+defineOpcodes('LDX', [[0xA2, 'imm', 2], [0xA6, 'zp', 3], [0xB6, 'zpy', 4], [0xAE, 'abs', 4],
+    [0xBE, 'aby', 4, true]]);
+defineOpcodes('LDY', [[0xA0, 'imm', 2], [0xA4, 'zp', 3], [0xB4, 'zpx', 4], [0xAC, 'abs', 4],
+    [0xBC, 'abx', 4, true]]);
+defineOpcodes('STA', [[0x85, 'zp', 3], [0x95, 'zpx', 4], [0x8D, 'abs', 4], [0x9D, 'abx', 5],
+    [0x99, 'aby', 5], [0x81, 'izx', 6], [0x91, 'izy', 6]]);
+defineOpcodes('STX', [[0x86, 'zp', 3], [0x96, 'zpy', 4], [0x8E, 'abs', 4]]);
+defineOpcodes('STY', [[0x84, 'zp', 3], [0x94, 'zpx', 4], [0x8C, 'abs', 4]]);
+
+// Register transfers
+defineOpcodes('TAX', [[0xAA, 'imp', 2]]);
+defineOpcodes('TAY', [[0xA8, 'imp', 2]]);
+defineOpcodes('TXA', [[0x8A, 'imp', 2]]);
+defineOpcodes('TYA', [[0x98, 'imp', 2]]);
+defineOpcodes('TSX', [[0xBA, 'imp', 2]]);
+defineOpcodes('TXS', [[0x9A, 'imp', 2]]);
+
+// Stack
+defineOpcodes('PHA', [[0x48, 'imp', 3]]);
+defineOpcodes('PHP', [[0x08, 'imp', 3]]);
+defineOpcodes('PLA', [[0x68, 'imp', 4]]);
+defineOpcodes('PLP', [[0x28, 'imp', 4]]);
+
+// Logical
+defineOpcodes('AND', [[0x29, 'imm', 2], [0x25, 'zp', 3], [0x35, 'zpx', 4], [0x2D, 'abs', 4],
+    [0x3D, 'abx', 4, true], [0x39, 'aby', 4, true], [0x21, 'izx', 6], [0x31, 'izy', 5, true]]);
+defineOpcodes('ORA', [[0x09, 'imm', 2], [0x05, 'zp', 3], [0x15, 'zpx', 4], [0x0D, 'abs', 4],
+    [0x1D, 'abx', 4, true], [0x19, 'aby', 4, true], [0x01, 'izx', 6], [0x11, 'izy', 5, true]]);
+defineOpcodes('EOR', [[0x49, 'imm', 2], [0x45, 'zp', 3], [0x55, 'zpx', 4], [0x4D, 'abs', 4],
+    [0x5D, 'abx', 4, true], [0x59, 'aby', 4, true], [0x41, 'izx', 6], [0x51, 'izy', 5, true]]);
+defineOpcodes('BIT', [[0x24, 'zp', 3], [0x2C, 'abs', 4]]);
+
+// Arithmetic and compares
+defineOpcodes('ADC', [[0x69, 'imm', 2], [0x65, 'zp', 3], [0x75, 'zpx', 4], [0x6D, 'abs', 4],
+    [0x7D, 'abx', 4, true], [0x79, 'aby', 4, true], [0x61, 'izx', 6], [0x71, 'izy', 5, true]]);
+defineOpcodes('SBC', [[0xE9, 'imm', 2], [0xE5, 'zp', 3], [0xF5, 'zpx', 4], [0xED, 'abs', 4],
+    [0xFD, 'abx', 4, true], [0xF9, 'aby', 4, true], [0xE1, 'izx', 6], [0xF1, 'izy', 5, true]]);
+defineOpcodes('CMP', [[0xC9, 'imm', 2], [0xC5, 'zp', 3], [0xD5, 'zpx', 4], [0xCD, 'abs', 4],
+    [0xDD, 'abx', 4, true], [0xD9, 'aby', 4, true], [0xC1, 'izx', 6], [0xD1, 'izy', 5, true]]);
+defineOpcodes('CPX', [[0xE0, 'imm', 2], [0xE4, 'zp', 3], [0xEC, 'abs', 4]]);
+defineOpcodes('CPY', [[0xC0, 'imm', 2], [0xC4, 'zp', 3], [0xCC, 'abs', 4]]);
+
+// Increments and decrements
+defineOpcodes('INC', [[0xE6, 'zp', 5], [0xF6, 'zpx', 6], [0xEE, 'abs', 6], [0xFE, 'abx', 7]]);
+defineOpcodes('DEC', [[0xC6, 'zp', 5], [0xD6, 'zpx', 6], [0xCE, 'abs', 6], [0xDE, 'abx', 7]]);
+defineOpcodes('INX', [[0xE8, 'imp', 2]]);
+defineOpcodes('INY', [[0xC8, 'imp', 2]]);
+defineOpcodes('DEX', [[0xCA, 'imp', 2]]);
+defineOpcodes('DEY', [[0x88, 'imp', 2]]);
+
+// Shifts and rotates
+defineOpcodes('ASL', [[0x0A, 'acc', 2], [0x06, 'zp', 5], [0x16, 'zpx', 6], [0x0E, 'abs', 6], [0x1E, 'abx', 7]]);
+defineOpcodes('LSR', [[0x4A, 'acc', 2], [0x46, 'zp', 5], [0x56, 'zpx', 6], [0x4E, 'abs', 6], [0x5E, 'abx', 7]]);
+defineOpcodes('ROL', [[0x2A, 'acc', 2], [0x26, 'zp', 5], [0x36, 'zpx', 6], [0x2E, 'abs', 6], [0x3E, 'abx', 7]]);
+defineOpcodes('ROR', [[0x6A, 'acc', 2], [0x66, 'zp', 5], [0x76, 'zpx', 6], [0x6E, 'abs', 6], [0x7E, 'abx', 7]]);
+
+// Jumps and calls
+defineOpcodes('JMP', [[0x4C, 'abs', 3], [0x6C, 'ind', 5]]);
+defineOpcodes('JSR', [[0x20, 'abs', 6]]);
+defineOpcodes('RTS', [[0x60, 'imp', 6]]);
+defineOpcodes('RTI', [[0x40, 'imp', 6]]);
+defineOpcodes('BRK', [[0x00, 'imp', 7]]);
+
+// Branches (+1 cycle if taken, +1 more if the target is on another page)
+defineOpcodes('BCC', [[0x90, 'rel', 2]]);
+defineOpcodes('BCS', [[0xB0, 'rel', 2]]);
+defineOpcodes('BEQ', [[0xF0, 'rel', 2]]);
+defineOpcodes('BNE', [[0xD0, 'rel', 2]]);
+defineOpcodes('BMI', [[0x30, 'rel', 2]]);
+defineOpcodes('BPL', [[0x10, 'rel', 2]]);
+defineOpcodes('BVC', [[0x50, 'rel', 2]]);
+defineOpcodes('BVS', [[0x70, 'rel', 2]]);
+
+// Status flags
+defineOpcodes('CLC', [[0x18, 'imp', 2]]);
+defineOpcodes('SEC', [[0x38, 'imp', 2]]);
+defineOpcodes('CLI', [[0x58, 'imp', 2]]);
+defineOpcodes('SEI', [[0x78, 'imp', 2]]);
+defineOpcodes('CLD', [[0xD8, 'imp', 2]]);
+defineOpcodes('SED', [[0xF8, 'imp', 2]]);
+defineOpcodes('CLV', [[0xB8, 'imp', 2]]);
+
+defineOpcodes('NOP', [[0xEA, 'imp', 2]]);
+
+// Undocumented NMOS 6510 opcodes
+// Stable combined read-modify-write operations
+defineOpcodes('SLO', [[0x07, 'zp', 5], [0x17, 'zpx', 6], [0x0F, 'abs', 6], [0x1F, 'abx', 7],
+    [0x1B, 'aby', 7], [0x03, 'izx', 8], [0x13, 'izy', 8]], true);
+defineOpcodes('RLA', [[0x27, 'zp', 5], [0x37, 'zpx', 6], [0x2F, 'abs', 6], [0x3F, 'abx', 7],
+    [0x3B, 'aby', 7], [0x23, 'izx', 8], [0x33, 'izy', 8]], true);
+defineOpcodes('SRE', [[0x47, 'zp', 5], [0x57, 'zpx', 6], [0x4F, 'abs', 6], [0x5F, 'abx', 7],
+    [0x5B, 'aby', 7], [0x43, 'izx', 8], [0x53, 'izy', 8]], true);
+defineOpcodes('RRA', [[0x67, 'zp', 5], [0x77, 'zpx', 6], [0x6F, 'abs', 6], [0x7F, 'abx', 7],
+    [0x7B, 'aby', 7], [0x63, 'izx', 8], [0x73, 'izy', 8]], true);
+defineOpcodes('DCP', [[0xC7, 'zp', 5], [0xD7, 'zpx', 6], [0xCF, 'abs', 6], [0xDF, 'abx', 7],
+    [0xDB, 'aby', 7], [0xC3, 'izx', 8], [0xD3, 'izy', 8]], true);
+defineOpcodes('ISC', [[0xE7, 'zp', 5], [0xF7, 'zpx', 6], [0xEF, 'abs', 6], [0xFF, 'abx', 7],
+    [0xFB, 'aby', 7], [0xE3, 'izx', 8], [0xF3, 'izy', 8]], true);
+
+// Stable loads and stores
+defineOpcodes('LAX', [[0xA7, 'zp', 3], [0xB7, 'zpy', 4], [0xAF, 'abs', 4], [0xBF, 'aby', 4, true],
+    [0xA3, 'izx', 6], [0xB3, 'izy', 5, true]], true);
+defineOpcodes('SAX', [[0x87, 'zp', 3], [0x97, 'zpy', 4], [0x8F, 'abs', 4], [0x83, 'izx', 6]], true);
+defineOpcodes('LAS', [[0xBB, 'aby', 4, true]], true);
+
+// Immediate-mode combinations
+defineOpcodes('ANC', [[0x0B, 'imm', 2], [0x2B, 'imm', 2]], true);
+defineOpcodes('ALR', [[0x4B, 'imm', 2]], true);
+defineOpcodes('ARR', [[0x6B, 'imm', 2]], true);
+defineOpcodes('SBX', [[0xCB, 'imm', 2]], true);
+defineOpcodes('SBC', [[0xEB, 'imm', 2]], true);
+
+// Unstable: results depend on the chip, emulated with the common magic constant
+defineOpcodes('XAA', [[0x8B, 'imm', 2]], true);
+defineOpcodes('LXA', [[0xAB, 'imm', 2]], true);
+
+// Unstable stores that AND the value with the target high byte + 1
+defineOpcodes('SHA', [[0x9F, 'aby', 5], [0x93, 'izy', 6]], true);
+defineOpcodes('SHX', [[0x9E, 'aby', 5]], true);
+defineOpcodes('SHY', [[0x9C, 'abx', 5]], true);
+defineOpcodes('TAS', [[0x9B, 'aby', 5]], true);
+
+// NOPs of every addressing mode (the memory forms still perform their read)
+defineOpcodes('NOP', [[0x1A, 'imp', 2], [0x3A, 'imp', 2], [0x5A, 'imp', 2], [0x7A, 'imp', 2],
+    [0xDA, 'imp', 2], [0xFA, 'imp', 2], [0x80, 'imm', 2], [0x82, 'imm', 2], [0x89, 'imm', 2],
+    [0xC2, 'imm', 2], [0xE2, 'imm', 2], [0x04, 'zp', 3], [0x44, 'zp', 3], [0x64, 'zp', 3],
+    [0x14, 'zpx', 4], [0x34, 'zpx', 4], [0x54, 'zpx', 4], [0x74, 'zpx', 4], [0xD4, 'zpx', 4],
+    [0xF4, 'zpx', 4], [0x0C, 'abs', 4], [0x1C, 'abx', 4, true], [0x3C, 'abx', 4, true],
+    [0x5C, 'abx', 4, true], [0x7C, 'abx', 4, true], [0xDC, 'abx', 4, true], [0xFC, 'abx', 4, true]], true);
+
+// JAM (a.k.a. KIL): the CPU locks up until the next reset
+defineOpcodes('JAM', [[0x02, 'imp', 2], [0x12, 'imp', 2], [0x22, 'imp', 2], [0x32, 'imp', 2],
+    [0x42, 'imp', 2], [0x52, 'imp', 2], [0x62, 'imp', 2], [0x72, 'imp', 2], [0x92, 'imp', 2],
+    [0xB2, 'imp', 2], [0xD2, 'imp', 2], [0xF2, 'imp', 2]], true);
@@ -0,0 +1,280 @@
+// Profiler.js - Execution profiler and 64K coverage map
+// While enabled, MOS6502 reports every instruction and interrupt entry and
+// every data access. The profiler keeps:
+//   - executions and cycles per instruction address
+//   - calls and cycles per routine (JSR target or interrupt handler),
+//     inclusive of everything the routine calls
+//   - a coverage byte per address: executed / read / written bits
+// Opcode and operand fetches only set the executed bits; the read and
+// written bits come from the data accesses instructions make (immediate
+// operands count as reads).
+
+import { OPCODES, MODE_BYTES } from './Opcodes.js';
+
+export const COVERAGE_EXECUTED = 0x01;
+export const COVERAGE_READ = 0x02;
+export const COVERAGE_WRITTEN = 0x04;
+
+const JSR = 0x20;
+const RTS = 0x60;
+const RTI = 0x40;
+
+const hex = (value, digits) => value.toString(16).toUpperCase().padStart(digits, '0');
+
+export class Profiler {
+    constructor(cpu, symbols = null) {
+        this.cpu = cpu;
+        this.symbols = symbols;   // Names routines in reports
+
+        this.executions = new Uint32Array(65536);
+        this.cycles = new Float64Array(65536);
+        this.coverage = new Uint8Array(65536);
+        this.clear();
+    }
+
+    clear() {
+        this.executions.fill(0);
+        this.cycles.fill(0);
+        this.coverage.fill(0);
+
+        this.routines = new Map();   // address -> { calls, cycles }
+        this.stack = [];             // Active calls: { address, sp, start }
+        this.totalCycles = 0;
+        this.instructions = 0;
+    }
+
+    get enabled() {
+        return this.cpu.profiler === this;
+    }
+
+    enable() {
+        this.cpu.profiler = this;
+    }
+
+    disable() {
+        if (this.cpu.profiler === this) {
+            this.cpu.profiler = null;
+        }
+    }
+
+    toggle() {
+        if (this.enabled) {
+            this.disable();
+        } else {
+            this.enable();
+        }
+        return this.enabled;
+    }
+
+    // Called by MOS6502 after the instruction at pc has executed
+    record(pc, opcode, cycles) {
+        this.executions[pc]++;
+        this.cycles[pc] += cycles;
+        this.totalCycles += cycles;
+        this.instructions++;
+
+        const length = MODE_BYTES[OPCODES[opcode].mode];
+        for (let i = 0; i < length; i++) {
+            this.coverage[(pc + i) & 0xFFFF] |= COVERAGE_EXECUTED;
+        }
+
+        if (opcode === JSR) {
+            // SP before the JSR pushed its return address
+            this.enter(this.cpu.PC, (this.cpu.SP + 2) & 0xFF);
+        } else if (opcode === RTS || opcode === RTI) {
+            this.leave(this.cpu.SP);
+        }
+    }
+
+    // Called by MOS6502 after an IRQ/NMI entry sequence; the handler is
+    // profiled as a routine and ends with its RTI
+    interrupt(handler, cycles) {
+        this.totalCycles += cycles;
+        this.enter(handler, (this.cpu.SP + 3) & 0xFF);
+    }
+
+    markRead(address) {
+        this.coverage[address & 0xFFFF] |= COVERAGE_READ;
+    }
+
+    markWritten(address) {
+        this.coverage[address & 0xFFFF] |= COVERAGE_WRITTEN;
+    }
+
+    enter(address, sp) {
+        // Calls whose return address has been dropped from the stack
+        // (PLA/PLA, TXS) are over even though they never returned
+        this.leave(sp);
+
+        let routine = this.routines.get(address);
+        if (!routine) {
+            routine = { calls: 0, cycles: 0 };
+            this.routines.set(address, routine);
+        }
+        routine.calls++;
+        this.stack.push({ address, sp, start: this.totalCycles });
+    }
+
+    // Close every call that the stack pointer has returned past
+    leave(sp) {
+        const stack = this.stack;
+        while (stack.length > 0 && stack[stack.length - 1].sp <= sp) {
+            const call = stack.pop();
+            // Recursive calls are only counted by their outermost frame
+            if (!stack.some(frame => frame.address === call.address)) {
+                this.routines.get(call.address).cycles += this.totalCycles - call.start;
+            }
+        }
+    }
+
+    label(address) {
+        const label = this.symbols ? this.symbols.getLabel(address) : null;
+        return label || `$${hex(address, 4)}`;
+    }
+
+    // Routines sorted by inclusive cycles, most expensive first. Calls
+    // still running are counted up to now.
+    hotspots(count = 20) {
+        const open = new Map();
+        for (const call of this.stack) {
+            if (!open.has(call.address)) {
+                open.set(call.address, this.totalCycles - call.start);
+            }
+        }
+
+        const result = [];
+        for (const [address, routine] of this.routines) {
+            const cycles = routine.cycles + (open.get(address) || 0);
+            result.push({
+                address,
+                label: this.label(address),
+                calls: routine.calls,
+                cycles,
+                percent: this.percent(cycles)
+            });
+        }
+
+        result.sort((a, b) => b.cycles - a.cycles);
+        return result.slice(0, count);
+    }
+
+    // Instruction addresses sorted by cycles spent on them
+    hotAddresses(count = 20) {
+        const result = [];
+        for (let address = 0; address < 65536; address++) {
+            if (this.executions[address] === 0) continue;
+            result.push({
+                address,
+                executions: this.executions[address],
+                cycles: this.cycles[address],
+                percent: this.percent(this.cycles[address])
+            });
+        }
+
+        result.sort((a, b) => b.cycles - a.cycles);
+        return result.slice(0, count);
+    }
+
+    percent(cycles) {
+        return this.totalCycles > 0 ? Math.round(cycles / this.totalCycles * 10000) / 100 : 0;
+    }
+
+    // Text table of the top routines
+    report(count = 20) {
+        const lines = [`${this.instructions} instructions, ${this.totalCycles} cycles`];
+        lines.push('Routine              Calls      Cycles       %');
+
+        for (const routine of this.hotspots(count)) {
+            lines.push(
+                routine.label.padEnd(16) +
+                String(routine.calls).padStart(10) +
+                String(routine.cycles).padStart(12) +
+                routine.percent.toFixed(2).padStart(8)
+            );
+        }
+
+        return lines.join('\n');
+    }
+
+    // Inclusive [start, end] address ranges whose coverage has a bit set
+    ranges(bit) {
+        const result = [];
+        let start = -1;
+
+        for (let address = 0; address <= 65536; address++) {
+            const covered = address < 65536 && (this.coverage[address] & bit) !== 0;
+            if (covered && start < 0) {
+                start = address;
+            } else if (!covered && start >= 0) {
+                result.push([start, address - 1]);
+                start = -1;
+            }
+        }
+
+        return result;
+    }
+
+    toJSON() {
+        const addresses = [];
+        for (let address = 0; address < 65536; address++) {
+            if (this.executions[address] !== 0) {
+                addresses.push([address, this.executions[address], this.cycles[address]]);
+            }
+        }
+
+        return {
+            version: 1,
+            instructions: this.instructions,
+            cycles: this.totalCycles,
+            routines: this.hotspots(this.routines.size),
+            addresses,   // [address, executions, cycles]
+            coverage: {
+                executed: this.ranges(COVERAGE_EXECUTED),
+                read: this.ranges(COVERAGE_READ),
+                written: this.ranges(COVERAGE_WRITTEN)
+            }
+        };
+    }
+
+    export() {
+        return JSON.stringify(this.toJSON());
+    }
+
+    // 256x256 RGBA heatmap, one pixel per address (one row per page).
+    // Executed code is red to yellow by cycles spent (log scale), data is
+    // blue when read, green when written; untouched bytes are transparent.
+    heatmapPixels() {
+        const pixels = new Uint8ClampedArray(65536 * 4);
+
+        let maxCycles = 0;
+        for (let address = 0; address < 65536; address++) {
+            if (this.cycles[address] > maxCycles) maxCycles = this.cycles[address];
+        }
+        const scale = maxCycles > 0 ? 1 / Math.log(maxCycles + 1) : 0;
+
+        for (let address = 0; address < 65536; address++) {
+            const coverage = this.coverage[address];
+            if (coverage === 0) continue;
+
+            const offset = address * 4;
+            if (coverage & COVERAGE_EXECUTED) {
+                const heat = Math.log(this.cycles[address] + 1) * scale;
+                pixels[offset] = 255;
+                pixels[offset + 1] = Math.round(heat * 255);
+            } else {
+                pixels[offset + 1] = coverage & COVERAGE_WRITTEN ? 200 : 0;
+                pixels[offset + 2] = coverage & COVERAGE_READ ? 255 : 0;
+            }
+            pixels[offset + 3] = 255;
+        }
+
+        return pixels;
+    }
+
+    // Draw the heatmap into a 2D canvas context at (x, y)
+    renderHeatmap(ctx, x = 0, y = 0) {
+        const image = ctx.createImageData(256, 256);
+        image.data.set(this.heatmapPixels());
+        ctx.putImageData(image, x, y);
+    }
+}
@@ -0,0 +1,316 @@
+// REU.js - Commodore RAM Expansion Unit (1700/1764/1750 and larger)
+// The REU sits in IO2 ($DF00-$DFFF, registers repeat every 32 bytes) and
+// moves data between C64 memory and its own RAM by DMA, one byte per cycle
+// while the CPU is held off the bus:
+//
+//   $DF00  status: 7 IRQ, 6 end of block, 5 verify error, 4 size (read clears 7-5)
+//   $DF01  command: 7 execute, 5 autoload, 4 no $FF00 trigger, 1-0 type
+//   $DF02  C64 address (2 bytes)
+//   $DF04  REU address (2 bytes + bank)
+//   $DF07  transfer length (2 bytes, 0 = 64K)
+//   $DF09  interrupt mask: 7 enable, 6 end of block, 5 verify error
+//   $DF0A  address control: 7 fix C64 address, 6 fix REU address
+//
+// With bit 4 of the command clear the transfer waits for a write to $FF00,
+// so code can bank out I/O before it starts. Autoload puts the address and
+// length registers back to the values last written once the transfer ends.
+//
+// The RAM is kept in 64K banks that snapshots share until either side
+// writes to them, so rewind does not copy megabytes every few frames.
+
+export const REU_1700 = 128 * 1024;
+export const REU_1764 = 256 * 1024;
+export const REU_1750 = 512 * 1024;
+export const REU_MAX = 16 * 1024 * 1024;
+
+export const REU_STASH = 0;    // C64 -> REU
+export const REU_FETCH = 1;    // REU -> C64
+export const REU_SWAP = 2;
+export const REU_VERIFY = 3;
+
+const STATUS_IRQ = 0x80;
+const STATUS_END_OF_BLOCK = 0x40;
+const STATUS_FAULT = 0x20;
+const STATUS_SIZE = 0x10;      // 256K chips (everything but the 1700)
+
+const COMMAND_EXECUTE = 0x80;
+const COMMAND_AUTOLOAD = 0x20;
+const COMMAND_NO_FF00 = 0x10;
+
+const FIX_C64 = 0x80;
+const FIX_REU = 0x40;
+
+const BANK_SIZE = 0x10000;
+
+export class REU {
+    constructor(memory, size = REU_1750) {
+        if (size < REU_1700 || size > REU_MAX || (size & (size - 1)) !== 0) {
+            throw new Error(`REU size must be a power of two from 128K to 16M, not ${size}`);
+        }
+
+        this.memory = memory;
+        this.size = size;
+        this.banks = [];
+        for (let i = 0; i < size / BANK_SIZE; i++) {
+            this.banks.push(new Uint8Array(BANK_SIZE));
+        }
+        this.shared = new Uint8Array(this.banks.length);   // 1 while a snapshot holds the bank
+
+        this.onIRQ = null;   // (active) => void
+        this.onDMA = null;   // (cycles) => void, the CPU is off the bus for cycles
+
+        this.reset();
+    }
+
+    reset() {
+        this.status = this.size > REU_1700 ? STATUS_SIZE : 0;
+        this.command = COMMAND_NO_FF00;
+        this.c64Address = 0;
+        this.reuAddress = 0;
+        this.length = 0xFFFF;
+        this.interruptMask = 0;
+        this.addressControl = 0;
+
+        // Values last written, for autoload
+        this.shadowC64Address = 0;
+        this.shadowREUAddress = 0;
+        this.shadowLength = 0xFFFF;
+
+        this.irqActive = false;
+        this.memory.untrapWrite(0xFF00);
+        this.updateIRQ();
+    }
+
+    // Bank bits that exist; the others read back as 1
+    get bankMask() {
+        return (this.size - 1) >> 16;
+    }
+
+    readIO1(address) {
+        return this.memory.ram[address];
+    }
+
+    writeIO1(address, value) {
+        this.memory.ram[address] = value;
+    }
+
+    // Reading the status register clears the interrupt, end of block and
+    // fault bits
+    readIO2(address) {
+        const value = this.peekIO2(address);
+        if ((address & 0x1F) === 0x00) {
+            this.status &= ~(STATUS_IRQ | STATUS_END_OF_BLOCK | STATUS_FAULT);
+            this.updateIRQ();
+        }
+        return value;
+    }
+
+    // Register value as readIO2 returns it, without clearing the status
+    // (debugger views)
+    peekIO2(address) {
+        switch (address & 0x1F) {
+            case 0x00: return this.status;
+            case 0x01: return this.command;
+            case 0x02: return this.c64Address & 0xFF;
+            case 0x03: return this.c64Address >> 8;
+            case 0x04: return this.reuAddress & 0xFF;
+            case 0x05: return (this.reuAddress >> 8) & 0xFF;
+            case 0x06: return (this.reuAddress >> 16) | (~this.bankMask & 0xFF);
+            case 0x07: return this.length & 0xFF;
+            case 0x08: return this.length >> 8;
+            case 0x09: return this.interruptMask | 0x1F;
+            case 0x0A: return this.addressControl | 0x3F;
+            default: return 0xFF;
+        }
+    }
+
+    writeIO2(address, value) {
+        switch (address & 0x1F) {
+            case 0x01:
+                this.command = value;
+                if (value & COMMAND_EXECUTE) {
+                    if (value & COMMAND_NO_FF00) {
+                        this.execute();
+                    } else {
+                        this.memory.trapWrite(0xFF00, () => this.execute());
+                    }
+                }
+                break;
+            case 0x02:
+                this.shadowC64Address = this.c64Address = (this.shadowC64Address & 0xFF00) | value;
+                break;
+            case 0x03:
+                this.shadowC64Address = this.c64Address = (this.shadowC64Address & 0x00FF) | (value << 8);
+                break;
+            case 0x04:
+                this.shadowREUAddress = this.reuAddress = (this.shadowREUAddress & 0xFFFF00) | value;
+                break;
+            case 0x05:
+                this.shadowREUAddress = this.reuAddress = (this.shadowREUAddress & 0xFF00FF) | (value << 8);
+                break;
+            case 0x06:
+                this.shadowREUAddress = this.reuAddress = (this.shadowREUAddress & 0x00FFFF) | ((value & this.bankMask) << 16);
+                break;
+            case 0x07:
+                this.shadowLength = this.length = (this.shadowLength & 0xFF00) | value;
+                break;
+            case 0x08:
+                this.shadowLength = this.length = (this.shadowLength & 0x00FF) | (value << 8);
+                break;
+            case 0x09:
+                this.interruptMask = value & 0xE0;
+                this.updateIRQ();
+                break;
+            case 0x0A:
+                this.addressControl = value & 0xC0;
+                break;
+        }
+    }
+
+    readByte(address) {
+        return this.banks[address >> 16][address & 0xFFFF];
+    }
+
+    writeByte(address, value) {
+        const bank = address >> 16;
+        if (this.shared[bank]) {
+            this.banks[bank] = this.banks[bank].slice();
+            this.shared[bank] = 0;
+        }
+        this.banks[bank][address & 0xFFFF] = value;
+    }
+
+    // Run the programmed transfer. The C64 side goes through the bus as
+    // the CPU sees it, so I/O registers and banked-in ROMs take part.
+    execute() {
+        const memory = this.memory;
+        const type = this.command & 0x03;
+        const c64Step = this.addressControl & FIX_C64 ? 0 : 1;
+        const reuStep = this.addressControl & FIX_REU ? 0 : 1;
+        const reuWrap = this.size - 1;
+
+        memory.untrapWrite(0xFF00);
+
+        let c64 = this.c64Address;
+        let reu = this.reuAddress;
+        let remaining = this.length || 0x10000;
+        let cycles = 0;
+        let fault = false;
+
+        while (true) {
+            switch (type) {
+                case REU_STASH:
+                    this.writeByte(reu, memory.read(c64));
+                    cycles++;
+                    break;
+                case REU_FETCH:
+                    memory.write(c64, this.readByte(reu));
+                    cycles++;
+                    break;
+                case REU_SWAP: {
+                    const value = memory.read(c64);
+                    memory.write(c64, this.readByte(reu));
+                    this.writeByte(reu, value);
+                    cycles += 2;
+                    break;
+                }
+                case REU_VERIFY:
+                    fault = memory.read(c64) !== this.readByte(reu);
+                    cycles++;
+                    break;
+            }
+
+            c64 = (c64 + c64Step) & 0xFFFF;
+            reu = (reu + reuStep) & reuWrap;
+            if (fault || remaining === 1) break;
+            remaining--;
+        }
+
+        // The length counter stops at 1; a verify error leaves it where
+        // the transfer stopped (end of block only if that was the last byte)
+        if (remaining === 1) {
+            this.status |= STATUS_END_OF_BLOCK;
+        } else {
+            remaining--;
+        }
+        if (fault) this.status |= STATUS_FAULT;
+
+        if (this.command & COMMAND_AUTOLOAD) {
+            this.c64Address = this.shadowC64Address;
+            this.reuAddress = this.shadowREUAddress;
+            this.length = this.shadowLength;
+        } else {
+            this.c64Address = c64;
+            this.reuAddress = reu;
+            this.length = remaining & 0xFFFF;
+        }
+
+        // Done: the execute bit clears and the $FF00 trigger is off again
+        this.command = (this.command & ~COMMAND_EXECUTE) | COMMAND_NO_FF00;
+        this.updateIRQ();
+
+        if (this.onDMA) {
+            this.onDMA(cycles);
+        }
+        return cycles;
+    }
+
+    updateIRQ() {
+        const mask = this.interruptMask;
+        if ((mask & 0x80) && (this.status & mask & (STATUS_END_OF_BLOCK | STATUS_FAULT))) {
+            this.status |= STATUS_IRQ;
+        }
+
+        const active = (this.status & STATUS_IRQ) !== 0;
+        if (active !== this.irqActive) {
+            this.irqActive = active;
+            if (this.onIRQ) this.onIRQ(active);
+        }
+    }
+
+    // Registers and RAM for rewind and save states. The banks are shared
+    // with the snapshot and copied on the next write.
+    snapshot() {
+        this.shared.fill(1);
+        return {
+            size: this.size,
+            status: this.status,
+            command: this.command,
+            c64Address: this.c64Address,
+            reuAddress: this.reuAddress,
+            length: this.length,
+            interruptMask: this.interruptMask,
+            addressControl: this.addressControl,
+            shadowC64Address: this.shadowC64Address,
+            shadowREUAddress: this.shadowREUAddress,
+            shadowLength: this.shadowLength,
+            banks: this.banks.slice()
+        };
+    }
+
+    restore(state) {
+        if (state.size !== this.size) {
+            throw new Error(`Snapshot is of a ${state.size / 1024}K REU, this one has ${this.size / 1024}K`);
+        }
+        this.status = state.status;
+        this.command = state.command;
+        this.c64Address = state.c64Address;
+        this.reuAddress = state.reuAddress;
+        this.length = state.length;
+        this.interruptMask = state.interruptMask;
+        this.addressControl = state.addressControl;
+        this.shadowC64Address = state.shadowC64Address;
+        this.shadowREUAddress = state.shadowREUAddress;
+        this.shadowLength = state.shadowLength;
+        this.banks = state.banks.slice();
+        this.shared.fill(1);
+
+        // A transfer waiting for $FF00
+        if ((this.command & COMMAND_EXECUTE) && !(this.command & COMMAND_NO_FF00)) {
+            this.memory.trapWrite(0xFF00, () => this.execute());
+        } else {
+            this.memory.untrapWrite(0xFF00);
+        }
+        this.updateIRQ();
+    }
+}
@@ -0,0 +1,214 @@
+// Rewind.js - Reverse execution from periodic snapshots and an input log
+// The machine is deterministic, so any earlier moment can be rebuilt by
+// restoring the last snapshot before it and running forward, feeding the
+// logged inputs back in at the cycle they originally arrived. Everything
+// is keyed on cpu.cycles, which only ever grows between instructions.
+//
+// The machine passed in provides:
+//   cpu                  MOS6502
+//   memory               Memory (watchpoints are suspended while replaying)
+//   snapshot()           state of every chip as a plain object
+//   restoreSnapshot(s)   the reverse
+//   stepInstruction()    one instruction with the matching device cycles
+//   applyInput(input)    replay a logged { cycles, type, args } input
+//   cyclesPerFrame, frameRate
+//
+// Only inputs that go through the machine's logged entry points (typed
+// keys, joysticks, RESTORE, pokes, freezes) are replayed. Rewinding drops the
+// snapshots and inputs after the new position: input from there on starts
+// a new timeline.
+
+import { WATCH_WRITE } from './Memory.js';
+
+export class Rewind {
+    constructor(machine, { interval = 50, capacity = 120 } = {}) {
+        this.machine = machine;
+        this.interval = interval;    // Frames between snapshots
+        this.capacity = capacity;    // Snapshots kept (interval * capacity frames of history)
+
+        this.snapshots = [];         // { cycles, state }, oldest first
+        this.inputs = [];            // { cycles, type, args }, oldest first
+        this.frames = 0;
+        this.replaying = false;
+    }
+
+    // Forget the history and start again from the current state
+    // (after reset or loading a program)
+    clear() {
+        this.snapshots = [];
+        this.inputs = [];
+        this.frames = 0;
+        this.takeSnapshot();
+    }
+
+    takeSnapshot() {
+        const cycles = this.machine.cpu.cycles;
+        const last = this.snapshots[this.snapshots.length - 1];
+        if (last && last.cycles === cycles) return;
+
+        this.snapshots.push({ cycles, state: this.machine.snapshot() });
+        if (this.snapshots.length > this.capacity) {
+            this.snapshots.shift();
+            const oldest = this.snapshots[0].cycles;
+            this.inputs = this.inputs.filter(input => input.cycles >= oldest);
+        }
+    }
+
+    // Called at the end of every emulated frame
+    frame() {
+        if (++this.frames >= this.interval) {
+            this.frames = 0;
+            this.takeSnapshot();
+        }
+    }
+
+    // Log an input before the machine applies it; ignored while the log
+    // itself is being replayed
+    recordInput(type, ...args) {
+        if (this.replaying) return;
+        if (this.snapshots.length === 0) this.takeSnapshot();
+        this.inputs.push({ cycles: this.machine.cpu.cycles, type, args });
+    }
+
+    // Cycle of the oldest moment that can still be reached
+    get oldest() {
+        return this.snapshots.length > 0 ? this.snapshots[0].cycles : this.machine.cpu.cycles;
+    }
+
+    // Step back one instruction (or interrupt entry). Returns false when
+    // the history does not reach that far.
+    stepBack() {
+        return this.findLast(() => true) !== null;
+    }
+
+    // Go back to just before the last instruction that wrote to address.
+    // Returns { cycles, pc } of that instruction, or null if it is not in
+    // the history (the machine is then left where it was).
+    runBackToWrite(address) {
+        const memory = this.machine.memory;
+        const flags = new Uint8Array(65536);
+        flags[address & 0xFFFF] = WATCH_WRITE;
+
+        let written = false;
+        return this.findLast(() => {
+            const hit = written;
+            written = false;
+            return hit;
+        }, () => {
+            written = false;
+            memory.watchFlags = flags;
+            memory.onWatch = () => { written = true; };
+        });
+    }
+
+    // Rewind by a number of seconds of emulated time (as far as the
+    // history goes). Returns the cycle count reached.
+    rewindSeconds(seconds) {
+        const { cyclesPerFrame, frameRate, cpu } = this.machine;
+        const target = Math.max(this.oldest, cpu.cycles - Math.round(seconds * cyclesPerFrame * frameRate));
+        this.seek(target);
+        return cpu.cycles;
+    }
+
+    // Move to the first instruction boundary at or after cycles, which
+    // must not be in the future
+    seek(cycles) {
+        const index = this.snapshotBefore(cycles + 1);
+        if (index < 0) throw new Error(`No snapshot before cycle ${cycles}`);
+
+        this.replay(() => this.runForward(index, cycles));
+        this.truncate();
+    }
+
+    // Search backwards for the last instruction before the current position
+    // for which test() returns true right after it executed, and move to
+    // just before it. setup() runs at the start of each replay.
+    findLast(test, setup = null) {
+        const current = this.machine.cpu.cycles;
+        let end = current;
+
+        for (let index = this.snapshotBefore(current); index >= 0; index--) {
+            let found = null;
+            let pc = 0;
+
+            this.replay(() => {
+                if (setup) setup();
+                this.runForward(index, end, (start, startPC) => {
+                    if (test()) {
+                        found = start;
+                        pc = startPC;
+                    }
+                });
+            });
+
+            if (found !== null) {
+                this.replay(() => this.runForward(index, found));
+                this.truncate();
+                return { cycles: found, pc };
+            }
+            end = this.snapshots[index].cycles;
+        }
+
+        // Not found: back to where we started
+        this.replay(() => this.runForward(this.snapshotBefore(current + 1), current));
+        return null;
+    }
+
+    // Index of the newest snapshot taken before cycles, -1 if none
+    snapshotBefore(cycles) {
+        for (let i = this.snapshots.length - 1; i >= 0; i--) {
+            if (this.snapshots[i].cycles < cycles) return i;
+        }
+        return -1;
+    }
+
+    // Restore snapshot index and run to the first instruction boundary at
+    // or after target. Inputs logged at a boundary are applied before the
+    // instruction there; afterStep(start, pc) runs after each instruction.
+    runForward(index, target, afterStep = null) {
+        const machine = this.machine;
+        const cpu = machine.cpu;
+        const snapshot = this.snapshots[index];
+
+        machine.restoreSnapshot(snapshot.state);
+
+        let next = this.inputs.findIndex(input => input.cycles >= snapshot.cycles);
+        if (next < 0) next = this.inputs.length;
+
+        while (cpu.cycles < target) {
+            while (next < this.inputs.length && this.inputs[next].cycles <= cpu.cycles) {
+                machine.applyInput(this.inputs[next++]);
+            }
+
+            const start = cpu.cycles;
+            const pc = cpu.PC;
+            machine.stepInstruction();
+            if (afterStep) afterStep(start, pc);
+        }
+    }
+
+    // Run fn with logging, tracing, profiling and watchpoints suspended
+    replay(fn) {
+        const { cpu, memory } = this.machine;
+        const saved = [cpu.trace, cpu.profiler, memory.watchFlags, memory.onWatch];
+
+        this.replaying = true;
+        cpu.trace = null;
+        cpu.profiler = null;
+        memory.watchFlags = null;
+        try {
+            fn();
+        } finally {
+            [cpu.trace, cpu.profiler, memory.watchFlags, memory.onWatch] = saved;
+            this.replaying = false;
+        }
+    }
+
+    // Drop the history after the current position
+    truncate() {
+        const cycles = this.machine.cpu.cycles;
+        this.snapshots = this.snapshots.filter(snapshot => snapshot.cycles <= cycles);
+        this.inputs = this.inputs.filter(input => input.cycles < cycles);
+        this.frames = 0;
+    }
+}
@@ -23,6 +23,9 @@ export class SID {
         
         // Master volume
         this.volume = 0;
+        
+        // Noise LFSR behind the voice 3 readbacks, so runs are repeatable
+        this.noise = 0x7FFFF8;
     }
     
     reset() {
@@ -34,6 +37,37 @@ export class SID {
             v.gate = false;
         });
         this.volume = 0;
+        this.noise = 0x7FFFF8;
+    }
+    
+    // Registers and voice state as a plain object (rewind, save states)
+    snapshot() {
+        return {
+            registers: this.registers.slice(),
+            voices: this.voices.map(voice => ({ ...voice })),
+            filterFreq: this.filterFreq,
+            filterResonance: this.filterResonance,
+            filterMode: this.filterMode,
+            volume: this.volume,
+            noise: this.noise
+        };
+    }
+    
+    restore(state) {
+        this.registers.set(state.registers);
+        this.voices = state.voices.map(voice => ({ ...voice }));
+        this.filterFreq = state.filterFreq;
+        this.filterResonance = state.filterResonance;
+        this.filterMode = state.filterMode;
+        this.volume = state.volume;
+        this.noise = state.noise;
+    }
+    
+    // Next byte from the 23-bit noise shift register (taps 22 and 17)
+    nextNoise() {
+        const bit = ((this.noise >> 22) ^ (this.noise >> 17)) & 1;
+        this.noise = ((this.noise << 1) | bit) & 0x7FFFFF;
+        return this.noise & 0xFF;
     }
     
     read(address) {
@@ -41,10 +75,10 @@ export class SID {
         
         // Readable registers
         if (reg === 0x1B) { // Voice 3 oscillator output
-            return Math.floor(Math.random() * 256); // Random for now
+            return this.nextNoise(); // Pseudo-random for now
         }
         if (reg === 0x1C) { // Voice 3 envelope output
-            return Math.floor(Math.random() * 256);
+            return this.nextNoise();
         }
         
         // Potentiometer readings (paddle/mouse)
@@ -54,6 +88,13 @@ export class SID {
         return this.registers[reg];
     }
     
+    // Register value without stepping the noise register (debugger views)
+    peek(address) {
+        const reg = address & 0x1F;
+        if (reg === 0x1B || reg === 0x1C) return this.noise & 0xFF;
+        return this.read(address);
+    }
+    
     write(address, value) {
         const reg = address & 0x1F;
         this.registers[reg] = value;
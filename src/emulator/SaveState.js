@@ -0,0 +1,363 @@
+// SaveState.js - Versioned binary save state format
+// A save state is the machine snapshot (see C64Emulator.snapshot) plus the
+// JS BASIC interpreter, packed into one little-endian blob:
+//
+//   "C64S"   magic
+//   u16      format version
+//   chunks   4-character tag, u32 payload length, payload
+//
+// Every chip has its own chunk with a fixed field layout. Readers skip
+// chunks they do not know, so new chunks can be added without breaking old
+// resume points. A change to the layout of an existing chunk needs a new
+// format version.
+
+export const SAVE_STATE_MAGIC = 'C64S';
+export const SAVE_STATE_VERSION = 1;
+
+const CIA_JOYSTICK = ['up', 'down', 'left', 'right', 'fire'];
+
+class StateWriter {
+    constructor() {
+        this.buffer = new Uint8Array(0x20000);
+        this.view = new DataView(this.buffer.buffer);
+        this.length = 0;
+    }
+
+    reserve(size) {
+        if (this.length + size <= this.buffer.length) return;
+        const grown = new Uint8Array(Math.max(this.buffer.length * 2, this.length + size));
+        grown.set(this.buffer);
+        this.buffer = grown;
+        this.view = new DataView(grown.buffer);
+    }
+
+    u8(value) {
+        this.reserve(1);
+        this.view.setUint8(this.length, value);
+        this.length += 1;
+    }
+
+    u16(value) {
+        this.reserve(2);
+        this.view.setUint16(this.length, value, true);
+        this.length += 2;
+    }
+
+    u32(value) {
+        this.reserve(4);
+        this.view.setUint32(this.length, value, true);
+        this.length += 4;
+    }
+
+    // Cycle counters outgrow 32 bits after about an hour of emulation
+    f64(value) {
+        this.reserve(8);
+        this.view.setFloat64(this.length, value, true);
+        this.length += 8;
+    }
+
+    bool(value) {
+        this.u8(value ? 1 : 0);
+    }
+
+    // u32 length followed by the bytes
+    bytes(values) {
+        this.u32(values.length);
+        this.reserve(values.length);
+        this.buffer.set(values, this.length);
+        this.length += values.length;
+    }
+
+    tag(name) {
+        for (let i = 0; i < 4; i++) this.u8(name.charCodeAt(i));
+    }
+
+    chunk(name, write) {
+        this.tag(name);
+        const lengthAt = this.length;
+        this.u32(0);
+        write(this);
+        this.view.setUint32(lengthAt, this.length - lengthAt - 4, true);
+    }
+
+    finish() {
+        return this.buffer.slice(0, this.length);
+    }
+}
+
+class StateReader {
+    constructor(data) {
+        this.data = data;
+        this.view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        this.offset = 0;
+    }
+
+    need(size) {
+        if (this.offset + size > this.data.length) {
+            throw new Error('Save state is truncated');
+        }
+    }
+
+    u8() {
+        this.need(1);
+        return this.view.getUint8(this.offset++);
+    }
+
+    u16() {
+        this.need(2);
+        const value = this.view.getUint16(this.offset, true);
+        this.offset += 2;
+        return value;
+    }
+
+    u32() {
+        this.need(4);
+        const value = this.view.getUint32(this.offset, true);
+        this.offset += 4;
+        return value;
+    }
+
+    f64() {
+        this.need(8);
+        const value = this.view.getFloat64(this.offset, true);
+        this.offset += 8;
+        return value;
+    }
+
+    bool() {
+        return this.u8() !== 0;
+    }
+
+    bytes() {
+        const length = this.u32();
+        this.need(length);
+        const values = this.data.slice(this.offset, this.offset + length);
+        this.offset += length;
+        return values;
+    }
+
+    tag() {
+        let name = '';
+        for (let i = 0; i < 4; i++) name += String.fromCharCode(this.u8());
+        return name;
+    }
+
+    // Reader limited to the next length bytes
+    sub(length) {
+        this.need(length);
+        const reader = new StateReader(this.data.subarray(this.offset, this.offset + length));
+        this.offset += length;
+        return reader;
+    }
+}
+
+// Chunk layouts: [tag, state key, write(writer, value), read(reader)]
+const CHUNKS = [
+    ['CPU ', 'cpu', (w, cpu) => {
+        w.u8(cpu.A); w.u8(cpu.X); w.u8(cpu.Y); w.u8(cpu.SP);
+        w.u16(cpu.PC); w.u8(cpu.P);
+        w.f64(cpu.cycles);
+        w.bool(cpu.jammed);
+        w.u16(cpu.irqLines); w.u16(cpu.nmiLines);
+        w.bool(cpu.nmiPending); w.bool(cpu.irqMasked);
+        w.u16(cpu.currentPoll); w.u16(cpu.previousPoll); w.u16(cpu.interruptPoll);
+        w.f64(cpu.stallCycles);
+    }, (r) => ({
+        A: r.u8(), X: r.u8(), Y: r.u8(), SP: r.u8(),
+        PC: r.u16(), P: r.u8(),
+        cycles: r.f64(),
+        jammed: r.bool(),
+        irqLines: r.u16(), nmiLines: r.u16(),
+        nmiPending: r.bool(), irqMasked: r.bool(),
+        currentPoll: r.u16(), previousPoll: r.u16(), interruptPoll: r.u16(),
+        stallCycles: r.f64()
+    })],
+
+    ['MEM ', 'memory', (w, memory) => {
+        w.bytes(memory.ram);
+        w.bytes(memory.colorRAM);
+        w.u8(memory.bankConfig);
+        w.u8(memory.portDirection); w.u8(memory.portData);
+        w.u8(memory.game); w.u8(memory.exrom);
+    }, (r) => ({
+        ram: r.bytes(),
+        colorRAM: r.bytes(),
+        bankConfig: r.u8(),
+        portDirection: r.u8(), portData: r.u8(),
+        game: r.u8(), exrom: r.u8()
+    })],
+
+    ['VIC ', 'vic', (w, vic) => {
+        w.bytes(vic.registers);
+        w.u32(vic.cycleCounter); w.u16(vic.rasterY);
+        w.bool(vic.displayEnabled);
+        w.u8(vic.cursorX); w.u8(vic.cursorY);
+        w.bool(vic.cursorVisible); w.u32(vic.cursorBlinkCounter);
+    }, (r) => ({
+        registers: r.bytes(),
+        cycleCounter: r.u32(), rasterY: r.u16(),
+        displayEnabled: r.bool(),
+        cursorX: r.u8(), cursorY: r.u8(),
+        cursorVisible: r.bool(), cursorBlinkCounter: r.u32()
+    })],
+
+    ['CIA1', 'cia1', writeCIA, readCIA],
+    ['CIA2', 'cia2', writeCIA, readCIA],
+
+    ['SID ', 'sid', (w, sid) => {
+        w.bytes(sid.registers);
+        w.u8(sid.voices.length);
+        for (const voice of sid.voices) {
+            w.u16(voice.frequency); w.u16(voice.pulse);
+            w.u8(voice.waveform); w.u16(voice.adsr); w.bool(voice.gate);
+        }
+        w.u16(sid.filterFreq); w.u8(sid.filterResonance); w.u8(sid.filterMode);
+        w.u8(sid.volume);
+        w.u32(sid.noise);
+    }, (r) => {
+        const registers = r.bytes();
+        const voices = [];
+        for (let count = r.u8(); voices.length < count;) {
+            voices.push({ frequency: r.u16(), pulse: r.u16(), waveform: r.u8(), adsr: r.u16(), gate: r.bool() });
+        }
+        return {
+            registers,
+            voices,
+            filterFreq: r.u16(), filterResonance: r.u8(), filterMode: r.u8(),
+            volume: r.u8(),
+            noise: r.u32()
+        };
+    }],
+
+    // Cartridge mapper registers (and EasyFlash RAM); the ROM is not saved
+    ['CART', 'cartridge', (w, cartridge) => {
+        w.u16(cartridge.type);
+        w.u8(cartridge.bank); w.u8(cartridge.control);
+        w.bytes(cartridge.ram || new Uint8Array(0));
+    }, (r) => {
+        const cartridge = { type: r.u16(), bank: r.u8(), control: r.u8() };
+        const ram = r.bytes();
+        if (ram.length > 0) cartridge.ram = ram;
+        return cartridge;
+    }],
+
+    // REU registers and RAM, one 64K bank after the other
+    ['REU ', 'reu', (w, reu) => {
+        w.u32(reu.size);
+        w.u8(reu.status); w.u8(reu.command);
+        w.u16(reu.c64Address); w.u32(reu.reuAddress); w.u16(reu.length);
+        w.u8(reu.interruptMask); w.u8(reu.addressControl);
+        w.u16(reu.shadowC64Address); w.u32(reu.shadowREUAddress); w.u16(reu.shadowLength);
+        w.u16(reu.banks.length);
+        for (const bank of reu.banks) w.bytes(bank);
+    }, (r) => {
+        const reu = {
+            size: r.u32(),
+            status: r.u8(), command: r.u8(),
+            c64Address: r.u16(), reuAddress: r.u32(), length: r.u16(),
+            interruptMask: r.u8(), addressControl: r.u8(),
+            shadowC64Address: r.u16(), shadowREUAddress: r.u32(), shadowLength: r.u16(),
+            banks: []
+        };
+        for (let count = r.u16(); reu.banks.length < count;) reu.banks.push(r.bytes());
+        return reu;
+    }],
+
+    // GeoRAM registers and RAM, in 64K banks as for the REU
+    ['GEO ', 'georam', (w, georam) => {
+        w.u32(georam.size);
+        w.u8(georam.page); w.u8(georam.block);
+        w.u16(georam.banks.length);
+        for (const bank of georam.banks) w.bytes(bank);
+    }, (r) => {
+        const georam = { size: r.u32(), page: r.u8(), block: r.u8(), banks: [] };
+        for (let count = r.u16(); georam.banks.length < count;) georam.banks.push(r.bytes());
+        return georam;
+    }],
+
+    // The BASIC interpreter's state is a tree of plain values and Maps;
+    // it is stored as UTF-8 JSON with Maps written as { $map: entries }
+    ['BASI', 'basic', (w, basic) => {
+        const json = JSON.stringify(basic, (key, value) =>
+            value instanceof Map ? { $map: Array.from(value.entries()) } : value);
+        w.bytes(new TextEncoder().encode(json));
+    }, (r) => JSON.parse(new TextDecoder().decode(r.bytes()), (key, value) =>
+        value && typeof value === 'object' && Array.isArray(value.$map) ? new Map(value.$map) : value)]
+];
+
+function writeCIA(w, cia) {
+    w.bytes(cia.registers);
+    w.u16(cia.timerA); w.u16(cia.timerB);
+    w.u16(cia.timerALatch); w.u16(cia.timerBLatch);
+    w.bool(cia.timerARunning); w.bool(cia.timerBRunning);
+    w.bytes(cia.keyMatrix);
+    w.bytes(cia.keyQueue);
+    let joystick = 0;
+    CIA_JOYSTICK.forEach((direction, bit) => {
+        if (cia.joystickState[direction]) joystick |= 1 << bit;
+    });
+    w.u8(joystick);
+    w.u8(cia.interruptFlags); w.u8(cia.interruptMask);
+    w.bool(cia.interruptActive);
+}
+
+function readCIA(r) {
+    const state = {
+        registers: r.bytes(),
+        timerA: r.u16(), timerB: r.u16(),
+        timerALatch: r.u16(), timerBLatch: r.u16(),
+        timerARunning: r.bool(), timerBRunning: r.bool(),
+        keyMatrix: Array.from(r.bytes()),
+        keyQueue: Array.from(r.bytes())
+    };
+    const joystick = r.u8();
+    state.joystickState = {};
+    CIA_JOYSTICK.forEach((direction, bit) => {
+        state.joystickState[direction] = (joystick & (1 << bit)) !== 0;
+    });
+    state.interruptFlags = r.u8();
+    state.interruptMask = r.u8();
+    state.interruptActive = r.bool();
+    return state;
+}
+
+// Pack a state object ({ cpu, memory, vic, cia1, cia2, sid, cartridge, reu,
+// georam, basic }) into a save state blob. Missing parts are left out.
+export function encodeState(state) {
+    const writer = new StateWriter();
+    writer.tag(SAVE_STATE_MAGIC);
+    writer.u16(SAVE_STATE_VERSION);
+
+    for (const [tag, key, write] of CHUNKS) {
+        if (state[key] !== undefined) {
+            writer.chunk(tag, (w) => write(w, state[key]));
+        }
+    }
+
+    return writer.finish();
+}
+
+// Unpack a save state blob (Uint8Array or ArrayBuffer) into a state object
+export function decodeState(data) {
+    const reader = new StateReader(data instanceof Uint8Array ? data : new Uint8Array(data));
+
+    if (reader.data.length < 6 || reader.tag() !== SAVE_STATE_MAGIC) {
+        throw new Error('Not a C64 save state');
+    }
+    const version = reader.u16();
+    if (version > SAVE_STATE_VERSION) {
+        throw new Error(`Save state version ${version} is newer than supported (${SAVE_STATE_VERSION})`);
+    }
+
+    const state = {};
+    while (reader.offset < reader.data.length) {
+        const tag = reader.tag();
+        const payload = reader.sub(reader.u32());
+        const layout = CHUNKS.find(([name]) => name === tag);
+        if (layout) {
+            state[layout[1]] = layout[3](payload);
+        }
+    }
+
+    return state;
+}
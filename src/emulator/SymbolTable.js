@@ -0,0 +1,132 @@
+// SymbolTable.js - Address <-> label mapping for the disassembler and debugger
+// Loads VICE monitor label files (.lbl) and simple "name = $addr" symbol files
+
+// KERNAL jump table entries and the RAM vectors most code hooks into
+export const KERNAL_SYMBOLS = {
+    CINV: 0x0314,     // IRQ vector
+    CBINV: 0x0316,    // BRK vector
+    NMINV: 0x0318,    // NMI vector
+    CINT: 0xFF81,
+    IOINIT: 0xFF84,
+    RAMTAS: 0xFF87,
+    RESTOR: 0xFF8A,
+    VECTOR: 0xFF8D,
+    SETMSG: 0xFF90,
+    SECOND: 0xFF93,
+    TKSA: 0xFF96,
+    MEMTOP: 0xFF99,
+    MEMBOT: 0xFF9C,
+    SCNKEY: 0xFF9F,
+    SETTMO: 0xFFA2,
+    ACPTR: 0xFFA5,
+    CIOUT: 0xFFA8,
+    UNTLK: 0xFFAB,
+    UNLSN: 0xFFAE,
+    LISTEN: 0xFFB1,
+    TALK: 0xFFB4,
+    READST: 0xFFB7,
+    SETLFS: 0xFFBA,
+    SETNAM: 0xFFBD,
+    OPEN: 0xFFC0,
+    CLOSE: 0xFFC3,
+    CHKIN: 0xFFC6,
+    CHKOUT: 0xFFC9,
+    CLRCHN: 0xFFCC,
+    CHRIN: 0xFFCF,
+    CHROUT: 0xFFD2,
+    LOAD: 0xFFD5,
+    SAVE: 0xFFD8,
+    SETTIM: 0xFFDB,
+    RDTIM: 0xFFDE,
+    STOP: 0xFFE1,
+    GETIN: 0xFFE4,
+    CLALL: 0xFFE7,
+    UDTIM: 0xFFEA,
+    SCREEN: 0xFFED,
+    PLOT: 0xFFF0,
+    IOBASE: 0xFFF3
+};
+
+export class SymbolTable {
+    constructor(symbols = {}) {
+        this.labels = new Map();     // address -> name
+        this.addresses = new Map();  // name -> address
+
+        for (const [name, address] of Object.entries(symbols)) {
+            this.add(address, name);
+        }
+    }
+
+    get size() {
+        return this.labels.size;
+    }
+
+    add(address, name) {
+        address &= 0xFFFF;
+
+        // One label per address: a later definition replaces the earlier one
+        const previous = this.labels.get(address);
+        if (previous !== undefined) {
+            this.addresses.delete(previous);
+        }
+
+        this.labels.set(address, name);
+        this.addresses.set(name, address);
+    }
+
+    remove(name) {
+        const address = this.addresses.get(name);
+        if (address === undefined) return false;
+
+        this.addresses.delete(name);
+        this.labels.delete(address);
+        return true;
+    }
+
+    clear() {
+        this.labels.clear();
+        this.addresses.clear();
+    }
+
+    // Label at exactly this address, or null
+    getLabel(address) {
+        return this.labels.get(address & 0xFFFF) ?? null;
+    }
+
+    // Address of a label, or null
+    getAddress(name) {
+        return this.addresses.get(name) ?? null;
+    }
+
+    // Parse a symbol file and return the number of labels added.
+    // Accepted line formats:
+    //   al C:ffd2 .CHROUT      (VICE monitor, "ll"/"sl" commands)
+    //   al ffd2 .CHROUT        (older VICE)
+    //   CHROUT = $ffd2         (ACME, 64tass, KickAssembler style)
+    load(text) {
+        let count = 0;
+
+        for (const rawLine of text.split(/\r?\n/)) {
+            const line = rawLine.replace(/;.*$/, '').trim();
+            if (!line) continue;
+
+            let match = line.match(/^al\s+(?:[A-Z]:)?([0-9a-f]{1,4})\s+\.?([\w.@$]+)/i);
+            if (!match) {
+                match = line.match(/^\.?([A-Za-z_][\w.@]*)\s*=\s*\$([0-9a-f]{1,4})\b/i);
+                if (match) match = [match[0], match[2], match[1]];
+            }
+            if (!match) continue;
+
+            this.add(parseInt(match[1], 16), match[2]);
+            count++;
+        }
+
+        return count;
+    }
+
+    static fromText(text, symbols = {}) {
+        const table = new SymbolTable(symbols);
+        table.load(text);
+        return table;
+    }
+}
@@ -0,0 +1,155 @@
+// TraceLogger.js - Per-instruction CPU trace in a fixed-size ring buffer
+// While enabled, MOS6502.step() records the state *before* each instruction:
+// PC, instruction bytes, A/X/Y/SP/P and the cycle counter. Entries live in
+// typed arrays so tracing a whole frame costs no allocations; decoding to
+// text only happens on export.
+//
+// Export formats:
+//   'vice'    .C:0810  A9 01       LDA #$01       - A:00 X:00 Y:00 SP:fd ..-..I..   1234
+//             (VICE monitor "chis" layout)
+//   'nestest' 0810  A9 01     LDA #$01                        A:00 X:00 Y:00 P:24 SP:FD CYC:1234
+//             (Nintendulator/nestest layout used by most 6502 trace diff tools)
+
+import { Disassembler } from './Disassembler.js';
+
+const hex = (value, digits) => value.toString(16).toUpperCase().padStart(digits, '0');
+
+export class TraceLogger {
+    constructor(cpu, size = 65536) {
+        this.cpu = cpu;
+
+        // Labels would make traces differ from other emulators, so decode
+        // with a disassembler that has no symbol table
+        this.disassembler = new Disassembler(cpu.memory);
+
+        this.allocate(size);
+    }
+
+    allocate(size) {
+        this.size = size;
+        this.pc = new Uint16Array(size);
+        this.bytes = new Uint8Array(size * 3);
+        this.registers = new Uint8Array(size * 5);  // A, X, Y, SP, P
+        this.cycles = new Float64Array(size);
+        this.clear();
+    }
+
+    // Change the buffer size; drops the recorded entries
+    resize(size) {
+        this.allocate(size);
+    }
+
+    clear() {
+        this.next = 0;     // Slot the next entry goes into
+        this.count = 0;    // Number of valid entries (<= size)
+        this.total = 0;    // Instructions recorded since the last clear
+    }
+
+    get enabled() {
+        return this.cpu.trace === this;
+    }
+
+    enable() {
+        this.cpu.trace = this;
+    }
+
+    disable() {
+        if (this.cpu.trace === this) {
+            this.cpu.trace = null;
+        }
+    }
+
+    toggle() {
+        if (this.enabled) {
+            this.disable();
+        } else {
+            this.enable();
+        }
+        return this.enabled;
+    }
+
+    // Called by MOS6502.step() before the instruction at PC executes
+    record(cpu) {
+        const slot = this.next;
+        const pc = cpu.PC;
+        const memory = cpu.memory;
+
+        this.pc[slot] = pc;
+        this.bytes[slot * 3] = memory.peek(pc);
+        this.bytes[slot * 3 + 1] = memory.peek((pc + 1) & 0xFFFF);
+        this.bytes[slot * 3 + 2] = memory.peek((pc + 2) & 0xFFFF);
+
+        const r = slot * 5;
+        this.registers[r] = cpu.A;
+        this.registers[r + 1] = cpu.X;
+        this.registers[r + 2] = cpu.Y;
+        this.registers[r + 3] = cpu.SP;
+        this.registers[r + 4] = cpu.getP();
+        this.cycles[slot] = cpu.cycles;
+
+        this.next = (slot + 1) % this.size;
+        if (this.count < this.size) this.count++;
+        this.total++;
+    }
+
+    // The last count entries (all by default), oldest first
+    entries(count = this.count) {
+        count = Math.min(count, this.count);
+        const result = [];
+
+        for (let i = this.count - count; i < this.count; i++) {
+            const slot = (this.next - this.count + i + this.size) % this.size;
+            const r = slot * 5;
+            const bytes = [this.bytes[slot * 3], this.bytes[slot * 3 + 1], this.bytes[slot * 3 + 2]];
+            const instruction = this.disassembler.decodeBytes(this.pc[slot], bytes);
+
+            result.push({
+                pc: this.pc[slot],
+                bytes: instruction.bytes,
+                text: instruction.text,
+                A: this.registers[r],
+                X: this.registers[r + 1],
+                Y: this.registers[r + 2],
+                SP: this.registers[r + 3],
+                P: this.registers[r + 4],
+                cycles: this.cycles[slot]
+            });
+        }
+
+        return result;
+    }
+
+    // Text of the last count entries, one instruction per line
+    export(format = 'vice', count = this.count) {
+        const formatter = {
+            vice: formatVICE,
+            nestest: formatNestest
+        }[format];
+        if (!formatter) throw new Error(`Unknown trace format: ${format}`);
+
+        return this.entries(count).map(formatter).join('\n');
+    }
+}
+
+// "NV-BDIZC" with clear flags shown as dots, as in the VICE monitor
+function flagString(p) {
+    const names = 'NV-BDIZC';
+    let result = '';
+    for (let bit = 7; bit >= 0; bit--) {
+        const name = names[7 - bit];
+        result += name === '-' ? '-' : (p & (1 << bit) ? name : '.');
+    }
+    return result;
+}
+
+function formatVICE(entry) {
+    const bytes = entry.bytes.map(byte => hex(byte, 2)).join(' ').padEnd(12);
+    const registers = `A:${hex(entry.A, 2)} X:${hex(entry.X, 2)} Y:${hex(entry.Y, 2)} SP:${hex(entry.SP, 2).toLowerCase()}`;
+    return `.C:${hex(entry.pc, 4).toLowerCase()}  ${bytes}${entry.text.padEnd(15)}- ${registers} ${flagString(entry.P)} ${String(entry.cycles).padStart(8)}`;
+}
+
+function formatNestest(entry) {
+    const bytes = entry.bytes.map(byte => hex(byte, 2)).join(' ').padEnd(10);
+    const registers = `A:${hex(entry.A, 2)} X:${hex(entry.X, 2)} Y:${hex(entry.Y, 2)} P:${hex(entry.P, 2)} SP:${hex(entry.SP, 2)}`;
+    return `${hex(entry.pc, 4)}  ${bytes}${entry.text.padEnd(32)}${registers} CYC:${entry.cycles}`;
+}
@@ -1,6 +1,15 @@
 // VIC2.js - VIC-II Video Interface Controller
 // WORKING VERSION with console fixes merged
 
+// Canvas geometry: 384x272 pixels showing raster lines 16-287, with the
+// 40-column display window at x 32-351 and its first line ($33) at y 35
+const WIDTH = 384;
+const HEIGHT = 272;
+const FIRST_LINE = 16;                  // Raster line at the top of the canvas
+const WINDOW_LEFT = 32;                 // Canvas x of the first 40-column pixel
+const WINDOW_TOP = 0x33 - FIRST_LINE;   // Canvas y of the first 25-row line
+const SPRITE_LEFT = WINDOW_LEFT - 24;   // Canvas x of sprite X coordinate 0
+
 export class VIC2 {
     constructor(memory) {
         this.memory = memory;
@@ -23,6 +32,10 @@ export class VIC2 {
         this.maxRasterY = 312;  // PAL: 312 lines
         this.cyclesPerLine = 63; // PAL: 63 cycles per line
         
+        // DEN ($D011 bit 4) seen during raster line $30; bad lines only
+        // happen in frames where it was
+        this.displayEnabled = false;
+        
         // Registers (0xD000-0xD02E)
         this.registers = new Uint8Array(64);
         
@@ -38,6 +51,29 @@ export class VIC2 {
             color: 0
         }));
         
+        // Finished raster lines as palette indexes, put on the canvas once
+        // per frame (see renderLine and blitFrame)
+        this.framebuffer = new Uint8Array(WIDTH * HEIGHT);
+        
+        // Buffers for the line being drawn, over the canvas width: where the
+        // foreground graphics are set (sprite priority, collisions) and
+        // which sprite shows in front at each pixel
+        this.foreground = new Uint8Array(WIDTH);
+        this.spritePixels = new Int8Array(WIDTH);   // Sprite number, -1 = none
+        this.spriteColors = new Uint8Array(WIDTH);
+        this.cellPixels = new Uint8Array(8);
+        
+        // Colors of the bit pairs 00-11 for a multicolor cell and for a
+        // sprite, refilled for each one rather than allocated
+        this.cellColors = new Uint8Array(4);
+        this.spriteCodeColors = new Uint8Array(4);
+        
+        // Interrupt line callback, (active) => void. The latched sources are
+        // in $D019 (bit 0 raster, 1 sprite-background, 2 sprite-sprite,
+        // 3 light pen), the enable mask in $D01A.
+        this.onIRQ = null;
+        this.irqActive = false;
+        
         // Colors - FIXED: using hex values that work
         this.palette = [
             0x000000, 0xFFFFFF, 0x880000, 0xAAFFEE,
@@ -52,9 +88,11 @@ export class VIC2 {
         this.multicolorMode = false;
         this.extendedColorMode = false;
         
-        // Memory pointers
+        // Memory pointers, offsets into the 16K bank the VIC sees
+        this.bank = 0;               // 0-3, from CIA2 port A (see setBank)
         this.screenMemory = 0x0400;  // Default screen memory
-        this.charGenMemory = 0xD000; // Character generator ROM
+        this.charGenMemory = 0x1000; // Character generator ROM in banks 0 and 2
+        this.bitmapMemory = 0x0000;  // 8K bitmap in bitmap modes
         this.colorMemory = 0xD800;   // Color RAM
         
         // Cursor properties
@@ -86,13 +124,15 @@ export class VIC2 {
     reset() {
         this.cycleCounter = 0;  // FIXED: using cycleCounter
         this.rasterY = 0;
+        this.displayEnabled = false;
         this.registers.fill(0);
+        this.updateIRQ();
         this.clearScreen();
         
         // Set default register values
-        this.registers[0x11] = 0x1B; // Control register 1
-        this.registers[0x16] = 0xC8; // Control register 2
-        this.registers[0x18] = 0x14; // Memory pointers
+        this.write(0x11, 0x1B); // Control register 1
+        this.write(0x16, 0xC8); // Control register 2
+        this.write(0x18, 0x14); // Memory pointers
         this.registers[0x20] = 0x0E; // Border color (light blue)
         this.registers[0x21] = 0x06; // Background color (blue)
         // Reset cursor to position after READY.
@@ -115,32 +155,27 @@ export class VIC2 {
     }
 
     // FIXED cycle() method from console command that worked
+    // Each raster line is drawn into the framebuffer as the beam leaves
+    // it, with the registers as they are at that moment, so changes made
+    // during the frame (raster bars, splits, mode switches) show.
     cycle() {
         this.cycleCounter++;
         
         // End of line?
         if (this.cycleCounter >= this.cyclesPerLine) {
             this.cycleCounter = 0;
+            this.renderLine(this.rasterY);
             this.rasterY++;
             
-            // Render visible lines as we go (optional optimization)
-            if (this.rasterY >= 50 && this.rasterY < 250) {
-                // We're in the visible area
-                if (this.rasterY === 50) {
-                    // Start of visible area - clear screen once
-                    if (this.ctx) {
-                        // Draw border
-                        this.drawBorder();
-                    }
-                }
+            if (this.rasterY === 0x30) {
+                this.displayEnabled = (this.registers[0x11] & 0x10) !== 0;
             }
             
             // End of frame?
             if (this.rasterY >= this.maxRasterY) {
                 this.rasterY = 0;
-                // Render the complete frame
                 this.updateCursor();  // ADD THIS LINE
-                this.renderFrame();
+                this.blitFrame();
             }
             
             // Check for raster interrupt
@@ -148,288 +183,198 @@ export class VIC2 {
         }
     }
 
-    drawBorder() {
-        const borderColor = this.palette[this.registers[0x20] & 0x0F];
-        const data = this.imageData.data;
+    // Redraw every line from the current registers, for when the beam is
+    // not running (after loading a state or stepping back). Collisions
+    // are not latched again.
+    renderFrame() {
+        for (let line = FIRST_LINE; line < FIRST_LINE + HEIGHT; line++) {
+            this.renderLine(line, false);
+        }
+        this.blitFrame();
+    }
+    
+    // Draw a raster line into the framebuffer: the border color, and inside
+    // the display window (24/25 rows by RSEL, 38/40 columns by CSEL) the
+    // graphics scrolled by XSCROLL/YSCROLL with the sprites over them.
+    // Sprite collisions found on the line are latched unless latch is false.
+    renderLine(line, latch = true) {
+        const y = line - FIRST_LINE;
+        if (y < 0 || y >= HEIGHT) return;
+        
+        const registers = this.registers;
+        const out = this.framebuffer.subarray(y * WIDTH, (y + 1) * WIDTH);
+        const border = registers[0x20] & 0x0F;
+        out.fill(border);
+        
+        // Sprites behind the top and bottom border are hidden but still
+        // collide with each other
+        const foreground = this.foreground;
+        foreground.fill(0);
+        const rows25 = registers[0x11] & 0x08;
+        if (!this.displayEnabled || line < (rows25 ? 0x33 : 0x37) || line >= (rows25 ? 0xFB : 0xF7)) {
+            this.renderSprites(line, null, latch);
+            return;
+        }
         
-        // Top and bottom borders
-        for (let y = 0; y < this.borderHeight; y++) {
-            for (let x = 0; x < 384; x++) {
-                // Top border
-                let offset = (y * 384 + x) * 4;
-                data[offset] = (borderColor >> 16) & 0xFF;
-                data[offset + 1] = (borderColor >> 8) & 0xFF;
-                data[offset + 2] = borderColor & 0xFF;
-                
-                // Bottom border
-                offset = ((272 - this.borderHeight + y) * 384 + x) * 4;
-                data[offset] = (borderColor >> 16) & 0xFF;
-                data[offset + 1] = (borderColor >> 8) & 0xFF;
-                data[offset + 2] = borderColor & 0xFF;
+        // Graphics: pixels before XSCROLL and lines outside the 200 shown
+        // from YSCROLL on are background
+        const windowRight = WINDOW_LEFT + 320;
+        out.fill(registers[0x21] & 0x0F, WINDOW_LEFT, windowRight);
+        
+        const graphicsLine = line - 0x30 - (registers[0x11] & 0x07);
+        if (graphicsLine >= 0 && graphicsLine < 200) {
+            const pixels = this.cellPixels;
+            const left = WINDOW_LEFT + (registers[0x16] & 0x07);
+            for (let col = 0; col < 40; col++) {
+                const bits = this.cellRow(graphicsLine >> 3, col, graphicsLine & 7, pixels);
+                for (let cx = 0; cx < 8; cx++) {
+                    const x = left + col * 8 + cx;
+                    if (x >= windowRight) break;
+                    out[x] = pixels[cx];
+                    if (bits & (0x80 >> cx)) {
+                        foreground[x] = 1;
+                    }
+                }
             }
         }
         
-        // Left and right borders
-        for (let y = this.borderHeight; y < 272 - this.borderHeight; y++) {
-            for (let x = 0; x < this.borderWidth; x++) {
-                // Left border
-                let offset = (y * 384 + x) * 4;
-                data[offset] = (borderColor >> 16) & 0xFF;
-                data[offset + 1] = (borderColor >> 8) & 0xFF;
-                data[offset + 2] = borderColor & 0xFF;
-                
-                // Right border
-                offset = (y * 384 + (384 - this.borderWidth + x)) * 4;
-                data[offset] = (borderColor >> 16) & 0xFF;
-                data[offset + 1] = (borderColor >> 8) & 0xFF;
-                data[offset + 2] = borderColor & 0xFF;
-            }
+        this.renderSprites(line, out, latch);
+        
+        // 38 columns: the border covers 7 pixels on the left, 9 on the right
+        if (!(registers[0x16] & 0x08)) {
+            out.fill(border, WINDOW_LEFT, WINDOW_LEFT + 7);
+            out.fill(border, windowRight - 9, windowRight);
         }
     }
-
-    // FIXED renderFrame() from working console command
-    // renderFrame() {
-    //     if (!this.ctx) {
-    //         this.ctx = document.getElementById('screen').getContext('2d');
-    //         this.canvas = document.getElementById('screen');
-    //     }
-        
-    //     // C64 colors
-    //     const colors = [
-    //         0x000000, 0xFFFFFF, 0x880000, 0xAAFFEE,
-    //         0xCC44CC, 0x00CC55, 0x0000AA, 0xEEEE77,
-    //         0xDD8855, 0x664400, 0xFF7777, 0x333333,
-    //         0x777777, 0xAAFF66, 0x0088FF, 0xBBBBBB
-    //     ];
-        
-    //     // Get screen settings
-    //     const borderColor = colors[this.registers[0x20] & 0x0F] || colors[14];
-    //     const bgColor = colors[this.registers[0x21] & 0x0F] || colors[6];
-    //     const screenMemory = ((this.registers[0x18] & 0xF0) >> 4) * 0x400;
-        
-    //     // Clear with border color
-    //     this.ctx.fillStyle = '#' + borderColor.toString(16).padStart(6, '0');
-    //     this.ctx.fillRect(0, 0, 384, 272);
-        
-    //     // Draw background
-    //     this.ctx.fillStyle = '#' + bgColor.toString(16).padStart(6, '0');
-    //     this.ctx.fillRect(32, 35, 320, 200);
-        
-    //     // Simple character patterns for READY.
-    //     const charPatterns = {
-    //         0x01: [0x18,0x3C,0x66,0x7E,0x66,0x66,0x66,0x00], // A
-    //         0x04: [0x78,0x6C,0x66,0x66,0x66,0x6C,0x78,0x00], // D  
-    //         0x05: [0x7E,0x60,0x60,0x78,0x60,0x60,0x7E,0x00], // E
-    //         0x12: [0x7C,0x66,0x66,0x7C,0x78,0x6C,0x66,0x00], // R
-    //         0x19: [0x66,0x66,0x66,0x3C,0x18,0x18,0x18,0x00], // Y
-    //         0x2E: [0x00,0x00,0x00,0x00,0x00,0x18,0x18,0x00]  // .
-    //     };
-        
-    //     // Render text characters
-    //     for (let row = 0; row < 25; row++) {
-    //         for (let col = 0; col < 40; col++) {
-    //             const charIndex = row * 40 + col;
-    //             const screenCode = this.memory.read(screenMemory + charIndex);
-                
-    //             if (screenCode !== 0x20 && screenCode !== 0x00) {
-    //                 const colorCode = this.memory.read(0xD800 + charIndex) & 0x0F;
-    //                 const color = colors[colorCode || 14];
-    //                 this.ctx.fillStyle = '#' + color.toString(16).padStart(6, '0');
-                    
-    //                 // Get pattern or use default
-    //                 const pattern = charPatterns[screenCode] || [0xFF,0xFF,0xFF,0xFF,0xFF,0xFF,0xFF,0xFF];
-                    
-    //                 // Draw character
-    //                 for (let cy = 0; cy < 8; cy++) {
-    //                     const bits = pattern[cy];
-    //                     for (let cx = 0; cx < 8; cx++) {
-    //                         if (bits & (0x80 >> cx)) {
-    //                             this.ctx.fillRect(
-    //                                 32 + col * 8 + cx,
-    //                                 35 + row * 8 + cy,
-    //                                 1, 1
-    //                             );
-    //                         }
-    //                     }
-    //                 }
-    //             }
-    //         }
-    //     }
-    //     // Draw cursor if visible
-    //     if (this.cursorVisible) {
-    //         // Get cursor color from color RAM at cursor position
-    //         const cursorColorIndex = this.memory.read(0xD800 + (this.cursorY * 40 + this.cursorX)) & 0x0F;
-    //         const cursorColor = colors[cursorColorIndex || 14]; // Default to light blue
-            
-    //         // Calculate pixel position
-    //         const cursorPixelX = 32 + (this.cursorX * 8);  // 32 = border width
-    //         const cursorPixelY = 35 + (this.cursorY * 8);  // 35 = border height
-            
-    //         // Draw cursor as solid rectangle (C64 style)
-    //         this.ctx.fillStyle = '#' + cursorColor.toString(16).padStart(6, '0');
-    //         this.ctx.fillRect(cursorPixelX, cursorPixelY, 8, 8);
-    //     }
-    // }
-    renderFrame() {
+    
+    // Put the framebuffer on the canvas, with the BASIC cursor on top
+    blitFrame() {
         if (!this.ctx) {
             this.ctx = document.getElementById('screen').getContext('2d');
             this.canvas = document.getElementById('screen');
         }
         
-        // C64 colors
-        const colors = [
-            0x000000, 0xFFFFFF, 0x880000, 0xAAFFEE,
-            0xCC44CC, 0x00CC55, 0x0000AA, 0xEEEE77,
-            0xDD8855, 0x664400, 0xFF7777, 0x333333,
-            0x777777, 0xAAFF66, 0x0088FF, 0xBBBBBB
-        ];
-        
-        // Get screen settings
-        const borderColor = colors[this.registers[0x20] & 0x0F] || colors[14];
-        const bgColor = colors[this.registers[0x21] & 0x0F] || colors[6];
-        const screenMemory = ((this.registers[0x18] & 0xF0) >> 4) * 0x400;
-        
-        // Clear with border color
-        this.ctx.fillStyle = '#' + borderColor.toString(16).padStart(6, '0');
-        this.ctx.fillRect(0, 0, 384, 272);
-        
-        // Draw background
-        this.ctx.fillStyle = '#' + bgColor.toString(16).padStart(6, '0');
-        this.ctx.fillRect(32, 35, 320, 200);
-        
-        // Render text characters using CHARACTER ROM
-        for (let row = 0; row < 25; row++) {
-            for (let col = 0; col < 40; col++) {
-                const charIndex = row * 40 + col;
-                const screenCode = this.memory.read(screenMemory + charIndex);
-                
-                // Skip spaces (0x20)
-                if (screenCode === 0x20) continue;
-                
-                // Get color from color RAM
-                const colorCode = this.memory.read(0xD800 + charIndex) & 0x0F;
-                const color = colors[colorCode || 14];
-                this.ctx.fillStyle = '#' + color.toString(16).padStart(6, '0');
-                
-                // Get character pattern from CHARACTER ROM
-                // Each character is 8 bytes in the charset
-                const charDataOffset = screenCode * 8;
-                
-                // Draw the character pixel by pixel
-                for (let cy = 0; cy < 8; cy++) {
-                    // Read byte from character ROM
-                    let charByte;
-                    
-                    // Check if we have charset data loaded
-                    if (this.memory.charset && this.memory.charset.length > charDataOffset + cy) {
-                        charByte = this.memory.charset[charDataOffset + cy];
-                    } else {
-                        // Fallback: create simple patterns for essential characters
-                        charByte = this.getFallbackCharPattern(screenCode, cy);
-                    }
-                    
-                    // Draw the 8 pixels of this row
-                    for (let cx = 0; cx < 8; cx++) {
-                        if (charByte & (0x80 >> cx)) {
-                            this.ctx.fillRect(
-                                32 + col * 8 + cx,
-                                35 + row * 8 + cy,
-                                1, 1
-                            );
-                        }
-                    }
-                }
+        const frame = this.framebuffer;
+        if (this.cursorVisible) {
+            const color = (this.memory.colorRAM[this.cursorY * 40 + this.cursorX] & 0x0F) || 14;
+            const x = WINDOW_LEFT + this.cursorX * 8;
+            for (let y = WINDOW_TOP + this.cursorY * 8, end = y + 8; y < end; y++) {
+                frame.fill(color, y * WIDTH + x, y * WIDTH + x + 8);
             }
         }
         
-        // Draw cursor if visible (at the end so it's on top)
-        if (this.cursorVisible) {
-            const cursorColorIndex = this.memory.read(0xD800 + (this.cursorY * 40 + this.cursorX)) & 0x0F;
-            const cursorColor = colors[cursorColorIndex || 14];
-            
-            const cursorPixelX = 32 + (this.cursorX * 8);
-            const cursorPixelY = 35 + (this.cursorY * 8);
-            
-            this.ctx.fillStyle = '#' + cursorColor.toString(16).padStart(6, '0');
-            this.ctx.fillRect(cursorPixelX, cursorPixelY, 8, 8);
+        const data = this.imageData.data;
+        const palette = this.palette;
+        for (let i = 0, offset = 0; i < frame.length; i++, offset += 4) {
+            const color = palette[frame[i]];
+            data[offset] = (color >> 16) & 0xFF;
+            data[offset + 1] = (color >> 8) & 0xFF;
+            data[offset + 2] = color & 0xFF;
+            data[offset + 3] = 255;
         }
+        this.ctx.putImageData(this.imageData, 0, 0);
     }
 
-
-    // Add this helper method to VIC2 class for fallback patterns
-    getFallbackCharPattern(screenCode, row) {
-        // Basic patterns for common characters as fallback
-        // This is used if charset ROM isn't loaded properly
-        
-        const patterns = {
-            // Letters A-Z (screen codes 1-26)
-            0x01: [0x18,0x3C,0x66,0x7E,0x66,0x66,0x66,0x00], // A
-            0x02: [0x7C,0x66,0x66,0x7C,0x66,0x66,0x7C,0x00], // B
-            0x03: [0x3C,0x66,0x60,0x60,0x60,0x66,0x3C,0x00], // C
-            0x04: [0x78,0x6C,0x66,0x66,0x66,0x6C,0x78,0x00], // D
-            0x05: [0x7E,0x60,0x60,0x78,0x60,0x60,0x7E,0x00], // E
-            0x06: [0x7E,0x60,0x60,0x78,0x60,0x60,0x60,0x00], // F
-            0x07: [0x3C,0x66,0x60,0x6E,0x66,0x66,0x3C,0x00], // G
-            0x08: [0x66,0x66,0x66,0x7E,0x66,0x66,0x66,0x00], // H
-            0x09: [0x3C,0x18,0x18,0x18,0x18,0x18,0x3C,0x00], // I
-            0x0A: [0x1E,0x0C,0x0C,0x0C,0x0C,0x6C,0x38,0x00], // J
-            0x0B: [0x66,0x6C,0x78,0x70,0x78,0x6C,0x66,0x00], // K
-            0x0C: [0x60,0x60,0x60,0x60,0x60,0x60,0x7E,0x00], // L
-            0x0D: [0x63,0x77,0x7F,0x6B,0x63,0x63,0x63,0x00], // M
-            0x0E: [0x66,0x76,0x7E,0x7E,0x6E,0x66,0x66,0x00], // N
-            0x0F: [0x3C,0x66,0x66,0x66,0x66,0x66,0x3C,0x00], // O
-            0x10: [0x7C,0x66,0x66,0x7C,0x60,0x60,0x60,0x00], // P
-            0x11: [0x3C,0x66,0x66,0x66,0x66,0x3C,0x0E,0x00], // Q
-            0x12: [0x7C,0x66,0x66,0x7C,0x78,0x6C,0x66,0x00], // R
-            0x13: [0x3C,0x66,0x60,0x3C,0x06,0x66,0x3C,0x00], // S
-            0x14: [0x7E,0x18,0x18,0x18,0x18,0x18,0x18,0x00], // T
-            0x15: [0x66,0x66,0x66,0x66,0x66,0x66,0x3C,0x00], // U
-            0x16: [0x66,0x66,0x66,0x66,0x66,0x3C,0x18,0x00], // V
-            0x17: [0x63,0x63,0x63,0x6B,0x7F,0x77,0x63,0x00], // W
-            0x18: [0x66,0x66,0x3C,0x18,0x3C,0x66,0x66,0x00], // X
-            0x19: [0x66,0x66,0x66,0x3C,0x18,0x18,0x18,0x00], // Y
-            0x1A: [0x7E,0x06,0x0C,0x18,0x30,0x60,0x7E,0x00], // Z
-            
-            // Numbers 0-9 (screen codes 48-57)
-            0x30: [0x3C,0x66,0x6E,0x76,0x66,0x66,0x3C,0x00], // 0
-            0x31: [0x18,0x18,0x38,0x18,0x18,0x18,0x7E,0x00], // 1
-            0x32: [0x3C,0x66,0x06,0x0C,0x30,0x60,0x7E,0x00], // 2
-            0x33: [0x3C,0x66,0x06,0x1C,0x06,0x66,0x3C,0x00], // 3
-            0x34: [0x06,0x0E,0x1E,0x66,0x7F,0x06,0x06,0x00], // 4
-            0x35: [0x7E,0x60,0x7C,0x06,0x06,0x66,0x3C,0x00], // 5
-            0x36: [0x3C,0x66,0x60,0x7C,0x66,0x66,0x3C,0x00], // 6
-            0x37: [0x7E,0x66,0x0C,0x18,0x18,0x18,0x18,0x00], // 7
-            0x38: [0x3C,0x66,0x66,0x3C,0x66,0x66,0x3C,0x00], // 8
-            0x39: [0x3C,0x66,0x66,0x3E,0x06,0x66,0x3C,0x00], // 9
-            
-            // Special characters
-            0x21: [0x18,0x3C,0x3C,0x18,0x18,0x00,0x18,0x00], // !
-            0x2E: [0x00,0x00,0x00,0x00,0x00,0x18,0x18,0x00], // .
-            0x2C: [0x00,0x00,0x00,0x00,0x00,0x18,0x18,0x30], // ,
-            0x3A: [0x00,0x18,0x18,0x00,0x00,0x18,0x18,0x00], // :
-            0x3B: [0x00,0x18,0x18,0x00,0x00,0x18,0x18,0x30], // ;
-            0x3F: [0x3C,0x66,0x06,0x0C,0x18,0x00,0x18,0x00], // ?
-            0x28: [0x0C,0x18,0x30,0x30,0x30,0x18,0x0C,0x00], // (
-            0x29: [0x30,0x18,0x0C,0x0C,0x0C,0x18,0x30,0x00], // )
-            0x2B: [0x00,0x18,0x18,0x7E,0x18,0x18,0x00,0x00], // +
-            0x2D: [0x00,0x00,0x00,0x7E,0x00,0x00,0x00,0x00], // -
-            0x2F: [0x00,0x06,0x0C,0x18,0x30,0x60,0x00,0x00], // /
-            0x22: [0x66,0x66,0x66,0x00,0x00,0x00,0x00,0x00], // "
-            0x27: [0x18,0x18,0x18,0x00,0x00,0x00,0x00,0x00], // '
-            0x2A: [0x00,0x66,0x3C,0xFF,0x3C,0x66,0x00,0x00], // *
-            0x3D: [0x00,0x00,0x7E,0x00,0x7E,0x00,0x00,0x00], // =
-        };
+    // Pixel row cy of the cell at row, col in the current graphics mode
+    // ($D011 ECM/BMM, $D016 MCM): the 8 color indexes go into pixels, and
+    // the foreground bits (pixel 0 in bit 7) are returned. Foreground is
+    // what sprites can hide behind and collide with: set pixels in hires
+    // modes, bit pairs 10 and 11 in multicolor ones.
+    //
+    //   text               set pixels in color RAM, others $D021
+    //   multicolor text    color RAM bit 3 set: bit pairs $D021, $D022,
+    //                      $D023, color RAM & 7; clear: hires in color RAM & 7
+    //   ECM text           64 characters, code bits 6-7 pick $D021-$D024
+    //   bitmap             8K bitmap at $0000/$2000 in the bank, set pixels
+    //                      in the screen RAM high nybble, others in the low
+    //   multicolor bitmap  bit pairs $D021, screen high, screen low, color RAM
+    //
+    // ECM together with BMM or MCM is invalid and shows black.
+    cellRow(row, col, cy, pixels) {
+        const registers = this.registers;
+        const cell = row * 40 + col;
+        const screen = this.readVideo(this.screenMemory + cell);
+        const color = this.memory.colorRAM[cell] & 0x0F;
+        const ecm = this.extendedColorMode;
+        const background = registers[0x21] & 0x0F;
+        
+        const data = this.bitmapMode
+            ? this.readVideo(this.bitmapMemory + cell * 8 + cy)
+            : this.readVideo(this.charGenMemory + (ecm ? screen & 0x3F : screen) * 8 + cy);
+        
+        const multicolors = this.cellColors;
+        let multicolor = false;
+        let on;
+        let off = background;
+        if (this.bitmapMode && this.multicolorMode) {
+            multicolor = true;
+            multicolors[0] = background;
+            multicolors[1] = screen >> 4;
+            multicolors[2] = screen & 0x0F;
+            multicolors[3] = color;
+        } else if (this.bitmapMode) {
+            on = screen >> 4;
+            off = screen & 0x0F;
+        } else if (this.multicolorMode && (color & 0x08)) {
+            multicolor = true;
+            multicolors[0] = background;
+            multicolors[1] = registers[0x22] & 0x0F;
+            multicolors[2] = registers[0x23] & 0x0F;
+            multicolors[3] = color & 0x07;
+        } else if (this.multicolorMode) {
+            on = color & 0x07;
+        } else if (ecm) {
+            on = color;
+            off = registers[0x21 + (screen >> 6)] & 0x0F;
+        } else {
+            on = color;
+        }
         
-        const pattern = patterns[screenCode];
-        if (pattern && pattern[row] !== undefined) {
-            return pattern[row];
+        let foreground = data;
+        if (multicolor) {
+            foreground = 0;
+            for (let pair = 0; pair < 4; pair++) {
+                const bits = (data >> (6 - pair * 2)) & 0x03;
+                pixels[pair * 2] = pixels[pair * 2 + 1] = multicolors[bits];
+                if (bits & 0x02) foreground |= 0xC0 >> (pair * 2);
+            }
+        } else {
+            for (let i = 0; i < 8; i++) {
+                pixels[i] = data & (0x80 >> i) ? on : off;
+            }
         }
         
-        // Default: return empty for unknown characters
-        return 0x00;
+        if (ecm && (this.bitmapMode || this.multicolorMode)) {
+            pixels.fill(0);
+        }
+        return foreground;
     }
-
-
+    
+    // Select the 16K bank the VIC sees (0 = $0000, 1 = $4000, ...). CIA2
+    // port A bits 0-1 drive the bank lines inverted: bank = 3 - (PA & 3).
+    setBank(bank) {
+        this.bank = bank & 3;
+    }
+    
+    get bankBase() {
+        return this.bank * 0x4000;
+    }
+    
+    // A byte as the VIC reads it at a 14-bit address in its bank. The VIC
+    // always sees RAM, except for the character ROM at $1000-$1FFF in
+    // banks 0 and 2 and, in Ultimax mode, the cartridge ROMH at $3000-$3FFF.
+    readVideo(address) {
+        address &= 0x3FFF;
+        const memory = this.memory;
+        if ((address & 0x3000) === 0x1000 && (this.bank & 1) === 0) {
+            return memory.charset[address & 0x0FFF];
+        }
+        if ((address & 0x3000) === 0x3000 && memory.ultimax) {
+            return memory.romH ? memory.romH[0x1000 | (address & 0x0FFF)] : 0xFF;
+        }
+        return memory.ram[this.bankBase | address];
+    }
+    
     updateCursor() {
         // Increment blink counter
         this.cursorBlinkCounter++;
@@ -441,71 +386,6 @@ export class VIC2 {
         }
     }
 
-    renderTextMode() {
-        const screenMemory = ((this.registers[0x18] & 0xF0) >> 4) * 0x400;
-        const data = this.imageData.data;
-        
-        // Colors
-        const borderColor = this.palette[this.registers[0x20] & 0x0F];
-        const bgColor = this.palette[this.registers[0x21] & 0x0F];
-        
-        // Fill background
-        for (let y = this.borderHeight; y < 272 - this.borderHeight; y++) {
-            for (let x = this.borderWidth; x < 384 - this.borderWidth; x++) {
-                const offset = (y * 384 + x) * 4;
-                data[offset] = (bgColor >> 16) & 0xFF;
-                data[offset + 1] = (bgColor >> 8) & 0xFF;
-                data[offset + 2] = bgColor & 0xFF;
-                data[offset + 3] = 255;
-            }
-        }
-        
-        // Simple character patterns for READY.
-        const patterns = {
-            0x01: [0x18,0x3C,0x66,0x7E,0x66,0x66,0x66,0x00], // A
-            0x04: [0x78,0x6C,0x66,0x66,0x66,0x6C,0x78,0x00], // D
-            0x05: [0x7E,0x60,0x60,0x78,0x60,0x60,0x7E,0x00], // E
-            0x12: [0x7C,0x66,0x66,0x7C,0x78,0x6C,0x66,0x00], // R
-            0x19: [0x66,0x66,0x66,0x3C,0x18,0x18,0x18,0x00], // Y
-            0x2E: [0x00,0x00,0x00,0x00,0x00,0x18,0x18,0x00]  // .
-        };
-        
-        // Render text characters (40x25)
-        for (let row = 0; row < 25; row++) {
-            for (let col = 0; col < 40; col++) {
-                const charIndex = row * 40 + col;
-                const screenCode = this.memory.read(screenMemory + charIndex);
-                
-                // Skip spaces
-                if (screenCode === 0x20 || screenCode === 0x00) continue;
-                
-                // Get color from color RAM
-                const colorCode = this.memory.read(0xD800 + charIndex) & 0x0F;
-                const color = this.palette[colorCode || 14];
-                
-                // Get pattern or use default block
-                const pattern = patterns[screenCode] || [0xFF,0xFF,0xFF,0xFF,0xFF,0xFF,0xFF,0xFF];
-                
-                // Draw character
-                for (let cy = 0; cy < 8; cy++) {
-                    const charByte = pattern[cy];
-                    for (let cx = 0; cx < 8; cx++) {
-                        if (charByte & (0x80 >> cx)) {
-                            const px = col * 8 + cx + this.borderWidth;
-                            const py = row * 8 + cy + this.borderHeight;
-                            const offset = (py * 384 + px) * 4;
-                            
-                            data[offset] = (color >> 16) & 0xFF;
-                            data[offset + 1] = (color >> 8) & 0xFF;
-                            data[offset + 2] = color & 0xFF;
-                            data[offset + 3] = 255;
-                        }
-                    }
-                }
-            }
-        }
-    }
-    
     updateSprites() {
         // Update sprite positions and properties from registers
         for (let i = 0; i < 8; i++) {
@@ -518,30 +398,224 @@ export class VIC2 {
             sprite.multicolor = !!(this.registers[0x1C] & (1 << i));
             sprite.priority = !!(this.registers[0x1B] & (1 << i));
             sprite.color = this.registers[0x27 + i] & 0x0F;
-            
-            if (sprite.enabled) {
-                this.drawSprite(i);
+        }
+    }
+    
+    // Draw the sprites of a raster line over the display window part of
+    // out. Where sprites overlap the lowest numbered one wins; it is then
+    // hidden by foreground graphics if its priority bit ($D01B) puts it
+    // behind them. Without out (border lines) only the collisions are
+    // collected.
+    renderSprites(line, out, latch = true) {
+        this.updateSprites();
+        
+        const pixels = this.spritePixels;
+        pixels.fill(-1);
+        this.spriteCollisions = 0;
+        this.backgroundCollisions = 0;
+        for (let i = 0; i < 8; i++) {
+            if (this.sprites[i].enabled) {
+                this.drawSprite(i, line);
             }
         }
+        if (latch) {
+            this.latchCollisions(this.spriteCollisions, this.backgroundCollisions);
+        }
+        if (!out) return;
+        
+        for (let x = WINDOW_LEFT; x < WINDOW_LEFT + 320; x++) {
+            const index = pixels[x];
+            if (index < 0 || (this.sprites[index].priority && this.foreground[x])) continue;
+            out[x] = this.spriteColors[x];
+        }
     }
     
-    drawSprite(index) {
-        // Simplified sprite drawing
+    // Put one sprite's pixels on a raster line into spritePixels/
+    // spriteColors where no lower numbered sprite has one, collecting
+    // collisions on the way (a sprite pixel over another sprite's or over
+    // foreground graphics, visible or not). The 63 data bytes (21 rows of
+    // 3) are at pointer * 64 in the VIC bank, the pointer in the last 8
+    // bytes of the screen. Multicolor sprites use bit pairs, each 2 pixels
+    // wide: 01 = $D025, 10 = sprite color, 11 = $D026. Each row is fetched
+    // at the end of a line and shown on the next, so a sprite at Y first
+    // appears on line Y + 1: X = 24, Y = 50 is the top left corner of the
+    // display window.
+    drawSprite(index, line) {
         const sprite = this.sprites[index];
-        // TODO: Implement full sprite rendering
+        const height = sprite.expandY ? 2 : 1;
+        const row = Math.floor((line - sprite.y - 1) / height);
+        if (row < 0 || row >= 21) return;
+        
+        const pixels = this.spritePixels;
+        const spriteColors = this.spriteColors;
+        const data = this.readVideo(this.screenMemory + 0x3F8 + index) * 64 + row * 3;
+        const bits = (this.readVideo(data) << 16) | (this.readVideo(data + 1) << 8) | this.readVideo(data + 2);
+        if (bits === 0) return;
+        
+        const colors = this.spriteCodeColors;
+        colors[1] = this.registers[0x25] & 0x0F;
+        colors[2] = sprite.color;
+        colors[3] = this.registers[0x26] & 0x0F;
+        const width = sprite.expandX ? 2 : 1;
+        const left = SPRITE_LEFT + sprite.x;
+        
+        for (let px = 0; px < 24; px++) {
+            const code = sprite.multicolor
+                ? (bits >> (22 - (px & ~1))) & 0x03
+                : (bits >> (23 - px)) & 0x01 ? 2 : 0;
+            if (code === 0) continue;
+            
+            for (let dx = 0; dx < width; dx++) {
+                const x = left + px * width + dx;
+                if (x < 0 || x >= WIDTH) continue;
+                
+                if (pixels[x] < 0) {
+                    pixels[x] = index;
+                    spriteColors[x] = colors[code];
+                } else if (pixels[x] !== index) {
+                    this.spriteCollisions |= (1 << index) | (1 << pixels[x]);
+                }
+                if (this.foreground[x]) {
+                    this.backgroundCollisions |= 1 << index;
+                }
+            }
+        }
+    }
+    
+    // Add a line's collisions to $D01E (sprite-sprite) and $D01F
+    // (sprite-background). The interrupt only fires when a register goes
+    // from empty to non-empty; reading it clears it again.
+    latchCollisions(sprites, background) {
+        if (sprites) {
+            if (this.registers[0x1E] === 0) this.triggerInterrupt(0x04);
+            this.registers[0x1E] |= sprites;
+        }
+        if (background) {
+            if (this.registers[0x1F] === 0) this.triggerInterrupt(0x02);
+            this.registers[0x1F] |= background;
+        }
     }
     
+    // Latch an interrupt source in $D019 (see onIRQ)
+    triggerInterrupt(source) {
+        this.registers[0x19] |= source;
+        this.updateIRQ();
+    }
+    
+    updateIRQ() {
+        const active = (this.registers[0x19] & this.registers[0x1A] & 0x0F) !== 0;
+        if (active === this.irqActive) return;
+        
+        this.irqActive = active;
+        if (this.onIRQ) {
+            this.onIRQ(active);
+        }
+    }
+    
+    // Raster compare value: $D012 plus bit 7 of $D011 as bit 8
+    get rasterCompare() {
+        return this.registers[0x12] | ((this.registers[0x11] & 0x80) << 1);
+    }
+    
+    // Called when the beam starts a new line. The flag latches whether or
+    // not the raster interrupt is enabled in $D01A.
     checkRasterIRQ() {
-        const rasterCompare = this.registers[0x12] | ((this.registers[0x11] & 0x80) << 1);
-        if (this.rasterY === rasterCompare && (this.registers[0x1A] & 0x01)) {
-            // Set raster interrupt flag
-            this.registers[0x19] |= 0x01;
-            // TODO: Trigger CPU IRQ
+        if (this.rasterY === this.rasterCompare) {
+            this.triggerInterrupt(0x01);
+        }
+    }
+    
+    // Registers, beam position and derived mode state as a plain object
+    // (rewind, save states); the canvas is redrawn on the next frame
+    snapshot() {
+        return {
+            registers: this.registers.slice(),
+            cycleCounter: this.cycleCounter,
+            rasterY: this.rasterY,
+            displayEnabled: this.displayEnabled,
+            cursorX: this.cursorX,
+            cursorY: this.cursorY,
+            cursorVisible: this.cursorVisible,
+            cursorBlinkCounter: this.cursorBlinkCounter
+        };
+    }
+    
+    restore(state) {
+        // Re-derive the mode flags and memory pointers from the registers
+        this.registers.set(state.registers);
+        for (const reg of [0x11, 0x16, 0x18]) {
+            this.decodeRegister(reg, state.registers[reg]);
         }
+        this.cycleCounter = state.cycleCounter;
+        this.rasterY = state.rasterY;
+        this.displayEnabled = state.displayEnabled;
+        this.cursorX = state.cursorX;
+        this.cursorY = state.cursorY;
+        this.cursorVisible = state.cursorVisible;
+        this.cursorBlinkCounter = state.cursorBlinkCounter;
+        
+        // The IRQ line itself is part of the CPU state
+        this.irqActive = (this.registers[0x19] & this.registers[0x1A] & 0x0F) !== 0;
+    }
+    
+    // Bad line: the VIC fetches a row of character pointers and keeps the
+    // bus for 40 cycles. Happens on lines $30-$F7 whose low 3 bits match
+    // YSCROLL, when the display was enabled on line $30.
+    isBadLine() {
+        const y = this.rasterY;
+        return y >= 0x30 && y <= 0xF7 && this.displayEnabled &&
+            (y & 7) === (this.registers[0x11] & 7);
+    }
+    
+    // State of the BA line in the current cycle (false = the CPU must stop
+    // reading). BA goes low 3 cycles before each DMA so the CPU can finish
+    // pending writes: cycles 12-54 on bad lines, and cycles s-3 to s+1 for
+    // a sprite whose data is fetched in cycles s and s+1 (PAL timing).
+    // The fetches from cycle 55 on load the rows shown on the next line,
+    // lines Y to Y + 20 for a sprite at Y (Y + 41 expanded); those that
+    // wrap into cycles 1-10 still belong to the previous line's fetches.
+    busAvailable() {
+        const cycle = this.cycleCounter + 1;  // 1-63 as in the VIC-II article
+        const fetchLine = cycle >= 55 ? this.rasterY : this.rasterY - 1;
+        
+        if (cycle >= 12 && cycle <= 54 && this.isBadLine()) {
+            return false;
+        }
+        
+        const enabled = this.registers[0x15];
+        if (enabled === 0) return true;
+        
+        for (let i = 0; i < 8; i++) {
+            if (!(enabled & (1 << i))) continue;
+            
+            const height = (this.registers[0x17] & (1 << i)) ? 42 : 21;
+            if (((fetchLine - this.registers[i * 2 + 1]) & 0x1FF) >= height) continue;
+            
+            // Sprite 0 fetches in cycles 58/59, the others follow every
+            // 2 cycles and wrap around into the next line
+            const fetch = (58 + i * 2 - 1) % this.cyclesPerLine + 1;
+            if ((cycle - fetch + 3 + this.cyclesPerLine) % this.cyclesPerLine <= 4) {
+                return false;
+            }
+        }
+        return true;
     }
     
     read(address) {
         const reg = address & 0x3F;
+        const value = this.peek(address);
+        
+        // Collision registers clear when read
+        if (reg === 0x1E || reg === 0x1F) {
+            this.registers[reg] = 0;
+        }
+        return value;
+    }
+    
+    // Register value as read() returns it, without clearing the collision
+    // registers (debugger views, trace, breakpoint conditions)
+    peek(address) {
+        const reg = address & 0x3F;
         
         if (reg === 0x11) {
             // Include current raster line bit 8
@@ -549,6 +623,11 @@ export class VIC2 {
         } else if (reg === 0x12) {
             // Current raster line bits 0-7
             return this.rasterY & 0xFF;
+        } else if (reg === 0x19) {
+            // Latched sources, bit 7 while the IRQ line is held; unused bits read 1
+            return this.registers[reg] | 0x70 | (this.irqActive ? 0x80 : 0);
+        } else if (reg === 0x1A) {
+            return this.registers[reg] | 0xF0;
         }
         
         return this.registers[reg];
@@ -556,10 +635,37 @@ export class VIC2 {
     
     write(address, value) {
         const reg = address & 0x3F;
+        
+        // Writing 1 bits to $D019 acknowledges those sources; the
+        // collision registers are read-only
+        if (reg === 0x19) {
+            this.registers[reg] &= ~value & 0x0F;
+            this.updateIRQ();
+            return;
+        } else if (reg === 0x1A) {
+            this.registers[reg] = value & 0x0F;
+            this.updateIRQ();
+            return;
+        } else if (reg === 0x1E || reg === 0x1F) {
+            return;
+        }
+        
+        // Moving the compare value onto the current line matches at once
+        const compare = this.rasterCompare;
         this.registers[reg] = value;
+        if ((reg === 0x11 || reg === 0x12) && this.rasterCompare !== compare) {
+            this.checkRasterIRQ();
+        }
         
-        // Handle special registers
+        this.decodeRegister(reg, value);
+    }
+    
+    // Mode flags and memory pointers that follow from a register write
+    decodeRegister(reg, value) {
         if (reg === 0x11) {
+            if (this.rasterY === 0x30 && (value & 0x10)) {
+                this.displayEnabled = true;
+            }
             // Control register 1
             this.textMode = !(value & 0x20);
             this.bitmapMode = !!(value & 0x20);
@@ -571,6 +677,7 @@ export class VIC2 {
             // Memory pointers
             this.screenMemory = ((value >> 4) & 0x0F) * 0x400;
             this.charGenMemory = ((value >> 1) & 0x07) * 0x800;
+            this.bitmapMemory = value & 0x08 ? 0x2000 : 0x0000;
         }
     }
     
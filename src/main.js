@@ -1,9 +1,12 @@
 // main.js - Fixed emulator initialization with debugging
 import { C64Emulator } from './emulator/C64Emulator.js';
 import { ROMLoader } from './emulator/ROMLoader.js';
+import { MemorySearch } from './emulator/MemorySearch.js';
 
 // Global emulator instance
 let emulator = null;
+let lastSaveState = null;
+let lastDiffSnapshot = null;
 
 // Start emulator function
 async function startEmulator() {
@@ -54,6 +57,14 @@ async function startEmulator() {
         // Add UI button handlers
         setupUIHandlers();
         
+        // Keep a stored GeoRAM image up to date while the page is open
+        const persistGeoRAM = () => emulator.persistGeoRAM()
+            .catch(error => console.error('❌ Failed to store GeoRAM image:', error));
+        setInterval(persistGeoRAM, 10000);
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') persistGeoRAM();
+        });
+        
         return emulator;
         
     } catch (error) {
@@ -86,16 +97,16 @@ async function startEmulator() {
             
             // Handle special keys
             if (e.key === 'Enter') {
-                emulator.cia1.typeChar('\r');
+                emulator.typeText('\r');
                 
                 // Force keyboard buffer processing
                 emulator.forceKeyboardProcess();
             } else if (e.key === 'Backspace') {
                 // Handle backspace (DEL in C64)
-                emulator.cia1.typeChar(String.fromCharCode(0x14)); // DEL
+                emulator.typeText(String.fromCharCode(0x14)); // DEL
             } else if (e.key.length === 1) {
                 // Regular character
-                emulator.cia1.typeChar(e.key);
+                emulator.typeText(e.key);
             }
         });
     }
@@ -202,9 +213,6 @@ async function startEmulator() {
         // Set flag that tells BASIC to check keyboard
         emulator.memory.write(0x00CB, 0x7F);
         
-        // Trigger IRQ
-        emulator.cpu.irq();
-        
         console.log('\n✅ If you see "TEST" printed, keyboard is working!');
         console.log('If not, BASIC might need more initialization.');
     }
@@ -247,6 +255,17 @@ function setupUIHandlers() {
         console.log('✅ Pause button handler attached');
     }
     
+    // Rewind button: back 5 seconds of emulated time
+    const rewindBtn = document.getElementById('rewindBtn');
+    if (rewindBtn) {
+        rewindBtn.addEventListener('click', () => {
+            if (emulator) {
+                emulator.rewindSeconds(5);
+            }
+        });
+        console.log('✅ Rewind button handler attached');
+    }
+    
     // Enable Streaming button
     const streamBtn = document.getElementById('streamBtn');
     if (streamBtn) {
@@ -261,19 +280,24 @@ function setupUIHandlers() {
         console.log('✅ Stream button handler attached');
     }
     
-    // Load PRG button
+    // Load PRG button (also takes .crt cartridge images)
     const loadBtn = document.getElementById('loadBtn');
     if (loadBtn) {
         loadBtn.addEventListener('click', () => {
             const input = document.createElement('input');
             input.type = 'file';
-            input.accept = '.prg';
+            input.accept = '.prg,.crt';
             input.onchange = async (e) => {
                 const file = e.target.files[0];
                 if (file && emulator) {
-                    console.log('Loading PRG file:', file.name);
-                    const buffer = await file.arrayBuffer();
-                    emulator.loadPRG(new Uint8Array(buffer));
+                    const buffer = new Uint8Array(await file.arrayBuffer());
+                    if (file.name.toLowerCase().endsWith('.crt')) {
+                        console.log('Loading cartridge:', file.name);
+                        emulator.loadCRT(buffer);
+                    } else {
+                        console.log('Loading PRG file:', file.name);
+                        emulator.loadPRG(buffer);
+                    }
                 }
             };
             input.click();
@@ -305,6 +329,213 @@ window.debugEmulator = {
         console.log(`Wrote $${value.toString(16).padStart(2, '0')} to $${addr.toString(16).padStart(4, '0')}`);
     },
     
+    // Disassemble instructions
+    disasm: (addr, lines = 16) => {
+        if (!emulator || !emulator.cpu) {
+            console.error('Emulator not initialized');
+            return;
+        }
+        console.log(emulator.disassemble(addr, lines));
+    },
+    
+    // Breakpoints and watchpoints
+    bp: (addr, condition = null) => {
+        if (!emulator) {
+            console.error('Emulator not initialized');
+            return;
+        }
+        return emulator.debugger.addBreakpoint(addr, condition);
+    },
+    
+    watch: (start, end = start, type = 'rw') => {
+        if (!emulator) {
+            console.error('Emulator not initialized');
+            return;
+        }
+        return emulator.debugger.addWatchpoint(start, end, type);
+    },
+    
+    cont: () => emulator && emulator.resume(),
+    over: () => emulator && emulator.stepOver(),
+    out: () => emulator && emulator.stepOut(),
+    
+    // Instruction trace
+    trace: () => {
+        if (!emulator) {
+            console.error('Emulator not initialized');
+            return;
+        }
+        console.log(`Trace ${emulator.trace.toggle() ? 'on' : 'off'}`);
+    },
+    
+    traceDump: (count = 50, format = 'vice') => {
+        if (!emulator) {
+            console.error('Emulator not initialized');
+            return;
+        }
+        console.log(emulator.exportTrace(format, count));
+    },
+
+    // Reverse execution
+    back: () => emulator && emulator.stepBack(),
+    backToWrite: (addr) => emulator && emulator.runBackToWrite(addr),
+    rewind: (seconds = 5) => emulator && emulator.rewindSeconds(seconds),
+    
+    // Profiler and coverage map
+    profile: () => {
+        if (!emulator) {
+            console.error('Emulator not initialized');
+            return;
+        }
+        console.log(`Profiler ${emulator.profiler.toggle() ? 'on' : 'off'}`);
+    },
+    
+    hotspots: (count = 20) => {
+        if (!emulator) {
+            console.error('Emulator not initialized');
+            return;
+        }
+        console.log(emulator.profiler.report(count));
+    },
+    
+    // Coverage heatmap over the screen, one pixel per address; call again to hide
+    heatmap: () => {
+        if (!emulator) {
+            console.error('Emulator not initialized');
+            return;
+        }
+        let overlay = document.getElementById('heatmap');
+        if (overlay) {
+            overlay.remove();
+            return;
+        }
+        const screen = document.getElementById('screen');
+        overlay = document.createElement('canvas');
+        overlay.id = 'heatmap';
+        overlay.width = 256;
+        overlay.height = 256;
+        overlay.title = 'Rows are pages $00-$FF, red/yellow = executed, blue = read, green = written';
+        overlay.style.cssText = `position: absolute; left: ${screen.offsetLeft}px; top: ${screen.offsetTop}px; ` +
+            `width: ${screen.offsetWidth}px; height: ${screen.offsetHeight}px; opacity: 0.75; ` +
+            'image-rendering: pixelated; background: rgba(0, 0, 0, 0.5);';
+        emulator.profiler.renderHeatmap(overlay.getContext('2d'));
+        screen.parentElement.appendChild(overlay);
+    },
+    
+    // Save states: save() downloads a .c64s resume point and keeps it for
+    // load(); load(data) also takes a Uint8Array or ArrayBuffer
+    save: (name = 'resume.c64s') => {
+        if (!emulator) {
+            console.error('Emulator not initialized');
+            return;
+        }
+        lastSaveState = emulator.saveState();
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([lastSaveState], { type: 'application/octet-stream' }));
+        link.download = name;
+        link.click();
+        URL.revokeObjectURL(link.href);
+        console.log(`💾 Saved ${lastSaveState.length} bytes as ${name}`);
+    },
+    
+    load: (data = lastSaveState) => {
+        if (!emulator || !data) {
+            console.error(emulator ? 'No save state to load' : 'Emulator not initialized');
+            return;
+        }
+        emulator.loadState(data);
+    },
+    
+    // Cheat finder: find(value) starts a search over the addresses holding
+    // value (or all of RAM without one), narrow(mode, value) filters them,
+    // e.g. narrow('decreased') after losing a life
+    find: (value = null, size = 1) => {
+        if (!emulator) {
+            console.error('Emulator not initialized');
+            return;
+        }
+        const search = emulator.search;
+        const count = search.start(value === null ? null : search.find(value, { size }), size);
+        console.log(`🔍 ${count} candidates`);
+        console.log(search.format());
+    },
+    
+    narrow: (mode, value) => {
+        if (!emulator) {
+            console.error('Emulator not initialized');
+            return;
+        }
+        const count = emulator.search.narrow(mode, value);
+        console.log(`🔍 ${count} candidates`);
+        console.log(emulator.search.format());
+    },
+    
+    // Bytes changed since the last call (or since the given Memory snapshot)
+    diff: (before = lastDiffSnapshot) => {
+        if (!emulator) {
+            console.error('Emulator not initialized');
+            return;
+        }
+        if (before) {
+            for (const { start, end, after } of MemorySearch.ranges(emulator.search.diff(before))) {
+                const bytes = after.map(b => b.toString(16).padStart(2, '0')).join(' ');
+                console.log(`$${start.toString(16).padStart(4, '0')}-$${end.toString(16).padStart(4, '0')}: ${bytes}`);
+            }
+        }
+        lastDiffSnapshot = emulator.memory.ram.slice();
+    },
+    
+    // Hold an address at a value, re-written every frame
+    freeze: (addr, value, size = 1) => {
+        if (!emulator) {
+            console.error('Emulator not initialized');
+            return;
+        }
+        emulator.freeze(addr, value, size);
+        console.log(`🧊 $${addr.toString(16).padStart(4, '0')} frozen at ${value}`);
+    },
+    
+    unfreeze: (addr, size = 1) => {
+        if (!emulator) {
+            console.error('Emulator not initialized');
+            return;
+        }
+        emulator.unfreeze(addr ?? null, size);
+    },
+    
+    // Plug in a GeoRAM of sizeK kilobytes, stored in IndexedDB under name;
+    // georam(0) unplugs it (storing it first)
+    georam: async (sizeK = 512, name = 'georam') => {
+        if (!emulator) {
+            console.error('Emulator not initialized');
+            return;
+        }
+        if (sizeK) {
+            await emulator.attachGeoRAM(sizeK * 1024, name);
+        } else {
+            await emulator.detachGeoRAM();
+            console.log('💾 GeoRAM removed');
+        }
+    },
+    
+    // Toggle cycle-exact CPU stepping
+    cycleExact: (enabled = !emulator?.cpu.cycleExact) => {
+        if (!emulator) {
+            console.error('Emulator not initialized');
+            return;
+        }
+        emulator.setCycleExact(enabled);
+    },
+    
+    // Assemble source into memory
+    asm: (addr, source) => {
+        if (!emulator || !emulator.memory) {
+            console.error('Emulator not initialized');
+            return;
+        }
+        console.log(emulator.assemble(addr, source));
+    },
+    
     // Dump memory range
     dump: (start, length = 16) => {
         if (!emulator || !emulator.memory) {
@@ -404,7 +635,28 @@ console.log('  debugEmulator.vectors()   - Show ROM vectors');
 console.log('  debugEmulator.peek(addr)  - Read memory');
 console.log('  debugEmulator.poke(addr,val) - Write memory');
 console.log('  debugEmulator.dump(addr,len) - Dump memory');
+console.log('  debugEmulator.disasm(addr,n) - Disassemble n instructions');
+console.log('  debugEmulator.asm(addr,src) - Assemble source into memory');
 console.log('  debugEmulator.step()      - Step one instruction');
+console.log('  debugEmulator.bp(addr,cond) - Breakpoint, e.g. bp(0xC000, "A==$20")');
+console.log('  debugEmulator.watch(start,end,type) - Watchpoint, type r/w/rw');
+console.log('  debugEmulator.cont()/over()/out() - Continue, step over, step out');
+console.log('  debugEmulator.trace()     - Toggle instruction trace');
+console.log('  debugEmulator.traceDump(n,fmt) - Show last n traced instructions');
+console.log('  debugEmulator.back()      - Step back one instruction');
+console.log('  debugEmulator.backToWrite(addr) - Run back to the last write of addr');
+console.log('  debugEmulator.rewind(s)   - Rewind s seconds');
+console.log('  debugEmulator.profile()   - Toggle profiler and coverage map');
+console.log('  debugEmulator.hotspots(n) - Show the n most expensive routines');
+console.log('  debugEmulator.heatmap()   - Toggle coverage heatmap overlay');
+console.log('  debugEmulator.cycleExact() - Toggle cycle-exact CPU stepping');
+console.log('  debugEmulator.save(name)  - Download a save state');
+console.log('  debugEmulator.load(data)  - Load a save state (default: last saved)');
+console.log('  debugEmulator.find(value,size) - Start a cheat search (no value = all RAM)');
+console.log('  debugEmulator.narrow(mode,value) - Narrow it: changed/unchanged/increased/decreased/equal/notEqual');
+console.log('  debugEmulator.diff()      - Show RAM changed since the last diff()');
+console.log('  debugEmulator.freeze(addr,val) - Hold an address at a value (unfreeze(addr) to release)');
+console.log('  debugEmulator.georam(k,name) - Plug in a stored GeoRAM of k KB (0 = remove)');
 console.log('  emulator                  - Access emulator instance (after start)');
 
 // Export for use in other modules
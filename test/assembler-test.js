@@ -0,0 +1,102 @@
+// test/assembler-test.js - Line assembler round trips and syntax
+// Every opcode's disassembly must assemble back to the same bytes (or to the
+// documented twin of an illegal duplicate), and labels, origins and data
+// directives must produce the expected bytes.
+
+import { Memory } from '../src/emulator/Memory.js';
+import { OPCODES } from '../src/emulator/Opcodes.js';
+import { Disassembler } from '../src/emulator/Disassembler.js';
+import { Assembler } from '../src/emulator/Assembler.js';
+import { SymbolTable, KERNAL_SYMBOLS } from '../src/emulator/SymbolTable.js';
+import { expect, expectError, finish } from './helpers.js';
+
+const memory = new Memory(65536);
+memory.bankConfig = 0x04;
+const disassembler = new Disassembler(memory);
+const assembler = new Assembler(new SymbolTable(KERNAL_SYMBOLS));
+
+function bytesOf(address, source) {
+    return assembler.assemble(address, source).statements.flatMap(statement => statement.bytes);
+}
+
+// Disassemble -> assemble round trip for all 256 opcodes
+for (let opcode = 0; opcode < 256; opcode++) {
+    memory.ram.set([opcode, 0x34, 0x12], 0x2000);
+    const instruction = disassembler.decode(0x2000);
+    const bytes = bytesOf(0x2000, instruction.text);
+
+    const { mnemonic, mode, illegal } = OPCODES[opcode];
+    const twin = OPCODES[bytes[0]];
+    const documentedTwin = OPCODES.some(e => e.mnemonic === mnemonic && e.mode === mode && !e.illegal);
+
+    expect(`$${opcode.toString(16)} ${instruction.text} bytes`, bytes.slice(1), instruction.bytes.slice(1));
+    if (bytes[0] !== opcode) {
+        const valid = twin.mnemonic === mnemonic && twin.mode === mode &&
+            (illegal && documentedTwin ? !twin.illegal : bytes[0] < opcode);
+        if (!valid) expect(`$${opcode.toString(16)} ${instruction.text} opcode`, bytes[0], opcode);
+    }
+}
+
+// Preferred encodings for duplicated mnemonic/mode pairs
+expect('SBC # is documented', bytesOf(0x2000, 'SBC #$01'), [0xE9, 0x01]);
+expect('NOP is documented', bytesOf(0x2000, 'NOP'), [0xEA]);
+
+// Zero page vs absolute, forward references and labels
+const source = `
+        *= $C000
+border = $D020
+start:  LDX #0
+loop    LDA message,X
+        BEQ done
+        JSR CHROUT
+        INX
+        BNE loop
+done:   INC border      ; flash the border
+        STA $FB
+        STA ptr+1
+        LDA #<message
+        LDY #>message
+        JMP start
+ptr:    .word start, $1234
+message .text "HI"
+        .byte 13, 0
+`;
+const result = assembler.assemble(null, source);
+expect('program bytes', result.statements.flatMap(s => s.bytes), [
+    0xA2, 0x00,
+    0xBD, 0x20, 0xC0,
+    0xF0, 0x06,
+    0x20, 0xD2, 0xFF,
+    0xE8,
+    0xD0, 0xF5,
+    0xEE, 0x20, 0xD0,
+    0x85, 0xFB,
+    0x8D, 0x1D, 0xC0,
+    0xA9, 0x20,
+    0xA0, 0xC0,
+    0x4C, 0x00, 0xC0,
+    0x00, 0xC0, 0x34, 0x12,
+    0x48, 0x49,
+    0x0D, 0x00
+]);
+expect('labels', [result.labels.start, result.labels.loop, result.labels.done, result.labels.message],
+    [0xC000, 0xC002, 0xC00D, 0xC020]);
+expect('constants', [result.constants, result.labels.border], [['border'], 0xD020]);
+expect('range', [result.start, result.end], [0xC000, 0xC024]);
+expect('listing', result.listing.split('\n').slice(0, 3), ['start:', '$C000  A2 00     LDX #0', 'loop:']);
+
+// Other addressing modes and expressions
+expect('accumulator', bytesOf(0x2000, 'ASL\nROL A'), [0x0A, 0x2A]);
+expect('indirect', bytesOf(0x2000, 'JMP ($0314)\nLDA ($FB),Y\nSTA ($02,X)'), [0x6C, 0x14, 0x03, 0xB1, 0xFB, 0x81, 0x02]);
+expect('indexed', bytesOf(0x2000, 'LDX $10,Y\nLDA $0400,Y\nSTY $10,X'), [0xB6, 0x10, 0xB9, 0x00, 0x04, 0x94, 0x10]);
+expect('expressions', bytesOf(0x2000, "LDA #%1010\nLDA #'A'\nLDA #-1\nBNE *+2"), [0xA9, 0x0A, 0xA9, 0x41, 0xA9, 0xFF, 0xD0, 0x00]);
+
+// Errors name the line
+expectError('unknown mnemonic', () => assembler.assemble(0x2000, 'NOP\n  FOO #1'), /^Line 2: Unknown mnemonic FOO/);
+expectError('bad mode', () => assembler.assemble(0x2000, 'STX $1234,X'), /STX does not support absolute,X/);
+expectError('branch range', () => assembler.assemble(0x2000, 'BNE far\n*= $3000\nfar RTS'), /out of range/);
+expectError('undefined label', () => assembler.assemble(0x2000, 'JMP nowhere'), /Undefined label nowhere/);
+expectError('duplicate label', () => assembler.assemble(0x2000, 'a1 NOP\na1 NOP'), /already defined/);
+expectError('byte range', () => assembler.assemble(0x2000, 'LDA #$100'), /does not fit/);
+
+finish('Assembler', 'all 256 opcodes round trip, labels and directives assemble correctly');
@@ -0,0 +1,129 @@
+// test/cartridge-test.js - .crt parsing, PLA lines and mapper bank switching
+
+import { Memory } from '../src/emulator/Memory.js';
+import { createCartridge, parseCRT, CRT_NORMAL, CRT_OCEAN, CRT_MAGIC_DESK, CRT_EASYFLASH } from '../src/emulator/Cartridge.js';
+import { expect, expectError, finish } from './helpers.js';
+
+// Build a .crt image; every chip is filled with a byte identifying it
+// (bank in the low bits, $80 for chips at $A000/$E000) and the bank number
+// is stored in its first byte
+function crt(type, exrom, game, chips) {
+    const bytes = [...'C64 CARTRIDGE   '].map(c => c.charCodeAt(0));
+    bytes.push(0, 0, 0, 0x40, 1, 0, type >> 8, type & 0xFF, exrom, game, 0, 0, 0, 0, 0, 0);
+    const name = [...'TEST CART'].map(c => c.charCodeAt(0));
+    bytes.push(...name, ...new Array(32 - name.length).fill(0));
+
+    for (const { bank, address, size = 0x2000 } of chips) {
+        const length = size + 16;
+        bytes.push(0x43, 0x48, 0x49, 0x50, 0, 0, length >> 8, length & 0xFF, 0, 0, 0, bank, address >> 8, 0, size >> 8, 0);
+        const fill = (address === 0x8000 ? 0 : 0x80) | bank;
+        const data = new Array(size).fill(fill);
+        data[0] = bank;
+        bytes.push(...data);
+    }
+    return new Uint8Array(bytes);
+}
+
+// A machine with the expansion port wired up as in C64Emulator
+const memory = new Memory(65536);
+memory.ram.fill(0xEA);
+memory.rom.fill(0xBA, 0xA000, 0xC000);
+memory.rom.fill(0xCE, 0xE000);
+let cartridge = null;
+memory.setIOHandler(0xDE00, 0xDEFF,
+    (addr) => (cartridge ? cartridge.readIO1(addr) : memory.ram[addr]),
+    (addr, val) => (cartridge ? cartridge.writeIO1(addr, val) : (memory.ram[addr] = val)));
+memory.setIOHandler(0xDF00, 0xDFFF,
+    (addr) => (cartridge ? cartridge.readIO2(addr) : memory.ram[addr]),
+    (addr, val) => (cartridge ? cartridge.writeIO2(addr, val) : (memory.ram[addr] = val)));
+
+function plug(image) {
+    if (cartridge) cartridge.detach();
+    cartridge = createCartridge(image);
+    cartridge.attach(memory);
+    return cartridge;
+}
+
+// What the CPU sees at $8000, $A000 and $E000 (second byte, see crt())
+const view = () => [memory.read(0x8001), memory.read(0xA001), memory.read(0xE001)];
+
+// Parsing
+const parsed = parseCRT(crt(CRT_NORMAL, 0, 1, [{ bank: 0, address: 0x8000 }]));
+expect('header', [parsed.type, parsed.exrom, parsed.game, parsed.name, parsed.version], [0, 0, 1, 'TEST CART', 0x0100]);
+expect('chip', [parsed.chips.length, parsed.chips[0].address, parsed.chips[0].data.length], [1, 0x8000, 0x2000]);
+expectError('bad signature', () => parseCRT(new Uint8Array(64)), 'Not a .crt cartridge image');
+expectError('unsupported type', () => createCartridge(crt(99, 0, 1, [])), 'Unsupported cartridge type 99');
+
+// Normal cartridges
+plug(crt(CRT_NORMAL, 0, 1, [{ bank: 0, address: 0x8000 }]));
+expect('8K', [view(), memory.getBankConfigString()], [[0x00, 0xBA, 0xCE], 'ROML+BASIC+IO+KERNAL']);
+
+plug(crt(CRT_NORMAL, 0, 0, [{ bank: 0, address: 0x8000, size: 0x4000 }]));
+expect('16K in one chip', view(), [0x00, 0x00, 0xCE]);
+
+plug(crt(CRT_NORMAL, 0, 0, [{ bank: 0, address: 0x8000 }, { bank: 0, address: 0xA000 }]));
+expect('16K in two chips', view(), [0x00, 0x80, 0xCE]);
+
+plug(crt(CRT_NORMAL, 1, 0, [{ bank: 0, address: 0xE000 }]));
+expect('Ultimax', [memory.read(0xE001), memory.read(0xFFFC), memory.read(0xA001), memory.ultimax], [0x80, 0x80, 0xFF, true]);
+
+plug(crt(CRT_NORMAL, 1, 0, [{ bank: 0, address: 0xF000, size: 0x1000 }]));
+expect('Ultimax 4K at $F000', [memory.read(0xF000), memory.read(0xF001), memory.read(0xFFFC), memory.read(0xE001)], [0x00, 0x80, 0x80, 0x00]);
+
+cartridge.detach();
+cartridge = null;
+expect('unplugged', [view(), memory.mode], [[0xEA, 0xBA, 0xCE], 0x1F]);
+
+// Ocean: $DE00 selects the bank at ROML (and ROMH)
+const ocean = [];
+for (let bank = 0; bank < 16; bank++) ocean.push({ bank, address: 0x8000 });
+for (let bank = 16; bank < 32; bank++) ocean.push({ bank, address: 0xA000 });
+plug(crt(CRT_OCEAN, 0, 0, ocean));
+expect('Ocean bank 0', view(), [0x00, 0x00, 0xCE]);
+memory.write(0xDE00, 0x05);
+expect('Ocean bank 5', view(), [0x05, 0x05, 0xCE]);
+memory.write(0xDE00, 0x13);
+expect('Ocean bank 19', view(), [0x93, 0x93, 0xCE]);
+
+// Chips under 8K fill the start of their bank, the rest reads 0
+const shortOcean = [0, 1, 2, 3].map(bank => ({ bank, address: 0x8000, size: 0x1000 }));
+plug(crt(CRT_OCEAN, 0, 0, shortOcean));
+memory.write(0xDE00, 0x02);
+expect('Ocean 4K chips', [memory.read(0x8000), memory.read(0x8FFF), memory.read(0x9000), memory.read(0xBFFF)], [0x02, 0x02, 0x00, 0x00]);
+
+// Magic Desk: $DE00 selects the 8K bank, bit 7 switches the cartridge off
+const magicDesk = [];
+for (let bank = 0; bank < 8; bank++) magicDesk.push({ bank, address: 0x8000 });
+plug(crt(CRT_MAGIC_DESK, 0, 1, magicDesk));
+memory.write(0xDE00, 0x03);
+expect('Magic Desk bank 3', view(), [0x03, 0xBA, 0xCE]);
+memory.write(0xDE00, 0x80);
+expect('Magic Desk off', [view(), memory.exrom], [[0xEA, 0xBA, 0xCE], 1]);
+cartridge.reset();
+expect('Magic Desk reset', view(), [0x00, 0xBA, 0xCE]);
+
+// EasyFlash: boots in Ultimax mode, $DE02 takes over the lines
+const easyFlash = [];
+for (let bank = 0; bank < 4; bank++) easyFlash.push({ bank, address: 0x8000 }, { bank, address: 0xA000 });
+plug(crt(CRT_EASYFLASH, 1, 0, easyFlash));
+expect('EasyFlash boots Ultimax', [memory.ultimax, memory.read(0xE001), memory.read(0x8001)], [true, 0x80, 0x00]);
+memory.write(0xDE00, 0x02);
+memory.write(0xDE02, 0x07);   // 16K mode
+expect('EasyFlash 16K bank 2', [memory.ultimax, view()], [false, [0x02, 0x82, 0xCE]]);
+memory.write(0xDE02, 0x06);   // 8K mode
+expect('EasyFlash 8K', view(), [0x02, 0xBA, 0xCE]);
+memory.write(0xDE02, 0x04);   // Off
+expect('EasyFlash off', view(), [0xEA, 0xBA, 0xCE]);
+memory.write(0xDF10, 0x42);
+expect('EasyFlash RAM', [memory.read(0xDF10), memory.ram[0xDF10]], [0x42, 0xEA]);
+
+// Register state round trip
+memory.write(0xDE02, 0x07);
+const state = cartridge.snapshot();
+memory.write(0xDE00, 0x00);
+memory.write(0xDE02, 0x04);
+memory.write(0xDF10, 0x00);
+cartridge.restore(state);
+expect('restored', [state.type, view(), memory.read(0xDF10)], [CRT_EASYFLASH, [0x02, 0x82, 0xCE], 0x42]);
+
+finish('Cartridge', '.crt parsing, normal, Ultimax, Ocean, Magic Desk and EasyFlash work');
@@ -0,0 +1,20 @@
+// test/cia-test.js - CIA1 port B joystick lines
+
+import { Memory } from '../src/emulator/Memory.js';
+import { CIA } from '../src/emulator/CIA.js';
+import { expect, finish } from './helpers.js';
+
+const cia = new CIA(1, new Memory(65536));
+const released = { up: false, down: false, left: false, right: false, fire: false };
+
+// The lines are active low: released reads $FF, pressed bits read 0
+cia.setJoystick(released);
+expect('released', cia.read(0xDC01), 0xFF);
+cia.setJoystick({ ...released, up: true, fire: true });
+expect('up and fire', cia.read(0xDC01), 0xEE);
+cia.setJoystick({ ...released, left: true });
+expect('left', cia.read(0xDC01), 0xFB);
+cia.setJoystick({ ...released, down: true, right: true });
+expect('down and right', cia.read(0xDC01), 0xF5);
+
+finish('CIA', 'joystick lines read active low');
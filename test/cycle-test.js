@@ -0,0 +1,161 @@
+// test/cycle-test.js - Cycle-exact CPU mode: bus accesses, BA stalls, interrupt sampling
+
+import { Memory } from '../src/emulator/Memory.js';
+import { MOS6502, OPCODES, IRQ_VIC } from '../src/emulator/MOS6502.js';
+import { VIC2 } from '../src/emulator/VIC2.js';
+import { expect, finish } from './helpers.js';
+
+const memory = new Memory(65536);
+memory.bankConfig = 0x04;
+const cpu = new MOS6502(memory);
+
+let ticks = 0;
+let busAvailable = () => true;
+let onTick = () => {};
+cpu.onCycle = () => {
+    ticks++;
+    onTick(ticks);
+};
+cpu.isBusAvailable = () => busAvailable(ticks);
+
+// Same instruction, same machine state, run once per mode
+const scenarios = [
+    { name: 'no page cross', pc: 0x1000, operand: 0x02, index: 0x01 },
+    { name: 'page cross', pc: 0x10F0, operand: 0x40, index: 0xF0 }
+];
+
+function prepare(opcode, scenario, p) {
+    memory.ram.fill(0);
+    memory.ram[scenario.pc] = opcode;
+    memory.ram[scenario.pc + 1] = scenario.operand;
+    memory.ram[scenario.pc + 2] = 0x20;
+    // Zero page pointers for (zp),Y and (zp,X)
+    memory.ram[scenario.operand] = 0xF0;
+    memory.ram[scenario.operand + 1] = 0x20;
+    memory.ram[(scenario.operand + scenario.index) & 0xFF] = 0xF0;
+    memory.ram[(scenario.operand + scenario.index + 1) & 0xFF] = 0x20;
+    memory.ram[0xFFFE] = 0x00;
+    memory.ram[0xFFFF] = 0x30;
+
+    cpu.jammed = false;
+    cpu.PC = scenario.pc;
+    cpu.A = 0x55;
+    cpu.X = cpu.Y = scenario.index;
+    cpu.SP = 0xF0;
+    cpu.setP(p);
+    cpu.irqLines = 0;
+    cpu.nmiPending = false;
+    cpu.irqMasked = true;
+}
+
+function state() {
+    return [cpu.PC, cpu.A, cpu.X, cpu.Y, cpu.SP, cpu.getP(), Array.from(memory.ram.subarray(0x2000, 0x2200))];
+}
+
+// Every opcode makes one bus access per cycle, as many as instruction
+// mode counts, and ends in the same state
+const mismatches = [];
+for (let opcode = 0; opcode < 256; opcode++) {
+    if (OPCODES[opcode].mnemonic === 'JAM') continue;
+
+    for (const scenario of scenarios) {
+        for (const p of [0x00, 0xC3]) {
+            prepare(opcode, scenario, p);
+            cpu.setCycleExact(false);
+            const expected = cpu.step();
+            const after = state();
+
+            prepare(opcode, scenario, p);
+            cpu.setCycleExact(true);
+            ticks = 0;
+            const cycles = cpu.step();
+
+            if (cycles !== expected || ticks !== expected || JSON.stringify(state()) !== JSON.stringify(after)) {
+                mismatches.push(`${cpu.getOpcodeName(opcode)} (${scenario.name}, P=$${p.toString(16)}): ${ticks} accesses, ${expected} cycles`);
+            }
+        }
+    }
+}
+expect('bus accesses match instruction cycles', mismatches, []);
+
+// Reads wait while BA is low, writes do not
+prepare(0xAD, scenarios[0], 0x00);                // LDA $2002
+cpu.setCycleExact(true);
+ticks = 0;
+busAvailable = (tick) => tick < 2 || tick > 5;
+expect('stalled read', cpu.step(), 4 + 4);
+expect('stall counter', cpu.stallCycles, 4);
+
+prepare(0x8D, scenarios[0], 0x00);                // STA $2002
+ticks = 0;
+cpu.stallCycles = 0;
+busAvailable = (tick) => tick !== 4;
+expect('write cycle not stalled', cpu.step(), 4);
+expect('no stall on write', cpu.stallCycles, 0);
+busAvailable = () => true;
+
+// The IRQ is sampled on the penultimate cycle: asserted during the first
+// cycle of a NOP it is taken right after it, one cycle later it has to
+// wait for the following instruction
+function irqAfter(assertTick) {
+    prepare(0xEA, scenarios[0], 0x00);
+    memory.ram.fill(0xEA, 0x1000, 0x1010);
+    cpu.setCycleExact(true);
+    ticks = 0;
+    onTick = (tick) => {
+        if (tick === assertTick) cpu.setIRQ(IRQ_VIC, true);
+    };
+    let nops = 0;
+    while (cpu.PC !== 0x3000 && nops < 5) {
+        cpu.step();
+        if (cpu.PC !== 0x3000) nops++;
+    }
+    onTick = () => {};
+    return nops;
+}
+expect('IRQ on penultimate cycle', irqAfter(1), 1);
+expect('IRQ on last cycle', irqAfter(2), 2);
+expect('IRQ during next NOP', irqAfter(3), 2);
+
+// CLI still lets one instruction run before a held IRQ
+prepare(0x58, scenarios[0], 0x04);                // CLI, NOP...
+memory.ram.fill(0xEA, 0x1001, 0x1010);
+cpu.setCycleExact(true);
+cpu.setIRQ(IRQ_VIC, true);
+cpu.step();
+cpu.step();
+expect('CLI delay', cpu.PC, 0x1002);
+expect('IRQ after CLI', cpu.step(), 7);
+expect('IRQ vector', cpu.PC, 0x3000);
+cpu.setCycleExact(false);
+
+// VIC BA line: 43 cycles on a bad line, 5 per sprite fetch
+const vic = Object.create(VIC2.prototype);
+vic.registers = new Uint8Array(64);
+vic.cyclesPerLine = 63;
+vic.registers[0x11] = 0x1B;
+vic.displayEnabled = true;
+
+function lowCycles(rasterY) {
+    vic.rasterY = rasterY;
+    const low = [];
+    for (vic.cycleCounter = 0; vic.cycleCounter < 63; vic.cycleCounter++) {
+        if (!vic.busAvailable()) low.push(vic.cycleCounter + 1);
+    }
+    return low;
+}
+expect('bad line', lowCycles(0x33).length, 43);
+expect('bad line starts at cycle 12', lowCycles(0x33)[0], 12);
+expect('normal line', lowCycles(0x34), []);
+vic.displayEnabled = false;
+expect('display disabled', lowCycles(0x33), []);
+
+vic.registers[0x15] = 0x09;                        // Sprites 0 and 3
+vic.registers[0x01] = 0x60;
+vic.registers[0x07] = 0x60;
+expect('sprite fetches', lowCycles(0x64), [1, 2, 55, 56, 57, 58, 59, 61, 62, 63]);
+expect('sprite not on this line', lowCycles(0x80), []);
+expect('first fetch on line Y', lowCycles(0x60), [55, 56, 57, 58, 59, 61, 62, 63]);
+expect('last fetch wraps past line Y + 20', lowCycles(0x75), [1, 2]);
+
+finish('Cycle-exact CPU mode', 'bus accesses, BA stalls and interrupt sampling work');
@@ -0,0 +1,146 @@
+// test/debugger-test.js - Breakpoints, watchpoints and stepping
+// Drives MOS6502 through the Debugger hooks the same way runFrame() does.
+
+import { Memory } from '../src/emulator/Memory.js';
+import { MOS6502, IRQ_CIA1 } from '../src/emulator/MOS6502.js';
+import { CIA } from '../src/emulator/CIA.js';
+import { Assembler } from '../src/emulator/Assembler.js';
+import { Debugger, compileCondition } from '../src/emulator/Debugger.js';
+import { expect, expectError, finish } from './helpers.js';
+
+const memory = new Memory(65536);
+memory.bankConfig = 0x04;
+const cpu = new MOS6502(memory);
+const debug = new Debugger(cpu, memory);
+
+let lastEvent = null;
+debug.onBreak = (event) => { lastEvent = event; };
+
+// Same hook order as C64Emulator.runFrame()
+function run(limit = 10000) {
+    lastEvent = null;
+    for (let i = 0; i < limit; i++) {
+        if (debug.active && debug.beforeStep()) return lastEvent;
+        cpu.step();
+        if (debug.active && debug.afterStep()) return lastEvent;
+    }
+    return null;
+}
+
+const program = new Assembler().assemble(0x1000, `
+main:   LDX #0
+loop:   TXA
+        JSR double
+        STA $2000,X
+        INX
+        CPX #4
+        BNE loop
+done:   JMP done
+double: STA $FB
+        LDY $FB
+        JSR twice
+        RTS
+twice:  ASL A
+        RTS
+`);
+for (const { address, bytes } of program.statements) memory.ram.set(bytes, address);
+const { main, loop, double, twice } = program.labels;
+
+function restart() {
+    debug.clear();
+    cpu.PC = main;
+    cpu.SP = 0xFF;
+}
+
+// PC breakpoint, then resuming does not hit the same breakpoint again
+restart();
+const id = debug.addBreakpoint(loop);
+expect('breakpoint reason', run().reason, 'breakpoint');
+expect('breakpoint PC', cpu.PC, loop);
+debug.resume();
+expect('resume stops on next pass', [run().state.PC, cpu.X], [loop, 1]);
+expect('hit count', debug.breakpoints.get(id).hits, 2);
+debug.removeBreakpoint(id);
+expect('inactive after removal', debug.active, false);
+
+// Conditional breakpoint
+restart();
+debug.addBreakpoint(loop, 'X==$03');
+expect('conditional', [run().state.PC, cpu.X], [loop, 3]);
+
+// Write watchpoint on a range stops after the storing instruction
+restart();
+debug.addWatchpoint(0x2002, 0x2003, 'w');
+const watched = run();
+expect('watchpoint reason', watched.reason, 'watchpoint');
+expect('watchpoint access', watched.access, { address: 0x2002, value: 4, type: 'write', pc: loop + 4 });
+expect('stopped after STA', cpu.PC, loop + 7);
+
+// Read watchpoints ignore writes and the debugger's own peeks
+restart();
+debug.addWatchpoint(0x00FB, 0x00FB, 'r');
+expect('read watchpoint', run().access.pc, double + 2);
+expect('no watch memory when disabled', (debug.clear(), memory.watchFlags), null);
+
+// Step into, over and out
+restart();
+debug.addBreakpoint(loop + 1);
+run();
+expect('at JSR', memory.peek(cpu.PC), 0x20);
+
+debug.stepInto();
+expect('step into', [run().reason, cpu.PC], ['step', double]);
+
+debug.stepOut();
+expect('step out', [run().reason, cpu.PC], ['step', loop + 4]);
+
+debug.resume();
+run();
+debug.stepOver();
+expect('step over JSR', [run().reason, cpu.PC, cpu.SP], ['step', loop + 4, 0xFF]);
+
+// A breakpoint inside the routine still stops a step over
+debug.resume();
+run();
+debug.addBreakpoint(twice);
+debug.stepOver();
+expect('breakpoint during step over', [run().reason, cpu.PC], ['breakpoint', twice]);
+
+// Step out from a nested routine returns to its caller only
+debug.stepOut();
+expect('nested step out', [run().reason, cpu.PC], ['step', double + 7]);
+
+// State in the event
+expect('event state', lastEvent.state.instruction, 'RTS');
+
+// Condition language
+const conditionCPU = { A: 0x20, X: 3, Y: 0, SP: 0xF0, PC: 0xC000, C: true, N: false, V: false, D: false, I: true, Z: false, getP: () => 0xA5 };
+const conditionMemory = { peek: (address) => (address === 0xD012 ? 0x80 : 0) };
+const cases = [
+    ['A==$20', true], ['a == 32', true], ['A!=$20', false], ['X>=3 && Y==0', true],
+    ['X<3 || C', true], ['!C', false], ['@$D012==$80', true], ['(P&$80)!=0', true],
+    ['PC==$C000 && SP>$EF', true], ['A+1==%100001', true]
+];
+for (const [text, expected] of cases) {
+    expect(`condition ${text}`, compileCondition(text)(conditionCPU, conditionMemory), expected);
+}
+for (const bad of ['A==', 'Q==1', 'A==1)']) {
+    expectError(`condition ${bad}`, () => compileCondition(bad), /./);
+}
+
+// Conditions on I/O registers do not acknowledge interrupts: reading the
+// CIA's ICR through them leaves the pending IRQ asserted
+const ioMemory = new Memory(65536);
+ioMemory.bankConfig = 0x05;
+const ioCPU = new MOS6502(ioMemory);
+const cia = new CIA(1, ioMemory);
+cia.onIRQ = (active) => ioCPU.setIRQ(IRQ_CIA1, active);
+ioMemory.setIOHandler(0xDC00, 0xDCFF, (addr) => cia.read(addr), (addr, val) => cia.write(addr, val), (addr) => cia.peek(addr));
+ioMemory.write(0xDC0D, 0x81);
+cia.triggerInterrupt(0x01);
+const icrCondition = compileCondition('@$DC0D==$81');
+expect('ICR condition', [icrCondition(ioCPU, ioMemory), icrCondition(ioCPU, ioMemory)], [true, true]);
+expect('IRQ still pending', [ioCPU.irqLines, cia.interruptFlags], [IRQ_CIA1, 0x01]);
+expect('read acknowledges', [ioMemory.read(0xDC0D), ioCPU.irqLines], [0x81, 0]);
+
+finish('Debugger', 'breakpoints, watchpoints and stepping work');
@@ -0,0 +1,101 @@
+// test/decimal-test.js - Exhaustive check of NMOS 6502 decimal mode ADC/SBC
+// Runs every accumulator/operand/carry combination through MOS6502 and checks
+// what can be known without modelling the adjust logic:
+//   - valid BCD operands give the decimal answer in A and C
+//   - Z always comes from the binary result
+//   - SBC takes N, V and C from the binary result
+// ADC's N and V, and results for invalid BCD operands, are checked against
+// vectors worked by hand from Bruce Clark, "Decimal Mode" (6502.org tutorial).
+
+import { MOS6502 } from '../src/emulator/MOS6502.js';
+import { Memory } from '../src/emulator/Memory.js';
+import { fail, finish } from './helpers.js';
+
+const PROGRAM_ADDR = 0x1000;
+
+const fromBCD = (value) => (value >> 4) * 10 + (value & 0x0F);
+const toBCD = (value) => ((Math.floor(value / 10) << 4) | (value % 10));
+const isBCD = (value) => (value & 0x0F) < 10 && (value >> 4) < 10;
+const hex = (value) => '$' + value.toString(16).padStart(2, '0');
+
+const memory = new Memory();
+const cpu = new MOS6502(memory);
+
+function execute(opcode, a, b, c) {
+    memory.write(PROGRAM_ADDR, opcode);
+    memory.write(PROGRAM_ADDR + 1, b);
+    cpu.PC = PROGRAM_ADDR;
+    cpu.A = a;
+    cpu.C = c === 1;
+    cpu.D = true;
+    cpu.step();
+    return { a: cpu.A, n: cpu.N, v: cpu.V, z: cpu.Z, c: cpu.C };
+}
+
+let reported = 0;
+
+function check(name, a, b, c, actual, expected) {
+    for (const key of Object.keys(expected)) {
+        if (actual[key] !== expected[key]) {
+            const show = (value) => key === 'a' ? hex(value) : value;
+            fail(reported++ < 20 ? `${name} A=${hex(a)} M=${hex(b)} C=${c}: ${key.toUpperCase()} is ${show(actual[key])}, expected ${show(expected[key])}` : null);
+        }
+    }
+}
+
+const ADC = 0x69;
+const SBC = 0xE9;
+
+for (let a = 0; a < 256; a++) {
+    for (let b = 0; b < 256; b++) {
+        for (let c = 0; c < 2; c++) {
+            const valid = isBCD(a) && isBCD(b);
+
+            const sum = a + b + c;
+            const expectedADC = { z: (sum & 0xFF) === 0 };
+            if (valid) {
+                const result = fromBCD(a) + fromBCD(b) + c;
+                expectedADC.a = toBCD(result % 100);
+                expectedADC.c = result >= 100;
+            }
+            check('ADC', a, b, c, execute(ADC, a, b, c), expectedADC);
+
+            const diff = a - b - (1 - c);
+            const expectedSBC = {
+                n: (diff & 0x80) !== 0,
+                v: ((a ^ b) & (a ^ diff) & 0x80) !== 0,
+                z: (diff & 0xFF) === 0,
+                c: diff >= 0
+            };
+            if (valid) {
+                const result = fromBCD(a) - fromBCD(b) - (1 - c);
+                expectedSBC.a = toBCD((result + 100) % 100);
+            }
+            check('SBC', a, b, c, execute(SBC, a, b, c), expectedSBC);
+        }
+    }
+}
+
+// Hand-worked vectors: [opcode, A, M, C, expected A, N, V, Z, C]
+const vectors = [
+    [ADC, 0x12, 0x34, 0, 0x46, false, false, false, false],
+    [ADC, 0x58, 0x46, 1, 0x05, true, true, false, true],
+    [ADC, 0x99, 0x01, 0, 0x00, true, false, false, true],   // Z clear: binary sum is $9A
+    [ADC, 0x50, 0x50, 0, 0x00, true, true, false, true],
+    [ADC, 0x80, 0x80, 0, 0x60, false, true, true, true],    // Z set: binary sum is $100
+    [ADC, 0x0F, 0x01, 0, 0x16, false, false, false, false], // invalid BCD
+    [ADC, 0xFF, 0xFF, 1, 0x55, true, false, false, true],   // invalid BCD
+    [SBC, 0x46, 0x12, 1, 0x34, false, false, false, true],
+    [SBC, 0x32, 0x02, 0, 0x29, false, false, false, true],
+    [SBC, 0x12, 0x21, 1, 0x91, true, false, false, false],
+    [SBC, 0x00, 0x01, 1, 0x99, true, false, false, false],
+    [SBC, 0x21, 0x21, 1, 0x00, false, false, true, true],
+    [SBC, 0x00, 0x0F, 1, 0x9B, true, false, false, false]   // invalid BCD
+];
+
+for (const [opcode, a, b, c, result, n, v, z, carry] of vectors) {
+    const name = opcode === ADC ? 'ADC vector' : 'SBC vector';
+    check(name, a, b, c, execute(opcode, a, b, c), { a: result, n, v, z, c: carry });
+}
+
+finish('Decimal mode ADC/SBC', `all 262144 combinations and ${vectors.length} hand-worked vectors match`);
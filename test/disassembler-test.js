@@ -0,0 +1,70 @@
+// test/disassembler-test.js - Disassembler operand formatting and symbol labels
+// Every opcode must decode to its table length, and each addressing mode
+// must format its operand the way the VICE monitor does.
+
+import { Memory } from '../src/emulator/Memory.js';
+import { OPCODES, MODE_BYTES } from '../src/emulator/Opcodes.js';
+import { Disassembler } from '../src/emulator/Disassembler.js';
+import { SymbolTable, KERNAL_SYMBOLS } from '../src/emulator/SymbolTable.js';
+import { expect, finish } from './helpers.js';
+
+const memory = new Memory(65536);
+memory.bankConfig = 0x04;
+const disassembler = new Disassembler(memory);
+
+function decodeBytes(address, bytes) {
+    memory.ram.set(bytes, address);
+    return disassembler.decode(address);
+}
+
+// Every opcode decodes with the length of its addressing mode
+for (let opcode = 0; opcode < 256; opcode++) {
+    const instruction = decodeBytes(0x2000, [opcode, 0x34, 0x12]);
+    expect(`opcode $${opcode.toString(16)} length`, instruction.length, MODE_BYTES[OPCODES[opcode].mode]);
+    expect(`opcode $${opcode.toString(16)} mnemonic`, instruction.mnemonic, OPCODES[opcode].mnemonic);
+}
+
+// One sample per addressing mode
+const samples = [
+    [[0xEA], 'NOP'],
+    [[0x0A], 'ASL A'],
+    [[0xA9, 0x01], 'LDA #$01'],
+    [[0xA5, 0xFB], 'LDA $FB'],
+    [[0xB5, 0x10], 'LDA $10,X'],
+    [[0xB6, 0x10], 'LDX $10,Y'],
+    [[0xA1, 0x10], 'LDA ($10,X)'],
+    [[0xB1, 0xFB], 'LDA ($FB),Y'],
+    [[0x8D, 0x20, 0xD0], 'STA $D020'],
+    [[0xBD, 0x00, 0x04], 'LDA $0400,X'],
+    [[0xB9, 0x00, 0x04], 'LDA $0400,Y'],
+    [[0x6C, 0xFC, 0xFF], 'JMP ($FFFC)'],
+    [[0xA7, 0x80], 'LAX $80'],
+    [[0x02], 'JAM']
+];
+
+for (const [bytes, text] of samples) {
+    expect(text, decodeBytes(0x2000, bytes).text, text);
+}
+
+// Branch targets: forward, backward and across the top of memory
+expect('BNE forward', decodeBytes(0x2000, [0xD0, 0x10]).target, 0x2012);
+expect('BNE backward', decodeBytes(0x2000, [0xD0, 0xFC]).text, 'BNE $1FFE');
+expect('BPL wrap', decodeBytes(0xFFF0, [0x10, 0x7F]).target, 0x0071);
+expect('JSR target', decodeBytes(0x2000, [0x20, 0xD2, 0xFF]).target, 0xFFD2);
+expect('LDA abs target', decodeBytes(0x2000, [0xAD, 0xD2, 0xFF]).target, null);
+
+// Symbol substitution
+const symbols = new SymbolTable(KERNAL_SYMBOLS);
+expect('VICE labels loaded', symbols.load('al C:2000 .start\nal 3000 .counter\nborder = $d020\n'), 3);
+disassembler.symbols = symbols;
+
+expect('KERNAL label', decodeBytes(0x2000, [0x20, 0xD2, 0xFF]).text, 'JSR CHROUT');
+expect('file label', decodeBytes(0x2000, [0x8D, 0x20, 0xD0]).text, 'STA border');
+expect('label+1', decodeBytes(0x2000, [0xEE, 0x01, 0x30]).text, 'INC counter+1');
+expect('branch label', decodeBytes(0x2002, [0xD0, 0xFC]).text, 'BNE start');
+expect('immediate untouched', decodeBytes(0x2000, [0xA9, 0xD2]).text, 'LDA #$D2');
+
+memory.ram.set([0xA9, 0x01, 0x60], 0x2000);
+expect('listing', disassembler.listing(0x2000, 2), 'start:\n$2000  A9 01     LDA #$01\n$2002  60        RTS');
+
+finish('Disassembler', 'all 256 opcodes decode, operands and labels format correctly');
@@ -0,0 +1,156 @@
+// test/functional-test.js - Headless runner for Klaus Dormann's 6502 functional test
+// Loads a flat 64K binary into a bare Memory (no I/O handlers, all RAM) and
+// steps MOS6502 until the PC traps in a branch/jump to itself.
+//
+// Usage: node test/functional-test.js [binary] [--start=0400] [--success=3469] [--strict]
+//
+// The binary is GPL licensed and not part of this repository. Build it from
+// https://github.com/Klaus2m5/6502_65C02_functional_tests (or use the
+// pre-assembled bin_files/6502_functional_test.bin, which has decimal mode
+// tests enabled and reports success at $3469) and place it at
+// test/roms/6502_functional_test.bin, or pass its path on the command line.
+//
+// Without the binary `npm test` skips this test with a warning. It is the
+// regression gate for CPU changes, so `npm run test:6502` (--strict) fails
+// instead: run that wherever the binary (or FUNCTIONAL_TEST_BIN) is provided.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { MOS6502 } from '../src/emulator/MOS6502.js';
+import { Memory } from '../src/emulator/Memory.js';
+import { TraceLogger } from '../src/emulator/TraceLogger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_BINARY = path.join(__dirname, 'roms', '6502_functional_test.bin');
+
+// Defaults for the pre-assembled binary
+export const FUNCTIONAL_TEST_DEFAULTS = {
+    startAddress: 0x0400,
+    successAddress: 0x3469,
+    testCaseAddress: 0x0200,  // test_case variable in the data segment
+    maxCycles: 200000000
+};
+
+const hex = (value, digits = 4) => '$' + value.toString(16).toUpperCase().padStart(digits, '0');
+
+// Create a Memory that behaves as plain 64K RAM:
+// LORAM=HIRAM=0 maps RAM everywhere (no BASIC, KERNAL, character ROM or I/O)
+export function createBareMemory(binary) {
+    const memory = new Memory(65536);
+    memory.bankConfig = 0x04;
+    memory.ram.set(binary.subarray(0, 65536));
+    return memory;
+}
+
+// Run until the PC stops moving. Returns { passed, pc, testCase, cycles, instructions, cpu, trace }
+export function runFunctionalTest(binary, options = {}) {
+    const { startAddress, successAddress, testCaseAddress, maxCycles } = {
+        ...FUNCTIONAL_TEST_DEFAULTS,
+        ...options
+    };
+
+    const memory = createBareMemory(binary);
+    const cpu = new MOS6502(memory);
+    cpu.PC = startAddress;
+
+    // Keep the last few instructions for the failure report
+    const trace = new TraceLogger(cpu, 16);
+    trace.enable();
+
+    let instructions = 0;
+    while (cpu.cycles < maxCycles) {
+        const pc = cpu.PC;
+        cpu.step();
+        instructions++;
+
+        if (cpu.PC === pc || cpu.jammed) {
+            return {
+                passed: cpu.PC === successAddress,
+                pc: cpu.PC,
+                testCase: memory.read(testCaseAddress),
+                cycles: cpu.cycles,
+                instructions,
+                cpu,
+                trace
+            };
+        }
+    }
+
+    return {
+        passed: false,
+        pc: cpu.PC,
+        testCase: memory.read(testCaseAddress),
+        cycles: cpu.cycles,
+        instructions,
+        cpu,
+        trace,
+        timedOut: true
+    };
+}
+
+function parseArgs(argv) {
+    const options = {};
+    let binaryPath = null;
+    let strict = false;
+
+    for (const arg of argv) {
+        if (arg === '--strict') {
+            strict = true;
+            continue;
+        }
+        const match = arg.match(/^--(start|success|test-case)=(?:\$|0x)?([0-9a-f]+)$/i);
+        if (match) {
+            const key = { start: 'startAddress', success: 'successAddress', 'test-case': 'testCaseAddress' }[match[1]];
+            options[key] = parseInt(match[2], 16);
+        } else {
+            binaryPath = arg;
+        }
+    }
+
+    return { binaryPath, options, strict };
+}
+
+function main() {
+    const { binaryPath, options, strict } = parseArgs(process.argv.slice(2));
+    const file = binaryPath || process.env.FUNCTIONAL_TEST_BIN || DEFAULT_BINARY;
+
+    if (!fs.existsSync(file)) {
+        if (binaryPath || strict) {
+            console.log(`❌ Binary not found: ${file}`);
+            console.log('   See the header of test/functional-test.js for how to obtain it.');
+            process.exit(1);
+        }
+        console.log(`⚠️  6502 functional test skipped: ${path.relative(process.cwd(), file)} not found`);
+        console.log('   See the header of test/functional-test.js for how to obtain it.');
+        return;
+    }
+
+    const binary = new Uint8Array(fs.readFileSync(file));
+    console.log(`Running ${path.basename(file)} (${binary.length} bytes) from ${hex(options.startAddress ?? FUNCTIONAL_TEST_DEFAULTS.startAddress)}...`);
+
+    const started = Date.now();
+    const result = runFunctionalTest(binary, options);
+    const seconds = ((Date.now() - started) / 1000).toFixed(1);
+    const summary = `${result.instructions} instructions, ${result.cycles} cycles, ${seconds}s`;
+
+    if (result.passed) {
+        console.log(`✅ 6502 functional test passed at ${hex(result.pc)} (${summary})`);
+        return;
+    }
+
+    const cpu = result.cpu;
+    const reason = result.timedOut ? 'did not trap' : `trapped at ${hex(result.pc)}`;
+    console.log(`❌ 6502 functional test failed: ${reason}, test case ${hex(result.testCase, 2)} (${summary})`);
+    console.log(`   A=${hex(cpu.A, 2)} X=${hex(cpu.X, 2)} Y=${hex(cpu.Y, 2)} SP=${hex(cpu.SP, 2)} P=${hex(cpu.getP(), 2)}`);
+    console.log('   Last instructions:');
+    console.log(result.trace.export('vice').replace(/^/gm, '   '));
+    process.exit(1);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+    main();
+}
@@ -0,0 +1,85 @@
+// test/georam-test.js - GeoRAM page window, registers, snapshots and stored images
+
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Memory } from '../src/emulator/Memory.js';
+import { GeoRAM, GEORAM_512K, GEORAM_MAX, saveGeoRAMImage, loadGeoRAMImage } from '../src/emulator/GeoRAM.js';
+import { encodeState, decodeState } from '../src/emulator/SaveState.js';
+import { expect, expectError, finish } from './helpers.js';
+
+// RAM with I/O, the GeoRAM in IO1 and IO2 as in C64Emulator
+const memory = new Memory(65536);
+memory.bankConfig = 0x05;
+const georam = new GeoRAM(memory, GEORAM_512K);
+memory.setIOHandler(0xDE00, 0xDEFF, (addr) => georam.readIO1(addr), (addr, val) => georam.writeIO1(addr, val));
+memory.setIOHandler(0xDF00, 0xDFFF, (addr) => georam.readIO2(addr), (addr, val) => georam.writeIO2(addr, val));
+
+const select = (block, page) => {
+    memory.write(0xDFFF, block);
+    memory.write(0xDFFE, page);
+};
+
+// The window shows the selected page
+select(0, 0);
+memory.write(0xDE00, 0x11);
+memory.write(0xDEFF, 0x22);
+select(3, 7);
+memory.write(0xDE10, 0x33);
+expect('window addresses', [georam.readIO1(0xDE10), georam.banks[0][0xC000 + 0x0700 + 0x10]], [0x33, 0x33]);
+expect('other page', memory.read(0xDE00), 0x00);
+select(0, 0);
+expect('page 0 kept', [memory.read(0xDE00), memory.read(0xDEFF)], [0x11, 0x22]);
+
+// Page register has 6 bits, the block register as many as the size needs
+select(0x1F, 0xFF);
+expect('registers masked', [georam.block, georam.page], [0x1F, 0x3F]);
+select(0xFF, 0x00);
+expect('512K has 32 blocks', georam.block, 0x1F);
+memory.write(0xDE05, 0x44);
+expect('last byte of RAM', georam.banks[7][0xC005], 0x44);
+
+// The registers are write-only and the rest of IO2 is RAM
+memory.write(0xDF10, 0x55);
+expect('IO2 reads', [memory.read(0xDF10), memory.read(0xDFFE)], [0x55, 0x00]);
+
+const big = new GeoRAM(memory, GEORAM_MAX);
+big.writeIO2(0xDFFF, 0xFF);
+expect('4M has 256 blocks', big.block, 0xFF);
+
+// Reset clears the registers, not the RAM
+georam.reset();
+expect('reset', [georam.block, georam.page, memory.read(0xDE00)], [0, 0, 0x11]);
+
+// Snapshots share the banks until they are written
+georam.dirty = false;
+const snapshot = georam.snapshot();
+expect('banks shared', snapshot.banks[0] === georam.banks[0], true);
+memory.write(0xDE00, 0x99);
+expect('copied on write', [snapshot.banks[0][0], georam.banks[0][0], georam.dirty], [0x11, 0x99, true]);
+georam.restore(snapshot);
+expect('restored', memory.read(0xDE00), 0x11);
+
+// Save states
+expect('save state', decodeState(encodeState({ georam: snapshot })).georam.banks[7][0xC005], 0x44);
+
+// Images round trip through exportImage/importImage and storage
+const image = georam.exportImage();
+expect('image', [image.length, image[0], image[0xFF], image[0x7C005]], [GEORAM_512K, 0x11, 0x22, 0x44]);
+const copy = new GeoRAM(memory, GEORAM_512K);
+copy.importImage(image.subarray(0, 0x100));
+expect('short image', [copy.readIO1(0xDE00), copy.readIO1(0xDEFF), copy.dirty], [0x11, 0x22, false]);
+
+const directory = await mkdtemp(join(tmpdir(), 'georam-'));
+try {
+    expect('nothing stored', await loadGeoRAMImage('test', directory), null);
+    await saveGeoRAMImage('test', image, directory);
+    const stored = await loadGeoRAMImage('test', directory);
+    expect('stored image', [stored.length, stored[0], stored[0x7C005]], [GEORAM_512K, 0x11, 0x44]);
+} finally {
+    await rm(directory, { recursive: true, force: true });
+}
+
+expectError('bad size', () => new GeoRAM(memory, 256 * 1024), 'GeoRAM size must be a power of two from 512K to 4M, not 262144');
+
+finish('GeoRAM', 'page window, registers, snapshots and stored images work');
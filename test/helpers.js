@@ -0,0 +1,56 @@
+// test/helpers.js - Shared assertions and pass/fail reporting for the test scripts
+// Each *-test.js imports what it needs, records failures as it goes and ends
+// with finish(), which exits non-zero if anything failed.
+
+let failures = 0;
+
+// Maps and typed arrays compare by content
+const plain = (key, value) => {
+    if (value instanceof Map) return { map: Array.from(value.entries()) };
+    if (ArrayBuffer.isView(value)) return { bytes: Array.from(value) };
+    return value;
+};
+
+/**
+ * Record a failure; the message is printed unless it is null (for tests that
+ * cap their output)
+ */
+export function fail(message) {
+    failures++;
+    if (message !== null) {
+        console.log(`❌ ${message}`);
+    }
+}
+
+export function expect(name, actual, expected) {
+    if (JSON.stringify(actual, plain) !== JSON.stringify(expected, plain)) {
+        fail(`${name}: got ${JSON.stringify(actual, plain)}, expected ${JSON.stringify(expected, plain)}`);
+    }
+}
+
+/**
+ * Expect fn to throw; message is the exact error message or a RegExp it must match
+ */
+export function expectError(name, fn, message) {
+    try {
+        fn();
+    } catch (error) {
+        if (message instanceof RegExp) {
+            if (!message.test(error.message)) {
+                fail(`${name}: unexpected error "${error.message}"`);
+            }
+        } else {
+            expect(name, error.message, message);
+        }
+        return;
+    }
+    fail(`${name}: no error`);
+}
+
+export function finish(label, summary) {
+    if (failures > 0) {
+        console.log(`\n❌ ${label}: ${failures} failure(s)`);
+        process.exit(1);
+    }
+    console.log(`✅ ${label}: ${summary}`);
+}
@@ -0,0 +1,176 @@
+// test/interrupt-test.js - IRQ/NMI line model, CIA interrupt control register
+// and timer interrupts
+
+import { Memory } from '../src/emulator/Memory.js';
+import { MOS6502, IRQ_VIC, IRQ_CIA1, NMI_CIA2, NMI_RESTORE } from '../src/emulator/MOS6502.js';
+import { CIA } from '../src/emulator/CIA.js';
+import { Assembler } from '../src/emulator/Assembler.js';
+import { expect, finish } from './helpers.js';
+
+const memory = new Memory(65536);
+memory.bankConfig = 0x04;
+const cpu = new MOS6502(memory);
+
+const program = new Assembler().assemble(0x1000, `
+main:   SEI
+        CLI
+        NOP
+        NOP
+        BRK
+        NOP
+spin:   JMP spin
+irq:    INC $02
+        RTI
+nmi:    INC $03
+        RTI
+        *= $FFFA
+        .word nmi, main, irq
+`);
+for (const { address, bytes } of program.statements) memory.ram.set(bytes, address);
+const { main, irq, nmi, spin } = program.labels;
+
+function restart() {
+    cpu.irqLines = 0;
+    cpu.nmiLines = 0;
+    cpu.reset();
+    memory.ram[0x02] = 0;
+    memory.ram[0x03] = 0;
+}
+
+// A held IRQ waits for I to clear; CLI lets one more instruction run first
+restart();
+cpu.setIRQ(IRQ_VIC, true);
+cpu.step();                                   // SEI
+cpu.step();                                   // CLI
+expect('held while I set', cpu.PC, main + 2);
+cpu.step();                                   // NOP still runs after CLI
+expect('CLI delays the IRQ by one instruction', cpu.PC, main + 3);
+
+const cycles = cpu.cycles;
+expect('interrupt sequence cycles', cpu.step(), 7);
+expect('cycle counter', cpu.cycles - cycles, 7);
+expect('IRQ vector', cpu.PC, irq);
+expect('pushed PC', memory.ram[0x01FD] << 8 | memory.ram[0x01FC], main + 3);
+expect('pushed P has B clear', memory.ram[0x01FB] & 0x30, 0x20);
+expect('I set in handler', cpu.I, true);
+
+// Level triggered: RTI with the line still active re-enters the handler
+cpu.step();                                   // INC $02
+cpu.step();                                   // RTI
+cpu.step();                                   // taken again
+expect('IRQ retaken while held', [cpu.PC, memory.ram[0x02]], [irq, 1]);
+cpu.step();
+cpu.setIRQ(IRQ_VIC, false);                   // handler acknowledges
+cpu.step();                                   // RTI
+cpu.step();
+expect('released line is not taken', cpu.PC, main + 4);
+
+// Two sources: the line stays active until both release it
+cpu.I = true;
+cpu.irqMasked = true;
+cpu.setIRQ(IRQ_VIC, true);
+cpu.setIRQ(IRQ_CIA1, true);
+cpu.setIRQ(IRQ_VIC, false);
+expect('shared line still active', cpu.irqLines, IRQ_CIA1);
+cpu.setIRQ(IRQ_CIA1, false);
+
+// BRK pushes B set
+cpu.step();                                   // BRK
+expect('BRK pushes B set', memory.peek(0x0100 + ((cpu.SP + 1) & 0xFF)) & 0x30, 0x30);
+
+// An IRQ arriving during SEI is still taken: the poll saw I clear
+restart();
+cpu.PC = main + 1;
+cpu.step();                                   // CLI
+cpu.step();                                   // NOP
+memory.ram[main + 3] = 0x78;                  // SEI in place of the second NOP
+cpu.step();                                   // SEI
+cpu.setIRQ(IRQ_CIA1, true);
+cpu.step();
+expect('IRQ taken right after SEI', [cpu.PC, memory.ram[0x01FB] & 0x04], [irq, 0x04]);
+cpu.setIRQ(IRQ_CIA1, false);
+memory.ram[main + 3] = 0xEA;
+
+// NMI is edge triggered: one NMI per inactive -> active transition
+restart();
+cpu.PC = spin;
+cpu.setNMI(NMI_CIA2, true);
+cpu.step();
+expect('NMI taken with I set', [cpu.PC, cpu.I], [nmi, true]);
+cpu.step();                                   // INC $03
+cpu.step();                                   // RTI
+cpu.step();
+expect('held NMI does not retrigger', cpu.PC, spin);
+cpu.setNMI(NMI_RESTORE, true);
+cpu.setNMI(NMI_RESTORE, false);
+cpu.step();
+expect('RESTORE blocked while CIA2 holds NMI', cpu.PC, spin);
+cpu.setNMI(NMI_CIA2, false);
+cpu.setNMI(NMI_RESTORE, true);
+cpu.step();
+expect('new edge after release', [cpu.PC, memory.ram[0x03]], [nmi, 1]);
+cpu.setNMI(NMI_RESTORE, false);
+
+// Jammed CPU ignores interrupts
+restart();
+memory.ram[0x3000] = 0x02;
+cpu.PC = 0x3000;
+cpu.step();
+cpu.setNMI(NMI_CIA2, true);
+cpu.step();
+expect('jammed CPU ignores NMI', cpu.PC, 0x3000);
+
+// CIA interrupt control register
+const cia = new CIA(1, memory);
+const line = [];
+cia.onIRQ = (active) => line.push(active);
+
+cia.write(0xDC04, 0x10);
+cia.write(0xDC05, 0x00);
+cia.write(0xDC0E, 0x11);                      // load latch and start timer A
+cia.cycle(0x10);
+expect('flag latched while masked', [cia.interruptFlags, line], [0x01, []]);
+cia.write(0xDC0D, 0x81);                      // enable timer A
+expect('enabling a latched source asserts', line, [true]);
+expect('ICR read', cia.read(0xDC0D), 0x81);
+expect('ICR read releases the line', line, [true, false]);
+expect('ICR cleared', cia.read(0xDC0D), 0x00);
+cia.write(0xDC0D, 0x01);                      // disable timer A
+cia.cycle(0x10);
+expect('disabled source only latches', [cia.read(0xDC0D), line.length], [0x01, 2]);
+
+const cia2 = new CIA(2, memory);
+const nmiLine = [];
+cia2.onNMI = (active) => nmiLine.push(active);
+cia2.write(0xDD0D, 0x81);
+cia2.triggerInterrupt(0x01);
+expect('CIA2 drives NMI', nmiLine, [true]);
+
+// Timer B: counts clock cycles, or timer A underflows with CRB bit 6
+line.length = 0;
+cia.write(0xDC0E, 0x00);                      // stop timer A
+cia.write(0xDC0D, 0x7F);
+cia.read(0xDC0D);
+cia.write(0xDC0D, 0x82);                      // enable timer B
+cia.write(0xDC06, 0x20);
+cia.write(0xDC07, 0x00);
+cia.write(0xDC0F, 0x19);                      // load, start, one-shot
+cia.cycle(0x1F);
+expect('timer B counting', [cia.timerB, line], [0x01, []]);
+cia.cycle(0x01);
+expect('timer B underflow', [cia.interruptFlags, line, cia.timerBRunning], [0x02, [true], false]);
+expect('timer B ICR read', cia.read(0xDC0D), 0x82);
+
+cia.write(0xDC04, 0x10);
+cia.write(0xDC05, 0x00);
+cia.write(0xDC0E, 0x11);                      // timer A continuous, interrupt masked
+cia.write(0xDC06, 0x02);
+cia.write(0xDC0F, 0x51);                      // load, start, count timer A underflows
+cia.cycle(0x10);
+expect('B counts A underflows', [cia.timerB, cia.read(0xDC0D)], [0x01, 0x01]);
+cia.cycle(0x10);
+expect('cascaded underflow', cia.read(0xDC0D), 0x83);
+cia.write(0xDC0E, 0x00);
+cia.write(0xDC0F, 0x00);
+
+finish('Interrupts', 'IRQ/NMI lines, 7-cycle entry, CIA ICR and timer B work');
@@ -0,0 +1,154 @@
+// test/memory-search-test.js - RAM search, cheat finder narrowing, diff, freezes
+// and their rewind replay
+
+import { Memory } from '../src/emulator/Memory.js';
+import { MemorySearch } from '../src/emulator/MemorySearch.js';
+import { MOS6502 } from '../src/emulator/MOS6502.js';
+import { CIA } from '../src/emulator/CIA.js';
+import { SID } from '../src/emulator/SID.js';
+import { Assembler } from '../src/emulator/Assembler.js';
+import { Rewind } from '../src/emulator/Rewind.js';
+import { C64Emulator } from '../src/emulator/C64Emulator.js';
+import { expect, expectError, finish } from './helpers.js';
+
+const memory = new Memory(65536);
+const search = new MemorySearch(memory);
+
+// Byte sequences, wildcards and values
+memory.ram.set([0xA9, 0x03, 0x8D, 0x20, 0xD0], 0x1000);
+memory.ram.set([0xA9, 0x07, 0x8D, 0x21, 0xD0], 0x2000);
+memory.ram.set([0x34, 0x12], 0x3000);
+expect('sequence', search.find([0xA9, 0x03, 0x8D]), [0x1000]);
+expect('wildcard', search.find([0xA9, null, 0x8D]), [0x1000, 0x2000]);
+expect('range', search.find([0xA9, null, 0x8D], { start: 0x1800 }), [0x2000]);
+expect('8-bit value', search.find(0x07), [0x2001]);
+expect('16-bit value', search.find(0x1234, { size: 2 }), [0x3000]);
+memory.ram[0xFFFF] = 0x55;
+expect('no match past $FFFF', search.find([0x55, 0x00], { start: 0xFF00 }), []);
+
+// Cheat finder: lives at $4000 go 3 -> 2 -> 2 -> 1 while a timer at $4001
+// counts up and score at $4002 (16-bit) grows
+expectError('narrow before start', () => search.narrow('changed'), 'No search in progress - call start() first');
+memory.ram.set([3, 10, 0x00, 0x01], 0x4000);
+expect('start', search.start(), 0x10000);
+memory.ram.set([2, 11], 0x4000);
+search.narrow('decreased');
+expect('decreased', search.candidates.includes(0x4000) && !search.candidates.includes(0x4001), true);
+memory.ram[0x4001] = 12;
+search.narrow('unchanged');
+memory.ram.set([1, 13], 0x4000);
+search.narrow('decreased');
+search.narrow('equal', 1);
+expect('lives found', search.candidates, [0x4000]);
+expect('results', search.results(), [{ address: 0x4000, value: 1, previous: 1 }]);
+expect('format', search.format(), '$4000: $01 (was $01)');
+expectError('bad mode', () => search.narrow('bigger'),
+    'Unknown narrow mode "bigger" (expected changed, unchanged, increased, decreased, equal, notEqual)');
+
+search.start(search.find([0x00, 0x01], { start: 0x4000, end: 0x40FF }), 2);
+memory.ram.set([0x50, 0x01], 0x4002);
+expect('16-bit increased', [search.narrow('increased'), search.results()],
+    [1, [{ address: 0x4002, value: 0x0150, previous: 0x0150 }]]);
+search.reset();
+expect('reset', search.results(), []);
+
+// Diff between snapshots
+const before = memory.snapshot();
+memory.ram.set([9, 9, 9], 0x5000);
+memory.ram[0x6000] = 1;
+const changes = search.diff(before);
+expect('diff', changes, [
+    { address: 0x5000, before: 0, after: 9 }, { address: 0x5001, before: 0, after: 9 },
+    { address: 0x5002, before: 0, after: 9 }, { address: 0x6000, before: 0, after: 1 }
+]);
+expect('ranges', MemorySearch.ranges(changes), [
+    { start: 0x5000, end: 0x5002, before: [0, 0, 0], after: [9, 9, 9] },
+    { start: 0x6000, end: 0x6000, before: [0], after: [1] }
+]);
+expect('diff of images', search.diff(before.ram, memory.snapshot().ram).length, 4);
+
+// Freezes: only addresses whose value changed need writing
+search.freeze(0x4000, 3);
+search.freeze(0x4002, 0x9999, 2);
+expect('pending', search.pendingFreezes(), [[0x4000, 3], [0x4002, 0x99], [0x4003, 0x99]]);
+// C64Emulator's freeze handling on a machine without the VIC (which needs
+// a canvas); frames are cyclesPerFrame cycles as in runFrame()
+const machine = Object.create(C64Emulator.prototype);
+Object.assign(machine, {
+    memory,
+    search,
+    cpu: new MOS6502(memory),
+    vic: { cycle() {}, snapshot: () => null, restore() {} },
+    cia1: new CIA(1, memory),
+    cia2: new CIA(2, memory),
+    sid: new SID(memory),
+    cyclesPerFrame: 1000,
+    frameRate: 50
+});
+machine.rewind = new Rewind(machine, { interval: 2, capacity: 8 });
+const applyFreezes = () => machine.applyFreezes();
+
+applyFreezes();
+expect('held', search.pendingFreezes(), []);
+
+// RAM under the I/O area is held too, not the device registers over it
+memory.setIOHandler(0xD000, 0xD3FF, () => 0x0F, () => {});
+search.freeze(0xD020, 0x42);
+applyFreezes();
+expect('under I/O', [search.pendingFreezes(), memory.read(0xD020), memory.ram[0xD020]], [[], 0x0F, 0x42]);
+search.unfreeze(0xD020);
+memory.ram[0x4000] = 2;
+expect('re-written', search.pendingFreezes(), [[0x4000, 3]]);
+search.unfreeze(0x4002, 2);
+expect('unfreeze', [...search.frozen.keys()], [0x4000]);
+search.unfreezeAll();
+expect('unfreeze all', search.frozen.size, 0);
+
+// Rewind replays freezes: a program counts $4000 down, frozen for frames
+// 3-6. Seeking back to any instruction must give the recorded RAM.
+const { cpu, rewind } = machine;
+const program = new Assembler().assemble(0x1000, `
+loop:   DEC $4000
+        LDX #20
+wait:   DEX
+        BNE wait
+        JMP loop
+`);
+for (const { address, bytes } of program.statements) memory.ram.set(bytes, address);
+cpu.PC = 0x1000;
+cpu.cycles = 0;
+rewind.clear();
+
+const history = new Map();
+let frame = 0;
+const runFrames = (count) => {
+    for (let i = 0; i < count; i++) {
+        frame++;
+        machine.applyFreezes();
+        while (cpu.cycles < frame * machine.cyclesPerFrame) {
+            history.set(cpu.cycles, [memory.ram[0x4000], cpu.PC, search.frozen.size]);
+            machine.stepInstruction();
+        }
+        rewind.frame();
+    }
+};
+runFrames(2);
+machine.freeze(0x4000, 0x63);
+runFrames(4);
+machine.unfreeze();
+runFrames(2);
+expect('freezes logged once per frame', rewind.inputs.map(input => input.type),
+    ['freeze', 'freezes', 'freezes', 'freezes', 'freezes', 'unfreeze']);
+
+const seekTo = (cycles) => {
+    const target = [...history.keys()].find(at => at >= cycles);
+    rewind.seek(target);
+    return [[memory.ram[0x4000], cpu.PC, search.frozen.size], history.get(target)];
+};
+// Seeking drops the future, so go back step by step
+for (const cycles of [7500, 6500, 5990, 3500, 2500, 1500]) {
+    const [replayed, recorded] = seekTo(cycles);
+    expect(`replayed at ${cycles}`, replayed, recorded);
+}
+
+finish('MemorySearch', 'byte search, cheat finder, diff and freezes work');
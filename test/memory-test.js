@@ -0,0 +1,104 @@
+// test/memory-test.js - PLA banking: all 32 modes, Ultimax, processor port DDR, page tables
+
+import { Memory } from '../src/emulator/Memory.js';
+import { expect, finish } from './helpers.js';
+
+// Tell the banks apart by their contents
+const memory = new Memory(65536);
+memory.ram.fill(0x11);
+memory.rom.fill(0x22, 0xA000, 0xC000);   // BASIC
+memory.rom.fill(0x33, 0xE000);           // KERNAL
+memory.charset.fill(0x44);
+memory.romL = new Uint8Array(0x2000).fill(0x55);
+memory.romH = new Uint8Array(0x2000).fill(0x66);
+memory.setIOHandler(0xD000, 0xD3FF, () => 0x77, () => {});
+
+const NAMES = { 0x11: 'RAM', 0x22: 'BASIC', 0x33: 'KERNAL', 0x44: 'CHAR', 0x55: 'ROML', 0x66: 'ROMH', 0x77: 'IO', 0xFF: 'OPEN' };
+const PROBES = [0x4000, 0x8000, 0xA000, 0xC000, 0xD000, 0xE000];
+
+function map(mode) {
+    memory.setCartridgeLines(mode & 0x08, mode & 0x10);
+    memory.bankConfig = mode & 0x07;
+    return PROBES.map(address => NAMES[memory.read(address)]).join(' ');
+}
+
+// The PLA table from the C64 memory map, EXROM GAME CHAREN HIRAM LORAM
+const RAM = 'RAM RAM RAM RAM RAM RAM';
+const ULTIMAX = 'OPEN ROML OPEN OPEN IO ROMH';
+const expected = [
+    RAM, RAM,
+    'RAM RAM ROMH RAM CHAR KERNAL', 'RAM ROML ROMH RAM CHAR KERNAL',
+    RAM, 'RAM RAM RAM RAM IO RAM',
+    'RAM RAM ROMH RAM IO KERNAL', 'RAM ROML ROMH RAM IO KERNAL',
+    RAM, 'RAM RAM RAM RAM CHAR RAM',
+    'RAM RAM RAM RAM CHAR KERNAL', 'RAM ROML BASIC RAM CHAR KERNAL',
+    RAM, 'RAM RAM RAM RAM IO RAM',
+    'RAM RAM RAM RAM IO KERNAL', 'RAM ROML BASIC RAM IO KERNAL',
+    ULTIMAX, ULTIMAX, ULTIMAX, ULTIMAX, ULTIMAX, ULTIMAX, ULTIMAX, ULTIMAX,
+    RAM, 'RAM RAM RAM RAM CHAR RAM',
+    'RAM RAM RAM RAM CHAR KERNAL', 'RAM RAM BASIC RAM CHAR KERNAL',
+    RAM, 'RAM RAM RAM RAM IO RAM',
+    'RAM RAM RAM RAM IO KERNAL', 'RAM RAM BASIC RAM IO KERNAL'
+];
+for (let mode = 0; mode < 32; mode++) {
+    expect(`mode ${mode}`, map(mode), expected[mode]);
+}
+
+// LORAM=1, HIRAM=0 banks out BASIC as well as the KERNAL
+expect('LORAM without HIRAM', map(0x19), 'RAM RAM RAM RAM CHAR RAM');
+
+// Ultimax: open areas ignore writes, cartridge areas do not reach RAM
+map(0x10);
+memory.write(0x4000, 0x99);
+memory.write(0x8000, 0x99);
+expect('ultimax writes', [memory.ram[0x4000], memory.ram[0x8000], memory.read(0x4000)], [0x11, 0x11, 0xFF]);
+expect('ultimax name', memory.getBankConfigString(), 'ULTIMAX+ROML+IO+ROMH');
+
+// Writes under ROMs reach RAM
+map(0x1F);
+memory.write(0xA000, 0x99);
+memory.write(0xE000, 0x98);
+expect('write under ROM', [memory.read(0xA000), memory.ram[0xA000], memory.ram[0xE000]], [0x22, 0x99, 0x98]);
+expect('standard name', memory.getBankConfigString(), 'BASIC+IO+KERNAL');
+
+// Processor port: input bits are pulled high, outputs drive the PLA
+memory.write(0x0000, 0x2F);
+memory.write(0x0001, 0xE5);
+expect('port read back', [memory.read(0x0000), memory.read(0x0001)], [0x2F, 0x35]);
+expect('outputs select the mode', memory.bankConfig, 0x05);
+
+memory.write(0x0000, 0x28);   // LORAM/HIRAM/CHAREN as inputs
+expect('inputs pulled high', [memory.bankConfig, NAMES[memory.read(0xA000)]], [0x07, 'BASIC']);
+memory.write(0x0001, 0x30);
+expect('data ignored on inputs', memory.bankConfig, 0x07);
+memory.write(0x0000, 0x2F);
+expect('latched data applies when switched to output', [memory.bankConfig, memory.read(0xE000)], [0x00, 0x98]);
+
+// Page tables follow handler registration: whole pages, parts of a page,
+// unclaimed I/O and color RAM
+const io = new Memory(65536);
+io.bankConfig = 0x05;
+const written = [];
+io.setIOHandler(0xDE00, 0xDE3F, (address) => address & 0x3F, (address, value) => written.push([address, value]));
+io.setIOHandler(0xDE80, 0xDE80, () => 0xAB, () => {});
+io.setIOHandler(0xDC00, 0xDCFF, () => 0xCC, () => {});
+io.write(0xDE05, 0x12);
+io.write(0xDE40, 0x34);
+io.write(0xDF00, 0x56);
+io.write(0xD800, 0xF7);
+expect('partial page devices', [io.read(0xDE05), io.read(0xDE80), io.read(0xDE40), io.read(0xDC10)], [0x05, 0xAB, 0x34, 0xCC]);
+expect('device writes', written, [[0xDE05, 0x12]]);
+expect('unclaimed I/O and color RAM', [io.read(0xDF00), io.ram[0xDF00], io.read(0xD800), io.colorRAM[0]], [0x56, 0x56, 0x07, 0x07]);
+io.write(0x0001, 0x34);   // All RAM
+expect('devices banked out', [io.read(0xDC10), io.read(0xDE05)], [0x00, 0x00]);
+
+// Snapshot round trip keeps the port and cartridge lines
+memory.write(0x0001, 0x36);
+memory.setCartridgeLines(0, 1);
+const snapshot = memory.snapshot();
+const restored = new Memory(65536);
+restored.restore(snapshot);
+expect('restored lines', [restored.portDirection, restored.portData, restored.game, restored.exrom, restored.ultimax],
+    [0x2F, 0x36, 0, 1, true]);
+
+finish('Memory', 'PLA modes, Ultimax, processor port and page tables work');
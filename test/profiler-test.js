@@ -0,0 +1,96 @@
+// test/profiler-test.js - Cycle profiler, routine hot spots and coverage map
+
+import { Memory } from '../src/emulator/Memory.js';
+import { MOS6502, IRQ_VIC } from '../src/emulator/MOS6502.js';
+import { Assembler } from '../src/emulator/Assembler.js';
+import { SymbolTable } from '../src/emulator/SymbolTable.js';
+import { Profiler, COVERAGE_EXECUTED, COVERAGE_READ, COVERAGE_WRITTEN } from '../src/emulator/Profiler.js';
+import { expect, finish } from './helpers.js';
+
+const memory = new Memory(65536);
+memory.bankConfig = 0x04;
+const cpu = new MOS6502(memory);
+
+const program = new Assembler().assemble(0x1000, `
+main:   LDX #3
+loop:   JSR outer
+        DEX
+        BNE loop
+spin:   JMP spin
+outer:  JSR leaf
+        JSR leaf
+        RTS
+leaf:   LDA data
+        STA out
+        RTS
+irq:    RTI
+data:   .byte 1
+out:    .byte 0
+`);
+for (const { address, bytes } of program.statements) memory.ram.set(bytes, address);
+const { main, spin, outer, leaf, irq, data, out } = program.labels;
+memory.ram[0xFFFE] = irq & 0xFF;
+memory.ram[0xFFFF] = irq >> 8;
+
+const symbols = new SymbolTable();
+symbols.add(outer, 'outer');
+symbols.add(leaf, 'leaf');
+const profiler = new Profiler(cpu, symbols);
+
+cpu.PC = main;
+cpu.SP = 0xFF;
+cpu.step();
+expect('disabled records nothing', profiler.instructions, 0);
+
+expect('toggle on', profiler.toggle(), true);
+while (cpu.PC !== spin) cpu.step();
+
+// leaf: LDA abs 4 + STA abs 4 + RTS 6; outer: 2 x (JSR 6 + leaf) + RTS 6
+const hotspots = profiler.hotspots();
+expect('routines by cycles', hotspots.map(r => [r.label, r.calls, r.cycles]),
+    [['outer', 3, 138], ['leaf', 6, 84]]);
+expect('total cycles', profiler.totalCycles, 3 * (6 + 46 + 2) + 2 * 3 + 2);
+expect('per-address counts', [profiler.executions[leaf], profiler.cycles[leaf]], [6, 24]);
+expect('hottest address is the RTS in leaf', profiler.hotAddresses(1)[0].address, leaf + 6);
+
+expect('operand bytes executed', profiler.coverage[leaf + 2], COVERAGE_EXECUTED);
+expect('data read', profiler.coverage[data], COVERAGE_READ);
+expect('data written', profiler.coverage[out], COVERAGE_WRITTEN);
+expect('stack written and read', profiler.coverage[0x01FF], COVERAGE_READ | COVERAGE_WRITTEN);
+expect('untouched', profiler.coverage[irq], 0);
+
+// Interrupt handlers are profiled as routines
+cpu.setIRQ(IRQ_VIC, true);
+cpu.I = false;
+cpu.irqMasked = false;
+cpu.step();
+cpu.setIRQ(IRQ_VIC, false);
+cpu.step();                                   // RTI
+expect('interrupt handler', profiler.routines.get(irq), { calls: 1, cycles: 6 });
+expect('stack balanced', profiler.stack.length, 0);
+
+// Calls whose return address is dropped are closed by the next call
+profiler.enter(0x2000, 0xF0);
+profiler.enter(0x2100, 0xF0);
+expect('dropped call closed', profiler.stack.map(call => call.address), [0x2100]);
+profiler.clear();
+
+// JSON export and heatmap
+cpu.PC = main;
+profiler.enable();
+while (cpu.PC !== spin) cpu.step();
+const json = JSON.parse(profiler.export());
+expect('json version', json.version, 1);
+expect('json routines', json.routines.map(r => r.address), [outer, leaf]);
+expect('json executed ranges', json.coverage.executed, [[main, spin - 1], [outer, irq - 1]]);
+expect('json written ranges', json.coverage.written, [[0x01FC, 0x01FF], [out, out]]);
+
+const pixels = profiler.heatmapPixels();
+expect('hottest pixel is yellow', Array.from(pixels.subarray((leaf + 6) * 4, (leaf + 6) * 4 + 4)), [255, 255, 0, 255]);
+expect('read pixel is blue', Array.from(pixels.subarray(data * 4, data * 4 + 4)), [0, 0, 255, 255]);
+expect('untouched pixel is transparent', pixels[irq * 4 + 3], 0);
+
+profiler.disable();
+expect('disabled', cpu.profiler, null);
+
+finish('Profiler', 'hot spots, coverage map and JSON export work');
@@ -0,0 +1,128 @@
+// test/reu-test.js - REU registers, DMA transfer modes, autoload, $FF00 trigger, IRQ and cycle stealing
+
+import { Memory } from '../src/emulator/Memory.js';
+import { MOS6502, IRQ_CARTRIDGE } from '../src/emulator/MOS6502.js';
+import { Assembler } from '../src/emulator/Assembler.js';
+import { REU, REU_1700, REU_1750 } from '../src/emulator/REU.js';
+import { expect, expectError, finish } from './helpers.js';
+
+// RAM with I/O, the REU in IO2
+const memory = new Memory(65536);
+memory.bankConfig = 0x05;
+const cpu = new MOS6502(memory);
+const reu = new REU(memory, REU_1750);
+memory.setIOHandler(0xDF00, 0xDFFF, (addr) => reu.readIO2(addr), (addr, val) => reu.writeIO2(addr, val));
+reu.onIRQ = (active) => cpu.setIRQ(IRQ_CARTRIDGE, active);
+reu.onDMA = (cycles) => cpu.stall(cycles);
+
+for (let i = 0; i < 256; i++) memory.ram[0x3000 + i] = i ^ 0x5A;
+
+// Program the registers from $DF01 on: command, C64 address, REU address, length
+function program(command, c64, reuAddress, length, control = 0) {
+    memory.write(0xDF0A, control);
+    memory.write(0xDF02, c64 & 0xFF);
+    memory.write(0xDF03, c64 >> 8);
+    memory.write(0xDF04, reuAddress & 0xFF);
+    memory.write(0xDF05, (reuAddress >> 8) & 0xFF);
+    memory.write(0xDF06, reuAddress >> 16);
+    memory.write(0xDF07, length & 0xFF);
+    memory.write(0xDF08, length >> 8);
+    memory.write(0xDF01, command);
+}
+
+const registers = () => [0x02, 0x03, 0x04, 0x05, 0x06, 0x07, 0x08].map(offset => memory.read(0xDF00 + offset));
+
+// Reset values and unused bits
+expect('reset registers', [0x00, 0x01, 0x06, 0x07, 0x08, 0x09, 0x0A, 0x0B].map(offset => memory.read(0xDF00 + offset)),
+    [0x10, 0x10, 0xF8, 0xFF, 0xFF, 0x1F, 0x3F, 0xFF]);
+expect('registers repeat every 32 bytes', memory.read(0xDF21), 0x10);
+
+// Stash: C64 -> REU, registers advance and the length stops at 1
+program(0x90, 0x3000, 0x050000, 0x0100);
+expect('stash', [reu.readByte(0x050000), reu.readByte(0x0500FF)], [0x5A, 0xFF ^ 0x5A]);
+expect('registers after stash', registers(), [0x00, 0x31, 0x00, 0x01, 0xFD, 0x01, 0x00]);
+expect('status after stash', [memory.read(0xDF00), memory.read(0xDF00), memory.read(0xDF01)], [0x50, 0x10, 0x10]);
+
+// Fetch with autoload: REU -> C64, registers go back to the values written
+program(0xB1, 0x4000, 0x050000, 0x0100);
+expect('fetch', Array.from(memory.ram.subarray(0x4000, 0x4100)), Array.from(memory.ram.subarray(0x3000, 0x3100)));
+expect('autoload', registers(), [0x00, 0x40, 0x00, 0x00, 0xFD, 0x00, 0x01]);
+
+// Swap
+memory.ram.fill(0x11, 0x5000, 0x5010);
+program(0x92, 0x5000, 0x050000, 0x0010);
+expect('swap', [memory.ram[0x5000], reu.readByte(0x050000), reu.readByte(0x05000F), memory.read(0xDF00)], [0x5A, 0x11, 0x11, 0x50]);
+
+// Verify stops at the first difference with the fault bit set
+memory.ram.set(memory.ram.subarray(0x3000, 0x3100), 0x6000);
+program(0x93, 0x6000, 0x050000, 0x0100);   // $050000-$0F now holds $11s
+expect('verify fault', [memory.read(0xDF00), registers()], [0x30, [0x01, 0x60, 0x01, 0x00, 0xFD, 0xFF, 0x00]]);
+program(0x93, 0x3010, 0x050010, 0x00F0);
+expect('verify match', memory.read(0xDF00), 0x50);
+
+// Fixed C64 address: fill REU memory from one byte
+memory.ram[0x7000] = 0xE7;
+program(0x90, 0x7000, 0x000000, 0x0000, 0x80);
+expect('64K fill from a fixed address', [reu.readByte(0x0000), reu.readByte(0xFFFF), reu.readByte(0x10000)], [0xE7, 0xE7, 0x00]);
+expect('fixed address kept', registers().slice(0, 2), [0x00, 0x70]);
+
+// REU addresses wrap at the size of the unit
+program(0x90, 0x3000, 0x07FFFF, 0x0002);
+expect('wrap', [reu.readByte(0x07FFFF), reu.readByte(0x000000), registers().slice(2, 5)], [0x5A, 0x5B, [0x01, 0x00, 0xF8]]);
+
+// $FF00 trigger: the transfer waits for the write to $FF00
+program(0x81, 0x8000, 0x050000, 0x0004);
+expect('armed', [memory.ram[0x8000], memory.read(0xDF01)], [0x00, 0x81]);
+memory.write(0xFF00, 0x00);
+expect('triggered by $FF00', [memory.ram[0x8000], memory.read(0xDF01)], [0x11, 0x11]);
+memory.write(0xFF00, 0x00);
+expect('trigger removed', memory.writeTraps.size, 0);
+
+// IRQ on end of block, cleared by reading the status; DMA cycles are
+// added to the instruction that started the transfer
+const code = new Assembler().assemble(0x1000, `
+        SEI
+        LDA #$C0
+        STA $DF09
+        LDA #$90
+        STA $DF01
+spin:   JMP spin
+`);
+for (const { address, bytes } of code.statements) memory.ram.set(bytes, address);
+program(0x10, 0x3000, 0x060000, 0x0080, 0);
+memory.read(0xDF00);
+cpu.PC = 0x1000;
+for (let i = 0; i < 4; i++) cpu.step();
+const [before, stalled] = [cpu.cycles, cpu.stallCycles];
+expect('STA $DF01 cycles include the DMA', cpu.step(), 4 + 0x80);
+expect('cycle counter and stalls', [cpu.cycles - before, cpu.stallCycles - stalled], [4 + 0x80, 0x80]);
+expect('IRQ raised', [cpu.irqLines, memory.read(0xDF00) & 0xC0, cpu.irqLines], [IRQ_CARTRIDGE, 0xC0, 0]);
+
+// Cycle-exact mode runs the machine through the stolen cycles
+let ticks = 0;
+cpu.onCycle = () => ticks++;
+cpu.isBusAvailable = () => true;
+cpu.setCycleExact(true);
+program(0x10, 0x3000, 0x060000, 0x0080, 0);
+cpu.PC = 0x1000;
+for (let i = 0; i < 4; i++) cpu.step();
+ticks = 0;
+expect('cycle-exact DMA', [cpu.step(), ticks], [4 + 0x80, 4 + 0x80]);
+cpu.setCycleExact(false);
+
+// Snapshots share the banks until they are written
+const snapshot = reu.snapshot();
+expect('banks shared', snapshot.banks[5] === reu.banks[5], true);
+program(0x90, 0x7000, 0x050000, 0x0001, 0x80);
+expect('copied on write', [snapshot.banks[5] === reu.banks[5], snapshot.banks[5][0], reu.readByte(0x050000)], [false, 0x11, 0xE7]);
+reu.restore(snapshot);
+expect('restored', reu.readByte(0x050000), 0x11);
+program(0x90, 0x7000, 0x050000, 0x0001, 0x80);
+expect('snapshot untouched after restore', snapshot.banks[5][0], 0x11);
+
+// Sizes
+const small = new REU(memory, REU_1700);
+expect('1700 size bit and bank mask', [small.readIO2(0xDF00), small.readIO2(0xDF06)], [0x00, 0xFE]);
+expectError('odd size', () => new REU(memory, 100000), 'REU size must be a power of two from 128K to 16M, not 100000');
+
+finish('REU', 'stash, fetch, swap, verify, autoload, $FF00 trigger, IRQ and DMA cycles work');
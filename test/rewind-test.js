@@ -0,0 +1,141 @@
+// test/rewind-test.js - Snapshots, input log replay and reverse execution
+
+import { Memory } from '../src/emulator/Memory.js';
+import { MOS6502 } from '../src/emulator/MOS6502.js';
+import { CIA } from '../src/emulator/CIA.js';
+import { SID } from '../src/emulator/SID.js';
+import { Assembler } from '../src/emulator/Assembler.js';
+import { Rewind } from '../src/emulator/Rewind.js';
+import { expect, finish } from './helpers.js';
+
+// A cut-down machine: CPU, memory, CIA timer IRQs and the SID noise readback
+const memory = new Memory(65536);
+memory.bankConfig = 0x05;   // RAM with I/O at $D000
+const cpu = new MOS6502(memory);
+const cia = new CIA(1, memory);
+const sid = new SID(memory);
+memory.setIOHandler(0xD400, 0xD7FF, (addr) => sid.read(addr), (addr, val) => sid.write(addr, val));
+memory.setIOHandler(0xDC00, 0xDCFF, (addr) => cia.read(addr), (addr, val) => cia.write(addr, val));
+cia.onIRQ = (active) => cpu.setIRQ(2, active);
+
+const machine = {
+    cpu,
+    memory,
+    cyclesPerFrame: 1000,
+    frameRate: 50,
+    snapshot: () => ({ cpu: cpu.snapshot(), memory: memory.snapshot(), cia: cia.snapshot(), sid: sid.snapshot() }),
+    restoreSnapshot: (state) => {
+        cpu.restore(state.cpu);
+        memory.restore(state.memory);
+        cia.restore(state.cia);
+        sid.restore(state.sid);
+    },
+    stepInstruction: () => {
+        const cycles = cpu.step();
+        cia.cycle(cycles);
+        return cycles;
+    },
+    applyInput: (input) => {
+        if (input.type === 'poke') memory.write(...input.args);
+    }
+};
+
+const program = new Assembler().assemble(0x1000, `
+main:   LDA #$81
+        STA $DC0D
+        LDA #$00
+        STA $DC05
+        LDA #$90
+        STA $DC04
+        LDA #$11
+        STA $DC0E
+        CLI
+        LDX #0
+loop:   INX
+        STX $2000
+        LDA $D41B
+        STA $2001
+        TXA
+        AND #$0F
+        BNE loop
+border: STX $D020
+        JMP loop
+irq:    INC $2002
+        LDA $DC0D
+        RTI
+        *= $FFFE
+        .word irq
+`);
+for (const { address, bytes } of program.statements) memory.ram.set(bytes, address);
+const { main, border } = program.labels;
+
+cpu.reset();
+cpu.PC = main;
+
+const rewind = new Rewind(machine, { interval: 2, capacity: 4 });
+rewind.clear();
+
+// Everything that matters at an instruction boundary
+function state() {
+    return JSON.stringify([cpu.snapshot(), Array.from(memory.ram.subarray(0x2000, 0x2003)),
+        memory.ram[0xD020], memory.ram[0x3000], cia.snapshot(), sid.noise]);
+}
+
+const history = new Map();
+let frame = 0;
+function runFrames(count) {
+    for (let i = 0; i < count; i++) {
+        frame++;
+        while (cpu.cycles < frame * machine.cyclesPerFrame) {
+            history.set(cpu.cycles, state());
+            machine.stepInstruction();
+        }
+        history.set(cpu.cycles, state());
+        rewind.frame();
+    }
+}
+
+runFrames(3);
+const pokeCycles = cpu.cycles;
+rewind.recordInput('poke', 0x3000, 0x42);
+memory.write(0x3000, 0x42);
+history.set(cpu.cycles, state());
+runFrames(4);
+
+expect('snapshots kept', rewind.snapshots.length, 4);
+expect('IRQs ran', memory.ram[0x2002] > 0, true);
+
+// Step back one instruction at a time
+const boundaries = [...history.keys()].sort((a, b) => a - b);
+let position = boundaries.length - 1;
+for (let i = 0; i < 3; i++) {
+    expect(`step back ${i + 1}`, rewind.stepBack(), true);
+    position--;
+    expect(`state after step back ${i + 1}`, [cpu.cycles, state()], [boundaries[position], history.get(boundaries[position])]);
+}
+
+// Back to the last border write; the machine stops just before the STX
+const found = rewind.runBackToWrite(0xD020);
+expect('write found', found && found.pc, border);
+expect('stopped before the write', [cpu.PC, state()], [border, history.get(cpu.cycles)]);
+
+// Logged pokes are replayed when rewinding across them
+rewind.seek(pokeCycles + 10);
+expect('poke replayed', memory.ram[0x3000], 0x42);
+expect('state after seek', state(), history.get(cpu.cycles));
+
+// Rewinding stops at the oldest snapshot and drops the future
+const reached = rewind.rewindSeconds(1);
+expect('rewind limited by history', reached, rewind.oldest);
+expect('state after rewind', state(), history.get(reached));
+expect('future dropped', [rewind.snapshots.length, rewind.inputs.every(input => input.cycles < reached)], [1, true]);
+
+// Running on from there repeats the original timeline
+machine.stepInstruction();
+expect('deterministic replay', state(), history.get(cpu.cycles));
+
+// Nothing before the oldest snapshot
+rewind.clear();
+expect('no history', rewind.stepBack(), false);
+
+finish('Rewind', 'snapshots, input replay and reverse execution work');
@@ -0,0 +1,32 @@
+// test/run.js - Runs every test/*-test.js in its own Node process
+// Usage: node test/run.js [name ...]   (e.g. `node test/run.js vic rewind`)
+// Exits non-zero if any test fails. The 6502 functional test only skips here
+// when its binary is missing; `npm run test:6502` is its strict gate.
+
+import fs from 'fs';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const testDir = path.dirname(fileURLToPath(import.meta.url));
+const only = process.argv.slice(2);
+
+const files = fs.readdirSync(testDir)
+    .filter(file => file.endsWith('-test.js'))
+    .filter(file => only.length === 0 || only.includes(file.replace(/-test\.js$/, '')))
+    .sort();
+
+const failed = [];
+for (const file of files) {
+    const result = spawnSync(process.execPath, [path.join(testDir, file)], { stdio: 'inherit' });
+    if (result.status !== 0) {
+        failed.push(file);
+    }
+}
+
+if (failed.length > 0) {
+    console.log(`\n❌ ${failed.length} of ${files.length} test file(s) failed: ${failed.join(', ')}`);
+    process.exit(1);
+}
+
+console.log(`\n✅ All ${files.length} test file(s) passed`);
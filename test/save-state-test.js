@@ -0,0 +1,119 @@
+// test/save-state-test.js - Binary save state format: exact round trip, version checks
+
+import { Memory } from '../src/emulator/Memory.js';
+import { MOS6502, IRQ_CIA1 } from '../src/emulator/MOS6502.js';
+import { CIA } from '../src/emulator/CIA.js';
+import { SID } from '../src/emulator/SID.js';
+import { encodeState, decodeState, SAVE_STATE_VERSION } from '../src/emulator/SaveState.js';
+import { expect, expectError, finish } from './helpers.js';
+
+// A machine in a state worth saving
+const memory = new Memory(65536);
+memory.bankConfig = 0x05;
+const cpu = new MOS6502(memory);
+const cia1 = new CIA(1, memory);
+const cia2 = new CIA(2, memory);
+const sid = new SID(memory);
+
+for (let i = 0; i < 65536; i++) memory.ram[i] = (i * 7 + (i >> 8)) & 0xFF;
+for (let i = 0; i < memory.colorRAM.length; i++) memory.colorRAM[i] = i & 0x0F;
+
+Object.assign(cpu, { A: 0x12, X: 0x34, Y: 0x56, SP: 0xF3, PC: 0xC123, cycles: 2 ** 40 + 17, stallCycles: 321 });
+cpu.setP(0xE5);
+cpu.setIRQ(IRQ_CIA1, true);
+
+cia1.write(0xDC04, 0x34);
+cia1.write(0xDC05, 0x12);
+cia1.write(0xDC0D, 0x81);
+cia1.write(0xDC0E, 0x11);
+cia1.cycle(100);
+cia1.keyMatrix[3] = 0xEF;
+cia1.keyQueue.push(0x41, 0x0D);
+cia2.joystickState.fire = true;
+cia2.joystickState.left = true;
+
+sid.write(0xD400, 0x25);
+sid.write(0xD418, 0x0F);
+sid.voices[1] = { frequency: 0x1CD6, pulse: 0x0800, waveform: 0x41, adsr: 0x09A0, gate: true };
+sid.nextNoise();
+
+const vic = {
+    registers: Uint8Array.from({ length: 64 }, (_, i) => i * 3),
+    cycleCounter: 41,
+    rasterY: 0x123,
+    displayEnabled: true,
+    cursorX: 12,
+    cursorY: 7,
+    cursorVisible: false,
+    cursorBlinkCounter: 19
+};
+
+const basic = {
+    basicReady: true,
+    currentInputLine: 'PRINT "HÉLLO"',
+    shiftPressed: false,
+    basicProgram: new Map([[10, 'FOR I=1 TO 3'], [20, 'NEXT I']]),
+    basicVariables: new Map([['I', 2], ['X', -1.5]]),
+    basicStrings: new Map([['A$', 'C64']]),
+    basicArrays: new Map([['B', { dimensions: [2, 1], data: [[1, 2], [3, 4], [5, 6]] }]]),
+    basicCallStack: [],
+    forLoopStack: [{ varName: 'I', endValue: 3, stepValue: 1, forLineNum: 10, forIndex: 0 }],
+    basicDataPointer: { line: 0, position: 0 },
+    basicData: [],
+    inputMode: null,
+    executionContext: { sortedLines: [[10, 'FOR I=1 TO 3'], [20, 'NEXT I']], currentIndex: 1, running: true }
+};
+
+const state = {
+    cpu: cpu.snapshot(),
+    memory: memory.snapshot(),
+    vic,
+    cia1: cia1.snapshot(),
+    cia2: cia2.snapshot(),
+    sid: sid.snapshot(),
+    cartridge: { type: 32, bank: 5, control: 0x87, ram: Uint8Array.from({ length: 256 }, (_, i) => 255 - i) },
+    basic
+};
+
+// Exact round trip
+const blob = encodeState(state);
+expect('magic', String.fromCharCode(...blob.subarray(0, 4)), 'C64S');
+expect('version', blob[4] | (blob[5] << 8), SAVE_STATE_VERSION);
+
+const loaded = decodeState(blob);
+expect('round trip', loaded, state);
+expect('stable encoding', Array.from(encodeState(loaded)), Array.from(blob));
+expect('ArrayBuffer input', decodeState(blob.slice().buffer), state);
+
+// Restoring into a fresh machine gives the same chip state
+const memory2 = new Memory(65536);
+const cpu2 = new MOS6502(memory2);
+const cia1b = new CIA(1, memory2);
+const sid2 = new SID(memory2);
+cpu2.restore(loaded.cpu);
+memory2.restore(loaded.memory);
+cia1b.restore(loaded.cia1);
+sid2.restore(loaded.sid);
+expect('cpu restored', cpu2.snapshot(), cpu.snapshot());
+expect('memory restored', memory2.snapshot(), memory.snapshot());
+expect('cia restored', cia1b.snapshot(), cia1.snapshot());
+expect('sid restored', sid2.snapshot(), sid.snapshot());
+
+// Partial states and unknown chunks
+expect('partial state', decodeState(encodeState({ cpu: state.cpu })), { cpu: state.cpu });
+
+const unknown = new Uint8Array(blob.length + 11);
+unknown.set(blob.subarray(0, 6));
+unknown.set([0x4E, 0x45, 0x57, 0x21, 3, 0, 0, 0, 1, 2, 3], 6);   // 'NEW!' chunk, 3 bytes
+unknown.set(blob.subarray(6), 17);
+expect('unknown chunk skipped', decodeState(unknown), state);
+
+// Rejected blobs
+expectError('bad magic', () => decodeState(new Uint8Array([0x50, 0x4B, 3, 4, 1, 0])), 'Not a C64 save state');
+const newer = blob.slice();
+newer[4] = SAVE_STATE_VERSION + 1;
+expectError('newer version', () => decodeState(newer),
+    `Save state version ${SAVE_STATE_VERSION + 1} is newer than supported (${SAVE_STATE_VERSION})`);
+expectError('truncated', () => decodeState(blob.subarray(0, 1000)), 'Save state is truncated');
+
+finish('SaveState', 'versioned binary format round-trips exactly');
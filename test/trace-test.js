@@ -0,0 +1,41 @@
+// test/trace-test.js - Trace ring buffer and export formats
+
+import { Memory } from '../src/emulator/Memory.js';
+import { MOS6502 } from '../src/emulator/MOS6502.js';
+import { TraceLogger } from '../src/emulator/TraceLogger.js';
+import { expect, finish } from './helpers.js';
+
+const memory = new Memory(65536);
+memory.bankConfig = 0x04;
+// LDX #$00 / loop: INX / BNE loop
+memory.ram.set([0xA2, 0x00, 0xE8, 0xD0, 0xFD], 0x1000);
+
+const cpu = new MOS6502(memory);
+cpu.PC = 0x1000;
+
+const trace = new TraceLogger(cpu, 4);
+cpu.step();
+expect('disabled records nothing', trace.count, 0);
+
+expect('toggle on', trace.toggle(), true);
+for (let i = 0; i < 6; i++) cpu.step();
+expect('ring buffer is full', [trace.count, trace.total], [4, 6]);
+
+const entries = trace.entries();
+expect('oldest entry dropped', entries.map(e => e.pc), [0x1002, 0x1003, 0x1002, 0x1003]);
+expect('registers before the instruction', [entries[0].X, entries[1].X], [1, 2]);
+expect('decoded text', entries[1].text, 'BNE $1002');
+
+expect('vice format', trace.export('vice', 1),
+    '.C:1003  D0 FD       BNE $1002      - A:00 X:03 Y:00 SP:fd ..-.....       14');
+expect('nestest format', trace.export('nestest', 1),
+    '1003  D0 FD     BNE $1002                       A:00 X:03 Y:00 P:20 SP:FD CYC:14');
+
+expect('toggle off', trace.toggle(), false);
+cpu.step();
+expect('stops recording', trace.total, 6);
+
+trace.clear();
+expect('clear', trace.export(), '');
+
+finish('Trace', 'ring buffer, toggle and export formats work');
@@ -0,0 +1,356 @@
+// test/vic-test.js - VIC-II memory view (banks from CIA2, character ROM, pointers),
+// graphics modes, per-line rendering, sprites, collisions and raster interrupts
+
+import { Memory } from '../src/emulator/Memory.js';
+import { CIA } from '../src/emulator/CIA.js';
+import { VIC2 } from '../src/emulator/VIC2.js';
+import { MOS6502, IRQ_VIC } from '../src/emulator/MOS6502.js';
+import { expect, finish } from './helpers.js';
+
+// The VIC's constructor needs a canvas, so build it without one
+const memory = new Memory(65536);
+const vic = Object.create(VIC2.prototype);
+vic.memory = memory;
+vic.registers = new Uint8Array(64);
+vic.bank = 0;
+vic.sprites = Array.from({ length: 8 }, () => ({}));
+vic.framebuffer = new Uint8Array(384 * 272);
+vic.foreground = new Uint8Array(384);
+vic.spritePixels = new Int8Array(384);
+vic.spriteColors = new Uint8Array(384);
+vic.cellPixels = new Uint8Array(8);
+vic.cellColors = new Uint8Array(4);
+vic.spriteCodeColors = new Uint8Array(4);
+vic.displayEnabled = true;
+vic.irqActive = false;
+const irqs = [];
+vic.onIRQ = (active) => irqs.push(active);
+
+// CIA2 wired up as in C64Emulator
+const cia2 = new CIA(2, memory);
+cia2.onPortA = (value) => vic.setBank(3 - (value & 0x03));
+
+// Every 1K of RAM holds its own number, the character ROM $C0 + its 1K
+for (let i = 0; i < 65536; i++) memory.ram[i] = i >> 10;
+for (let i = 0; i < 4096; i++) memory.charset[i] = 0xC0 + (i >> 10);
+
+// Bank selection
+cia2.reset();
+expect('inputs pulled up select bank 0', [cia2.portA, vic.bank], [0xFF, 0]);
+cia2.write(0xDD02, 0x03);
+cia2.write(0xDD00, 0x01);
+expect('%01 selects bank 2', [vic.bank, vic.bankBase], [2, 0x8000]);
+cia2.write(0xDD00, 0x00);
+expect('%00 selects bank 3', vic.bank, 3);
+cia2.write(0xDD02, 0x01);
+expect('input bit reads high', vic.bank, 1);
+cia2.restore({ ...cia2.snapshot(), registers: Uint8Array.of(0x02, 0, 0x03, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0) });
+expect('restore re-selects the bank', vic.bank, 1);
+
+// What the VIC sees in each bank
+const view = (bank) => {
+    vic.setBank(bank);
+    return [0x0000, 0x1000, 0x1C00, 0x2000, 0x3C00].map(address => vic.readVideo(address));
+};
+expect('bank 0 has the character ROM at $1000', view(0), [0x00, 0xC0, 0xC3, 0x08, 0x0F]);
+expect('bank 1 is all RAM', view(1), [0x10, 0x14, 0x17, 0x18, 0x1F]);
+expect('bank 2 has the character ROM at $9000', view(2), [0x20, 0xC0, 0xC3, 0x28, 0x2F]);
+expect('bank 3 is all RAM', view(3), [0x30, 0x34, 0x37, 0x38, 0x3F]);
+expect('addresses wrap at 16K', vic.readVideo(0x4000), 0x30);
+
+// The VIC never sees the BASIC/KERNAL ROMs or I/O
+memory.rom.fill(0xEE);
+memory.bankConfig = 0x07;
+expect('RAM under ROM and I/O', [vic.readVideo(0x2000), vic.readVideo(0x1000)], [0x38, 0x34]);
+
+// Ultimax mode: ROMH shows through at $3000-$3FFF
+memory.romH = new Uint8Array(0x2000).fill(0x11, 0x1000);
+memory.setCartridgeLines(0, 1);
+expect('Ultimax ROMH', [vic.readVideo(0x3000), vic.readVideo(0x2000)], [0x11, 0x38]);
+memory.setCartridgeLines(1, 1);
+
+// $D018 pointers are offsets in the bank
+vic.write(0xD018, 0x1E);
+expect('screen at $0400, charset at $3800', [vic.screenMemory, vic.charGenMemory], [0x0400, 0x3800]);
+vic.write(0xD018, 0xF4);
+expect('screen at $3C00, charset at $1000', [vic.screenMemory, vic.charGenMemory], [0x3C00, 0x1000]);
+
+// Graphics modes: one cell row at a time. Bank 1, screen at $4400, charset
+// at $6800, bitmap at $6000.
+memory.bankConfig = 0x05;
+vic.setBank(1);
+vic.write(0xD018, 0x1A);
+expect('bitmap pointer', vic.bitmapMemory, 0x2000);
+vic.registers.set([0x06, 0x02, 0x04, 0x07], 0x21);
+const modes = (d011, d016) => {
+    vic.write(0xD011, d011);
+    vic.write(0xD016, d016);
+};
+const row = (cell, cy = 0) => {
+    const pixels = new Uint8Array(8);
+    const bits = vic.cellRow(Math.floor(cell / 40), cell % 40, cy, pixels);
+    return [Array.from(pixels), bits];
+};
+memory.ram[0x4400] = 0x01;                                // Character 1 ...
+memory.ram[0x4401] = 0x81;                                // ... with ECM background 2
+memory.ram[0x6800 + 8] = 0x1B;                            // %00011011
+memory.ram[0x6800 + 9] = 0xF0;
+memory.colorRAM[0] = 0x0D;
+memory.colorRAM[1] = 0x03;
+
+modes(0x1B, 0xC8);
+expect('text', row(0), [[6, 6, 6, 13, 13, 6, 13, 13], 0x1B]);
+expect('text, next row', row(0, 1)[0], [13, 13, 13, 13, 6, 6, 6, 6]);
+modes(0x1B, 0xD8);
+expect('multicolor text', row(0), [[6, 6, 2, 2, 4, 4, 5, 5], 0x0F]);
+expect('multicolor text, hires cell', row(1), [[6, 6, 6, 3, 3, 6, 3, 3], 0x1B]);
+modes(0x5B, 0xC8);
+expect('ECM', row(1), [[4, 4, 4, 3, 3, 4, 3, 3], 0x1B]);
+memory.ram[0x4400] = 0x41;                                // Still character 1
+expect('ECM background 1', row(0), [[2, 2, 2, 13, 13, 2, 13, 13], 0x1B]);
+
+memory.ram[0x4400] = 0x7E;                                // Screen high/low nybbles
+memory.ram[0x6000] = 0xE4;                                // %11100100
+modes(0x3B, 0xC8);
+expect('bitmap', row(0), [[7, 7, 7, 14, 14, 7, 14, 14], 0xE4]);
+modes(0x3B, 0xD8);
+expect('multicolor bitmap', row(0), [[13, 13, 14, 14, 7, 7, 6, 6], 0xF0]);
+memory.ram[0x6000 + 8 * 41 + 3] = 0xFF;
+expect('bitmap addressing', row(41, 3)[1], 0xFF);
+modes(0x7B, 0xD8);
+expect('invalid mode is black', row(0), [[0, 0, 0, 0, 0, 0, 0, 0], 0xF0]);
+modes(0x1B, 0xC8);
+
+// Sprites: bank 3 ($C000), screen at $C400, sprite data from $C800 (pointer $20)
+memory.bankConfig = 0x05;
+memory.ram.fill(0, 0xC000, 0x10000);
+vic.setBank(3);
+vic.write(0xD018, 0x14);
+const sprite = (index, pointer, rows) => {
+    memory.ram[0xC400 + 0x3F8 + index] = pointer;
+    rows.forEach((row, i) => memory.ram.set(row, 0xC000 + pointer * 64 + i * 3));
+};
+const place = (index, x, y) => {
+    vic.write(0xD000 + index * 2, x & 0xFF);
+    vic.write(0xD001 + index * 2, y);
+    vic.registers[0x10] = (vic.registers[0x10] & ~(1 << index)) | ((x >> 8) << index);
+};
+// Sprite number and color at a sprite coordinate (canvas x is 8 more)
+const pixel = (x, y) => {
+    vic.updateSprites();
+    vic.spritePixels.fill(-1);
+    for (let i = 0; i < 8; i++) if (vic.sprites[i].enabled) vic.drawSprite(i, y);
+    return vic.spritePixels[x + 8] < 0 ? null : [vic.spritePixels[x + 8], vic.spriteColors[x + 8]];
+};
+
+sprite(0, 0x20, [[0x80, 0x00, 0x01], [0x00, 0x00, 0x00], [0xC0, 0x00, 0x00]]);
+sprite(1, 0x21, [[0x1B, 0x00, 0x00]]);   // Multicolor pairs 00 01 10 11
+vic.registers[0x15] = 0x03;
+vic.registers[0x27] = 0x02;
+vic.registers[0x28] = 0x05;
+vic.registers[0x25] = 0x0A;
+vic.registers[0x26] = 0x0B;
+vic.registers[0x1C] = 0x02;
+place(0, 24, 50);
+place(1, 100, 60);
+// Rows start on the line after Y
+expect('hires pixels', [pixel(24, 50), pixel(24, 51), pixel(25, 51), pixel(47, 51), pixel(24, 53), pixel(25, 53)],
+    [null, [0, 2], null, [0, 2], [0, 2], [0, 2]]);
+expect('multicolor pairs', [100, 101, 102, 103, 104, 105, 106, 107].map(x => pixel(x, 61)),
+    [null, null, [1, 0x0A], [1, 0x0A], [1, 5], [1, 5], [1, 0x0B], [1, 0x0B]]);
+
+// Expansion and the X MSB
+vic.registers[0x1D] = 0x01;
+vic.registers[0x17] = 0x01;
+place(0, 0x100, 100);
+expect('MSB and expansion', [pixel(0x100, 101), pixel(0x101, 102), pixel(0x102, 101), pixel(0x100, 105), pixel(0x100, 106), pixel(0x100, 107)],
+    [[0, 2], [0, 2], null, [0, 2], [0, 2], null]);
+expect('expanded width', [pixel(0x100 + 46, 101), pixel(0x100 + 47, 102), pixel(0x100 + 48, 101)], [[0, 2], [0, 2], null]);
+vic.registers[0x1D] = 0;
+vic.registers[0x17] = 0;
+
+// Sprite 0 is in front of sprite 1; parts left of the canvas are clipped.
+// From here on the sprites are at Y 59 so their first row is on line 60.
+place(0, 100, 59);
+sprite(0, 0x20, [[0xFF, 0xFF, 0xFF]]);
+place(1, 10, 59);
+expect('lower sprite in front', [pixel(102, 60), pixel(106, 60)], [[0, 2], [0, 2]]);
+expect('clipped', [pixel(10, 60), pixel(12, 60), pixel(0, 60)], [null, [1, 0x0A], null]);
+
+// Whole lines: text row 1 (line 60 is its pixel row 1 with YSCROLL 3) has
+// character 1 in column 9 with pixels 4-5 set, under sprite 0 at X 100
+const line = (y) => Array.from(vic.framebuffer.subarray((y - 16) * 384, (y - 15) * 384));
+memory.ram.fill(0x20, 0xC400, 0xC400 + 1000);
+memory.ram[0xC400 + 49] = 0x01;
+memory.ram.fill(0, 0xD000, 0xD800);
+memory.ram[0xD000 + 8 + 1] = 0x0C;
+memory.colorRAM.fill(0x01);
+vic.registers[0x20] = 0x0E;
+vic.registers[0x21] = 0x06;
+place(1, 200, 59);
+vic.registers[0x1B] = 0x01;
+vic.renderLine(60, false);
+expect('behind the foreground', line(60).slice(106, 112), [6, 6, 1, 1, 2, 2]);
+vic.registers[0x1B] = 0x00;
+vic.renderLine(60, false);
+vic.renderLine(50, false);
+expect('in front of the foreground', line(60).slice(106, 112), [6, 6, 2, 2, 2, 2]);
+expect('border and background', [line(60)[31], line(60)[32], line(60)[351], line(60)[352], line(50)[200]], [14, 6, 6, 14, 14]);
+
+// Register values at the time the line is drawn
+vic.registers[0x20] = 0x02;
+vic.renderLine(40);
+vic.registers[0x20] = 0x05;
+vic.renderLine(41);
+expect('per-line border color', [line(40)[0], line(41)[0]], [2, 5]);
+
+// XSCROLL, 38 columns, YSCROLL and 24 rows
+vic.registers[0x15] = 0x00;
+vic.write(0xD016, 0xCA);
+vic.renderLine(60);
+expect('XSCROLL 2', line(60).slice(104, 114), [6, 6, 6, 6, 6, 6, 1, 1, 6, 6]);
+vic.write(0xD016, 0xC0);
+vic.renderLine(60);
+expect('38 columns', [line(60)[38], line(60)[39], line(60)[342], line(60)[343]], [5, 6, 6, 5]);
+vic.write(0xD016, 0xC8);
+vic.write(0xD011, 0x1C);
+vic.renderLine(61);
+expect('YSCROLL 4', line(61).slice(108, 110), [1, 1]);
+vic.write(0xD011, 0x13);
+vic.renderLine(0x33);
+vic.renderLine(0x37);
+vic.renderLine(0xF6);
+vic.renderLine(0xF7);
+expect('24 rows', [line(0x33)[200], line(0x37)[200], line(0xF6)[200], line(0xF7)[200]], [5, 6, 6, 5]);
+vic.write(0xD011, 0x1B);
+vic.displayEnabled = false;
+vic.renderLine(60);
+expect('display disabled', line(60)[200], 5);
+vic.displayEnabled = true;
+vic.registers[0x15] = 0x03;
+
+// blitFrame puts the palette colors and the BASIC cursor on the canvas
+const canvas = { data: new Uint8ClampedArray(384 * 272 * 4) };
+let blits = 0;
+vic.ctx = { putImageData: (image) => { blits++; expect('blit image', image, canvas); } };
+vic.imageData = canvas;
+vic.palette = Array.from({ length: 16 }, (_, i) => i * 0x111111);
+vic.cursorVisible = true;
+vic.cursorX = 2;
+vic.cursorY = 1;
+memory.colorRAM[42] = 0x00;
+vic.renderFrame();
+const rgba = (x, y) => Array.from(canvas.data.subarray((y * 384 + x) * 4, (y * 384 + x) * 4 + 4));
+expect('blit', [blits, rgba(0, 0), rgba(108, 44)], [1, [0x55, 0x55, 0x55, 255], [0x22, 0x22, 0x22, 255]]);
+expect('cursor', [rgba(48, 43), rgba(55, 50), rgba(56, 43)], [[0xEE, 0xEE, 0xEE, 255], [0xEE, 0xEE, 0xEE, 255], [0x66, 0x66, 0x66, 255]]);
+vic.cursorVisible = false;
+expect('redraws latch no collisions', [vic.registers[0x1E], vic.registers[0x1F]], [0, 0]);
+
+// Collisions: sprite 0 (24 pixels from 100 on line 60) overlaps sprite 1 and the
+// foreground at 100,60 even where it hides them
+vic.registers[0x1B] = 0x01;
+place(1, 102, 59);
+vic.renderLine(60);
+expect('peek keeps collisions', [vic.peek(0xD01E), vic.peek(0xD01F), vic.peek(0xD01E)], [0x03, 0x01, 0x03]);
+expect('collision registers', [vic.read(0xD01E), vic.read(0xD01F)], [0x03, 0x01]);
+expect('cleared by reading', [vic.read(0xD01E), vic.read(0xD01F)], [0x00, 0x00]);
+expect('no IRQ while masked', [irqs, vic.read(0xD019)], [[], 0x76]);
+vic.write(0xD019, 0x06);
+expect('acknowledged', vic.read(0xD019), 0x70);
+
+vic.write(0xD01A, 0x04);
+vic.renderLine(60);
+expect('sprite-sprite IRQ', [irqs, vic.read(0xD019), vic.read(0xD01A)], [[true], 0xF6, 0xF4]);
+vic.write(0xD019, 0x04);
+expect('IRQ released', [irqs, vic.read(0xD019)], [[true, false], 0x72]);
+
+// Only the first collision after reading the register interrupts
+vic.renderLine(60);
+expect('no new IRQ while the register is set', irqs, [true, false]);
+vic.read(0xD01E);
+vic.renderLine(60);
+expect('IRQ again after reading', irqs, [true, false, true]);
+
+vic.write(0xD01A, 0x00);
+expect('mask change releases the line', irqs, [true, false, true, false]);
+vic.write(0xD019, 0x0F);
+vic.write(0xD01A, 0x02);
+vic.read(0xD01F);
+vic.renderLine(60);
+expect('sprite-background IRQ', [irqs, vic.read(0xD019) & 0x86], [[true, false, true, false, true], 0x82]);
+vic.read(0xD01E);
+vic.write(0xD01E, 0xFF);
+expect('collision registers are read-only', vic.read(0xD01E), 0x00);
+
+// Sprites behind the top border collide with each other, not the background
+vic.write(0xD019, 0x0F);
+vic.write(0xD01A, 0x04);
+vic.read(0xD01F);
+irqs.length = 0;
+place(0, 100, 39);
+place(1, 102, 39);
+vic.renderLine(40);
+expect('collision in the border', [vic.read(0xD01E), vic.read(0xD01F), irqs, line(40)[108]], [0x03, 0x00, [true], 0x05]);
+vic.write(0xD019, 0x0F);
+vic.write(0xD01A, 0x00);
+irqs.length = 0;
+
+// Raster interrupts, with the IRQ line wired to the CPU as in C64Emulator
+const cpu = new MOS6502(memory);
+vic.write(0xD01A, 0x00);
+vic.write(0xD019, 0x0F);
+irqs.length = 0;
+vic.onIRQ = (active) => {
+    irqs.push(active);
+    cpu.setIRQ(IRQ_VIC, active);
+};
+vic.cyclesPerLine = 63;
+vic.maxRasterY = 312;
+vic.blitFrame = () => {};   // No canvas to put the finished frame on
+vic.updateCursor = () => {};
+vic.cycleCounter = 0;
+vic.rasterY = 99;
+const runLines = (lines) => {
+    for (let i = 0; i < lines * 63; i++) vic.cycle();
+};
+
+vic.write(0xD012, 100);
+runLines(1);
+expect('flag latched while disabled', [vic.read(0xD019), irqs], [0x71, []]);
+vic.write(0xD01A, 0x01);
+expect('enabling asserts the line', [irqs, vic.read(0xD019), cpu.irqLines], [[true], 0xF1, IRQ_VIC]);
+vic.write(0xD019, 0x01);
+expect('write 1 to acknowledge', [irqs, vic.read(0xD019), cpu.irqLines], [[true, false], 0x70, 0]);
+runLines(311);
+expect('not before the line comes round', irqs, [true, false]);
+runLines(1);
+expect('once per frame', [irqs, vic.rasterY], [[true, false, true], 100]);
+vic.write(0xD019, 0xFF);
+
+// Bit 8 of the compare value is $D011 bit 7
+vic.write(0xD011, 0x9B);
+vic.write(0xD012, 0x05);
+vic.rasterY = 0x104;
+runLines(1);
+expect('line $105', [irqs, vic.read(0xD011) & 0x80, vic.read(0xD012)], [[true, false, true, false, true], 0x80, 0x05]);
+vic.write(0xD019, 0x01);
+
+// Moving the compare value onto the current line triggers at once
+vic.write(0xD012, 0x06);
+expect('other line', vic.read(0xD019) & 0x01, 0);
+vic.write(0xD012, 0x05);
+expect('current line', vic.read(0xD019), 0xF1);
+vic.write(0xD019, 0x01);
+vic.write(0xD011, 0x1B);
+
+// A border color written mid-frame shows from the next line the beam draws
+vic.write(0xD01A, 0x00);
+vic.rasterY = 40;
+vic.cycleCounter = 0;
+vic.write(0xD020, 0x02);
+runLines(2);
+vic.write(0xD020, 0x07);
+runLines(1);
+expect('raster bars', [line(40)[0], line(41)[0], line(42)[0]], [2, 2, 7]);
+
+finish('VIC2', 'CIA2 bank selection, character ROM visibility, graphics modes, per-line rendering, sprites, collisions and raster IRQs work');